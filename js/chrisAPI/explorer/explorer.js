@@ -0,0 +1,503 @@
+/**
+ * ChRIS API explorer. It starts from the feeds url of a client (``Client.feedsUrl``),
+ * walks the link relations of the REST API recursively (up to a depth) to make a map of
+ * its endpoints and shows any endpoint's links, items, query forms and template with the
+ * ``Collection`` helpers. The query forms make GET requests and the template form a POST
+ * request (a PUT request for an item). It runs against a ChRIS server or the ``FakeCUBE``
+ * fake server of the testing bundle.
+ *
+ * It is a plain browser script that uses the standalone bundles (``CAPI`` and ``CAPITesting``
+ * globals) built by ``yarn build``.
+ */
+(function (CAPI, CAPITesting) {
+  if (!CAPI || !CAPITesting) {
+    document.getElementById('status').textContent = 'Build the library first with: yarn build';
+    return;
+  }
+  const Client = CAPI.default;
+  const Collection = CAPI.Collection;
+  const contentType = 'application/vnd.collection+json';
+
+  /**
+   * Make a DOM element.
+   *
+   * @param {string} tag - element tag name
+   * @param {Object} [attrs={}] - element properties (``on*`` properties are listeners)
+   * @param {Array<Node|string>} [children=[]] - child nodes, strings are text nodes
+   *
+   * @return {HTMLElement}
+   */
+  function el(tag, attrs = {}, children = []) {
+    const elem = document.createElement(tag);
+
+    for (let name in attrs) {
+      if (attrs.hasOwnProperty(name)) {
+        if (name.indexOf('on') === 0) {
+          elem.addEventListener(name.slice(2), attrs[name]);
+        } else {
+          elem[name] = attrs[name];
+        }
+      }
+    }
+    children.forEach((child) => {
+      elem.appendChild(typeof child === 'string' ? document.createTextNode(child) : child);
+    });
+    return elem;
+  }
+
+  /**
+   * Format a descriptor value for display.
+   *
+   * @param {*} value - descriptor value
+   *
+   * @return {string}
+   */
+  function format(value) {
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+
+  class Explorer {
+    /**
+     * Constructor
+     *
+     * @param {HTMLElement} mapElem - element that shows the map of the endpoints
+     * @param {HTMLElement} viewElem - element that shows the selected endpoint
+     * @param {HTMLElement} statusElem - element that shows the status
+     */
+    constructor(mapElem, viewElem, statusElem) {
+      /** @type {HTMLElement} */
+      this.mapElem = mapElem;
+
+      /** @type {HTMLElement} */
+      this.viewElem = viewElem;
+
+      /** @type {HTMLElement} */
+      this.statusElem = statusElem;
+
+      /** @type {?Client} */
+      this.client = null;
+
+      /** @type {Object} */
+      this.endpoints = {}; // endpoint objects by url pattern
+    }
+
+    /**
+     * Make a client and explore its REST API from the feeds url.
+     *
+     * @param {Object} settings - object with the ``url``, ``username``, ``password``,
+     * ``fake`` (use the fake server) and ``depth`` (walk depth) properties
+     *
+     * @return {Promise}
+     */
+    connect(settings) {
+      const auth = { username: settings.username, password: settings.password };
+      const options = {};
+      let setUp = Promise.resolve();
+
+      if (settings.fake) {
+        options.transport = new CAPITesting.FakeCUBE(settings.url);
+      }
+      this.client = new Client(settings.url, auth, options);
+
+      if (settings.fake) {
+        // a feed, so that there are feeds, plugin instances and files to explore
+        setUp = this.client
+          .createPluginInstance(1, { dir: settings.username + '/uploads/' })
+          .then((plgInst) => options.transport.addFile(plgInst.data.id, 'brain.mgz', 'data'));
+      }
+      return setUp
+        .then(() => this.walk(this.client.feedsUrl, settings.depth))
+        .then(() => this.show(this.client.feedsUrl));
+    }
+
+    /**
+     * Make a request object with the client's authentication and options.
+     *
+     * @return {Request}
+     */
+    _makeRequest() {
+      return new CAPI.Request(this.client.auth, contentType, 30000, this.client.options);
+    }
+
+    /**
+     * Walk the link relations of the REST API breadth-first from a url and show the map
+     * of the endpoints. Every endpoint pattern is fetched once (as a single item page).
+     * Links whose path does not end with a '/' (eg. file downloads) are not followed.
+     *
+     * @param {string} startUrl - url to start from
+     * @param {number} maxDepth - maximum number of link relations followed
+     *
+     * @return {Promise}
+     */
+    walk(startUrl, maxDepth) {
+      const queue = [{ url: startUrl, depth: 0, parent: null, rel: 'feeds' }];
+      this.endpoints = {};
+
+      const next = () => {
+        const entry = queue.shift();
+
+        if (!entry) {
+          this.setStatus(Object.keys(this.endpoints).length + ' endpoints');
+          return Promise.resolve();
+        }
+        const pattern = CAPI.MetricsAggregator.getEndpoint(entry.url);
+
+        if (this.endpoints.hasOwnProperty(pattern)) {
+          return next();
+        }
+        const endpoint = {
+          pattern: pattern,
+          url: entry.url,
+          rel: entry.rel,
+          parent: entry.parent,
+          links: [],
+        };
+        this.endpoints[pattern] = endpoint;
+        this.setStatus('Fetching ' + entry.url);
+
+        return this._makeRequest()
+          .get(entry.url, { limit: 1 })
+          .then(
+            (resp) => {
+              const coll = resp.data && resp.data.collection;
+
+              if (!coll) {
+                endpoint.error = 'not a Collection+JSON document';
+                return;
+              }
+              const item = coll.items.length ? coll.items[0] : null;
+
+              endpoint.links = Collection.getLinks(coll).concat(
+                item ? Collection.getLinks(item) : []
+              );
+              endpoint.queries = Collection.getQueries(coll);
+              endpoint.template = coll.template
+                ? Collection.getTemplateDescriptors(coll.template)
+                : [];
+              if (entry.depth < maxDepth) {
+                endpoint.links
+                  .filter((link) => link.rel !== 'next' && link.rel !== 'previous')
+                  .filter((link) => /\/$/.test(link.href.split('?')[0]))
+                  .forEach((link) => {
+                    queue.push({
+                      url: link.href,
+                      depth: entry.depth + 1,
+                      parent: pattern,
+                      rel: link.rel,
+                    });
+                  });
+              }
+            },
+            (error) => {
+              endpoint.error = error.message;
+            }
+          )
+          .then(() => {
+            this.renderMap();
+            return next();
+          });
+      };
+      return next();
+    }
+
+    /**
+     * Show the map of the discovered endpoints as a tree of link relations.
+     */
+    renderMap() {
+      const renderNode = (endpoint) => {
+        const children = Object.keys(this.endpoints)
+          .map((pattern) => this.endpoints[pattern])
+          .filter((child) => child.parent === endpoint.pattern);
+        const rels = endpoint.links
+          .map((link) => link.rel)
+          .filter((rel, i, arr) => arr.indexOf(rel) === i)
+          .join(', ');
+        const queryNames = (endpoint.queries || [])
+          .map((query) => query.data.map((descriptor) => descriptor.name).join(', '))
+          .join(' | ');
+
+        return el('li', {}, [
+          el('span', { className: 'rel' }, [endpoint.rel + ' → ']),
+          el('a', { className: 'pattern', onclick: () => this.show(endpoint.url) }, [
+            endpoint.pattern,
+          ]),
+          endpoint.error ? el('span', { className: 'error' }, [' ' + endpoint.error]) : '',
+          el('div', { className: 'rel' }, [rels ? 'links: ' + rels : 'no links']),
+          queryNames ? el('div', { className: 'rel' }, ['search: ' + queryNames]) : '',
+          children.length ? el('ul', {}, children.map(renderNode)) : '',
+        ]);
+      };
+      const roots = Object.keys(this.endpoints)
+        .map((pattern) => this.endpoints[pattern])
+        .filter((endpoint) => endpoint.parent === null);
+
+      this.mapElem.textContent = '';
+      this.mapElem.appendChild(el('ul', {}, roots.map(renderNode)));
+    }
+
+    /**
+     * Fetch a url and show its links, items, query forms, template and raw document.
+     *
+     * @param {string} url - url
+     * @param {?Object} [params=null] - search parameters
+     *
+     * @return {Promise}
+     */
+    show(url, params = null) {
+      this.setStatus('Fetching ' + url);
+
+      return this._makeRequest()
+        .get(url, params)
+        .then(
+          (resp) => {
+            this.setStatus('');
+            this.renderResponse(url, resp);
+          },
+          (error) => this.renderError(url, error)
+        );
+    }
+
+    /**
+     * Show the collection object of a response, or its raw data if it is not a
+     * Collection+JSON document.
+     *
+     * @param {string} url - requested url
+     * @param {Object} resp - response object
+     * @param {?boolean} [isList=null] - whether the url is a list, guessed from the
+     * collection object if null
+     */
+    renderResponse(url, resp, isList = null) {
+      if (resp.data && resp.data.collection) {
+        this.renderCollection(url, resp.data.collection, isList);
+        return;
+      }
+      const data = typeof resp.data === 'string' ? resp.data : JSON.stringify(resp.data, null, 2);
+
+      this.viewElem.textContent = '';
+      this.viewElem.appendChild(el('h2', { className: 'pattern' }, [url]));
+      this.viewElem.appendChild(el('pre', {}, [data]));
+    }
+
+    /**
+     * Show a collection object.
+     *
+     * @param {string} url - requested url
+     * @param {Object} coll - Collection+JSON collection object
+     * @param {?boolean} [isList=null] - whether the url is a list, guessed from the
+     * collection object if null
+     */
+    renderCollection(url, coll, isList = null) {
+      if (isList === null) {
+        isList = coll.hasOwnProperty('total') || coll.items.length !== 1;
+      }
+      const view = this.viewElem;
+      const link = (text, href) => el('a', { onclick: () => this.show(href) }, [text]);
+      const collError = Collection.getError(coll);
+      const total = Collection.getTotalNumberOfItems(coll);
+      const kind = isList ? 'List' + (total === -1 ? '' : ', ' + total + ' items') : 'Item';
+
+      view.textContent = '';
+      view.appendChild(el('h2', { className: 'pattern' }, [url]));
+      view.appendChild(el('p', {}, [kind]));
+      if (collError) {
+        view.appendChild(
+          el('p', { className: 'error' }, [collError.title + ' ' + collError.message])
+        );
+      }
+
+      view.appendChild(el('h3', {}, ['Links']));
+      view.appendChild(
+        el(
+          'ul',
+          {},
+          Collection.getLinks(coll).map((l) => el('li', {}, [l.rel + ': ', link(l.href, l.href)]))
+        )
+      );
+
+      view.appendChild(el('h3', {}, ['Items']));
+      coll.items.forEach((item) => {
+        const descriptors = Collection.getItemDescriptors(item);
+        const rows = Object.keys(descriptors).map((name) =>
+          el('tr', {}, [el('th', {}, [name]), el('td', {}, [format(descriptors[name])])])
+        );
+        Collection.getLinks(item).forEach((l) => {
+          rows.push(
+            el('tr', {}, [
+              el('th', { className: 'rel' }, [l.rel]),
+              el('td', {}, [link(l.href, l.href)]),
+            ])
+          );
+        });
+        if (item.href) {
+          view.appendChild(el('p', {}, [link(item.href, item.href)]));
+        }
+        view.appendChild(el('table', {}, rows));
+      });
+
+      view.appendChild(el('h3', {}, ['Queries (GET)']));
+      Collection.getQueries(coll).forEach((query) => {
+        view.appendChild(
+          this.renderForm(query.rel + ' ' + query.href, query.data, 'GET', (data) =>
+            this.show(query.href, data)
+          )
+        );
+      });
+
+      if (coll.template) {
+        const method = isList ? 'POST' : 'PUT';
+
+        view.appendChild(el('h3', {}, ['Template (' + method + ')']));
+        view.appendChild(
+          this.renderForm(url, Collection.getTemplateDescriptors(coll.template), method, (data) =>
+            this.send(method, url, coll.template, data)
+          )
+        );
+      }
+
+      view.appendChild(
+        el('details', {}, [
+          el('summary', {}, ['Collection+JSON document']),
+          el('pre', {}, [JSON.stringify(coll, null, 2)]),
+        ])
+      );
+    }
+
+    /**
+     * Make a form for the descriptors of a query or template. Input values keep the type
+     * of the descriptor's value (number or boolean), empty inputs are left out.
+     *
+     * @param {string} title - form title
+     * @param {Object[]} descriptors - descriptor objects, see
+     * ``Collection.getTemplateDescriptors``
+     * @param {string} method - request method shown on the submit button
+     * @param {function(data: Object)} onSubmit - function called with the form data
+     *
+     * @return {HTMLElement}
+     */
+    renderForm(title, descriptors, method, onSubmit) {
+      const inputs = descriptors.map((descriptor) => {
+        const type = typeof descriptor.value;
+        const input = el('input', { name: descriptor.name });
+
+        if (type === 'boolean') {
+          input.type = 'checkbox';
+          input.checked = descriptor.value;
+        } else {
+          input.type = type === 'number' ? 'number' : 'text';
+          input.value = descriptor.value === null ? '' : format(descriptor.value);
+        }
+        if (descriptor.regexp) {
+          input.pattern = descriptor.regexp;
+        }
+        return input;
+      });
+      const fields = descriptors.map((descriptor, i) =>
+        el('label', { className: descriptor.required ? 'required' : '' }, [
+          (descriptor.prompt || descriptor.name) + ' ',
+          inputs[i],
+        ])
+      );
+      const submit = (event) => {
+        event.preventDefault();
+        const data = {};
+
+        inputs.forEach((input, i) => {
+          if (input.type === 'checkbox') {
+            data[input.name] = input.checked;
+          } else if (input.value !== '') {
+            data[input.name] =
+              typeof descriptors[i].value === 'number' ? Number(input.value) : input.value;
+          }
+        });
+        onSubmit(data);
+      };
+      return el('form', { onsubmit: submit }, [
+        el('fieldset', {}, [
+          el('legend', {}, [title]),
+          el('div', {}, fields),
+          el('button', { type: 'submit' }, [method]),
+        ]),
+      ]);
+    }
+
+    /**
+     * Validate data against a template and send it.
+     *
+     * @param {string} method - 'POST' or 'PUT'
+     * @param {string} url - url
+     * @param {Object} template - Collection+JSON template object
+     * @param {Object} data - request data object
+     *
+     * @return {Promise}
+     */
+    send(method, url, template, data) {
+      const fieldErrors = Collection.validateTemplate(template, data, method === 'PUT');
+
+      if (fieldErrors) {
+        this.setStatus('Invalid data: ' + JSON.stringify(fieldErrors), true);
+        return Promise.resolve();
+      }
+      const req = this._makeRequest();
+      const body = { template: Collection.makeTemplate(data) };
+      const sent = method === 'POST' ? req.post(url, body) : req.put(url, body);
+
+      return sent.then(
+        (resp) => {
+          this.setStatus(method + ' ' + resp.status + ' ' + resp.statusText);
+          this.renderResponse(url, resp, method === 'POST');
+        },
+        (error) => this.renderError(url, error)
+      );
+    }
+
+    /**
+     * Show a request error.
+     *
+     * @param {string} url - requested url
+     * @param {Error} error - request error
+     */
+    renderError(url, error) {
+      const fieldErrors = error.fieldErrors ? JSON.stringify(error.fieldErrors, null, 2) : '';
+
+      this.setStatus(error.name, true);
+      this.viewElem.textContent = '';
+      this.viewElem.appendChild(el('h2', { className: 'pattern' }, [url]));
+      this.viewElem.appendChild(
+        el('p', { className: 'error' }, [error.message + '\n' + fieldErrors])
+      );
+    }
+
+    /**
+     * Show a status message.
+     *
+     * @param {string} message - message
+     * @param {boolean} [isError=false] - whether the message is an error
+     */
+    setStatus(message, isError = false) {
+      this.statusElem.textContent = message;
+      this.statusElem.className = isError ? 'error' : '';
+    }
+  }
+
+  document.addEventListener('DOMContentLoaded', () => {
+    const form = document.getElementById('connect');
+    const explorer = new Explorer(
+      document.getElementById('map'),
+      document.getElementById('view'),
+      document.getElementById('status')
+    );
+
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      explorer
+        .connect({
+          url: form.elements.url.value,
+          username: form.elements.username.value,
+          password: form.elements.password.value,
+          fake: form.elements.fake.checked,
+          depth: Number(form.elements.depth.value),
+        })
+        .catch((error) => explorer.setStatus(error.message, true));
+    });
+  });
+})(window.CAPI, window.CAPITesting);
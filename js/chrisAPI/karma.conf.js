@@ -5,7 +5,7 @@ module.exports = function(config) {
     basePath: '',
     frameworks: ['mocha', 'chai', 'sinon'],
     files: ['src/**/*.test.js'],
-    exclude: [],
+    exclude: ['src/**/*.node.test.js'],
     preprocessors: {
       'src/**/*.test.js': ['webpack'],
     },
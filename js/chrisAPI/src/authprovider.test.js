@@ -0,0 +1,73 @@
+import axios from 'axios';
+import AuthProvider from './authprovider';
+import RequestException from './exception';
+import { expect } from 'chai';
+
+describe('AuthProvider', () => {
+  const chrisUrl = 'http://localhost:8000/api/v1/';
+  const authUrl = chrisUrl + 'auth-token/';
+  const auth = { username: 'cube', password: 'cube1234' };
+  let defaultAdapter;
+  let tokenRequests;
+
+  beforeEach(() => {
+    defaultAdapter = axios.defaults.adapter;
+    tokenRequests = 0;
+    // fake axios adapter for the authorization service
+    axios.defaults.adapter = config => {
+      tokenRequests++;
+      const data = { token: 'token' + tokenRequests };
+      return Promise.resolve({ data: data, status: 200, statusText: 'OK', headers: {}, config });
+    };
+  });
+
+  afterEach(() => {
+    axios.defaults.adapter = defaultAdapter;
+  });
+
+  it('can fetch and cache an auth token', done => {
+    const authProvider = new AuthProvider(authUrl, auth);
+
+    authProvider
+      .getToken()
+      .then(token => {
+        expect(token).to.equal('token1');
+        return authProvider.getToken();
+      })
+      .then(token => {
+        expect(token).to.equal('token1');
+        expect(tokenRequests).to.equal(1);
+      })
+      .then(done, done);
+  });
+
+  it('can share a single token request between concurrent callers', done => {
+    const tokens = [];
+    const authProvider = new AuthProvider(authUrl, auth, token => tokens.push(token));
+
+    Promise.all([authProvider.refreshToken('stale'), authProvider.refreshToken('stale')])
+      .then(result => {
+        expect(result).to.deep.equal(['token1', 'token1']);
+        expect(tokens).to.deep.equal(['token1']);
+        // the token has already been replaced
+        return authProvider.refreshToken('stale');
+      })
+      .then(token => {
+        expect(token).to.equal('token1');
+        expect(tokenRequests).to.equal(1);
+      })
+      .then(done, done);
+  });
+
+  it('can report that a new token can not be fetched without credentials', done => {
+    const authProvider = new AuthProvider(authUrl, { token: 'revoked' });
+
+    authProvider
+      .refreshToken('revoked')
+      .catch(error => {
+        expect(error).to.be.an.instanceof(RequestException);
+        expect(tokenRequests).to.equal(0);
+      })
+      .then(done, done);
+  });
+});
@@ -1,19 +1,28 @@
 /** * Imports ***/
 import Request from './request';
 import { ItemResource } from './resource';
+import { registry } from './registry';
 
 /**
  * ChRIS instance item resource object uniquely representing a ChRIS instance.
  */
 export default class ChrisInstance extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'ChrisInstance';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 }
+
+registry.register('chrisinstance/:id/', ChrisInstance);
@@ -1,5 +1,8 @@
 /**
- * Collection+Json utility object.
+ * Collection+Json utility object. Besides the descriptor names and values it parses the
+ * full Collection+Json model: templates (with the ``prompt`` of each descriptor and the
+ * ``required`` and ``regexp`` properties of the template validation extension), links,
+ * query forms and error objects, and validates outgoing data against a template.
  */
 export default class Collection {
   /**
@@ -16,6 +19,27 @@ export default class Collection {
     return '';
   }
 
+  /**
+   * Get the error object from the collection object.
+   *
+   * @param {Object} collection - Collection+Json collection object
+   *
+   * @return {?Object} - object with the ``title``, ``code`` and ``message`` properties
+   * (empty strings if missing) or null if the collection has no error
+   */
+  static getError(collection) {
+    const error = collection.error;
+
+    if (!error) {
+      return null;
+    }
+    return {
+      title: error.title || '',
+      code: error.code === undefined || error.code === null ? '' : String(error.code),
+      message: error.message || '',
+    };
+  }
+
   /**
    * Get the list of urls for a link relation from a collection or item object.
    *
@@ -31,6 +55,24 @@ export default class Collection {
     return links.map((link) => link.href);
   }
 
+  /**
+   * Get the links of a collection or item object.
+   *
+   * @param {Object} obj - Collection+Json collection or item object
+   *
+   * @return {Object[]} - list of link objects with the ``rel``, ``href``, ``name``,
+   * ``prompt`` and ``render`` properties (null if missing)
+   */
+  static getLinks(obj) {
+    return (obj.links || []).map((link) => ({
+      rel: link.rel,
+      href: link.href,
+      name: link.name === undefined ? null : link.name,
+      prompt: link.prompt === undefined ? null : link.prompt,
+      render: link.render === undefined ? null : link.render,
+    }));
+  }
+
   /**
    * Get an item's data (descriptors).
    *
@@ -85,6 +127,25 @@ export default class Collection {
     return template.data.map((descriptor) => descriptor.name);
   }
 
+  /**
+   * Get the descriptors within a template object or a query object.
+   *
+   * @param {Object} template - Collection+Json template or query object
+   *
+   * @return {Object[]} - list of descriptor objects with the ``name``, ``value`` (as sent
+   * by the server, null if missing), ``prompt`` (null if missing), ``required`` (boolean)
+   * and ``regexp`` (null if missing) properties
+   */
+  static getTemplateDescriptors(template) {
+    return (template.data || []).map((descriptor) => ({
+      name: descriptor.name,
+      value: descriptor.value === undefined ? null : descriptor.value,
+      prompt: descriptor.prompt === undefined ? null : descriptor.prompt,
+      required: !!descriptor.required,
+      regexp: descriptor.regexp ? descriptor.regexp : null,
+    }));
+  }
+
   /**
    * Get the list of descriptor names within a Collection+Json query array.
    *
@@ -96,6 +157,38 @@ export default class Collection {
     return queryArr[0].data.map((descriptor) => descriptor.name);
   }
 
+  /**
+   * Get the query forms of a collection object.
+   *
+   * @param {Object} collection - Collection+Json collection object
+   *
+   * @return {Object[]} - list of query objects with the ``rel``, ``href``, ``name`` and
+   * ``prompt`` (null if missing) properties and a ``data`` property with the list of
+   * descriptor objects (see ``getTemplateDescriptors``)
+   */
+  static getQueries(collection) {
+    return (collection.queries || []).map((query) => ({
+      rel: query.rel,
+      href: query.href,
+      name: query.name === undefined ? null : query.name,
+      prompt: query.prompt === undefined ? null : query.prompt,
+      data: Collection.getTemplateDescriptors(query),
+    }));
+  }
+
+  /**
+   * Get a query form of a collection object by its link relation.
+   *
+   * @param {Object} collection - Collection+Json collection object
+   * @param {string} [relationName='search'] - link relation of the query
+   *
+   * @return {?Object} - query object (see ``getQueries``) or null if there is none
+   */
+  static getQuery(collection, relationName = 'search') {
+    const queries = Collection.getQueries(collection).filter((q) => q.rel === relationName);
+    return queries.length ? queries[0] : null;
+  }
+
   /**
    * Create an empty Collection+Json object.
    *
@@ -122,13 +215,58 @@ export default class Collection {
   static makeTemplate(descriptorsObj) {
     const template = { data: [] };
 
-    let i = 0;
     for (let property in descriptorsObj) {
       if (descriptorsObj.hasOwnProperty(property)) {
-        template.data[i] = { name: property, value: descriptorsObj[property] };
+        template.data.push({ name: property, value: descriptorsObj[property] });
       }
-      i++;
     }
     return template;
   }
+
+  /**
+   * Validate a regular object whose properties are item descriptors against a template
+   * object: required descriptors must have a value (unless ``partial`` is true, eg. for
+   * an update of some of the descriptors) and string, number or boolean values must
+   * match the ``regexp`` of their descriptor. Descriptors that are not in the template
+   * are left to the server.
+   *
+   * @param {Object} template - Collection+Json template object
+   * @param {Object} descriptorsObj - item descriptors object
+   * @param {boolean} [partial=false] - whether missing required descriptors are allowed
+   *
+   * @return {?Object} - null if the object is valid, otherwise an object whose properties
+   * are the names of the invalid descriptors and whose values are lists of errors
+   */
+  static validateTemplate(template, descriptorsObj, partial = false) {
+    const fieldErrors = {};
+    let valid = true;
+
+    for (let descriptor of Collection.getTemplateDescriptors(template)) {
+      const value = descriptorsObj[descriptor.name];
+      const isEmpty = value === undefined || value === null || value === '';
+
+      if (isEmpty) {
+        if (descriptor.required && !(partial && value === undefined)) {
+          fieldErrors[descriptor.name] = ['This field is required.'];
+          valid = false;
+        }
+      } else if (descriptor.regexp && ['string', 'number', 'boolean'].includes(typeof value)) {
+        let regexp = null;
+
+        try {
+          regexp = new RegExp(descriptor.regexp);
+        } catch (ex) {
+          // ignore invalid patterns sent by the server
+        }
+        if (regexp && !regexp.test(String(value))) {
+          const prompt = descriptor.prompt ? ' (' + descriptor.prompt + ')' : '';
+          fieldErrors[descriptor.name] = [
+            'This field' + prompt + ' does not match the pattern ' + descriptor.regexp + '.',
+          ];
+          valid = false;
+        }
+      }
+    }
+    return valid ? null : fieldErrors;
+  }
 }
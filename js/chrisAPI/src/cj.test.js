@@ -0,0 +1,68 @@
+import { expect } from 'chai';
+import Collection from './cj';
+
+describe('Collection', () => {
+  const chrisUrl = 'http://localhost:8000/api/v1/';
+  const template = {
+    data: [
+      { name: 'name', value: '', prompt: 'Feed name', required: true, regexp: '^[a-z ]+$' },
+      { name: 'public', value: false },
+    ],
+  };
+
+  it('parses the templates, links, queries and errors of a collection object', () => {
+    const collection = {
+      href: chrisUrl,
+      items: [],
+      links: [{ rel: 'plugins', href: chrisUrl + 'plugins/', prompt: 'Plugins' }],
+      queries: [
+        { rel: 'search', href: chrisUrl + 'search/', data: [{ name: 'name', value: '' }] },
+        { rel: 'tagged', href: chrisUrl + 'tagged/', data: [{ name: 'tag', value: '' }] },
+      ],
+      template: template,
+      error: { title: 'Bad request', code: 400, message: 'Invalid name' },
+    };
+
+    expect(Collection.getTemplateDescriptors(collection.template)).to.deep.equal([
+      { name: 'name', value: '', prompt: 'Feed name', required: true, regexp: '^[a-z ]+$' },
+      { name: 'public', value: false, prompt: null, required: false, regexp: null },
+    ]);
+    expect(Collection.getLinks(collection)).to.deep.equal([
+      { rel: 'plugins', href: chrisUrl + 'plugins/', name: null, prompt: 'Plugins', render: null },
+    ]);
+    expect(Collection.getQueries(collection)).to.have.lengthOf(2);
+    expect(Collection.getQuery(collection).href).to.equal(chrisUrl + 'search/');
+    expect(Collection.getQuery(collection, 'tagged').data[0].name).to.equal('tag');
+    expect(Collection.getQuery(collection, 'unknown')).to.be.a('null');
+    expect(Collection.getError(collection)).to.deep.equal({
+      title: 'Bad request',
+      code: '400',
+      message: 'Invalid name',
+    });
+    expect(Collection.getError({ href: chrisUrl })).to.be.a('null');
+  });
+
+  it('makes a template object with the typed values of the descriptors', () => {
+    const descriptorsObj = Object.create({ inherited: 'x' });
+    descriptorsObj.name = 'a';
+    descriptorsObj.public = true;
+
+    expect(Collection.makeTemplate(descriptorsObj)).to.deep.equal({
+      data: [
+        { name: 'name', value: 'a' },
+        { name: 'public', value: true },
+      ],
+    });
+  });
+
+  it('validates an object against the required descriptors and patterns of a template', () => {
+    expect(Collection.validateTemplate(template, { name: 'brain study' })).to.be.a('null');
+    expect(Collection.validateTemplate(template, { public: true })).to.deep.equal({
+      name: ['This field is required.'],
+    });
+    expect(Collection.validateTemplate(template, { public: true }, true)).to.be.a('null');
+    expect(Collection.validateTemplate(template, { name: 'Brain-1' }).name[0]).to.equal(
+      'This field (Feed name) does not match the pattern ^[a-z ]+$.'
+    );
+  });
+});
@@ -3,6 +3,7 @@ import ChrisInstance from './chrisinstance';
 import Collection from './cj';
 import Request from './request';
 import RequestException from './exception';
+import ListIterator from './listiterator';
 import { FeedList, Feed } from './feed';
 import { AllFeedFileList, FeedFile } from './feedfile';
 import { ComputeResourceList, ComputeResource } from './computeresource';
@@ -18,7 +19,7 @@ import {
 import {
   AllPipelineInstanceList,
   PipelineInstanceList,
-  PipelineInstance
+  PipelineInstance,
 } from './pipelineinstance';
 import { PipelineList, Pipeline } from './pipeline';
 import { TagList, Tag, Tagging } from './tag';
@@ -29,6 +30,13 @@ import User from './user';
 
 /**
  * API client object.
+ *
+ * The ``timeout`` argument of the methods of this client and of the resource objects
+ * it creates can also be a request options object with ``timeout``, ``retry``,
+ * ``signal`` (an ``AbortSignal`` to abort the call), ``onUploadProgress`` and
+ * ``onDownloadProgress`` (callbacks to report the progress of an upload or a download)
+ * ``cache`` (``false`` to bypass the HTTP cache) and ``priority`` (request scheduler lane,
+ * either 'interactive' or 'background') properties, see ``Request``.
  */
 export default class Client {
   /**
@@ -37,8 +45,29 @@ export default class Client {
    * @param {string} url - url of the ChRIS service
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {Object} [options={}] - client options object shared by all the resource
+   * objects created by this client
+   * @param {Object|boolean} [options.retry] - retry policy for requests that fail with
+   * a transient error (see ``Request``), ``false`` disables retries
+   * @param {Object[]} [options.middleware] - array of middleware objects (see ``use``)
+   * @param {AuthProvider} [options.authProvider] - auth provider object that fetches and
+   * caches an auth token and re-authenticates when the token is rejected by the server
+   * @param {HttpCache} [options.cache] - HTTP cache object that stores GET responses and
+   * revalidates them with conditional requests (see ``HttpCache``)
+   * @param {RequestScheduler} [options.scheduler] - request scheduler object that limits
+   * the concurrency and rate of the requests (see ``RequestScheduler``)
+   * @param {Object} [options.transport] - transport object that sends the requests instead
+   * of the network, eg. a ``FakeCUBE`` object to use the client without a ChRIS server
+   * @param {Instrumentation} [options.instrumentation] - instrumentation object that is
+   * emitted an event for every request and every call of a client method (see
+   * ``Instrumentation``)
+   * @param {ResourceRegistry} [options.registry] - registry of the resource classes used
+   * to follow link relations (see ``Resource.follow``), defaults to the shared registry
+   * @param {IdentityMap} [options.identityMap] - identity map object that makes every
+   * fetch of the same item resource url return or update one shared object (see
+   * ``IdentityMap``)
    */
-  constructor(url, auth) {
+  constructor(url, auth, options = {}) {
     /** @type {string} */
     this.url = url;
 
@@ -48,6 +77,11 @@ export default class Client {
     /** @type {Object} */
     this.auth = auth;
 
+    /** @type {Object} */
+    this.options = Object.assign({}, options);
+    this.options._discoveredQueries = {}; // list url -> query array, see clearDiscoveredQueries
+    this.options._rootUrl = url; // anchored url patterns of the resource registry match from it
+
     /* Urls of the high level API resources */
     this.feedsUrl = this.url;
     this.chrisInstanceUrl = '';
@@ -63,26 +97,83 @@ export default class Client {
     this.pacsFilesUrl = '';
     this.serviceFilesUrl = '';
     this.userUrl = '';
+
+    /** @type {?Promise} */
+    this._urlsRequest = null; // in-flight request shared by concurrent setUrls calls
+  }
+
+  /**
+   * Register a middleware object whose hooks are run by every request made by this
+   * client and the resource objects it creates, in registration order. Hooks may return
+   * a promise. The ``beforeRequest`` hook can modify or replace the axios config object
+   * (eg. to add headers or rewrite the url) and the ``afterResponse`` hook the axios
+   * response object. An ``onError`` hook can recover from a failed request by returning a
+   * response object, otherwise the error is passed on to the next hook.
+   *
+   * @param {Object} middleware - middleware object
+   * @param {function(config: Object): ?Object} [middleware.beforeRequest] - request hook
+   * @param {function(response: Object): ?Object} [middleware.afterResponse] - response hook
+   * @param {function(error: RequestException): ?Object} [middleware.onError] - error hook
+   *
+   * @return {Client} - ``this`` object
+   */
+  use(middleware) {
+    this.options.middleware = (this.options.middleware || []).concat(middleware);
+    return this;
+  }
+
+  /**
+   * Forget the Collection+JSON query arrays of the list resources discovered by the
+   * resource objects of this client to validate search parameters. They are discovered
+   * again from the REST API the next time they are needed.
+   *
+   * @return {Client} - ``this`` object
+   */
+  clearDiscoveredQueries() {
+    const discoveredQueries = this.options._discoveredQueries;
+
+    Object.keys(discoveredQueries).forEach((listUrl) => {
+      delete discoveredQueries[listUrl];
+    });
+    return this;
   }
 
   /**
-   * Set the urls of the high level API resources.
-   * @param {number} [timeout=30000] - request timeout
+   * Set the urls of the high level API resources. Concurrent calls share a single
+   * request, but for the calls that can be aborted (with a ``signal`` or ``cancelToken``)
+   * or opt out of sharing (``dedupe`` set to false) which make their own request.
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise} - JS Promise
    */
   setUrls(timeout = 30000) {
-    return this.getFeeds(null, timeout);
+    return this._traceCall('setUrls', timeout, (timeout) => {
+      const callOptions = timeout !== null && typeof timeout === 'object' ? timeout : {};
+
+      if (callOptions.dedupe === false || callOptions.signal || callOptions.cancelToken) {
+        return this.getFeeds(null, timeout);
+      }
+      if (!this._urlsRequest) {
+        const done = () => {
+          this._urlsRequest = null;
+        };
+        this._urlsRequest = this.getFeeds(null, timeout);
+        this._urlsRequest.then(done, done);
+      }
+      return this._urlsRequest;
+    });
   }
 
   /**
    * Get the ChRIS instance resource object.
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<ChrisInstance>} - JS Promise, resolves to a ``ChrisInstance`` object
    */
   getChrisInstance(timeout = 30000) {
-    return this._fetchRes('chrisInstanceUrl', ChrisInstance, null, timeout);
+    return this._traceCall('getChrisInstance', timeout, (timeout) => {
+      return this._fetchRes('chrisInstanceUrl', ChrisInstance, null, timeout);
+    });
   }
 
   /**
@@ -90,7 +181,8 @@ export default class Client {
    * from the REST API given query search parameters. If no search parameters
    * then get the default first page.
    *
-   * @param {Object} [searchParams=null] - search parameters object
+   * @param {Object|import('./query').FeedQuery} [searchParams=null] - search parameters object or query
+   * object
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
    * @param {number} [searchParams.id] - match feed id exactly with this number
@@ -99,46 +191,66 @@ export default class Client {
    * @param {string} [searchParams.name] - match feed name containing this string
    * @param {number} [searchParams.min_creation_date] - match feed creation date gte this date
    * @param {number} [searchParams.max_creation_date] - match feed creation date lte this date
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<FeedList>} - JS Promise, resolves to a ``FeedList`` object
    */
   getFeeds(searchParams = null, timeout = 30000) {
-    const feedList = new FeedList(this.feedsUrl, this.auth);
+    return this._traceCall('getFeeds', timeout, (timeout) => {
+      const feedList = new FeedList(this.feedsUrl, this.auth, this.options);
 
-    return feedList.get(searchParams, timeout).then((feedList) => {
-      const coll = feedList.collection;
-      const getUrl = Collection.getLinkRelationUrls;
+      return feedList.get(searchParams, timeout).then((feedList) => {
+        const coll = feedList.collection;
+        const getUrl = Collection.getLinkRelationUrls;
 
-      this.chrisInstanceUrl = this.chrisInstanceUrl || getUrl(coll, 'chrisinstance')[0];
-      this.filesUrl = this.filesUrl || getUrl(coll, 'files')[0];
-      this.computeResourcesUrl = this.computeResourcesUrl || getUrl(coll, 'compute_resources')[0];
-      this.pluginMetasUrl = this.pluginMetasUrl || getUrl(coll, 'plugin_metas')[0];
-      this.pluginsUrl = this.pluginsUrl || getUrl(coll, 'plugins')[0];
-      this.pluginInstancesUrl = this.pluginInstancesUrl || getUrl(coll, 'plugin_instances')[0];
-      this.pipelinesUrl = this.pipelinesUrl || getUrl(coll, 'pipelines')[0];
-      this.pipelineInstancesUrl =
-        this.pipelineInstancesUrl || getUrl(coll, 'pipeline_instances')[0];
-      this.tagsUrl = this.tagsUrl || getUrl(coll, 'tags')[0];
-      this.uploadedFilesUrl = this.uploadedFilesUrl || getUrl(coll, 'uploadedfiles')[0];
-      this.pacsFilesUrl = this.pacsFilesUrl || getUrl(coll, 'pacsfiles')[0];
-      this.serviceFilesUrl = this.serviceFilesUrl || getUrl(coll, 'servicefiles')[0];
-      this.userUrl = this.userUrl || getUrl(coll, 'user')[0];
+        this.chrisInstanceUrl = this.chrisInstanceUrl || getUrl(coll, 'chrisinstance')[0];
+        this.filesUrl = this.filesUrl || getUrl(coll, 'files')[0];
+        this.computeResourcesUrl = this.computeResourcesUrl || getUrl(coll, 'compute_resources')[0];
+        this.pluginMetasUrl = this.pluginMetasUrl || getUrl(coll, 'plugin_metas')[0];
+        this.pluginsUrl = this.pluginsUrl || getUrl(coll, 'plugins')[0];
+        this.pluginInstancesUrl = this.pluginInstancesUrl || getUrl(coll, 'plugin_instances')[0];
+        this.pipelinesUrl = this.pipelinesUrl || getUrl(coll, 'pipelines')[0];
+        this.pipelineInstancesUrl =
+          this.pipelineInstancesUrl || getUrl(coll, 'pipeline_instances')[0];
+        this.tagsUrl = this.tagsUrl || getUrl(coll, 'tags')[0];
+        this.uploadedFilesUrl = this.uploadedFilesUrl || getUrl(coll, 'uploadedfiles')[0];
+        this.pacsFilesUrl = this.pacsFilesUrl || getUrl(coll, 'pacsfiles')[0];
+        this.serviceFilesUrl = this.serviceFilesUrl || getUrl(coll, 'servicefiles')[0];
+        this.userUrl = this.userUrl || getUrl(coll, 'user')[0];
 
-      return feedList;
+        return feedList;
+      });
     });
   }
 
+  /**
+   * Get an async iterator over the currently authenticated user's feeds across all the
+   * pages of the paginated REST API given query search parameters. Pages are fetched lazily
+   * as the items are consumed.
+   *
+   * @param {Object} [searchParams=null] - search parameters object (see ``getFeeds``)
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options object
+   *
+   * @return {ListIterator} - async iterator that yields ``Feed`` objects
+   */
+  iterateFeeds(searchParams = null, options = {}) {
+    return this._iterate('getFeeds', searchParams, options);
+  }
+
   /**
    * Get a feed resource object given its id.
    *
    * @param {number} id - feed id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Feed>} - JS Promise, resolves to a ``Feed`` object
    */
   getFeed(id, timeout = 30000) {
-    return this.getFeeds({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    return this._traceCall('getFeed', timeout, (timeout) => {
+      return this.getFeeds({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    });
   }
 
   /**
@@ -146,15 +258,17 @@ export default class Client {
    *
    * @param {number} feed_id - feed id
    * @param {number} tag_id - tag id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Tagging>} - JS Promise, resolves to a ``Tagging`` object
    */
   tagFeed(feed_id, tag_id, timeout = 30000) {
-    return this.getFeed(feed_id, timeout)
-      .then((feed) => feed.getTaggings(timeout))
-      .then((listRes) => listRes.post({ tag_id: tag_id }), timeout)
-      .then((listRes) => listRes.getItems()[0]);
+    return this._traceCall('tagFeed', timeout, (timeout) => {
+      return this.getFeed(feed_id, timeout)
+        .then((feed) => feed.getTaggings(timeout))
+        .then((listRes) => listRes.post({ tag_id: tag_id }, timeout))
+        .then((listRes) => listRes.getItems()[0]);
+    });
   }
 
   /**
@@ -162,7 +276,8 @@ export default class Client {
    * API given query search parameters. If no search parameters then get the
    * default first page.
    *
-   * @param {Object} [searchParams=null] - search parameters object
+   * @param {Object|import('./query').FileQuery} [searchParams=null] - search parameters object or query
+   * object
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
    * @param {number} [searchParams.id] - match file id exactly with this number
@@ -175,24 +290,44 @@ export default class Client {
    * @param {number} [searchParams.feed_id] - match the associated feed id exactly with this number
    * @param {string} [searchParams.min_creation_date] - match file's creation_date greater than this date string
    * @param {string} [searchParams.max_creation_date] - match file's creation_date lesser than this date string
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<AllFeedFileList>} - JS Promise, resolves to a ``AllFeedFileList`` object
    */
   getFiles(searchParams = null, timeout = 30000) {
-    return this._fetchRes('filesUrl', AllFeedFileList, searchParams, timeout);
+    return this._traceCall('getFiles', timeout, (timeout) => {
+      return this._fetchRes('filesUrl', AllFeedFileList, searchParams, timeout);
+    });
+  }
+
+  /**
+   * Get an async iterator over the files written to any user-owned feed across all the
+   * pages of the paginated REST API given query search parameters. Pages are fetched lazily
+   * as the items are consumed.
+   *
+   * @param {Object} [searchParams=null] - search parameters object (see ``getFiles``)
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options object
+   *
+   * @return {ListIterator} - async iterator that yields ``FeedFile`` objects
+   */
+  iterateFiles(searchParams = null, options = {}) {
+    return this._iterate('getFiles', searchParams, options);
   }
 
   /**
    * Get a file resource object given its id.
    *
    * @param {number} id - file id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<FeedFile>} - JS Promise, resolves to a ``FeedFile`` object
    */
   getFile(id, timeout = 30000) {
-    return this.getFiles({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    return this._traceCall('getFile', timeout, (timeout) => {
+      return this.getFiles({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    });
   }
 
   /**
@@ -208,24 +343,44 @@ export default class Client {
    * @param {string} [searchParams.description] - match compute resource's description containing this string
    * @param {string} [searchParams.plugin_id] - match plugin id exactly with this string for all the
    * compute resources associated with the plugin
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<ComputeResourceList>} - JS Promise, resolves to a ``ComputeResourceList`` object
    */
   getComputeResources(searchParams = null, timeout = 30000) {
-    return this._fetchRes('computeResourcesUrl', ComputeResourceList, searchParams, timeout);
+    return this._traceCall('getComputeResources', timeout, (timeout) => {
+      return this._fetchRes('computeResourcesUrl', ComputeResourceList, searchParams, timeout);
+    });
+  }
+
+  /**
+   * Get an async iterator over the compute resources across all the pages of the paginated
+   * REST API given query search parameters. Pages are fetched lazily as the items are
+   * consumed.
+   *
+   * @param {Object} [searchParams=null] - search parameters object (see ``getComputeResources``)
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options object
+   *
+   * @return {ListIterator} - async iterator that yields ``ComputeResource`` objects
+   */
+  iterateComputeResources(searchParams = null, options = {}) {
+    return this._iterate('getComputeResources', searchParams, options);
   }
 
   /**
    * Get a compute resource object given its id.
    *
    * @param {number} id - compute resource id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<ComputeResource>} - JS Promise, resolves to a ``ComputeResource`` object
    */
   getComputeResource(id, timeout = 30000) {
-    return this.getComputeResources({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    return this._traceCall('getComputeResource', timeout, (timeout) => {
+      return this.getComputeResources({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    });
   }
 
   /**
@@ -248,31 +403,51 @@ export default class Client {
    * category containing this string
    * @param {string} [searchParams.name_authors_category] - match plugin meta name, authors or
    * category containing this string
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginMetaList>} - JS Promise, resolves to a ``PluginMetaList`` object
    */
   getPluginMetas(searchParams = null, timeout = 30000) {
-    return this._fetchRes('pluginMetasUrl', PluginMetaList, searchParams, timeout);
+    return this._traceCall('getPluginMetas', timeout, (timeout) => {
+      return this._fetchRes('pluginMetasUrl', PluginMetaList, searchParams, timeout);
+    });
+  }
+
+  /**
+   * Get an async iterator over the plugin metas across all the pages of the paginated REST
+   * API given query search parameters. Pages are fetched lazily as the items are consumed.
+   *
+   * @param {Object} [searchParams=null] - search parameters object (see ``getPluginMetas``)
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options object
+   *
+   * @return {ListIterator} - async iterator that yields ``PluginMeta`` objects
+   */
+  iteratePluginMetas(searchParams = null, options = {}) {
+    return this._iterate('getPluginMetas', searchParams, options);
   }
 
   /**
    * Get a plugin meta resource object given its id.
    *
    * @param {number} id - plugin meta id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginMeta>} - JS Promise, resolves to a ``PluginMeta`` object
    */
   getPluginMeta(id, timeout = 30000) {
-    return this.getPluginMetas({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    return this._traceCall('getPluginMeta', timeout, (timeout) => {
+      return this.getPluginMetas({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    });
   }
 
   /**
    * Get a paginated list of plugins from the REST API given query search
    * parameters. If no search parameters then get the default first page.
    *
-   * @param {Object} [searchParams=null] - search parameters object
+   * @param {Object|import('./query').PluginQuery} [searchParams=null] - search parameters object or query
+   * object
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
    * @param {number} [searchParams.id] - match plugin id exactly with this number
@@ -290,31 +465,51 @@ export default class Client {
    * category containing this string
    * @param {number} [searchParams.compute_resource_id] - match plugin's compute resource id exactly
    * with this number
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginList>} - JS Promise, resolves to a ``PluginList`` object
    */
   getPlugins(searchParams = null, timeout = 30000) {
-    return this._fetchRes('pluginsUrl', PluginList, searchParams, timeout);
+    return this._traceCall('getPlugins', timeout, (timeout) => {
+      return this._fetchRes('pluginsUrl', PluginList, searchParams, timeout);
+    });
+  }
+
+  /**
+   * Get an async iterator over the plugins across all the pages of the paginated REST API
+   * given query search parameters. Pages are fetched lazily as the items are consumed.
+   *
+   * @param {Object} [searchParams=null] - search parameters object (see ``getPlugins``)
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options object
+   *
+   * @return {ListIterator} - async iterator that yields ``Plugin`` objects
+   */
+  iteratePlugins(searchParams = null, options = {}) {
+    return this._iterate('getPlugins', searchParams, options);
   }
 
   /**
    * Get a plugin resource object given its id.
    *
    * @param {number} id - plugin id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Plugin>} - JS Promise, resolves to a ``Plugin`` object
    */
   getPlugin(id, timeout = 30000) {
-    return this.getPlugins({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    return this._traceCall('getPlugin', timeout, (timeout) => {
+      return this.getPlugins({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    });
   }
 
   /**
    * Get a paginated list of plugin instances from the REST API given query search
    * parameters. If no search parameters then get the default first page.
    *
-   * @param {Object} [searchParams=null] - search parameters object
+   * @param {Object|import('./query').PluginInstanceQuery} [searchParams=null] - search parameters object or query
+   * object
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
    * @param {number} [searchParams.id] - match plugin instance id exactly with this number
@@ -327,24 +522,44 @@ export default class Client {
    * @param {number} [searchParams.plugin_name] - match associated plugin's name containing this string
    * @param {number} [searchParams.plugin_name_exact] - match associated plugin's name exact with this string
    * @param {number} [searchParams.plugin_version] - match associated plugin's verion exactly with this string
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<AllPluginInstanceList>} - JS Promise, resolves to ``AllPluginInstanceList`` object
    */
   getPluginInstances(searchParams = null, timeout = 30000) {
-    return this._fetchRes('pluginInstancesUrl', AllPluginInstanceList, searchParams, timeout);
+    return this._traceCall('getPluginInstances', timeout, (timeout) => {
+      return this._fetchRes('pluginInstancesUrl', AllPluginInstanceList, searchParams, timeout);
+    });
+  }
+
+  /**
+   * Get an async iterator over the plugin instances across all the pages of the paginated
+   * REST API given query search parameters. Pages are fetched lazily as the items are
+   * consumed.
+   *
+   * @param {Object} [searchParams=null] - search parameters object (see ``getPluginInstances``)
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options object
+   *
+   * @return {ListIterator} - async iterator that yields ``PluginInstance`` objects
+   */
+  iteratePluginInstances(searchParams = null, options = {}) {
+    return this._iterate('getPluginInstances', searchParams, options);
   }
 
   /**
    * Get a plugin instance resource object given its id.
    *
    * @param {number} id - plugin instance id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstance>} - JS Promise, resolves to a ``PluginInstance`` object
    */
   getPluginInstance(id, timeout = 30000) {
-    return this.getPluginInstances({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    return this._traceCall('getPluginInstance', timeout, (timeout) => {
+      return this.getPluginInstances({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    });
   }
 
   /**
@@ -359,18 +574,20 @@ export default class Client {
    * @param {string} [data.memory_limit] - memory limit
    * @param {string} [data.number_of_workers] - number of workers
    * @param {string} [data.gpu_limit] - gpu limit
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstance>} - JS Promise, resolves to ``PluginInstance`` object
    */
   createPluginInstance(pluginId, data, timeout = 30000) {
-    return this.getPlugin(pluginId, timeout)
-      .then((plg) => {
-        const instancesUrl = Collection.getLinkRelationUrls(plg.collection.items[0], 'instances');
-        const plgInstList = new PluginInstanceList(instancesUrl[0], this.auth);
-        return plgInstList.post(data, timeout);
-      })
-      .then((plgInstList) => plgInstList.getItems()[0]);
+    return this._traceCall('createPluginInstance', timeout, (timeout) => {
+      return this.getPlugin(pluginId, timeout)
+        .then((plg) => {
+          const instancesUrl = Collection.getLinkRelationUrls(plg.collection.items[0], 'instances');
+          const plgInstList = new PluginInstanceList(instancesUrl[0], this.auth, this.options);
+          return plgInstList.post(data, timeout);
+        })
+        .then((plgInstList) => plgInstList.getItems()[0]);
+    });
   }
 
   /**
@@ -379,22 +596,28 @@ export default class Client {
    * @param {number} pluginInstanceId - plugin instance id
    * @param {string} [filter=''] - comma-separated list of regular expressions
    * @param {string} [cr_name=''] - remote compute resource name
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstanceSplit>} - JS Promise, resolves to ``PluginInstanceSplit`` object
    */
   createPluginInstanceSplit(pluginInstanceId, filter = '', cr_name = '', timeout = 30000) {
-    return this.getPluginInstance(pluginInstanceId, timeout)
-      .then((plgInst) => {
-        const splitsUrl = Collection.getLinkRelationUrls(plgInst.collection.items[0], 'splits');
-        const plgInstSplitList = new PluginInstanceSplitList(splitsUrl[0], this.auth);
-        let data = { filter: filter };
-        if (cr_name) {
-          data = { filter: filter, compute_resource_name: cr_name };
-        }
-        return plgInstSplitList.post(data, timeout);
-      })
-      .then((plgInstSplitList) => plgInstSplitList.getItems()[0]);
+    return this._traceCall('createPluginInstanceSplit', timeout, (timeout) => {
+      return this.getPluginInstance(pluginInstanceId, timeout)
+        .then((plgInst) => {
+          const splitsUrl = Collection.getLinkRelationUrls(plgInst.collection.items[0], 'splits');
+          const plgInstSplitList = new PluginInstanceSplitList(
+            splitsUrl[0],
+            this.auth,
+            this.options
+          );
+          let data = { filter: filter };
+          if (cr_name) {
+            data = { filter: filter, compute_resource_name: cr_name };
+          }
+          return plgInstSplitList.post(data, timeout);
+        })
+        .then((plgInstSplitList) => plgInstSplitList.getItems()[0]);
+    });
   }
 
   /**
@@ -412,24 +635,43 @@ export default class Client {
    * @param {string} [searchParams.authors] - match plugin authors containing this string
    * @param {string} [searchParams.min_creation_date] - match plugin creation date gte this date
    * @param {string} [searchParams.max_creation_date] - match plugin creation date lte this date
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PipelineList>} - JS Promise, resolves to a ``PipelineList`` object
    */
   getPipelines(searchParams = null, timeout = 30000) {
-    return this._fetchRes('pipelinesUrl', PipelineList, searchParams, timeout);
+    return this._traceCall('getPipelines', timeout, (timeout) => {
+      return this._fetchRes('pipelinesUrl', PipelineList, searchParams, timeout);
+    });
+  }
+
+  /**
+   * Get an async iterator over the pipelines across all the pages of the paginated REST API
+   * given query search parameters. Pages are fetched lazily as the items are consumed.
+   *
+   * @param {Object} [searchParams=null] - search parameters object (see ``getPipelines``)
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options object
+   *
+   * @return {ListIterator} - async iterator that yields ``Pipeline`` objects
+   */
+  iteratePipelines(searchParams = null, options = {}) {
+    return this._iterate('getPipelines', searchParams, options);
   }
 
   /**
    * Get a pipeline resource object given its id.
    *
    * @param {number} id - pipeline id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Pipeline>} - JS Promise, resolves to a ``Pipeline`` object
    */
   getPipeline(id, timeout = 30000) {
-    return this.getPipelines({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    return this._traceCall('getPipeline', timeout, (timeout) => {
+      return this.getPipelines({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    });
   }
 
   /**
@@ -443,16 +685,18 @@ export default class Client {
    * @param {boolean} [data.locked=true] - pipeline status
    * @param {string} [data.plugin_tree] - JSON string containing a plugin tree list
    * @param {number} [data.plugin_inst_id] - plugin instance id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Pipeline>} - JS Promise, resolves to ``Pipeline`` object
    */
   createPipeline(data, timeout = 30000) {
-    const createRes = () => {
-      const res = new PipelineList(this.pipelinesUrl, this.auth);
-      return res.post(data, timeout).then((res) => res.getItems()[0]);
-    };
-    return this.pipelinesUrl ? createRes() : this.setUrls().then(() => createRes());
+    return this._traceCall('createPipeline', timeout, (timeout) => {
+      const createRes = () => {
+        const res = new PipelineList(this.pipelinesUrl, this.auth, this.options);
+        return res.post(data, timeout).then((res) => res.getItems()[0]);
+      };
+      return this.pipelinesUrl ? createRes() : this.setUrls(timeout).then(() => createRes());
+    });
   }
 
   /**
@@ -467,24 +711,44 @@ export default class Client {
    * @param {string} [searchParams.title] - match pipeline instance title containing this string
    * @param {string} [searchParams.description] - match pipeline instance description containing this string
    * @param {string} [searchParams.pipeline_name] - match associated pipeline name containing this string
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<AllPipelineInstanceList>} - JS Promise, resolves to ``AllPipelineInstanceList`` object
    */
   getPipelineInstances(searchParams = null, timeout = 30000) {
-    return this._fetchRes('pipelineInstancesUrl', AllPipelineInstanceList, searchParams, timeout);
+    return this._traceCall('getPipelineInstances', timeout, (timeout) => {
+      return this._fetchRes('pipelineInstancesUrl', AllPipelineInstanceList, searchParams, timeout);
+    });
+  }
+
+  /**
+   * Get an async iterator over the pipeline instances across all the pages of the paginated
+   * REST API given query search parameters. Pages are fetched lazily as the items are
+   * consumed.
+   *
+   * @param {Object} [searchParams=null] - search parameters object (see ``getPipelineInstances``)
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options object
+   *
+   * @return {ListIterator} - async iterator that yields ``PipelineInstance`` objects
+   */
+  iteratePipelineInstances(searchParams = null, options = {}) {
+    return this._iterate('getPipelineInstances', searchParams, options);
   }
 
   /**
    * Get a pipeline instance resource object given its id.
    *
    * @param {number} id - pipeline instance id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PipelineInstance>} - JS Promise, resolves to a ``PipelineInstance`` object
    */
   getPipelineInstance(id, timeout = 30000) {
-    return this.getPipelineInstances({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    return this._traceCall('getPipelineInstance', timeout, (timeout) => {
+      return this.getPipelineInstances({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    });
   }
 
   /**
@@ -495,21 +759,23 @@ export default class Client {
    * @param {number} data.previous_plugin_inst_id - id of the previous plugin instance
    * @param {string} [data.title] - pipeline title
    * @param {string} [data.description] - pipeline description
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PipelineInstance>} - JS Promise, resolves to ``PipelineInstance`` object
    */
   createPipelineInstance(pipelineId, data, timeout = 30000) {
-    return this.getPipeline(pipelineId, timeout)
-      .then((pipeline) => {
-        const instancesUrl = Collection.getLinkRelationUrls(
-          pipeline.collection.items[0],
-          'instances'
-        );
-        const pipInstList = new PipelineInstanceList(instancesUrl[0], this.auth);
-        return pipInstList.post(data, timeout);
-      })
-      .then((pipInstList) => pipInstList.getItems()[0]);
+    return this._traceCall('createPipelineInstance', timeout, (timeout) => {
+      return this.getPipeline(pipelineId, timeout)
+        .then((pipeline) => {
+          const instancesUrl = Collection.getLinkRelationUrls(
+            pipeline.collection.items[0],
+            'instances'
+          );
+          const pipInstList = new PipelineInstanceList(instancesUrl[0], this.auth, this.options);
+          return pipInstList.post(data, timeout);
+        })
+        .then((pipInstList) => pipInstList.getItems()[0]);
+    });
   }
 
   /**
@@ -523,24 +789,44 @@ export default class Client {
    * @param {string} [searchParams.name] - match tag name containing this string
    * @param {string} [searchParams.owner_username] - match tag's owner username exactly with this string
    * @param {string} [searchParams.color] - match plugin color containing this string
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<TagList>} - JS Promise, resolves to a ``TagList`` object
    */
   getTags(searchParams = null, timeout = 30000) {
-    return this._fetchRes('tagsUrl', TagList, searchParams, timeout);
+    return this._traceCall('getTags', timeout, (timeout) => {
+      return this._fetchRes('tagsUrl', TagList, searchParams, timeout);
+    });
+  }
+
+  /**
+   * Get an async iterator over the currently authenticated user's tags across all the pages
+   * of the paginated REST API given query search parameters. Pages are fetched lazily as
+   * the items are consumed.
+   *
+   * @param {Object} [searchParams=null] - search parameters object (see ``getTags``)
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options object
+   *
+   * @return {ListIterator} - async iterator that yields ``Tag`` objects
+   */
+  iterateTags(searchParams = null, options = {}) {
+    return this._iterate('getTags', searchParams, options);
   }
 
   /**
    * Get a tag resource object given its id.
    *
    * @param {number} id - tag id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Tag>} - JS Promise, resolves to a ``Tag`` object
    */
   getTag(id, timeout = 30000) {
-    return this.getTags({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    return this._traceCall('getTag', timeout, (timeout) => {
+      return this.getTags({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    });
   }
 
   /**
@@ -549,16 +835,18 @@ export default class Client {
    * @param {Object} data - request data object
    * @param {string} data.color - tag color
    * @param {string} [data.name=''] - tag name
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Tag>} - JS Promise, resolves to ``Tag`` object
    */
   createTag(data, timeout = 30000) {
-    const createRes = () => {
-      const res = new TagList(this.tagsUrl, this.auth);
-      return res.post(data, timeout).then((res) => res.getItems()[0]);
-    };
-    return this.tagsUrl ? createRes() : this.setUrls().then(() => createRes());
+    return this._traceCall('createTag', timeout, (timeout) => {
+      const createRes = () => {
+        const res = new TagList(this.tagsUrl, this.auth, this.options);
+        return res.post(data, timeout).then((res) => res.getItems()[0]);
+      };
+      return this.tagsUrl ? createRes() : this.setUrls(timeout).then(() => createRes());
+    });
   }
 
   /**
@@ -576,24 +864,44 @@ export default class Client {
    * @param {string} [searchParams.owner_username] - match file's owner username exactly with this string
    * @param {string} [searchParams.min_creation_date] - match file's creation_date greater than this date string
    * @param {string} [searchParams.max_creation_date] - match file's creation_date lesser than this date string
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<UploadedFileList>} - JS Promise, resolves to a ``UploadedFileList`` object
    */
   getUploadedFiles(searchParams = null, timeout = 30000) {
-    return this._fetchRes('uploadedFilesUrl', UploadedFileList, searchParams, timeout);
+    return this._traceCall('getUploadedFiles', timeout, (timeout) => {
+      return this._fetchRes('uploadedFilesUrl', UploadedFileList, searchParams, timeout);
+    });
+  }
+
+  /**
+   * Get an async iterator over the currently authenticated user's uploaded files across all
+   * the pages of the paginated REST API given query search parameters. Pages are fetched
+   * lazily as the items are consumed.
+   *
+   * @param {Object} [searchParams=null] - search parameters object (see ``getUploadedFiles``)
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options object
+   *
+   * @return {ListIterator} - async iterator that yields ``UploadedFile`` objects
+   */
+  iterateUploadedFiles(searchParams = null, options = {}) {
+    return this._iterate('getUploadedFiles', searchParams, options);
   }
 
   /**
    * Get an uploaded file resource object given its id.
    *
    * @param {number} id - uploaded file id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<UploadedFile>} - JS Promise, resolves to an ``UploadedFile`` object
    */
   getUploadedFile(id, timeout = 30000) {
-    return this.getUploadedFiles({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    return this._traceCall('getUploadedFile', timeout, (timeout) => {
+      return this.getUploadedFiles({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    });
   }
 
   /**
@@ -603,17 +911,22 @@ export default class Client {
    * @param {string} data.upload_path - absolute path including file name where the file
    * will be uploaded on the storage service
    * @param {?Object} uploadFileObj - custom file object
-   * @param {Object} uploadFileObj.fname - file blob
-   * @param {number} [timeout=30000] - request timeout
+   * @param {Object} uploadFileObj.fname - file blob (in node.js a file path,
+   * ``Buffer`` or ``Readable`` stream can also be passed)
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   * @param {function(progress: Object)} [timeout.onUploadProgress] - upload progress callback,
+   * the progress object has ``loaded``, ``total``, ``rate`` (bytes/s) and ``eta`` (s) properties
    *
    * @return {Promise<UploadedFile>} - JS Promise, resolves to ``UploadedFile`` object
    */
   uploadFile(data, uploadFileObj, timeout = 30000) {
-    const createRes = () => {
-      const res = new UploadedFileList(this.uploadedFilesUrl, this.auth);
-      return res.post(data, uploadFileObj, timeout).then((res) => res.getItems()[0]);
-    };
-    return this.uploadedFilesUrl ? createRes() : this.setUrls().then(() => createRes());
+    return this._traceCall('uploadFile', timeout, (timeout) => {
+      const createRes = () => {
+        const res = new UploadedFileList(this.uploadedFilesUrl, this.auth, this.options);
+        return res.post(data, uploadFileObj, timeout).then((res) => res.getItems()[0]);
+      };
+      return this.uploadedFilesUrl ? createRes() : this.setUrls(timeout).then(() => createRes());
+    });
   }
 
   /**
@@ -637,24 +950,43 @@ export default class Client {
    * @param {string} [searchParams.pacs_identifier] - match file's PACS identifier exactly with this string
    * @param {string} [searchParams.min_creation_date] - match file's creation_date greater than this date string
    * @param {string} [searchParams.max_creation_date] - match file's creation_date lesser than this date string
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PACSFileList>} - JS Promise, resolves to a ``PACSFileList`` object
    */
   getPACSFiles(searchParams = null, timeout = 30000) {
-    return this._fetchRes('pacsFilesUrl', PACSFileList, searchParams, timeout);
+    return this._traceCall('getPACSFiles', timeout, (timeout) => {
+      return this._fetchRes('pacsFilesUrl', PACSFileList, searchParams, timeout);
+    });
+  }
+
+  /**
+   * Get an async iterator over the PACS files across all the pages of the paginated REST
+   * API given query search parameters. Pages are fetched lazily as the items are consumed.
+   *
+   * @param {Object} [searchParams=null] - search parameters object (see ``getPACSFiles``)
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options object
+   *
+   * @return {ListIterator} - async iterator that yields ``PACSFile`` objects
+   */
+  iteratePACSFiles(searchParams = null, options = {}) {
+    return this._iterate('getPACSFiles', searchParams, options);
   }
 
   /**
    * Get a PACS file resource object given its id.
    *
    * @param {number} id - PACS file id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PACSFile>} - JS Promise, resolves to a ``PACSFile`` object
    */
   getPACSFile(id, timeout = 30000) {
-    return this.getPACSFiles({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    return this._traceCall('getPACSFile', timeout, (timeout) => {
+      return this.getPACSFiles({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    });
   }
 
   /**
@@ -673,34 +1005,56 @@ export default class Client {
    * @param {number} [searchParams.service_id] - match file's service id exactly with this number
    * @param {string} [searchParams.min_creation_date] - match file's creation_date greater than this date string
    * @param {string} [searchParams.max_creation_date] - match file's creation_date lesser than this date string
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<ServiceFileList>} - JS Promise, resolves to a ``ServiceFileList`` object
    */
   getServiceFiles(searchParams = null, timeout = 30000) {
-    return this._fetchRes('serviceFilesUrl', ServiceFileList, searchParams, timeout);
+    return this._traceCall('getServiceFiles', timeout, (timeout) => {
+      return this._fetchRes('serviceFilesUrl', ServiceFileList, searchParams, timeout);
+    });
+  }
+
+  /**
+   * Get an async iterator over the files of unregistered services across all the pages of
+   * the paginated REST API given query search parameters. Pages are fetched lazily as the
+   * items are consumed.
+   *
+   * @param {Object} [searchParams=null] - search parameters object (see ``getServiceFiles``)
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options object
+   *
+   * @return {ListIterator} - async iterator that yields ``ServiceFile`` objects
+   */
+  iterateServiceFiles(searchParams = null, options = {}) {
+    return this._iterate('getServiceFiles', searchParams, options);
   }
 
   /**
    * Get a service file resource object given its id.
    *
    * @param {number} id - PACS file id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<ServiceFile>} - JS Promise, resolves to a ``ServiceFile`` object
    */
   getServiceFile(id, timeout = 30000) {
-    return this.getServiceFiles({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    return this._traceCall('getServiceFile', timeout, (timeout) => {
+      return this.getServiceFiles({ id: id }, timeout).then((listRes) => listRes.getItem(id));
+    });
   }
 
   /**
    * Get a user resource object for the currently authenticated user.
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<User>} - JS Promise, resolves to a ``User`` object
    */
   getUser(timeout = 30000) {
-    return this._fetchRes('userUrl', User, null, timeout);
+    return this._traceCall('getUser', timeout, (timeout) => {
+      return this._fetchRes('userUrl', User, null, timeout);
+    });
   }
 
   /**
@@ -710,7 +1064,7 @@ export default class Client {
    * @param {string} username - username
    * @param {string} password - password
    * @param {string} email - user email
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<User>} - JS Promise, resolves to a ``User`` object
    */
@@ -740,12 +1094,16 @@ export default class Client {
    * @param {string} authUrl - url of the authorization service
    * @param {string} username - username
    * @param {string} password - password
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   * @param {?Object} [options=null] - client options object (eg. with the client's
+   * ``transport`` and ``middleware``), its auth provider is not used
    *
    * @return {Promise<string>} - JS Promise, resolves to a ``string`` value
    */
-  static getAuthToken(authUrl, username, password, timeout = 30000) {
-    const req = new Request(undefined, 'application/json', timeout);
+  static getAuthToken(authUrl, username, password, timeout = 30000, options = null) {
+    // the token request can't be authenticated by the auth provider it is made for
+    const reqOptions = options && Object.assign({}, options, { authProvider: null });
+    const req = new Request(undefined, 'application/json', timeout, reqOptions);
     const authData = {
       username: username,
       password: password,
@@ -762,21 +1120,81 @@ export default class Client {
     Request.runAsyncTask(taskGenerator);
   }
 
+  /**
+   * Internal method to make an async iterator over the items of a list resource across
+   * all its pages.
+   *
+   * @param {string} getListMethod - name of the client method that fetches the first page
+   * @param {?Object} searchParams - search parameters object
+   * @param {Object} options - iteration options object (see ``ListIterator``)
+   *
+   * @return {ListIterator} - async iterator
+   */
+  _iterate(getListMethod, searchParams, options) {
+    return new ListIterator((timeout) => this[getListMethod](searchParams, timeout), options);
+  }
+
+  /**
+   * Internal method to run a client method call. If the client has an instrumentation
+   * object then the call options are tagged with the method name, so that the requests
+   * it makes report it, and a ``call`` event is emitted when the call settles. Calls made
+   * by another client method are attributed to the outer method.
+   *
+   * @param {string} name - client method name
+   * @param {number|Object} timeout - request timeout or request options object
+   * @param {function(timeout: number|Object): Promise} call - function that runs the
+   * method body with the (possibly tagged) request options
+   *
+   * @return {Promise} - JS Promise, resolves or rejects as the promise returned by ``call``
+   */
+  _traceCall(name, timeout, call) {
+    const instrumentation = this.options.instrumentation;
+    const callOptions = timeout !== null && typeof timeout === 'object' ? timeout : null;
+
+    if (!instrumentation || (callOptions && callOptions.clientMethod)) {
+      return call(timeout);
+    }
+    const startTime = Date.now();
+    const emit = (error) =>
+      instrumentation.emit({
+        type: 'call',
+        clientMethod: name,
+        startTime: startTime,
+        duration: Date.now() - startTime,
+        error: error,
+      });
+    const options = Object.assign(callOptions ? {} : { timeout: timeout }, callOptions, {
+      clientMethod: name,
+    });
+
+    return call(options).then(
+      (result) => {
+        emit(null);
+        return result;
+      },
+      (error) => {
+        emit(error);
+        throw error;
+      }
+    );
+  }
+
   /**
    * Internal method to fetch a high level resource through the REST API.
    *
    * @param {string} resUrlProp -  property of the `this` object containing the url of the resource
    * @param {string} ResClass - resource class
    * @param {Object} [searchParams=null] - search parameters object
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise} - JS Promise
    */
   _fetchRes(resUrlProp, ResClass, searchParams = null, timeout = 30000) {
     const getRes = () => {
-      const res = new ResClass(this[resUrlProp], this.auth);
-      return searchParams ? res.get(searchParams, timeout) : res.get(timeout);
+      const res = new ResClass(this[resUrlProp], this.auth, this.options);
+      const fetchRes = searchParams ? res.get(searchParams, timeout) : res.get(timeout);
+      return fetchRes.then((fetchedRes) => fetchedRes._share());
     };
-    return this[resUrlProp] ? getRes() : this.setUrls().then(() => getRes());
+    return this[resUrlProp] ? getRes() : this.setUrls(timeout).then(() => getRes());
   }
 }
@@ -1,3 +1,4 @@
+import axios from 'axios';
 import Client from './client';
 import { expect } from 'chai';
 import ChrisInstance from './chrisinstance';
@@ -11,7 +12,9 @@ import { PipelineInstance } from './pipelineinstance';
 import { Tag, Tagging } from './tag';
 import { UploadedFile } from './uploadedfile';
 import User from './user';
-import RequestException from './exception';
+import RequestException, { AbortError } from './exception';
+import FakeCUBE from './fakecube';
+import Instrumentation from './instrumentation';
 
 // http://sinonjs.org/releases/v5.1.0/fake-xhr-and-server/
 
@@ -23,52 +26,183 @@ describe('Client', () => {
   const usersUrl = chrisUrl + 'users/';
   const auth = { username: username, password: password };
   //const auth = {token: "d757da9c364fdc92368b90392559e0de78f54f02"};
-  const client = new Client(chrisUrl, auth);
+  const cube = new FakeCUBE(chrisUrl);
+  const options = { transport: cube };
+  const client = new Client(chrisUrl, auth, options);
 
-  it('can create a new user through the REST API', (done) => {
+  before(() => {
+    const pluginTree = names =>
+      JSON.stringify(
+        names.map((name, i) => ({
+          plugin_name: name,
+          plugin_version: '2.0.2',
+          previous_index: i ? i - 1 : null,
+        }))
+      );
+
+    return client
+      .createPluginInstance(1, { dir: username + '/uploads/' })
+      .then(plgInstance => cube.addFile(plgInstance.data.id, 'out.txt', 'feed file content'))
+      .then(() =>
+        client.createPipeline({
+          name: 'Test pipeline',
+          plugin_tree: pluginTree(['pl-simpledsapp']),
+        })
+      )
+      .then(() =>
+        client.createPipeline({
+          name: 'Test pipeline 2',
+          plugin_tree: pluginTree(['pl-simpledsapp', 'pl-simpledsapp']),
+        })
+      );
+  });
+
+  it('can register middleware shared by all the resource objects it creates', () => {
+    const mwClient = new Client(chrisUrl, auth);
+    const middleware = { beforeRequest: config => config };
+
+    expect(mwClient.use(middleware)).to.equal(mwClient);
+    const feedList = new FeedList(mwClient.feedsUrl, auth, mwClient.options);
+    expect(feedList.options.middleware).to.deep.equal([middleware]);
+  });
+
+  it('attributes the requests and the duration of a call to the client method', done => {
+    const instrumentation = new Instrumentation();
+    const events = [];
+    const options = { transport: new FakeCUBE(chrisUrl), instrumentation: instrumentation };
+    const tracedClient = new Client(chrisUrl, auth, options);
+    instrumentation.subscribe(event => events.push(event));
+
+    tracedClient
+      .getPlugin(1)
+      .then(() => {
+        const requests = events.filter(event => event.type === 'request');
+        const calls = events.filter(event => event.type === 'call');
+
+        // the plugins search parameters are discovered before searching by id
+        const resources = requests.map(event => event.resource);
+        expect(resources).to.deep.equal(['FeedList', 'PluginList', 'PluginList']);
+        requests.forEach(event => expect(event.clientMethod).to.equal('getPlugin'));
+        expect(calls).to.have.lengthOf(1);
+        expect(calls[0].clientMethod).to.equal('getPlugin');
+      })
+      .then(done, done);
+  });
+
+  it('shares a single request between concurrent calls that discover the resource urls', done => {
+    const defaultAdapter = axios.defaults.adapter;
+    const links = [
+      { rel: 'plugins', href: chrisUrl + 'plugins/' },
+      { rel: 'tags', href: chrisUrl + 'tags/' },
+    ];
+    const sent = [];
+    axios.defaults.adapter = config => {
+      sent.push(config.url);
+      const data = { collection: { href: config.url, items: [], links: links } };
+      return Promise.resolve({ data, status: 200, statusText: 'OK', headers: {}, config });
+    };
+    const urlsClient = new Client(chrisUrl, auth);
+
+    Promise.all([urlsClient.getPlugins(), urlsClient.getTags()])
+      .then(() => {
+        expect(sent.filter(url => url === chrisUrl)).to.have.lengthOf(1);
+        expect(urlsClient.pluginsUrl).to.equal(chrisUrl + 'plugins/');
+        expect(urlsClient._urlsRequest).to.be.a('null');
+      })
+      .then(
+        () => {
+          axios.defaults.adapter = defaultAdapter;
+        },
+        error => {
+          axios.defaults.adapter = defaultAdapter;
+          throw error;
+        }
+      )
+      .then(done, done);
+  });
+
+  it('does not share the resource urls discovery with a call that can be aborted', done => {
+    const defaultAdapter = axios.defaults.adapter;
+    const links = [{ rel: 'plugins', href: chrisUrl + 'plugins/' }];
+    axios.defaults.adapter = config =>
+      new Promise((resolve, reject) => {
+        const data = { collection: { href: config.url, items: [], links: links } };
+        if (config.cancelToken) {
+          config.cancelToken.promise.then(reject);
+        }
+        setTimeout(() => resolve({ data, status: 200, statusText: 'OK', headers: {}, config }), 10);
+      });
+    const urlsClient = new Client(chrisUrl, auth);
+    const controller = new AbortController();
+    const aborted = urlsClient.setUrls({ signal: controller.signal }).then(
+      () => {
+        throw new Error('expected the call to be aborted');
+      },
+      error => expect(error).to.be.an.instanceof(AbortError)
+    );
+    const shared = urlsClient.setUrls();
+    controller.abort();
+
+    Promise.all([aborted, shared])
+      .then(() => {
+        expect(urlsClient.pluginsUrl).to.equal(chrisUrl + 'plugins/');
+      })
+      .then(
+        () => {
+          axios.defaults.adapter = defaultAdapter;
+        },
+        error => {
+          axios.defaults.adapter = defaultAdapter;
+          throw error;
+        }
+      )
+      .then(done, done);
+  });
+
+  it('can create a new user through the REST API', done => {
     const username = 'user' + Date.now();
     const password = username + 'pass';
     const email = username + '@babymri.org';
 
-    const result = Client.createUser(usersUrl, username, password, email);
+    const result = Client.createUser(usersUrl, username, password, email, options);
     result
-      .then((user) => {
+      .then(user => {
         // window.console.log('data', user.data);
         expect(user.data.username).to.equal(username);
       })
       .then(done, done);
   });
 
-  it('can report an unsuccessful atempt to create a new user through the REST API', (done) => {
+  it('can report an unsuccessful atempt to create a new user through the REST API', done => {
     const username = 'user' + Date.now();
     const password = username + 'pass';
     const email = username + '/babymri.org';
 
-    const result = Client.createUser(usersUrl, username, password, email);
+    const result = Client.createUser(usersUrl, username, password, email, options);
     result
-      .catch((error) => {
+      .catch(error => {
         expect(error).to.be.an.instanceof(RequestException);
         expect(error.message).to.be.a('string');
-        expect(error.request).to.be.an.instanceof(XMLHttpRequest);
+        expect(error.request.url).to.equal(usersUrl);
         expect(error.response.status).to.equal(400);
         expect(error.response.data).to.have.property('email');
       })
       .then(done, done);
   });
 
-  it('can fetch a user auth token from the REST API', (done) => {
-    const result = Client.getAuthToken(authUrl, username, password);
+  it('can fetch a user auth token from the REST API', done => {
+    const result = Client.getAuthToken(authUrl, username, password, options);
     result
-      .then((token) => {
+      .then(token => {
         expect(token).to.be.a('string');
       })
       .then(done, done);
   });
 
-  it('can fetch the ChRIS instance from the REST API', (done) => {
+  it('can fetch the ChRIS instance from the REST API', done => {
     const result = client.getChrisInstance();
     result
-      .then((instance) => {
+      .then(instance => {
         expect(instance).to.be.an.instanceof(ChrisInstance);
         expect(instance.data.id).to.equal(1);
         console.log('Chris instance: ', instance.data);
@@ -76,10 +210,10 @@ describe('Client', () => {
       .then(done, done);
   });
 
-  it('can fetch the list of feeds from the REST API', (done) => {
+  it('can fetch the list of feeds from the REST API', done => {
     const result = client.getFeeds();
     result
-      .then((feedList) => {
+      .then(feedList => {
         //window.console.log('items', feedList.getItems());
         expect(feedList).to.be.an.instanceof(FeedList);
         expect(feedList.data).to.have.lengthOf.at.least(1);
@@ -88,10 +222,10 @@ describe('Client', () => {
       .then(done, done);
   });
 
-  it('can fetch a feed by id from the REST API', (done) => {
+  it('can fetch a feed by id from the REST API', done => {
     const result = client.getFeed(1);
     result
-      .then((feed) => {
+      .then(feed => {
         //window.console.log('items', feedList.getItems());
         expect(feed).to.be.an.instanceof(Feed);
         expect(feed.isEmpty).to.be.false;
@@ -99,44 +233,44 @@ describe('Client', () => {
       .then(done, done);
   });
 
-  it('can tag a feed through the REST API', (done) => {
+  it('can tag a feed through the REST API', done => {
     const data = {
       name: 'Test feed tag',
       color: 'red',
     };
-    const result = client.createTag(data).then((tag) => client.tagFeed(1, tag.data.id));
+    const result = client.createTag(data).then(tag => client.tagFeed(1, tag.data.id));
     result
-      .then((tagging) => {
+      .then(tagging => {
         expect(tagging).to.be.an.instanceof(Tagging);
         expect(tagging.data.feed_id).to.equal(1);
       })
       .then(done, done);
   });
 
-  it('can fetch the list of files for all user-owned feeds from the REST API', (done) => {
+  it('can fetch the list of files for all user-owned feeds from the REST API', done => {
     const result = client.getFiles();
     result
-      .then((fileList) => {
+      .then(fileList => {
         expect(fileList).to.be.an.instanceof(AllFeedFileList);
         expect(fileList.data).to.have.lengthOf.at.least(1);
       })
       .then(done, done);
   });
 
-  it('can fetch a feed file by id from the REST API', (done) => {
+  it('can fetch a feed file by id from the REST API', done => {
     const result = client.getFile(1);
     result
-      .then((feedFile) => {
+      .then(feedFile => {
         expect(feedFile).to.be.an.instanceof(FeedFile);
         expect(feedFile.isEmpty).to.be.false;
       })
       .then(done, done);
   });
 
-  it('can fetch the list of plugin metas from the REST API', (done) => {
+  it('can fetch the list of plugin metas from the REST API', done => {
     const result = client.getPluginMetas();
     result
-      .then((plgMetaList) => {
+      .then(plgMetaList => {
         //window.console.log('items', plgMetaList.getItems());
         expect(plgMetaList).to.be.an.instanceof(PluginMetaList);
         expect(plgMetaList.data).to.have.lengthOf.at.least(1);
@@ -145,21 +279,21 @@ describe('Client', () => {
       .then(done, done);
   });
 
-  it('can fetch a plugin meta by id from the REST API', (done) => {
+  it('can fetch a plugin meta by id from the REST API', done => {
     const result = client.getPluginMeta(1);
     result
-      .then((plgMeta) => {
+      .then(plgMeta => {
         expect(plgMeta).to.be.an.instanceof(PluginMeta);
         expect(plgMeta.isEmpty).to.be.false;
       })
       .then(done, done);
   });
 
-  it('can fetch the list of plugins from the REST API', (done) => {
-    const client1 = new Client(chrisUrl, auth);
+  it('can fetch the list of plugins from the REST API', done => {
+    const client1 = new Client(chrisUrl, auth, options);
     const result = client1.getPlugins();
     result
-      .then((pluginList) => {
+      .then(pluginList => {
         //window.console.log('pluginList.data', pluginList.data);
         //window.console.log('pluginList.hasNextPage', pluginList.hasNextPage);
         expect(pluginList).to.be.an.instanceof(PluginList);
@@ -168,11 +302,11 @@ describe('Client', () => {
       .then(done, done);
   });
 
-  it('can fetch a plugin by id from the REST API', (done) => {
-    const client1 = new Client(chrisUrl, auth);
+  it('can fetch a plugin by id from the REST API', done => {
+    const client1 = new Client(chrisUrl, auth, options);
     const result = client1.getPlugin(1);
     result
-      .then((plugin) => {
+      .then(plugin => {
         //window.console.log('items', feedList.getItems());
         expect(plugin).to.be.an.instanceof(Plugin);
         expect(plugin.isEmpty).to.be.false;
@@ -180,27 +314,27 @@ describe('Client', () => {
       .then(done, done);
   });
 
-  it('can fetch the list of plugin instances from the REST API', (done) => {
+  it('can fetch the list of plugin instances from the REST API', done => {
     const result = client.getPluginInstances();
     result
-      .then((plgInstanceList) => {
+      .then(plgInstanceList => {
         expect(plgInstanceList).to.be.an.instanceof(AllPluginInstanceList);
         expect(plgInstanceList.data).to.have.lengthOf.at.least(1);
       })
       .then(done, done);
   });
 
-  it('can fetch a plugin instance by id from the REST API', (done) => {
+  it('can fetch a plugin instance by id from the REST API', done => {
     const result = client.getPluginInstance(1);
     result
-      .then((plgInstance) => {
+      .then(plgInstance => {
         expect(plgInstance).to.be.an.instanceof(PluginInstance);
         expect(plgInstance.isEmpty).to.be.false;
       })
       .then(done, done);
   });
 
-  it('can create a new plugin instance through the REST API', (done) => {
+  it('can create a new plugin instance through the REST API', done => {
     const pluginId = 1;
     const data = {
       title: 'Test plugin instance',
@@ -209,46 +343,46 @@ describe('Client', () => {
 
     const result = client.createPluginInstance(pluginId, data);
     result
-      .then((plgInstance) => {
+      .then(plgInstance => {
         expect(plgInstance).to.be.an.instanceof(PluginInstance);
         expect(plgInstance.data.title).to.equal('Test plugin instance');
       })
       .then(done, done);
   });
 
-  it('can create a new plugin instance split through the REST API', (done) => {
+  it('can create a new plugin instance split through the REST API', done => {
     const pluginInstanceId = 1;
 
     const result = client.createPluginInstanceSplit(pluginInstanceId);
     result
-      .then((plgInstanceSplit) => {
+      .then(plgInstanceSplit => {
         expect(plgInstanceSplit).to.be.an.instanceof(PluginInstanceSplit);
         expect(plgInstanceSplit.data.plugin_inst_id).to.equal(1);
       })
       .then(done, done);
   });
 
-  it('can fetch the list of pipelines from the REST API', (done) => {
+  it('can fetch the list of pipelines from the REST API', done => {
     const result = client.getPipelines();
     result
-      .then((pipelineList) => {
+      .then(pipelineList => {
         expect(pipelineList).to.be.an.instanceof(PipelineList);
         expect(pipelineList.data).to.have.lengthOf.at.least(1);
       })
       .then(done, done);
   });
 
-  it('can fetch a pipeline by id from the REST API', (done) => {
+  it('can fetch a pipeline by id from the REST API', done => {
     const result = client.getPipeline(1);
     result
-      .then((pipeline) => {
+      .then(pipeline => {
         expect(pipeline).to.be.an.instanceof(Pipeline);
         expect(pipeline.isEmpty).to.be.false;
       })
       .then(done, done);
   });
 
-  it('can create a new pipeline instance through the REST API', (done) => {
+  it('can create a new pipeline instance through the REST API', done => {
     const pipelineId = 2;
     const data = {
       title: 'Test pipeline instance',
@@ -256,28 +390,28 @@ describe('Client', () => {
     };
     const result = client.createPipelineInstance(pipelineId, data);
     result
-      .then((pipelineInstance) => {
+      .then(pipelineInstance => {
         expect(pipelineInstance).to.be.an.instanceof(PipelineInstance);
         expect(pipelineInstance.data.title).to.equal('Test pipeline instance');
       })
       .then(done, done);
   });
 
-  it('can create a new tag through the REST API', (done) => {
+  it('can create a new tag through the REST API', done => {
     const data = {
       name: 'Test tag',
       color: 'red',
     };
     const result = client.createTag(data);
     result
-      .then((tag) => {
+      .then(tag => {
         expect(tag).to.be.an.instanceof(Tag);
         expect(tag.data.name).to.equal('Test tag');
       })
       .then(done, done);
   });
 
-  it('can upload a file through the REST API', (done) => {
+  it('can upload a file through the REST API', done => {
     const data = {
       upload_path: username + '/uploads/test' + Date.now() + '.txt',
     };
@@ -288,17 +422,17 @@ describe('Client', () => {
 
     const result = client.uploadFile(data, uploadFileObj);
     result
-      .then((uploadedFile) => {
+      .then(uploadedFile => {
         expect(uploadedFile).to.be.an.instanceof(UploadedFile);
         expect(uploadedFile.data.fname).to.equal(data.upload_path);
       })
       .then(done, done);
   });
 
-  it('can fetch authenticated user from the REST API', (done) => {
+  it('can fetch authenticated user from the REST API', done => {
     const result = client.getUser();
     result
-      .then((user) => {
+      .then(user => {
         expect(user).to.be.an.instanceof(User);
         expect(user.data.username).to.equal('cube');
       })
@@ -1,26 +1,33 @@
 /** * Imports ***/
 import { ItemResource, ListResource } from './resource';
+import { registry } from './registry';
 import { Feed } from './feed';
 
 /**
  * Comment item resource object representing a feed comment.
  */
 export class Comment extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'Comment';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the feed associated to the comment item from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Feed>} - JS Promise, resolves to a ``Feed`` object
    */
@@ -37,7 +44,7 @@ export class Comment extends ItemResource {
    * @param {Object} data - request JSON data object
    * @param {string} [data.title] - title of the comment
    * @param {string} [data.content] - content of the comment
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -48,7 +55,7 @@ export class Comment extends ItemResource {
   /**
    * Make a DELETE request to delete this comment item resource through the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise} - JS Promise
    */
@@ -61,15 +68,21 @@ export class Comment extends ItemResource {
  * Comment list resource object representing a list of feed comments.
  */
 export class CommentList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'CommentList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Comment;
@@ -78,7 +91,7 @@ export class CommentList extends ListResource {
   /**
    * Fetch the feed associated to the comment list from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Feed>} - JS Promise, resolves to a ``Feed`` object
    */
@@ -96,7 +109,7 @@ export class CommentList extends ListResource {
    * @param {Object} data - request JSON data object
    * @param {string} [data.title] - title of the comment
    * @param {string} [data.content] - content of the comment
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -104,3 +117,5 @@ export class CommentList extends ListResource {
     return this._post(data, null, timeout);
   }
 }
+
+registry.register('/:id/comments/', CommentList).register('comments/:id/', Comment);
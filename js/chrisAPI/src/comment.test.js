@@ -3,6 +3,8 @@ import Collection from './cj';
 import Request from './request';
 import { FeedList, Feed } from './feed';
 import { Comment } from './comment';
+import Client from './client';
+import FakeCUBE from './fakecube';
 
 // http://sinonjs.org/releases/v5.1.0/fake-xhr-and-server/
 
@@ -12,19 +14,22 @@ describe('Resource', () => {
   const chrisUrl = 'http://localhost:8000/api/v1/';
   const auth = { username: username, password: password };
   //const auth = {token: "d757da9c364fdc92368b90392559e0de78f54f02"};
+  const options = { transport: new FakeCUBE(chrisUrl) };
   let commentListRes;
 
+  before(() => new Client(chrisUrl, auth, options).createPluginInstance(1, { dir: './' }));
+
   before(() => {
     return new Promise(function(resolve, reject) {
       Request.runAsyncTask(function*() {
-        let feedListRes = new FeedList(chrisUrl, auth);
+        let feedListRes = new FeedList(chrisUrl, auth, options);
         try {
           feedListRes = yield feedListRes.get();
           const feedItemURl = feedListRes.collection.items.filter(item => {
             const data = Collection.getItemDescriptors(item);
             return data.id === 1;
           })[0].href;
-          let feedItem = new Feed(feedItemURl, auth);
+          let feedItem = new Feed(feedItemURl, auth, options);
           feedItem = yield feedItem.get();
           commentListRes = yield feedItem.getComments();
           commentListRes = yield commentListRes.post({
@@ -47,7 +52,7 @@ describe('Resource', () => {
     beforeEach(() => {
       // get the first comment item
       const commentItemURl = commentListRes.collection.items[0].href;
-      commentItem = new Comment(commentItemURl, auth);
+      commentItem = new Comment(commentItemURl, auth, options);
     });
 
     it('can modify this comment item resource through a REST API PUT request', done => {
@@ -1,5 +1,6 @@
 /** * Imports ***/
 import { ItemResource, ListResource } from './resource';
+import { registry } from './registry';
 import { FeedList } from './feed';
 import { Plugin } from './plugin';
 
@@ -7,15 +8,21 @@ import { Plugin } from './plugin';
  * Compute resource item resource object representing a compute resource.
  */
 export class ComputeResource extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'ComputeResource';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 }
 
@@ -23,15 +30,21 @@ export class ComputeResource extends ItemResource {
  * Compute resource list resource object representing a list of compute resources.
  */
 export class ComputeResourceList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'ComputeResourceList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = ComputeResource;
@@ -45,7 +58,7 @@ export class ComputeResourceList extends ListResource {
    * can be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<FeedList>} - JS Promise, resolves to a ``FeedList`` object
    */
@@ -62,15 +75,21 @@ export class ComputeResourceList extends ListResource {
  * compute resources registered with an specific plugin.
  */
 export class PluginComputeResourceList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginComputeResourceList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = ComputeResource;
@@ -79,7 +98,7 @@ export class PluginComputeResourceList extends ListResource {
   /**
    * Fetch the plugin associated to this compute resource list from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Plugin>} - JS Promise, resolves to a ``Plugin`` object
    */
@@ -90,3 +109,8 @@ export class PluginComputeResourceList extends ListResource {
     return this._getResource(linkRelation, resourceClass, null, timeout);
   }
 }
+
+registry
+  .register('computeresources/', ComputeResourceList)
+  .register('plugins/:id/computeresources/', PluginComputeResourceList)
+  .register('computeresources/:id/', ComputeResource);
@@ -0,0 +1,2208 @@
+/** * Imports ***/
+import { Readable } from 'stream';
+import { AxiosRequestConfig } from 'axios';
+import { isNode } from './filestream';
+
+/**
+ * Status texts of the status codes used by the fake server.
+ *
+ * @type {Object}
+ */
+const STATUS_TEXTS = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  206: 'Partial Content',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  405: 'Method Not Allowed',
+  416: 'Range Not Satisfiable',
+  500: 'Internal Server Error',
+};
+
+/**
+ * Search filters shared by several collections. A filter is either a function of a record
+ * and the search value or a string made of the name of the record's field and an optional
+ * operator: ``~`` (contains, case insensitive), ``^`` (starts with), ``>=`` or ``<=``.
+ * Without operator the field must match the value exactly.
+ *
+ * @type {Object}
+ */
+const DATE_FILTERS = {
+  min_creation_date: 'creation_date>=',
+  max_creation_date: 'creation_date<=',
+};
+const FILE_FILTERS = Object.assign(
+  {
+    id: 'id',
+    fname: 'fname^',
+    fname_exact: 'fname',
+    fname_icontains: 'fname~',
+    fname_nslashes: (rec, value) => rec.fname.split('/').length - 1 === parseInt(value, 10),
+  },
+  DATE_FILTERS
+);
+
+/**
+ * Kinds of item resources served by the fake server. Every kind has the path of its items
+ * relative to the API url, whether its items can be read without authentication
+ * (``public``), a function that tells whether an item is visible to a user, a function
+ * that returns the item's link relations, the names of the fields that can be modified
+ * through a PUT request (``update``) and whether the items can be deleted (``remove``, a
+ * function when related items are deleted too). Fields of a record whose name starts with
+ * an underscore are not part of the item's data.
+ *
+ * @type {Object}
+ */
+const KINDS = {
+  feed: {
+    path: '',
+    visible: (cube, rec, user) => rec._owner.indexOf(user.username) !== -1,
+    links: (cube, rec) => ({
+      note: cube._url('note', cube._findBy('note', '_feed_id', rec.id).id),
+      tags: cube._url('feed', rec.id) + 'tags/',
+      taggings: cube._url('feed', rec.id) + 'taggings/',
+      comments: cube._url('feed', rec.id) + 'comments/',
+      files: cube._url('feed', rec.id) + 'files/',
+      plugin_instances: cube._url('feed', rec.id) + 'plugininstances/',
+    }),
+    update: ['name'],
+    remove: (cube, rec) => cube._deleteFeed(rec),
+  },
+  note: {
+    path: 'note',
+    visible: (cube, rec, user) => cube._ownsFeed(rec._feed_id, user),
+    links: (cube, rec) => ({ feed: cube._url('feed', rec._feed_id) }),
+    update: ['title', 'content'],
+  },
+  comment: {
+    path: 'comments/',
+    visible: (cube, rec, user) => cube._ownsFeed(rec.feed_id, user),
+    links: (cube, rec) => ({ feed: cube._url('feed', rec.feed_id) }),
+    update: ['title', 'content'],
+    remove: true,
+  },
+  feedfile: {
+    path: 'files/',
+    visible: (cube, rec, user) => cube._ownsFeed(rec.feed_id, user),
+    links: (cube, rec) => ({
+      file_resource: cube._fileUrl('feedfile', rec),
+      plugin_inst: cube._url('plugininstance', rec.plugin_inst_id),
+      feed: cube._url('feed', rec.feed_id),
+    }),
+  },
+  computeresource: {
+    path: 'computeresources/',
+    public: true,
+  },
+  pluginmeta: {
+    path: 'plugins/metas/',
+    public: true,
+    links: (cube, rec) => ({ plugins: cube._url('pluginmeta', rec.id) + 'plugins/' }),
+  },
+  plugin: {
+    path: 'plugins/',
+    public: true,
+    links: (cube, rec) => ({
+      meta: cube._url('pluginmeta', rec._meta_id),
+      parameters: cube._url('plugin', rec.id) + 'parameters/',
+      instances: cube._url('plugin', rec.id) + 'instances/',
+      compute_resources: cube._url('plugin', rec.id) + 'computeresources/',
+    }),
+  },
+  pluginparameter: {
+    path: 'plugins/parameters/',
+    public: true,
+    links: (cube, rec) => ({ plugin: cube._url('plugin', rec._plugin_id) }),
+  },
+  plugininstance: {
+    path: 'plugins/instances/',
+    visible: (cube, rec, user) => cube._ownsFeed(rec.feed_id, user),
+    links: (cube, rec) => {
+      const url = cube._url('plugininstance', rec.id);
+      const computeResource = cube._findBy('computeresource', 'name', rec.compute_resource_name);
+      return {
+        previous: rec.previous_id ? cube._url('plugininstance', rec.previous_id) : null,
+        feed: cube._url('feed', rec.feed_id),
+        plugin: cube._url('plugin', rec.plugin_id),
+        descendants: url + 'descendants/',
+        files: url + 'files/',
+        parameters: url + 'parameters/',
+        compute_resource: computeResource ? cube._url('computeresource', computeResource.id) : null,
+        splits: url + 'splits/',
+        pipeline_inst: rec.pipeline_inst_id
+          ? cube._url('pipelineinstance', rec.pipeline_inst_id)
+          : null,
+      };
+    },
+    update: ['title', 'status'],
+    save: (cube, rec, data) => {
+      if (data.status !== undefined && data.status !== rec.status && data.status !== 'cancelled') {
+        throw httpError(400, { status: ["Can only set status to 'cancelled'."] });
+      }
+      cube._assign(rec, data, ['title', 'status']);
+    },
+    remove: (cube, rec) => cube._deletePluginInstance(rec),
+  },
+  plugininstanceparameter: {
+    path: 'plugins/instances/parameters/',
+    visible: (cube, rec, user) =>
+      cube._ownsFeed(cube._find('plugininstance', rec._plugin_inst_id).feed_id, user),
+    links: (cube, rec) => ({
+      plugin_inst: cube._url('plugininstance', rec._plugin_inst_id),
+      plugin_param: cube._url('pluginparameter', rec._plugin_param_id),
+    }),
+  },
+  plugininstancesplit: {
+    path: 'plugins/instances/splits/',
+    visible: (cube, rec, user) =>
+      cube._ownsFeed(cube._find('plugininstance', rec._plugin_inst_id).feed_id, user),
+    links: (cube, rec) => ({ plugin_inst: cube._url('plugininstance', rec._plugin_inst_id) }),
+  },
+  pipeline: {
+    path: 'pipelines/',
+    public: true,
+    canModify: (cube, rec, user) => rec.owner_username === user.username,
+    links: (cube, rec) => {
+      const url = cube._url('pipeline', rec.id);
+      return {
+        plugins: url + 'plugins/',
+        plugin_pipings: url + 'pipings/',
+        default_parameters: url + 'parameters/',
+        instances: url + 'instances/',
+      };
+    },
+    update: ['name', 'authors', 'category', 'description', 'locked'],
+    remove: (cube, rec) => cube._deletePipeline(rec),
+  },
+  pluginpiping: {
+    path: 'pipelines/pipings/',
+    public: true,
+    links: (cube, rec) => ({
+      previous: rec.previous_id ? cube._url('pluginpiping', rec.previous_id) : null,
+      plugin: cube._url('plugin', rec.plugin_id),
+      pipeline: cube._url('pipeline', rec.pipeline_id),
+    }),
+  },
+  defaultparameter: {
+    path: 'pipelines/parameters/',
+    public: true,
+    links: (cube, rec) => ({
+      plugin_piping: cube._url('pluginpiping', rec.plugin_piping_id),
+      plugin_param: cube._url('pluginparameter', rec.param_id),
+    }),
+  },
+  pipelineinstance: {
+    path: 'pipelines/instances/',
+    visible: (cube, rec, user) => rec._owner === user.username,
+    links: (cube, rec) => ({
+      pipeline: cube._url('pipeline', rec.pipeline_id),
+      plugin_instances: cube._url('pipelineinstance', rec.id) + 'plugininstances/',
+    }),
+    update: ['title', 'description'],
+    remove: true,
+  },
+  tag: {
+    path: 'tags/',
+    visible: (cube, rec, user) => rec.owner_username === user.username,
+    links: (cube, rec) => ({
+      feeds: cube._url('tag', rec.id) + 'feeds/',
+      taggings: cube._url('tag', rec.id) + 'taggings/',
+    }),
+    update: ['name', 'color'],
+    remove: (cube, rec) => {
+      cube._remove('tagging', (tagging) => tagging.tag_id === rec.id);
+      cube._remove('tag', (tag) => tag === rec);
+    },
+  },
+  tagging: {
+    path: 'tags/taggings/',
+    visible: (cube, rec, user) => rec.owner_username === user.username,
+    links: (cube, rec) => ({
+      tag: cube._url('tag', rec.tag_id),
+      feed: cube._url('feed', rec.feed_id),
+    }),
+    remove: true,
+  },
+  uploadedfile: {
+    path: 'uploadedfiles/',
+    visible: (cube, rec, user) => rec.owner_username === user.username,
+    links: (cube, rec) => ({ file_resource: cube._fileUrl('uploadedfile', rec) }),
+    update: ['upload_path'],
+    save: (cube, rec, data, user) => {
+      if (data.upload_path !== undefined) {
+        rec.fname = cube._checkUploadPath(data.upload_path, user);
+      }
+    },
+    remove: true,
+  },
+  pacsfile: {
+    path: 'pacsfiles/',
+    visible: () => true,
+    links: (cube, rec) => ({ file_resource: cube._fileUrl('pacsfile', rec) }),
+  },
+  servicefile: {
+    path: 'servicefiles/',
+    visible: () => true,
+    links: (cube, rec) => ({ file_resource: cube._fileUrl('servicefile', rec) }),
+  },
+  user: {
+    path: 'users/',
+    visible: (cube, rec, user) => rec.id === user.id,
+    update: ['email', 'password'],
+    save: (cube, rec, data) => {
+      if (data.email !== undefined) {
+        rec.email = checkEmail(data.email);
+      }
+      if (data.password) {
+        rec._password = data.password;
+      }
+    },
+  },
+  chrisinstance: {
+    path: 'chrisinstance/',
+    public: true,
+  },
+};
+
+/**
+ * Paths (relative to the API url) of the files served by the fake server and kind of the
+ * corresponding file items.
+ *
+ * @type {Object}
+ */
+const FILE_KINDS = {
+  files: 'feedfile',
+  uploadedfiles: 'uploadedfile',
+  pacsfiles: 'pacsfile',
+  servicefiles: 'servicefile',
+};
+
+/**
+ * List resources served by the fake server. Every list has a path relative to the API url
+ * (with a ``(\d+)`` group for the id of its ``parent`` item), the kind of its items, a
+ * function that selects the items visible to a user and optionally the list's link
+ * relations, search filters (which add a ``search/`` list), the names of the fields of
+ * its POST template and a function that creates an item from the POST data.
+ *
+ * @type {Object[]}
+ */
+const LISTS = [
+  {
+    path: '',
+    kind: 'feed',
+    items: (cube, parent, user) =>
+      cube.db.feed.filter((feed) => feed._owner.indexOf(user.username) !== -1),
+    links: (cube, parent, user) => ({
+      chrisinstance: cube._url('chrisinstance', 1),
+      files: cube.url + 'files/',
+      compute_resources: cube.url + 'computeresources/',
+      plugin_metas: cube.url + 'plugins/metas/',
+      plugins: cube.url + 'plugins/',
+      plugin_instances: cube.url + 'plugins/instances/',
+      pipelines: cube.url + 'pipelines/',
+      pipeline_instances: cube.url + 'pipelines/instances/',
+      tags: cube.url + 'tags/',
+      uploadedfiles: cube.url + 'uploadedfiles/',
+      pacsfiles: cube.url + 'pacsfiles/',
+      servicefiles: cube.url + 'servicefiles/',
+      user: cube._url('user', user.id),
+    }),
+    search: Object.assign(
+      {
+        id: 'id',
+        min_id: 'id>=',
+        max_id: 'id<=',
+        name: 'name~',
+        name_exact: 'name',
+        name_startswith: 'name^',
+      },
+      DATE_FILTERS
+    ),
+  },
+  {
+    path: 'files/',
+    kind: 'feedfile',
+    items: (cube, parent, user) =>
+      cube.db.feedfile.filter((file) => cube._ownsFeed(file.feed_id, user)),
+    search: Object.assign({ plugin_inst_id: 'plugin_inst_id', feed_id: 'feed_id' }, FILE_FILTERS),
+  },
+  {
+    path: 'computeresources/',
+    kind: 'computeresource',
+    items: (cube) => cube.db.computeresource,
+    links: (cube) => ({ feeds: cube.url }),
+    search: {
+      id: 'id',
+      name: 'name~',
+      name_exact: 'name',
+      description: 'description~',
+      plugin_id: (rec, value, cube) =>
+        cube._find('plugin', parseInt(value, 10))._compute_resources.indexOf(rec.id) !== -1,
+    },
+  },
+  {
+    path: 'plugins/metas/',
+    kind: 'pluginmeta',
+    items: (cube) => cube.db.pluginmeta,
+    links: (cube) => ({ plugins: cube.url + 'plugins/', feeds: cube.url }),
+    search: Object.assign(
+      {
+        id: 'id',
+        name: 'name~',
+        name_exact: 'name',
+        title: 'title~',
+        category: 'category',
+        type: 'type',
+        authors: 'authors~',
+        name_title_category: anyOf('name', 'title', 'category'),
+        name_authors_category: anyOf('name', 'authors', 'category'),
+      },
+      DATE_FILTERS
+    ),
+  },
+  {
+    path: 'plugins/metas/(\\d+)/plugins/',
+    kind: 'plugin',
+    parent: 'pluginmeta',
+    items: (cube, meta) => cube.db.plugin.filter((plugin) => plugin._meta_id === meta.id),
+    links: (cube, meta) => ({ meta: cube._url('pluginmeta', meta.id) }),
+  },
+  {
+    path: 'plugins/',
+    kind: 'plugin',
+    items: (cube) => cube.db.plugin,
+    links: (cube) => ({ feeds: cube.url }),
+    search: Object.assign(
+      {
+        id: 'id',
+        name: 'name~',
+        name_exact: 'name',
+        version: 'version',
+        dock_image: 'dock_image',
+        type: 'type',
+        category: 'category~',
+        title: 'title~',
+        description: 'description~',
+        name_title_category: anyOf('name', 'title', 'category'),
+        compute_resource_id: (rec, value) =>
+          rec._compute_resources.indexOf(parseInt(value, 10)) !== -1,
+      },
+      DATE_FILTERS
+    ),
+  },
+  {
+    path: 'plugins/(\\d+)/parameters/',
+    kind: 'pluginparameter',
+    parent: 'plugin',
+    items: (cube, plugin) => cube._getPluginParameters(plugin),
+    links: (cube, plugin) => ({ plugin: cube._url('plugin', plugin.id) }),
+  },
+  {
+    path: 'plugins/(\\d+)/instances/',
+    kind: 'plugininstance',
+    parent: 'plugin',
+    items: (cube, plugin, user) =>
+      cube.db.plugininstance.filter(
+        (inst) => inst.plugin_id === plugin.id && cube._ownsFeed(inst.feed_id, user)
+      ),
+    links: (cube, plugin) => ({ plugin: cube._url('plugin', plugin.id) }),
+    template: (cube, plugin) =>
+      [
+        'previous_id',
+        'title',
+        'compute_resource_name',
+        'cpu_limit',
+        'memory_limit',
+        'number_of_workers',
+        'gpu_limit',
+      ].concat(cube._getPluginParameters(plugin).map((param) => param.name)),
+    create: (cube, data, plugin, user) => {
+      const previous = cube._getPreviousPluginInstance(plugin, data.previous_id, user);
+      return cube._createPluginInstance(plugin, data, previous, user);
+    },
+  },
+  {
+    path: 'plugins/(\\d+)/computeresources/',
+    kind: 'computeresource',
+    parent: 'plugin',
+    items: (cube, plugin) =>
+      plugin._compute_resources.map((id) => cube._find('computeresource', id)),
+    links: (cube, plugin) => ({ plugin: cube._url('plugin', plugin.id) }),
+  },
+  {
+    path: 'plugins/instances/',
+    kind: 'plugininstance',
+    items: (cube, parent, user) =>
+      cube.db.plugininstance.filter((inst) => cube._ownsFeed(inst.feed_id, user)),
+    links: (cube) => ({ plugins: cube.url + 'plugins/' }),
+    search: {
+      id: 'id',
+      title: 'title~',
+      status: 'status',
+      owner_username: 'owner_username',
+      feed_id: 'feed_id',
+      root_id: (rec, value, cube) => cube._isDescendant(rec, parseInt(value, 10)),
+      plugin_id: 'plugin_id',
+      plugin_name: 'plugin_name~',
+      plugin_name_exact: 'plugin_name',
+      plugin_version: 'plugin_version',
+    },
+  },
+  {
+    path: 'plugins/instances/(\\d+)/files/',
+    kind: 'feedfile',
+    parent: 'plugininstance',
+    items: (cube, inst) => cube.db.feedfile.filter((file) => file.plugin_inst_id === inst.id),
+    links: (cube, inst) => ({
+      feed: cube._url('feed', inst.feed_id),
+      plugin_inst: cube._url('plugininstance', inst.id),
+    }),
+  },
+  {
+    path: 'plugins/instances/(\\d+)/parameters/',
+    kind: 'plugininstanceparameter',
+    parent: 'plugininstance',
+    items: (cube, inst) =>
+      cube.db.plugininstanceparameter.filter((param) => param._plugin_inst_id === inst.id),
+  },
+  {
+    path: 'plugins/instances/(\\d+)/descendants/',
+    kind: 'plugininstance',
+    parent: 'plugininstance',
+    items: (cube, inst) => cube._getDescendants(inst),
+  },
+  {
+    path: 'plugins/instances/(\\d+)/splits/',
+    kind: 'plugininstancesplit',
+    parent: 'plugininstance',
+    items: (cube, inst) =>
+      cube.db.plugininstancesplit.filter((split) => split._plugin_inst_id === inst.id),
+    links: (cube, inst) => ({ plugin_inst: cube._url('plugininstance', inst.id) }),
+    template: ['filter', 'compute_resource_name'],
+    create: (cube, data, inst, user) => cube._createPluginInstanceSplit(inst, data, user),
+  },
+  {
+    path: 'pipelines/',
+    kind: 'pipeline',
+    items: (cube) => cube.db.pipeline,
+    links: (cube) => ({ plugins: cube.url + 'plugins/' }),
+    search: Object.assign(
+      {
+        id: 'id',
+        name: 'name~',
+        owner_username: 'owner_username',
+        category: 'category~',
+        description: 'description~',
+        authors: 'authors~',
+      },
+      DATE_FILTERS
+    ),
+    template: [
+      'name',
+      'authors',
+      'category',
+      'description',
+      'locked',
+      'plugin_tree',
+      'plugin_inst_id',
+    ],
+    create: (cube, data, parent, user) => cube._createPipeline(data, user),
+  },
+  {
+    path: 'pipelines/(\\d+)/plugins/',
+    kind: 'plugin',
+    parent: 'pipeline',
+    items: (cube, pipeline) =>
+      cube
+        ._getPipings(pipeline)
+        .map((piping) => cube._find('plugin', piping.plugin_id))
+        .filter((plugin, i, plugins) => plugins.indexOf(plugin) === i),
+  },
+  {
+    path: 'pipelines/(\\d+)/pipings/',
+    kind: 'pluginpiping',
+    parent: 'pipeline',
+    items: (cube, pipeline) => cube._getPipings(pipeline),
+  },
+  {
+    path: 'pipelines/(\\d+)/parameters/',
+    kind: 'defaultparameter',
+    parent: 'pipeline',
+    items: (cube, pipeline) => {
+      const pipingIds = cube._getPipings(pipeline).map((piping) => piping.id);
+      return cube.db.defaultparameter.filter(
+        (param) => pipingIds.indexOf(param.plugin_piping_id) !== -1
+      );
+    },
+  },
+  {
+    path: 'pipelines/(\\d+)/instances/',
+    kind: 'pipelineinstance',
+    parent: 'pipeline',
+    items: (cube, pipeline, user) =>
+      cube.db.pipelineinstance.filter(
+        (inst) => inst.pipeline_id === pipeline.id && inst._owner === user.username
+      ),
+    template: ['previous_plugin_inst_id', 'title', 'description'],
+    create: (cube, data, pipeline, user) => cube._createPipelineInstance(pipeline, data, user),
+  },
+  {
+    path: 'pipelines/instances/',
+    kind: 'pipelineinstance',
+    items: (cube, parent, user) =>
+      cube.db.pipelineinstance.filter((inst) => inst._owner === user.username),
+    links: (cube) => ({ pipelines: cube.url + 'pipelines/' }),
+    search: {
+      id: 'id',
+      title: 'title~',
+      description: 'description~',
+      pipeline_name: 'pipeline_name~',
+    },
+  },
+  {
+    path: 'pipelines/instances/(\\d+)/plugininstances/',
+    kind: 'plugininstance',
+    parent: 'pipelineinstance',
+    items: (cube, pipelineInst) =>
+      cube.db.plugininstance.filter((inst) => inst.pipeline_inst_id === pipelineInst.id),
+  },
+  {
+    path: 'tags/',
+    kind: 'tag',
+    items: (cube, parent, user) =>
+      cube.db.tag.filter((tag) => tag.owner_username === user.username),
+    links: (cube) => ({ feeds: cube.url }),
+    search: { id: 'id', name: 'name~', owner_username: 'owner_username', color: 'color~' },
+    template: ['name', 'color'],
+    create: (cube, data, parent, user) => {
+      if (!data.color) {
+        throw httpError(400, { color: ['This field is required.'] });
+      }
+      return cube._insert('tag', {
+        name: data.name || '',
+        owner_username: user.username,
+        color: data.color,
+      });
+    },
+  },
+  {
+    path: 'tags/(\\d+)/feeds/',
+    kind: 'feed',
+    parent: 'tag',
+    items: (cube, tag) =>
+      cube.db.tagging
+        .filter((tagging) => tagging.tag_id === tag.id)
+        .map((tagging) => cube._find('feed', tagging.feed_id)),
+    links: (cube, tag) => ({ tag: cube._url('tag', tag.id) }),
+  },
+  {
+    path: 'tags/(\\d+)/taggings/',
+    kind: 'tagging',
+    parent: 'tag',
+    items: (cube, tag) => cube.db.tagging.filter((tagging) => tagging.tag_id === tag.id),
+    links: (cube, tag) => ({ tag: cube._url('tag', tag.id) }),
+    template: ['feed_id'],
+    create: (cube, data, tag, user) => {
+      const feed = cube._find('feed', parseInt(data.feed_id, 10));
+      if (!feed || !cube._ownsFeed(feed.id, user)) {
+        throw httpError(400, { feed_id: ["Couldn't find any feed with id " + data.feed_id] });
+      }
+      return cube._createTagging(tag, feed, user);
+    },
+  },
+  {
+    path: '(\\d+)/comments/',
+    kind: 'comment',
+    parent: 'feed',
+    items: (cube, feed) => cube.db.comment.filter((comment) => comment.feed_id === feed.id),
+    links: (cube, feed) => ({ feed: cube._url('feed', feed.id) }),
+    template: ['title', 'content'],
+    create: (cube, data, feed, user) =>
+      cube._insert('comment', {
+        title: data.title || '',
+        owner_username: user.username,
+        content: data.content || '',
+        feed_id: feed.id,
+      }),
+  },
+  {
+    path: '(\\d+)/taggings/',
+    kind: 'tagging',
+    parent: 'feed',
+    items: (cube, feed) => cube.db.tagging.filter((tagging) => tagging.feed_id === feed.id),
+    links: (cube, feed) => ({ feed: cube._url('feed', feed.id) }),
+    template: ['tag_id'],
+    create: (cube, data, feed, user) => {
+      const tag = cube._find('tag', parseInt(data.tag_id, 10));
+      if (!tag || tag.owner_username !== user.username) {
+        throw httpError(400, { tag_id: ["Couldn't find any tag with id " + data.tag_id] });
+      }
+      return cube._createTagging(tag, feed, user);
+    },
+  },
+  {
+    path: '(\\d+)/tags/',
+    kind: 'tag',
+    parent: 'feed',
+    items: (cube, feed) =>
+      cube.db.tagging
+        .filter((tagging) => tagging.feed_id === feed.id)
+        .map((tagging) => cube._find('tag', tagging.tag_id)),
+    links: (cube, feed) => ({ feed: cube._url('feed', feed.id) }),
+  },
+  {
+    path: '(\\d+)/files/',
+    kind: 'feedfile',
+    parent: 'feed',
+    items: (cube, feed) => cube.db.feedfile.filter((file) => file.feed_id === feed.id),
+    links: (cube, feed) => ({ feed: cube._url('feed', feed.id) }),
+  },
+  {
+    path: '(\\d+)/plugininstances/',
+    kind: 'plugininstance',
+    parent: 'feed',
+    items: (cube, feed) => cube.db.plugininstance.filter((inst) => inst.feed_id === feed.id),
+    links: (cube, feed) => ({ feed: cube._url('feed', feed.id) }),
+  },
+  {
+    path: 'uploadedfiles/',
+    kind: 'uploadedfile',
+    items: (cube, parent, user) =>
+      cube.db.uploadedfile.filter((file) => file.owner_username === user.username),
+    links: (cube) => ({ feeds: cube.url }),
+    search: Object.assign({ owner_username: 'owner_username' }, FILE_FILTERS),
+    template: ['upload_path', 'fname'],
+    create: (cube, data, parent, user) => {
+      const fname = cube._checkUploadPath(data.upload_path, user);
+      if (!data.fname || typeof data.fname === 'string') {
+        throw httpError(400, { fname: ['No file was submitted.'] });
+      }
+      return cube._insert('uploadedfile', {
+        creation_date: now(),
+        fname: fname,
+        fsize: getContentSize(data.fname),
+        owner_username: user.username,
+        _content: data.fname,
+      });
+    },
+  },
+  {
+    path: 'pacsfiles/',
+    kind: 'pacsfile',
+    items: (cube) => cube.db.pacsfile,
+    links: (cube) => ({ feeds: cube.url }),
+    search: Object.assign(
+      {
+        PatientID: 'PatientID',
+        PatientName: 'PatientName~',
+        StudyInstanceUID: 'StudyInstanceUID',
+        StudyDescription: 'StudyDescription~',
+        SeriesInstanceUID: 'SeriesInstanceUID',
+        SeriesDescription: 'SeriesDescription~',
+        pacs_identifier: 'pacs_identifier',
+      },
+      FILE_FILTERS
+    ),
+  },
+  {
+    path: 'servicefiles/',
+    kind: 'servicefile',
+    items: (cube) => cube.db.servicefile,
+    links: (cube) => ({ feeds: cube.url }),
+    search: Object.assign(
+      { service_identifier: 'service_identifier~', service_id: 'service_id' },
+      FILE_FILTERS
+    ),
+  },
+  {
+    path: 'users/',
+    kind: 'user',
+    anonymousCreate: true,
+    items: (cube, parent, user) => [user],
+    template: ['username', 'email', 'password'],
+    create: (cube, data) => {
+      const errors = {};
+      if (!data.username) {
+        errors.username = ['This field is required.'];
+      } else if (cube._findBy('user', 'username', data.username)) {
+        errors.username = ['A user with that username already exists.'];
+      }
+      if (!data.password) {
+        errors.password = ['This field is required.'];
+      }
+      try {
+        checkEmail(data.email);
+      } catch (error) {
+        Object.assign(errors, error.errors);
+      }
+      if (Object.keys(errors).length) {
+        throw httpError(400, errors);
+      }
+      return cube.addUser(data.username, data.password, data.email);
+    },
+  },
+];
+
+/**
+ * Routes of the fake server's list resources, a search route is added for the lists
+ * that have search filters.
+ *
+ * @type {Object[]}
+ */
+const LIST_ROUTES = LISTS.reduce((routes, list) => {
+  routes.push({ regex: new RegExp('^' + list.path + '$'), list: list, search: false });
+  if (list.search) {
+    routes.push({ regex: new RegExp('^' + list.path + 'search/$'), list: list, search: true });
+  }
+  return routes;
+}, []);
+
+/**
+ * In-memory fake of the ChRIS REST API (CUBE) that serves Collection+JSON documents. It
+ * can be passed as the ``transport`` option of a client so that the whole client API can
+ * be used without a ChRIS server, eg. in tests or when developing a front-end offline:
+ *
+ * ``const client = new Client(cube.url, { username: 'cube', password: 'cube1234' },
+ * { transport: cube });``
+ *
+ * The fake server keeps its records in the ``db`` object (an array of records for every
+ * kind of resource) that can be inspected and modified directly. Unless the ``seed``
+ * option is ``false`` it starts with the user ``cube`` (password ``cube1234``), the
+ * ``host`` compute resource and the ``pl-dircopy`` (fs), ``pl-simpledsapp`` (ds) and
+ * ``pl-topologicalcopy`` (ts) plugins. Plugin instances are created with the
+ * ``scheduled`` status and never run, files can be added to them with ``addFile``.
+ */
+export default class FakeCUBE {
+  /**
+   * Constructor
+   *
+   * @param {string} [url='http://localhost:8000/api/v1/'] - url of the fake ChRIS API
+   * @param {Object} [options={}] - fake server options object
+   * @param {number} [options.pageSize=10] - default page limit of the lists
+   * @param {boolean} [options.seed=true] - whether to create the default records
+   */
+  constructor(url = 'http://localhost:8000/api/v1/', options = {}) {
+    /** @type {string} */
+    this.url = url;
+
+    /** @type {number} */
+    this.pageSize = options.pageSize || 10;
+
+    /** @type {Object} */
+    this.db = {};
+
+    /** @type {Object} */
+    this._nextIds = {};
+
+    /** @type {Object} */
+    this._tokens = {}; // auth tokens by user id
+
+    for (let kind in KINDS) {
+      if (KINDS.hasOwnProperty(kind)) {
+        this.db[kind] = [];
+        this._nextIds[kind] = 1;
+      }
+    }
+    this._insert('chrisinstance', {
+      creation_date: now(),
+      name: 'ChRIS Research Environment',
+      uuid: '00000000-0000-0000-0000-000000000000',
+      job_execution_type: 'plugins',
+      description: 'Fake ChRIS instance',
+    });
+
+    if (options.seed !== false) {
+      this.addUser('cube', 'cube1234', 'dev@babymri.org');
+      this.addComputeResource('host', 'host description');
+      this.addPlugin(
+        { name: 'pl-dircopy', version: '2.1.1', type: 'fs', title: 'Copy a directory' },
+        [{ name: 'dir', optional: false, flag: '--dir', help: 'directory to copy' }]
+      );
+      this.addPlugin(
+        { name: 'pl-simpledsapp', version: '2.0.2', type: 'ds', title: 'Simple ds app' },
+        [{ name: 'prefix', default: '', flag: '--prefix', help: 'prefix of the output files' }]
+      );
+      this.addPlugin(
+        { name: 'pl-topologicalcopy', version: '0.2', type: 'ts', title: 'Topological copy' },
+        [
+          { name: 'plugininstances', default: '', flag: '--plugininstances' },
+          { name: 'filter', default: '', flag: '--filter' },
+        ]
+      );
+    }
+  }
+
+  /**
+   * Handle a request, this method implements the transport interface (see
+   * ``makeTransportAdapter``).
+   *
+   * @param {AxiosRequestConfig} config - axios configuration object
+   *
+   * @return {Promise<Object>} - JS Promise, resolves to a response object with the
+   * ``status``, ``statusText``, ``headers`` and ``data`` properties
+   */
+  request(config) {
+    return readBody(config)
+      .then((body) => this._dispatch(config, body))
+      .catch((error) => {
+        // the message of the errors made by httpError is the JSON string of the field errors
+        return makeResponse(error.status || 500, {
+          collection: { version: '1.0', href: config.url, error: { message: error.message } },
+        });
+      });
+  }
+
+  /**
+   * Add a user account.
+   *
+   * @param {string} username - username
+   * @param {string} password - password
+   * @param {string} [email=''] - user email
+   *
+   * @return {Object} - user record
+   */
+  addUser(username, password, email = '') {
+    return this._insert('user', { username: username, email: email, _password: password });
+  }
+
+  /**
+   * Add a compute resource.
+   *
+   * @param {string} name - compute resource name
+   * @param {string} [description=''] - compute resource description
+   *
+   * @return {Object} - compute resource record
+   */
+  addComputeResource(name, description = '') {
+    return this._insert('computeresource', {
+      creation_date: now(),
+      modification_date: now(),
+      name: name,
+      description: description,
+    });
+  }
+
+  /**
+   * Add a plugin and its parameters. The plugin meta is created if there is no plugin
+   * with the same name yet.
+   *
+   * @param {Object} data - plugin data object
+   * @param {string} data.name - plugin name
+   * @param {string} data.version - plugin version
+   * @param {string} [data.type='ds'] - plugin type, either 'fs', 'ds' or 'ts'
+   * @param {Object[]} [parameters=[]] - array of parameter objects with the ``name``,
+   * ``type`` (default 'string'), ``optional`` (default true), ``default``, ``flag`` and
+   * ``help`` properties
+   * @param {string[]} [computeResources=['host']] - names of the compute resources the
+   * plugin is registered with
+   *
+   * @return {Object} - plugin record
+   */
+  addPlugin(data, parameters = [], computeResources = ['host']) {
+    let meta = this._findBy('pluginmeta', 'name', data.name);
+    if (!meta) {
+      meta = this._insert('pluginmeta', {
+        name: data.name,
+        title: data.title || '',
+        stars: 0,
+        public_repo: data.public_repo || '',
+        license: data.license || 'MIT',
+        type: data.type || 'ds',
+        icon: '',
+        category: data.category || '',
+        authors: data.authors || '',
+        documentation: '',
+        creation_date: now(),
+        modification_date: now(),
+      });
+    }
+    const plugin = this._insert('plugin', {
+      creation_date: now(),
+      name: data.name,
+      version: data.version,
+      dock_image: data.dock_image || 'fnndsc/' + data.name,
+      type: data.type || 'ds',
+      title: data.title || '',
+      category: data.category || '',
+      description: data.description || '',
+      authors: data.authors || '',
+      _meta_id: meta.id,
+      _compute_resources: computeResources.map(
+        (name) =>
+          (this._findBy('computeresource', 'name', name) || this.addComputeResource(name)).id
+      ),
+    });
+    parameters.forEach((param) =>
+      this._insert('pluginparameter', {
+        name: param.name,
+        type: param.type || 'string',
+        optional: param.optional !== false,
+        default: param.default !== undefined ? param.default : null,
+        flag: param.flag || '--' + param.name,
+        short_flag: param.short_flag || '',
+        action: 'store',
+        help: param.help || '',
+        ui_exposed: true,
+        _plugin_id: plugin.id,
+      })
+    );
+    return plugin;
+  }
+
+  /**
+   * Add a file to the output of a plugin instance.
+   *
+   * @param {number} pluginInstanceId - plugin instance id
+   * @param {string} name - path of the file relative to the plugin instance's output dir
+   * @param {string|Buffer|Blob} content - file content
+   *
+   * @return {Object} - file record
+   */
+  addFile(pluginInstanceId, name, content) {
+    const inst = this._find('plugininstance', pluginInstanceId);
+    return this._insert('feedfile', {
+      creation_date: now(),
+      fname: inst.output_path + '/' + name,
+      fsize: getContentSize(content),
+      feed_id: inst.feed_id,
+      plugin_inst_id: inst.id,
+      _content: content,
+    });
+  }
+
+  /**
+   * Add a PACS file.
+   *
+   * @param {Object} data - PACS file data object with the ``fname`` property and DICOM
+   * properties such as ``PatientID`` or ``StudyInstanceUID``
+   * @param {string|Buffer|Blob} content - file content
+   *
+   * @return {Object} - PACS file record
+   */
+  addPACSFile(data, content) {
+    const rec = Object.assign({ creation_date: now() }, data);
+    rec.fsize = getContentSize(content);
+    rec._content = content;
+    return this._insert('pacsfile', rec);
+  }
+
+  /**
+   * Add a file of an unregistered service.
+   *
+   * @param {Object} data - service file data object with the ``fname``,
+   * ``service_identifier`` and ``service_id`` properties
+   * @param {string|Buffer|Blob} content - file content
+   *
+   * @return {Object} - service file record
+   */
+  addServiceFile(data, content) {
+    const rec = Object.assign({ creation_date: now() }, data);
+    rec.fsize = getContentSize(content);
+    rec._content = content;
+    return this._insert('servicefile', rec);
+  }
+
+  /**
+   * Internal method to route a request to its handler.
+   *
+   * @param {AxiosRequestConfig} config - axios configuration object
+   * @param {Object} body - request data object
+   *
+   * @return {Object} - response object
+   * @throws {Error} throw error with the ``status`` of the error response
+   */
+  _dispatch(config, body) {
+    const parts = config.url.split('?');
+    const method = config.method.toLowerCase();
+    const params = Object.assign(parseQuery(parts[1] || ''), config.params);
+
+    if (parts[0].indexOf(this.url) !== 0) {
+      throw httpError(404, 'Not found.');
+    }
+    const path = parts[0].substring(this.url.length);
+    const user = this._authenticate(config);
+
+    if (path === 'auth-token/' && method === 'post') {
+      return this._createAuthToken(body);
+    }
+    const fileMatch = /^([a-z]+)\/(\d+)\/[^/]+$/.exec(path);
+    if (fileMatch && FILE_KINDS[fileMatch[1]] && method === 'get') {
+      const rec = this._getItem(FILE_KINDS[fileMatch[1]], fileMatch[2], user);
+      return makeFileResponse(rec._content, config);
+    }
+    for (let route of LIST_ROUTES) {
+      const match = route.regex.exec(path);
+      if (match) {
+        return this._handleList(route, match, method, parts[0], params, body, user);
+      }
+    }
+    for (let kind in KINDS) {
+      if (KINDS.hasOwnProperty(kind)) {
+        const match = new RegExp('^' + KINDS[kind].path + '(\\d+)/$').exec(path);
+        if (match) {
+          return this._handleItem(kind, match[1], method, body, user);
+        }
+      }
+    }
+    throw httpError(404, 'Not found.');
+  }
+
+  /**
+   * Internal method to handle a request to a list resource.
+   *
+   * @param {Object} route - list route object
+   * @param {string[]} match - result of matching the route with the request path
+   * @param {string} method - request verb
+   * @param {string} url - url of the list
+   * @param {Object} params - search parameters
+   * @param {Object} body - request data object
+   * @param {?Object} user - authenticated user record
+   *
+   * @return {Object} - response object
+   */
+  _handleList(route, match, method, url, params, body, user) {
+    const list = route.list;
+
+    if (method === 'post' && list.anonymousCreate && !route.search) {
+      return this._itemResponse(list.kind, list.create(this, body, null, null), 201);
+    }
+    const parent = list.parent ? this._getItem(list.parent, match[1], user) : null;
+    this._checkAuthenticated(list.kind, user);
+
+    if (method === 'get') {
+      return this._listResponse(list, parent, url, params, user, route.search);
+    }
+    if (method === 'post' && list.create && !route.search) {
+      return this._itemResponse(list.kind, list.create(this, body, parent, user), 201);
+    }
+    throw httpError(405, 'Method "' + method.toUpperCase() + '" not allowed.');
+  }
+
+  /**
+   * Internal method to handle a request to an item resource.
+   *
+   * @param {string} kind - kind of the item
+   * @param {string} id - item id
+   * @param {string} method - request verb
+   * @param {Object} body - request data object
+   * @param {?Object} user - authenticated user record
+   *
+   * @return {Object} - response object
+   */
+  _handleItem(kind, id, method, body, user) {
+    const spec = KINDS[kind];
+    const rec = this._getItem(kind, id, user);
+
+    if (method === 'get') {
+      return this._itemResponse(kind, rec);
+    }
+    if ((method === 'put' && spec.update) || (method === 'delete' && spec.remove)) {
+      if (!user || (spec.canModify && !spec.canModify(this, rec, user))) {
+        throw httpError(403, 'You do not have permission to perform this action.');
+      }
+      if (method === 'delete') {
+        if (typeof spec.remove === 'function') {
+          spec.remove(this, rec);
+        } else {
+          this._remove(kind, (item) => item === rec);
+        }
+        return makeResponse(204, '');
+      }
+      if (spec.save) {
+        spec.save(this, rec, body, user);
+      } else {
+        this._assign(rec, body, spec.update);
+      }
+      return this._itemResponse(kind, rec);
+    }
+    throw httpError(405, 'Method "' + method.toUpperCase() + '" not allowed.');
+  }
+
+  /**
+   * Internal method to make the response to a GET request to a list resource.
+   *
+   * @param {Object} list - list object
+   * @param {?Object} parent - parent item record
+   * @param {string} url - url of the list
+   * @param {Object} params - search parameters
+   * @param {?Object} user - authenticated user record
+   * @param {boolean} search - whether the search filters apply
+   *
+   * @return {Object} - response object
+   */
+  _listResponse(list, parent, url, params, user, search) {
+    let records = list.items(this, parent, user);
+
+    if (search) {
+      for (let name in params) {
+        if (params.hasOwnProperty(name) && list.search[name]) {
+          records = records.filter((rec) =>
+            matchFilter(list.search[name], rec, params[name], this)
+          );
+        }
+      }
+    }
+    const limit = parseInt(params.limit, 10) || this.pageSize;
+    const offset = parseInt(params.offset, 10) || 0;
+    const rels = list.links ? list.links(this, parent, user) : {};
+
+    if (offset + limit < records.length) {
+      rels.next = makeUrl(url, Object.assign({}, params, { limit: limit, offset: offset + limit }));
+    }
+    if (offset > 0) {
+      const previousOffset = Math.max(offset - limit, 0);
+      rels.previous = makeUrl(
+        url,
+        Object.assign({}, params, { limit: limit, offset: previousOffset })
+      );
+    }
+    const collection = {
+      version: '1.0',
+      href: makeUrl(url, params),
+      items: records.slice(offset, offset + limit).map((rec) => this._serialize(list.kind, rec)),
+      links: makeLinks(rels),
+      total: records.length,
+    };
+    if (list.search) {
+      const searchUrl = search ? url : url + 'search/';
+      collection.queries = [
+        { href: searchUrl, rel: 'search', data: makeTemplate(Object.keys(list.search)).data },
+      ];
+    }
+    if (list.template) {
+      const names =
+        typeof list.template === 'function' ? list.template(this, parent) : list.template;
+      collection.template = makeTemplate(names);
+    }
+    return makeResponse(200, { collection: collection });
+  }
+
+  /**
+   * Internal method to make the response of an item resource.
+   *
+   * @param {string} kind - kind of the item
+   * @param {Object} rec - item record
+   * @param {number} [status=200] - status code
+   *
+   * @return {Object} - response object
+   */
+  _itemResponse(kind, rec, status = 200) {
+    const url = this._url(kind, rec.id);
+    const collection = {
+      version: '1.0',
+      href: url,
+      items: [this._serialize(kind, rec)],
+      links: [],
+    };
+    if (KINDS[kind].update) {
+      collection.template = makeTemplate(KINDS[kind].update);
+    }
+    return makeResponse(status, { collection: collection });
+  }
+
+  /**
+   * Internal method to make the Collection+JSON item object of a record.
+   *
+   * @param {string} kind - kind of the item
+   * @param {Object} rec - item record
+   *
+   * @return {Object} - Collection+JSON item object
+   */
+  _serialize(kind, rec) {
+    const spec = KINDS[kind];
+    const data = Object.keys(rec)
+      .filter((name) => name[0] !== '_')
+      .map((name) => ({ name: name, value: rec[name] }));
+    const links = spec.links ? makeLinks(spec.links(this, rec)) : [];
+
+    return { href: this._url(kind, rec.id), data: data, links: links };
+  }
+
+  /**
+   * Internal method to authenticate a request either with basic auth or an auth token.
+   *
+   * @param {AxiosRequestConfig} config - axios configuration object
+   *
+   * @return {?Object} - user record or null if the request has no credentials
+   * @throws {Error} throw error with a 401 status if the credentials are not valid
+   */
+  _authenticate(config) {
+    const authorization = getHeader(config.headers, 'authorization');
+
+    if (config.auth) {
+      const user = this._findBy('user', 'username', config.auth.username);
+      if (!user || user._password !== config.auth.password) {
+        throw httpError(401, 'Invalid username/password.');
+      }
+      return user;
+    }
+    if (authorization && authorization.indexOf('Token ') === 0) {
+      const token = authorization.substring(6);
+      const userId = Object.keys(this._tokens).find((id) => this._tokens[id] === token);
+      if (!userId) {
+        throw httpError(401, 'Invalid token.');
+      }
+      return this._find('user', parseInt(userId, 10));
+    }
+    return null;
+  }
+
+  /**
+   * Internal method to check that a request for a kind of item is authenticated.
+   *
+   * @param {string} kind - kind of the item
+   * @param {?Object} user - authenticated user record
+   *
+   * @throws {Error} throw error with a 401 status if the kind of item is not public and
+   * the request is not authenticated
+   */
+  _checkAuthenticated(kind, user) {
+    if (!user && !KINDS[kind].public) {
+      throw httpError(401, 'Authentication credentials were not provided.');
+    }
+  }
+
+  /**
+   * Internal method to create (or get) the auth token of a user.
+   *
+   * @param {Object} body - request data object with the ``username`` and ``password``
+   *
+   * @return {Object} - response object
+   */
+  _createAuthToken(body) {
+    const user = this._findBy('user', 'username', body.username);
+
+    if (!user || user._password !== body.password) {
+      const error = { non_field_errors: ['Unable to log in with provided credentials.'] };
+      return { status: 400, statusText: STATUS_TEXTS[400], headers: {}, data: error };
+    }
+    if (!this._tokens[user.id]) {
+      let token = '';
+      while (token.length < 40) {
+        token += Math.floor(Math.random() * 16).toString(16);
+      }
+      this._tokens[user.id] = token;
+    }
+    return {
+      status: 200,
+      statusText: STATUS_TEXTS[200],
+      headers: {},
+      data: { token: this._tokens[user.id] },
+    };
+  }
+
+  /**
+   * Internal method to get a plugin instance's previous plugin instance from the POST
+   * data. Plugins of type 'fs' have no previous plugin instance.
+   *
+   * @param {Object} plugin - plugin record
+   * @param {*} previousId - previous plugin instance id
+   * @param {Object} user - authenticated user record
+   *
+   * @return {?Object} - plugin instance record
+   * @throws {Error} throw error with a 400 status if the previous plugin instance is
+   * missing or not visible to the user
+   */
+  _getPreviousPluginInstance(plugin, previousId, user) {
+    if (plugin.type === 'fs') {
+      return null;
+    }
+    if (previousId === undefined || previousId === null || previousId === '') {
+      throw httpError(400, { previous_id: ['This field is required.'] });
+    }
+    const previous = this._find('plugininstance', parseInt(previousId, 10));
+    if (!previous || !this._ownsFeed(previous.feed_id, user)) {
+      throw httpError(400, {
+        previous_id: ["Couldn't find any plugin instance with id " + previousId],
+      });
+    }
+    return previous;
+  }
+
+  /**
+   * Internal method to check the data of a new plugin instance.
+   *
+   * @param {Object} plugin - plugin record
+   * @param {Object} data - plugin instance data object
+   *
+   * @return {string} - name of the compute resource of the plugin instance
+   * @throws {Error} throw error with a 400 status and the field errors if the data is
+   * not valid
+   */
+  _checkPluginInstanceData(plugin, data) {
+    const errors = {};
+    const names = plugin._compute_resources.map((id) => this._find('computeresource', id).name);
+    const computeResourceName = data.compute_resource_name || names[0];
+
+    if (names.indexOf(computeResourceName) === -1) {
+      errors.compute_resource_name = ['Invalid compute resource name ' + computeResourceName];
+    }
+    this._getPluginParameters(plugin).forEach((param) => {
+      if (!param.optional && (data[param.name] === undefined || data[param.name] === '')) {
+        errors[param.name] = ['This field is required.'];
+      }
+    });
+    if (Object.keys(errors).length) {
+      throw httpError(400, errors);
+    }
+    return computeResourceName;
+  }
+
+  /**
+   * Internal method to create a plugin instance and its parameters. A new feed is created
+   * when the plugin instance has no previous plugin instance.
+   *
+   * @param {Object} plugin - plugin record
+   * @param {Object} data - plugin instance data object
+   * @param {?Object} previous - previous plugin instance record
+   * @param {Object} user - authenticated user record
+   * @param {?number} [pipelineInstId=null] - id of the pipeline instance that created it
+   *
+   * @return {Object} - plugin instance record
+   */
+  _createPluginInstance(plugin, data, previous, user, pipelineInstId = null) {
+    const computeResourceName = this._checkPluginInstanceData(plugin, data);
+    let feedId = previous ? previous.feed_id : null;
+
+    if (!previous) {
+      const feed = this._insert('feed', {
+        creation_date: now(),
+        modification_date: now(),
+        name: data.title || '',
+        creator_username: user.username,
+        _owner: [user.username],
+      });
+      this._insert('note', { title: '', content: '', _feed_id: feed.id });
+      feedId = feed.id;
+    }
+    const inst = this._insert('plugininstance', {
+      title: data.title || '',
+      previous_id: previous ? previous.id : null,
+      compute_resource_name: computeResourceName,
+      plugin_id: plugin.id,
+      plugin_name: plugin.name,
+      plugin_version: plugin.version,
+      plugin_type: plugin.type,
+      feed_id: feedId,
+      start_date: now(),
+      end_date: now(),
+      output_path: '',
+      status: 'scheduled',
+      pipeline_inst_id: pipelineInstId,
+      owner_username: user.username,
+      cpu_limit: data.cpu_limit || 1000,
+      memory_limit: data.memory_limit || 200,
+      number_of_workers: data.number_of_workers || 1,
+      gpu_limit: data.gpu_limit || 0,
+      size: 0,
+      error_code: '',
+    });
+    const parentPath = previous
+      ? previous.output_path.replace(/\/data$/, '')
+      : user.username + '/feed_' + feedId;
+    inst.output_path = parentPath + '/' + plugin.name + '_' + inst.id + '/data';
+
+    this._getPluginParameters(plugin).forEach((param) => {
+      const value = data[param.name] !== undefined ? data[param.name] : param.default;
+      if (value !== undefined && value !== null) {
+        this._insert('plugininstanceparameter', {
+          param_name: param.name,
+          value: value,
+          type: param.type,
+          _plugin_inst_id: inst.id,
+          _plugin_param_id: param.id,
+        });
+      }
+    });
+    return inst;
+  }
+
+  /**
+   * Internal method to split the output of a plugin instance by creating a plugin instance
+   * of the ``pl-topologicalcopy`` plugin for every filter.
+   *
+   * @param {Object} inst - plugin instance record
+   * @param {Object} data - split data object
+   * @param {Object} user - authenticated user record
+   *
+   * @return {Object} - split record
+   */
+  _createPluginInstanceSplit(inst, data, user) {
+    const plugin = this._findBy('plugin', 'name', 'pl-topologicalcopy');
+    const filters = (data.filter || '').split(',');
+
+    if (!plugin) {
+      throw httpError(400, { non_field_errors: ["Couldn't find the pl-topologicalcopy plugin."] });
+    }
+    const ids = filters.map((filter) => {
+      const tsData = {
+        filter: filter,
+        plugininstances: String(inst.id),
+        compute_resource_name: data.compute_resource_name,
+      };
+      return this._createPluginInstance(plugin, tsData, inst, user).id;
+    });
+    return this._insert('plugininstancesplit', {
+      creation_date: now(),
+      filter: data.filter || '',
+      created_plugin_inst_ids: ids.join(','),
+      plugin_inst_id: inst.id,
+      _plugin_inst_id: inst.id,
+    });
+  }
+
+  /**
+   * Internal method to create a pipeline either from a JSON plugin tree or from a plugin
+   * instance and its descendants. Every node of a plugin tree has a ``plugin_id`` (or a
+   * ``plugin_name`` and ``plugin_version``), the ``previous_index`` of its parent node
+   * (null for the root node, parents must come before their children) and optional
+   * ``plugin_parameter_defaults``.
+   *
+   * @param {Object} data - pipeline data object
+   * @param {Object} user - authenticated user record
+   *
+   * @return {Object} - pipeline record
+   */
+  _createPipeline(data, user) {
+    const errors = {};
+    let tree = [];
+
+    if (!data.name) {
+      errors.name = ['This field is required.'];
+    } else if (this._findBy('pipeline', 'name', data.name)) {
+      errors.name = ['pipeline with this name already exists.'];
+    }
+    if (data.plugin_tree) {
+      try {
+        tree = JSON.parse(data.plugin_tree).map((node, i) => {
+          const plugin = node.plugin_id
+            ? this._find('plugin', node.plugin_id)
+            : this.db.plugin.find(
+                (p) => p.name === node.plugin_name && p.version === node.plugin_version
+              );
+          const previousIndex = node.previous_index === undefined ? null : node.previous_index;
+          // only the root node has no parent and parents come before their children
+          const validIndex =
+            i === 0
+              ? previousIndex === null
+              : Number.isInteger(previousIndex) && previousIndex >= 0 && previousIndex < i;
+          if (!plugin || !validIndex) {
+            throw new Error();
+          }
+          return {
+            plugin: plugin,
+            previousIndex: previousIndex,
+            defaults: node.plugin_parameter_defaults || [],
+          };
+        });
+      } catch (ex) {
+        errors.plugin_tree = ['Invalid plugin tree.'];
+      }
+    } else if (data.plugin_inst_id) {
+      const inst = this._find('plugininstance', parseInt(data.plugin_inst_id, 10));
+      if (inst && this._ownsFeed(inst.feed_id, user)) {
+        tree = this._getPluginTree(inst);
+      } else {
+        errors.plugin_inst_id = [
+          "Couldn't find any plugin instance with id " + data.plugin_inst_id,
+        ];
+      }
+    } else {
+      errors.non_field_errors = ['A plugin tree or a plugin instance id must be provided.'];
+    }
+    if (Object.keys(errors).length) {
+      throw httpError(400, errors);
+    }
+    const pipeline = this._insert('pipeline', {
+      creation_date: now(),
+      modification_date: now(),
+      name: data.name,
+      locked: data.locked !== false && data.locked !== 'false',
+      authors: data.authors || '',
+      category: data.category || '',
+      description: data.description || '',
+      owner_username: user.username,
+    });
+    const pipings = [];
+
+    tree.forEach((node) => {
+      const piping = this._insert('pluginpiping', {
+        pipeline_id: pipeline.id,
+        plugin_id: node.plugin.id,
+        plugin_name: node.plugin.name,
+        plugin_version: node.plugin.version,
+        previous_id: node.previousIndex === null ? null : pipings[node.previousIndex].id,
+      });
+      pipings.push(piping);
+
+      this._getPluginParameters(node.plugin).forEach((param) => {
+        const defaultValue = node.defaults.find((d) => d.name === param.name);
+        this._insert('defaultparameter', {
+          param_name: param.name,
+          param_id: param.id,
+          plugin_piping_id: piping.id,
+          type: param.type,
+          value: defaultValue ? defaultValue.default : param.default,
+        });
+      });
+    });
+    return pipeline;
+  }
+
+  /**
+   * Internal method to create a pipeline instance by creating a plugin instance for every
+   * plugin piping of the pipeline. Default parameter values can be overridden by
+   * properties named after the parameter and the piping id (eg. ``prefix-1``).
+   *
+   * @param {Object} pipeline - pipeline record
+   * @param {Object} data - pipeline instance data object
+   * @param {Object} user - authenticated user record
+   *
+   * @return {Object} - pipeline instance record
+   */
+  _createPipelineInstance(pipeline, data, user) {
+    const previousId = data.previous_plugin_inst_id;
+    const previous = this._find('plugininstance', parseInt(previousId, 10));
+
+    if (!previous || !this._ownsFeed(previous.feed_id, user)) {
+      const message = previousId
+        ? "Couldn't find any plugin instance with id " + previousId
+        : 'This field is required.';
+      throw httpError(400, { previous_plugin_inst_id: [message] });
+    }
+    const pipings = this._getPipings(pipeline);
+    const pipingData = pipings.map((piping) => {
+      const pluginData = {};
+      this.db.defaultparameter
+        .filter((param) => param.plugin_piping_id === piping.id)
+        .forEach((param) => {
+          const override = data[param.param_name + '-' + piping.id];
+          pluginData[param.param_name] = override !== undefined ? override : param.value;
+        });
+      this._checkPluginInstanceData(this._find('plugin', piping.plugin_id), pluginData);
+      return pluginData;
+    });
+    const pipelineInst = this._insert('pipelineinstance', {
+      title: data.title || '',
+      description: data.description || '',
+      pipeline_id: pipeline.id,
+      pipeline_name: pipeline.name,
+      _owner: user.username,
+    });
+    const created = {};
+
+    pipings.forEach((piping, i) => {
+      const plugin = this._find('plugin', piping.plugin_id);
+      const pipingPrevious = piping.previous_id ? created[piping.previous_id] : previous;
+      created[piping.id] = this._createPluginInstance(
+        plugin,
+        pipingData[i],
+        pipingPrevious,
+        user,
+        pipelineInst.id
+      );
+    });
+    return pipelineInst;
+  }
+
+  /**
+   * Internal method to tag a feed.
+   *
+   * @param {Object} tag - tag record
+   * @param {Object} feed - feed record
+   * @param {Object} user - authenticated user record
+   *
+   * @return {Object} - tagging record
+   */
+  _createTagging(tag, feed, user) {
+    if (
+      this.db.tagging.some((tagging) => tagging.tag_id === tag.id && tagging.feed_id === feed.id)
+    ) {
+      throw httpError(400, {
+        non_field_errors: ['Tagging with this Tag and Feed already exists.'],
+      });
+    }
+    return this._insert('tagging', {
+      owner_username: user.username,
+      tag_id: tag.id,
+      feed_id: feed.id,
+    });
+  }
+
+  /**
+   * Internal method to check the upload path of an uploaded file.
+   *
+   * @param {string} uploadPath - upload path
+   * @param {Object} user - authenticated user record
+   *
+   * @return {string} - upload path
+   * @throws {Error} throw error with a 400 status if the path is missing or does not
+   * start with the username
+   */
+  _checkUploadPath(uploadPath, user) {
+    if (!uploadPath) {
+      throw httpError(400, { upload_path: ['This field is required.'] });
+    }
+    if (uploadPath.indexOf(user.username + '/') !== 0) {
+      throw httpError(400, {
+        upload_path: ["File path must start with '" + user.username + "/'."],
+      });
+    }
+    return uploadPath;
+  }
+
+  /**
+   * Internal method to delete a feed and all its related records.
+   *
+   * @param {Object} feed - feed record
+   */
+  _deleteFeed(feed) {
+    this.db.plugininstance
+      .filter((inst) => inst.feed_id === feed.id && !inst.previous_id)
+      .forEach((inst) => this._deletePluginInstance(inst));
+    this._remove('tagging', (tagging) => tagging.feed_id === feed.id);
+    this._remove('comment', (comment) => comment.feed_id === feed.id);
+    this._remove('note', (note) => note._feed_id === feed.id);
+    this._remove('feed', (rec) => rec === feed);
+  }
+
+  /**
+   * Internal method to delete a plugin instance, its descendants and their related records.
+   *
+   * @param {Object} inst - plugin instance record
+   */
+  _deletePluginInstance(inst) {
+    const ids = this._getDescendants(inst).map((rec) => rec.id);
+    const related = (rec) => ids.indexOf(rec._plugin_inst_id) !== -1;
+
+    this._remove('feedfile', (file) => ids.indexOf(file.plugin_inst_id) !== -1);
+    this._remove('plugininstanceparameter', related);
+    this._remove('plugininstancesplit', related);
+    this._remove('plugininstance', (rec) => ids.indexOf(rec.id) !== -1);
+  }
+
+  /**
+   * Internal method to delete a pipeline and its pipings.
+   *
+   * @param {Object} pipeline - pipeline record
+   */
+  _deletePipeline(pipeline) {
+    const ids = this._getPipings(pipeline).map((piping) => piping.id);
+
+    this._remove('defaultparameter', (param) => ids.indexOf(param.plugin_piping_id) !== -1);
+    this._remove('pluginpiping', (piping) => piping.pipeline_id === pipeline.id);
+    this._remove('pipeline', (rec) => rec === pipeline);
+  }
+
+  /**
+   * Internal method to get a plugin instance and all its descendants.
+   *
+   * @param {Object} inst - plugin instance record
+   *
+   * @return {Object[]} - array of plugin instance records
+   */
+  _getDescendants(inst) {
+    const descendants = [inst];
+
+    for (let i = 0; i < descendants.length; i++) {
+      const children = this.db.plugininstance.filter(
+        (rec) => rec.previous_id === descendants[i].id
+      );
+      descendants.push.apply(descendants, children);
+    }
+    return descendants;
+  }
+
+  /**
+   * Internal method to check whether a plugin instance descends from another one.
+   *
+   * @param {Object} inst - plugin instance record
+   * @param {number} rootId - id of the root plugin instance
+   *
+   * @return {boolean} - whether the plugin instance is the root or one of its descendants
+   */
+  _isDescendant(inst, rootId) {
+    let rec = inst;
+    while (rec && rec.id !== rootId) {
+      rec = rec.previous_id ? this._find('plugininstance', rec.previous_id) : null;
+    }
+    return !!rec;
+  }
+
+  /**
+   * Internal method to get the plugin tree of a plugin instance and its descendants.
+   *
+   * @param {Object} inst - plugin instance record
+   *
+   * @return {Object[]} - array of plugin tree nodes
+   */
+  _getPluginTree(inst) {
+    const descendants = this._getDescendants(inst);
+
+    return descendants.map((rec, i) => ({
+      plugin: this._find('plugin', rec.plugin_id),
+      previousIndex:
+        i === 0 ? null : descendants.indexOf(this._find('plugininstance', rec.previous_id)),
+      defaults: this.db.plugininstanceparameter
+        .filter((param) => param._plugin_inst_id === rec.id)
+        .map((param) => ({ name: param.param_name, default: param.value })),
+    }));
+  }
+
+  /**
+   * Internal method to get the parameters of a plugin.
+   *
+   * @param {Object} plugin - plugin record
+   *
+   * @return {Object[]} - array of plugin parameter records
+   */
+  _getPluginParameters(plugin) {
+    return this.db.pluginparameter.filter((param) => param._plugin_id === plugin.id);
+  }
+
+  /**
+   * Internal method to get the plugin pipings of a pipeline.
+   *
+   * @param {Object} pipeline - pipeline record
+   *
+   * @return {Object[]} - array of plugin piping records
+   */
+  _getPipings(pipeline) {
+    return this.db.pluginpiping.filter((piping) => piping.pipeline_id === pipeline.id);
+  }
+
+  /**
+   * Internal method to check whether a user owns a feed.
+   *
+   * @param {number} feedId - feed id
+   * @param {Object} user - authenticated user record
+   *
+   * @return {boolean} - whether the user is an owner of the feed
+   */
+  _ownsFeed(feedId, user) {
+    const feed = this._find('feed', feedId);
+    return !!feed && feed._owner.indexOf(user.username) !== -1;
+  }
+
+  /**
+   * Internal method to get an item record that is visible to a user.
+   *
+   * @param {string} kind - kind of the item
+   * @param {string|number} id - item id
+   * @param {?Object} user - authenticated user record
+   *
+   * @return {Object} - item record
+   * @throws {Error} throw error with a 401 status if the request is not authenticated or
+   * a 404 status if the item does not exist or is not visible to the user
+   */
+  _getItem(kind, id, user) {
+    this._checkAuthenticated(kind, user);
+    const rec = this._find(kind, parseInt(id, 10));
+    const visible = KINDS[kind].visible;
+
+    if (!rec || (visible && !visible(this, rec, user))) {
+      throw httpError(404, 'Not found.');
+    }
+    return rec;
+  }
+
+  /**
+   * Internal method to get the url of an item.
+   *
+   * @param {string} kind - kind of the item
+   * @param {number} id - item id
+   *
+   * @return {string} - item url
+   */
+  _url(kind, id) {
+    return this.url + KINDS[kind].path + id + '/';
+  }
+
+  /**
+   * Internal method to get the url of the file of a file item.
+   *
+   * @param {string} kind - kind of the file item
+   * @param {Object} rec - file record
+   *
+   * @return {string} - file url
+   */
+  _fileUrl(kind, rec) {
+    return this._url(kind, rec.id) + rec.fname.split('/').pop();
+  }
+
+  /**
+   * Internal method to insert a record.
+   *
+   * @param {string} kind - kind of the record
+   * @param {Object} fields - record fields
+   *
+   * @return {Object} - record with a new id
+   */
+  _insert(kind, fields) {
+    const rec = Object.assign({ id: this._nextIds[kind]++ }, fields);
+    this.db[kind].push(rec);
+    return rec;
+  }
+
+  /**
+   * Internal method to find a record by id.
+   *
+   * @param {string} kind - kind of the record
+   * @param {number} id - record id
+   *
+   * @return {?Object} - record or null if not found
+   */
+  _find(kind, id) {
+    return this._findBy(kind, 'id', id);
+  }
+
+  /**
+   * Internal method to find the first record whose field has the given value.
+   *
+   * @param {string} kind - kind of the record
+   * @param {string} field - name of the field
+   * @param {*} value - value of the field
+   *
+   * @return {?Object} - record or null if not found
+   */
+  _findBy(kind, field, value) {
+    return this.db[kind].find((rec) => rec[field] === value) || null;
+  }
+
+  /**
+   * Internal method to remove the records that match a predicate.
+   *
+   * @param {string} kind - kind of the records
+   * @param {function(rec: Object): boolean} predicate - predicate function
+   */
+  _remove(kind, predicate) {
+    this.db[kind] = this.db[kind].filter((rec) => !predicate(rec));
+  }
+
+  /**
+   * Internal method to assign the fields of a PUT request to a record.
+   *
+   * @param {Object} rec - item record
+   * @param {Object} data - request data object
+   * @param {string[]} names - names of the fields that can be modified
+   */
+  _assign(rec, data, names) {
+    names.forEach((name) => {
+      if (data[name] !== undefined) {
+        rec[name] = data[name];
+      }
+    });
+    if (rec.modification_date !== undefined) {
+      rec.modification_date = now();
+    }
+  }
+}
+
+/**
+ * Internal function to make an error that is turned into an error response.
+ *
+ * @param {number} status - status code
+ * @param {string|Object} errors - error message or object with the field errors
+ *
+ * @return {Error} - error object with the ``status`` and ``errors`` properties
+ */
+function httpError(status, errors) {
+  const error = new Error(typeof errors === 'string' ? errors : JSON.stringify(errors));
+  error.status = status;
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Internal function to check an email address.
+ *
+ * @param {string} email - email address
+ *
+ * @return {string} - email address
+ * @throws {Error} throw error with a 400 status if the email address is not valid
+ */
+function checkEmail(email) {
+  if (!email) {
+    throw httpError(400, { email: ['This field is required.'] });
+  }
+  if (!/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+    throw httpError(400, { email: ['Enter a valid email address.'] });
+  }
+  return email;
+}
+
+/**
+ * Internal function to make a search filter that matches a string contained in any of
+ * several fields.
+ *
+ * @param {...string} fields - names of the fields
+ *
+ * @return {function(rec: Object, value: string): boolean} - search filter
+ */
+function anyOf(...fields) {
+  return (rec, value) => fields.some((field) => matchFilter(field + '~', rec, value));
+}
+
+/**
+ * Internal function to check whether a record matches a search filter.
+ *
+ * @param {string|Function} filter - search filter
+ * @param {Object} rec - record
+ * @param {string} value - search value
+ * @param {FakeCUBE} cube - fake server
+ *
+ * @return {boolean} - whether the record matches
+ */
+function matchFilter(filter, rec, value, cube) {
+  if (typeof filter === 'function') {
+    return filter(rec, value, cube);
+  }
+  const match = /^(\w+)(~|\^|>=|<=)?$/.exec(filter);
+  const recValue = rec[match[1]];
+  const compare = () =>
+    typeof recValue === 'number' ? recValue - Number(value) : new Date(recValue) - new Date(value);
+
+  switch (match[2]) {
+    case '~':
+      return String(recValue).toLowerCase().indexOf(String(value).toLowerCase()) !== -1;
+    case '^':
+      return String(recValue).indexOf(value) === 0;
+    case '>=':
+      return compare() >= 0;
+    case '<=':
+      return compare() <= 0;
+    default:
+      return String(recValue) === String(value);
+  }
+}
+
+/**
+ * Internal function to get the current date as an ISO string.
+ *
+ * @return {string} - date string
+ */
+function now() {
+  return new Date().toISOString();
+}
+
+/**
+ * Internal function to make a response object.
+ *
+ * @param {number} status - status code
+ * @param {*} data - response data
+ *
+ * @return {Object} - response object
+ */
+function makeResponse(status, data) {
+  return {
+    status: status,
+    statusText: STATUS_TEXTS[status],
+    headers: { 'content-type': 'application/vnd.collection+json' },
+    data: data,
+  };
+}
+
+/**
+ * Internal function to make the response to a file download, only the requested byte
+ * range of the file if the request has a Range header.
+ *
+ * @param {string|Buffer|Blob} content - file content
+ * @param {AxiosRequestConfig} config - axios configuration object
+ *
+ * @return {Object} - response object whose data is a ``Buffer`` (node.js) or a ``Blob``
+ * (browser), or a stream if the response type is 'stream'
+ */
+function makeFileResponse(content, config) {
+  const file = isNode ? Buffer.from(content) : new Blob([content]);
+  const size = isNode ? file.length : file.size;
+  const range = /^bytes=(\d+)-(\d*)$/.exec(getHeader(config.headers, 'range') || '');
+  const headers = { 'content-type': 'application/octet-stream' };
+  let start = 0;
+  let end = size - 1;
+  let status = 200;
+
+  if (range) {
+    start = parseInt(range[1], 10);
+    end = range[2] ? Math.min(parseInt(range[2], 10), size - 1) : size - 1;
+    if (start >= size) {
+      throw httpError(416, 'Requested range not satisfiable.');
+    }
+    headers['content-range'] = 'bytes ' + start + '-' + end + '/' + size;
+    status = 206;
+  }
+  let data = file.slice(start, end + 1);
+  headers['content-length'] = String(end - start + 1);
+
+  if (config.responseType === 'stream') {
+    data = isNode ? Readable.from([data]) : data.stream();
+  }
+  return { status: status, statusText: STATUS_TEXTS[status], headers: headers, data: data };
+}
+
+/**
+ * Internal function to make an array of Collection+JSON links from an object whose
+ * properties are the link relations, relations without url are left out.
+ *
+ * @param {Object} rels - link relations object
+ *
+ * @return {Object[]} - array of link objects
+ */
+function makeLinks(rels) {
+  return Object.keys(rels)
+    .filter((rel) => rels[rel])
+    .map((rel) => ({ rel: rel, href: rels[rel] }));
+}
+
+/**
+ * Internal function to make an empty Collection+JSON template object.
+ *
+ * @param {string[]} names - descriptor names
+ *
+ * @return {Object} - template object
+ */
+function makeTemplate(names) {
+  return { data: names.map((name) => ({ name: name, value: '' })) };
+}
+
+/**
+ * Internal function to make a url with a query string.
+ *
+ * @param {string} url - url without query string
+ * @param {Object} params - search parameters
+ *
+ * @return {string} - url
+ */
+function makeUrl(url, params) {
+  const query = Object.keys(params)
+    .filter((name) => params[name] !== undefined && params[name] !== null)
+    .map((name) => encodeURIComponent(name) + '=' + encodeURIComponent(params[name]))
+    .join('&');
+  return query ? url + '?' + query : url;
+}
+
+/**
+ * Internal function to parse a query string.
+ *
+ * @param {string} query - query string without the leading '?'
+ *
+ * @return {Object} - search parameters
+ */
+function parseQuery(query) {
+  const params = {};
+
+  query
+    .split('&')
+    .filter((pair) => pair)
+    .forEach((pair) => {
+      const parts = pair.split('=');
+      params[decodeURIComponent(parts[0])] = decodeURIComponent(
+        (parts[1] || '').replace(/\+/g, ' ')
+      );
+    });
+  return params;
+}
+
+/**
+ * Internal function to get a request header whatever the case of its name.
+ *
+ * @param {Object} headers - request headers
+ * @param {string} name - header name in lower case
+ *
+ * @return {string|undefined} - header value
+ */
+function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find((key) => key.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+/**
+ * Internal function to get the size of a file content.
+ *
+ * @param {string|Buffer|Blob} content - file content
+ *
+ * @return {number} - size in bytes
+ */
+function getContentSize(content) {
+  if (typeof content === 'string') {
+    return isNode ? Buffer.byteLength(content) : new Blob([content]).size;
+  }
+  return content.size !== undefined ? content.size : content.length;
+}
+
+/**
+ * Internal function to read the data of a request. Collection+JSON templates are turned
+ * into a data object and the fields and files of a multipart body (a ``FormData`` object
+ * in the browser or a ``form-data`` stream in node.js) are read into a data object whose
+ * files are ``Blob`` or ``Buffer`` objects.
+ *
+ * @param {AxiosRequestConfig} config - axios configuration object
+ *
+ * @return {Promise<Object>} - JS Promise, resolves to the request data object
+ */
+function readBody(config) {
+  const data = config.data;
+
+  if (data === undefined || data === null || data === '') {
+    return Promise.resolve({});
+  }
+  if (typeof data === 'string') {
+    const json = JSON.parse(data);
+    if (json.template) {
+      const obj = {};
+      json.template.data.forEach((descriptor) => (obj[descriptor.name] = descriptor.value));
+      return Promise.resolve(obj);
+    }
+    return Promise.resolve(json);
+  }
+  if (typeof FormData !== 'undefined' && data instanceof FormData) {
+    const obj = {};
+    data.forEach((value, name) => (obj[name] = value));
+    return Promise.resolve(obj);
+  }
+  if (isNode && typeof data.pipe === 'function') {
+    const boundary = /boundary=(.+)$/.exec(getHeader(config.headers, 'content-type'))[1];
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      data.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+      data.on('end', () => resolve(parseMultipart(Buffer.concat(chunks), boundary)));
+      data.on('error', reject);
+      data.resume();
+    });
+  }
+  return Promise.resolve(data);
+}
+
+/**
+ * Internal function to parse a multipart body in node.js.
+ *
+ * @param {Buffer} body - multipart body
+ * @param {string} boundary - multipart boundary
+ *
+ * @return {Object} - data object whose files are ``Buffer`` objects
+ */
+function parseMultipart(body, boundary) {
+  const obj = {};
+  const delimiter = Buffer.from('--' + boundary);
+  let start = body.indexOf(delimiter);
+
+  while (start !== -1) {
+    const next = body.indexOf(delimiter, start + delimiter.length);
+    if (next === -1) {
+      break;
+    }
+    // each part is enclosed by CRLFs and its headers are separated from its content by
+    // an empty line
+    const part = body.slice(start + delimiter.length + 2, next - 2);
+    const headersEnd = part.indexOf('\r\n\r\n');
+    const headers = part.slice(0, headersEnd).toString();
+    const content = part.slice(headersEnd + 4);
+    const name = /name="([^"]*)"/.exec(headers)[1];
+
+    obj[name] = /filename="/.test(headers) ? content : content.toString();
+    start = next;
+  }
+  return obj;
+}
@@ -0,0 +1,214 @@
+import { expect } from 'chai';
+import Client from './client';
+import FakeCUBE from './fakecube';
+import { Feed } from './feed';
+import { ValidationError, AuthenticationError, NotFoundError } from './exception';
+
+describe('FakeCUBE', () => {
+  const chrisUrl = 'http://localhost:8000/api/v1/';
+  const auth = { username: 'cube', password: 'cube1234' };
+  let cube;
+  let client;
+
+  // read the text of a downloaded file whether it is a Blob or a Buffer
+  const readText = data => Promise.resolve(data.text ? data.text() : data.toString());
+
+  beforeEach(() => {
+    cube = new FakeCUBE(chrisUrl, { pageSize: 2 });
+    client = new Client(chrisUrl, auth, { transport: cube });
+  });
+
+  it('serves the seeded plugins and the API root links', done => {
+    client
+      .getPlugins({ limit: 10 })
+      .then(plugins => {
+        const names = plugins.getItems().map(plugin => plugin.data.name);
+        expect(names).to.deep.equal(['pl-dircopy', 'pl-simpledsapp', 'pl-topologicalcopy']);
+        expect(client.uploadedFilesUrl).to.equal(chrisUrl + 'uploadedfiles/');
+        return plugins.getItems()[0].getPluginParameters();
+      })
+      .then(params => {
+        expect(params.getItems()[0].data.name).to.equal('dir');
+      })
+      .then(done, done);
+  });
+
+  it('creates a feed when an fs plugin instance is created', done => {
+    client
+      .createPluginInstance(1, { dir: 'cube/uploads', title: 'My feed' })
+      .then(inst => {
+        expect(inst.data.status).to.equal('scheduled');
+        return inst.getFeed();
+      })
+      .then(feed => {
+        expect(feed.data.name).to.equal('My feed');
+        return client.getFeeds();
+      })
+      .then(feeds => {
+        expect(feeds.totalCount).to.equal(1);
+      })
+      .then(done, done);
+  });
+
+  it('validates the data of a new plugin instance', done => {
+    client
+      .createPluginInstance(2, { title: 'no previous' })
+      .then(() => {
+        throw new Error('expected the request to fail');
+      })
+      .catch(error => {
+        expect(error).to.be.an.instanceof(ValidationError);
+        expect(error.fieldErrors.previous_id).to.deep.equal(['This field is required.']);
+      })
+      .then(done, done);
+  });
+
+  it('paginates and searches the lists', done => {
+    const titles = ['brain', 'heart', 'brain scan'];
+
+    Promise.all(titles.map(title => client.createPluginInstance(1, { dir: 'a', title })))
+      .then(() => client.getFeeds())
+      .then(feeds => {
+        expect(feeds.getItems()).to.have.lengthOf(2);
+        expect(feeds.hasNextPage).to.be.true;
+        return client.getFeeds({ limit: 2, offset: 2 });
+      })
+      .then(feeds => {
+        expect(feeds.getItems()).to.have.lengthOf(1);
+        expect(feeds.hasPreviousPage).to.be.true;
+        return client.getFeeds({ name: 'brain' });
+      })
+      .then(feeds => {
+        expect(feeds.totalCount).to.equal(2);
+      })
+      .then(done, done);
+  });
+
+  it('creates pipelines and runs them', done => {
+    const pluginTree = JSON.stringify([
+      { plugin_name: 'pl-simpledsapp', plugin_version: '2.0.2', previous_index: null },
+      {
+        plugin_id: 2,
+        previous_index: 0,
+        plugin_parameter_defaults: [{ name: 'prefix', default: 'out' }],
+      },
+    ]);
+    let root;
+
+    client
+      .createPluginInstance(1, { dir: 'a' })
+      .then(inst => {
+        root = inst;
+        return client.createPipeline({ name: 'ds chain', plugin_tree: pluginTree });
+      })
+      .then(pipeline =>
+        client.createPipelineInstance(pipeline.data.id, { previous_plugin_inst_id: root.data.id })
+      )
+      .then(pipelineInst => pipelineInst.getPluginInstances())
+      .then(instances => {
+        expect(instances.getItems()).to.have.lengthOf(2);
+        return instances.getItems()[1].getParameters();
+      })
+      .then(params => {
+        expect(params.getItems()[0].data.value).to.equal('out');
+      })
+      .then(done, done);
+  });
+
+  it('tags feeds', done => {
+    let feedId;
+
+    client
+      .createPluginInstance(1, { dir: 'a' })
+      .then(inst => {
+        feedId = inst.data.feed_id;
+        return client.createTag({ name: 'brain', color: 'blue' });
+      })
+      .then(tag => client.tagFeed(feedId, tag.data.id))
+      .then(() => client.getFeed(feedId))
+      .then(feed => feed.getTags())
+      .then(tags => {
+        expect(tags.getItems()[0].data.name).to.equal('brain');
+      })
+      .then(done, done);
+  });
+
+  it('uploads and downloads files', done => {
+    const upload_path = 'cube/uploads/notes.txt';
+    const fname = typeof Blob !== 'undefined' ? new Blob(['hello']) : Buffer.from('hello');
+
+    client
+      .uploadFile({ upload_path }, { fname })
+      .then(file => {
+        expect(file.data.fname).to.equal(upload_path);
+        expect(file.data.fsize).to.equal(5);
+        return file.getFileBlob();
+      })
+      .then(readText)
+      .then(text => {
+        expect(text).to.equal('hello');
+      })
+      .then(done, done);
+  });
+
+  it('serves the files of plugin instances', done => {
+    client
+      .createPluginInstance(1, { dir: 'a' })
+      .then(inst => {
+        cube.addFile(inst.data.id, 'out.txt', 'plugin output');
+        return inst.getFiles();
+      })
+      .then(files => files.getItems()[0].getFileBlob())
+      .then(readText)
+      .then(text => {
+        expect(text).to.equal('plugin output');
+      })
+      .then(done, done);
+  });
+
+  it('creates users and auth tokens', done => {
+    const options = { transport: cube };
+
+    Client.createUser(chrisUrl + 'users/', 'chris', 'chris1234', 'chris@babymri.org', options)
+      .then(user => {
+        expect(user.data.username).to.equal('chris');
+        return Client.getAuthToken(chrisUrl + 'auth-token/', 'chris', 'chris1234', options);
+      })
+      .then(token => {
+        const tokenClient = new Client(chrisUrl, { token }, options);
+        return tokenClient.getUser();
+      })
+      .then(user => {
+        expect(user.data.email).to.equal('chris@babymri.org');
+      })
+      .then(done, done);
+  });
+
+  it('rejects invalid credentials and hides the resources of other users', done => {
+    const badClient = new Client(
+      chrisUrl,
+      { username: 'cube', password: 'x' },
+      { transport: cube }
+    );
+    cube.addUser('chris', 'chris1234');
+    const otherAuth = { username: 'chris', password: 'chris1234' };
+
+    badClient
+      .getFeeds()
+      .then(() => {
+        throw new Error('expected the request to fail');
+      })
+      .catch(error => {
+        expect(error).to.be.an.instanceof(AuthenticationError);
+        return client.createPluginInstance(1, { dir: 'a' });
+      })
+      .then(inst => new Feed(chrisUrl + inst.data.feed_id + '/', otherAuth, client.options).get())
+      .then(() => {
+        throw new Error('expected the request to fail');
+      })
+      .catch(error => {
+        expect(error).to.be.an.instanceof(NotFoundError);
+      })
+      .then(done, done);
+  });
+});
@@ -1,5 +1,6 @@
 /** * Imports ***/
 import { ItemResource, ListResource } from './resource';
+import { registry } from './registry';
 import User from './user';
 import { ComputeResourceList } from './computeresource';
 import { PluginList } from './plugin';
@@ -18,10 +19,15 @@ import { AllPluginInstanceList, FeedPluginInstanceList } from './plugininstance'
  * Feed item resource object representing a feed.
  */
 export class Feed extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'Feed';
+  }
+
   /**
    * Fetch the note associated to this feed from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Note>} - JS Promise, resolves to a ``Note`` object
    */
@@ -38,7 +44,7 @@ export class Feed extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<FeedTagList>} - JS Promise, resolves to a ``FeedTagList`` object
    */
@@ -55,7 +61,7 @@ export class Feed extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<FeedTaggingList>} - JS Promise, resolves to a ``FeedTaggingList`` object
    */
@@ -73,7 +79,7 @@ export class Feed extends ItemResource {
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
    * @param {number} [searchParams.id] - match comment id exactly with this number
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<CommentList>} - JS Promise, resolves to a ``CommentList`` object
    */
@@ -85,15 +91,26 @@ export class Feed extends ItemResource {
   }
 
   /**
-   * Get a feed comment given its id.
+   * Get a feed comment given its id. The comment list can't be searched by id so its
+   * pages are fetched one after the other until the comment is found, which walks every
+   * page of the list when the feed has no comment with that id.
    *
    * @param {number} id - comment id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
-   * @return {Promise<Comment>} - JS Promise, resolves to a ``Comment`` object
+   * @return {Promise<?Comment>} - JS Promise, resolves to a ``Comment`` object or null if
+   * the feed has no comment with that id
    */
   getComment(id, timeout = 30000) {
-    return this.getComments({ id: id }, timeout).then(listRes => listRes.getItem(id));
+    const findComment = listRes => {
+      const comment = listRes.getItem(id);
+
+      if (comment || !listRes.hasNextPage) {
+        return comment;
+      }
+      return listRes.getNextPage(timeout).then(findComment);
+    };
+    return this.getComments(null, timeout).then(findComment);
   }
 
   /**
@@ -102,7 +119,7 @@ export class Feed extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<FeedFileList>} - JS Promise, resolves to a ``FeedFileList`` object
    */
@@ -119,7 +136,7 @@ export class Feed extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<FeedPluginInstanceList>} - JS Promise, resolves to a ``FeedPluginInstanceList`` object
    */
@@ -134,13 +151,13 @@ export class Feed extends ItemResource {
    * Tag the feed given the id of the tag.
    *
    * @param {number} tag_id - tag id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Tagging>} - JS Promise, resolves to a ``Tagging`` object
    */
   tagFeed(tag_id, timeout = 30000) {
     return this.getTaggings(timeout)
-      .then(listRes => listRes.post({ tag_id: tag_id }), timeout)
+      .then(listRes => listRes.post({ tag_id: tag_id }, timeout))
       .then(listRes => listRes.getItems()[0]);
   }
 
@@ -150,7 +167,7 @@ export class Feed extends ItemResource {
    * @param {Object} data - request JSON data object
    * @param {string} [data.name] - name of the feed
    * @param {string} [data.owner] - username to be added to the list of this feed's owners
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -161,7 +178,7 @@ export class Feed extends ItemResource {
   /**
    * Make a DELETE request to delete this feed item resource through the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise} - JS Promise
    */
@@ -174,15 +191,21 @@ export class Feed extends ItemResource {
  * Feed list resource object representing a list of user's feeds.
  */
 export class FeedList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'FeedList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Feed;
@@ -196,7 +219,7 @@ export class FeedList extends ListResource {
    * used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<AllFeedFileList>} - JS Promise, resolves to a ``AllFeedFileList`` object
    */
@@ -215,7 +238,7 @@ export class FeedList extends ListResource {
    * can be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<ComputeResourceList>} - JS Promise, resolves to a ``ComputeResourceList`` object
    */
@@ -234,7 +257,7 @@ export class FeedList extends ListResource {
    * used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginList>} - JS Promise, resolves to a ``PluginList`` object
    */
@@ -253,7 +276,7 @@ export class FeedList extends ListResource {
    * can be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<AllPluginInstanceList>} - JS Promise, resolves to a ``AllPluginInstanceList`` object
    */
@@ -272,7 +295,7 @@ export class FeedList extends ListResource {
    * used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PipelineList>} - JS Promise, resolves to a ``PipelineList`` object
    */
@@ -291,7 +314,7 @@ export class FeedList extends ListResource {
    * can be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<AllPipelineInstanceList>} - JS Promise, resolves to a ``AllPipelineInstanceList`` object
    */
@@ -310,7 +333,7 @@ export class FeedList extends ListResource {
    * used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<TagList>} - JS Promise, resolves to a ``TagList`` object
    */
@@ -329,7 +352,7 @@ export class FeedList extends ListResource {
    * be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<UploadedFileList>} - JS Promise, resolves to a ``UploadedFileList`` object
    */
@@ -348,7 +371,7 @@ export class FeedList extends ListResource {
    * be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PACSFileList>} - JS Promise, resolves to a ``PACSFileList`` object
    */
@@ -367,7 +390,7 @@ export class FeedList extends ListResource {
    * be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<ServiceFileList>} - JS Promise, resolves to a ``ServiceFileList`` object
    */
@@ -381,7 +404,7 @@ export class FeedList extends ListResource {
   /**
    * Fetch currently authenticated user's information from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<User>} - JS Promise, resolves to a ``User`` object
    */
@@ -392,3 +415,5 @@ export class FeedList extends ListResource {
     return this._getResource(linkRelation, resourceClass, null, timeout);
   }
 }
+
+registry.register('feeds', FeedList).register('/:id/', Feed).register('feed', Feed);
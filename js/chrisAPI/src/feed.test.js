@@ -1,4 +1,5 @@
 import { expect } from 'chai';
+import Client from './client';
 import Collection from './cj';
 import { FeedList, Feed } from './feed';
 import Note from './note';
@@ -10,6 +11,7 @@ import User from './user';
 import { ComputeResourceList } from './computeresource';
 import { PluginList } from './plugin';
 import { UploadedFileList } from './uploadedfile';
+import FakeCUBE from './fakecube';
 
 // http://sinonjs.org/releases/v5.1.0/fake-xhr-and-server/
 
@@ -19,11 +21,15 @@ describe('Resource', () => {
   const chrisUrl = 'http://localhost:8000/api/v1/';
   const auth = { username: username, password: password };
   //const auth = {token: "d757da9c364fdc92368b90392559e0de78f54f02"};
+  const options = { transport: new FakeCUBE(chrisUrl) };
   let feedListRes;
 
   before(() => {
-    feedListRes = new FeedList(chrisUrl, auth);
-    return feedListRes.get();
+    const client = new Client(chrisUrl, auth, options);
+    feedListRes = new FeedList(chrisUrl, auth, options);
+    return client
+      .createPluginInstance(1, { dir: username + '/uploads/' })
+      .then(() => feedListRes.get());
   });
 
   describe('Feed', () => {
@@ -31,7 +37,7 @@ describe('Resource', () => {
 
     beforeEach(() => {
       const feedItemURl = feedListRes.collection.items[0].href;
-      feed = new Feed(feedItemURl, auth);
+      feed = new Feed(feedItemURl, auth, options);
       feed.collection = feedListRes.collection;
       feed = feed.clone();
     });
@@ -67,7 +73,7 @@ describe('Resource', () => {
     it('can fetch the associated comments from the REST API', done => {
       let comment;
       const commentsUrl = Collection.getLinkRelationUrls(feed.collection.items[0], 'comments');
-      const commentList = new CommentList(commentsUrl[0], auth);
+      const commentList = new CommentList(commentsUrl[0], auth, options);
       const result = commentList
         .post({ title: 'Test Comment' })
         .then(listRes => {
@@ -85,7 +91,7 @@ describe('Resource', () => {
     it('can fetch a comment by id from the REST API', done => {
       let comment;
       const commentsUrl = Collection.getLinkRelationUrls(feed.collection.items[0], 'comments');
-      const commentList = new CommentList(commentsUrl[0], auth);
+      const commentList = new CommentList(commentsUrl[0], auth, options);
       const result = commentList
         .post({ title: 'Test Comment' })
         .then(listRes => {
@@ -100,6 +106,38 @@ describe('Resource', () => {
         .then(done, done);
     });
 
+    it('walks the pages of the comments to fetch a comment by id', done => {
+      const pagedOptions = { transport: new FakeCUBE(chrisUrl, { pageSize: 1 }) };
+      const client = new Client(chrisUrl, auth, pagedOptions);
+      let pagedFeed;
+      let commentList;
+
+      client
+        .createPluginInstance(1, { dir: username + '/uploads/' })
+        .then(plgInst => plgInst.getFeed())
+        .then(feedRes => {
+          pagedFeed = feedRes;
+          const commentsUrl = Collection.getLinkRelationUrls(
+            pagedFeed.collection.items[0],
+            'comments'
+          );
+          commentList = new CommentList(commentsUrl[0], auth, pagedOptions);
+          return commentList.post({ title: 'First' });
+        })
+        .then(() => commentList.post({ title: 'Second' }))
+        .then(() => commentList.post({ title: 'Third' }))
+        .then(listRes => pagedFeed.getComment(listRes.getItems()[0].data.id))
+        .then(comment => {
+          expect(comment).to.be.an.instanceof(Comment);
+          expect(comment.data.title).to.equal('Third');
+          return pagedFeed.getComment(1000);
+        })
+        .then(comment => {
+          expect(comment).to.be.a('null');
+        })
+        .then(done, done);
+    });
+
     it('can fetch the associated files from the REST API', done => {
       const result = feed.getFiles();
       result
@@ -1,8 +1,8 @@
 /** * Imports ***/
-import Request from './request';
 import RequestException from './exception';
 import Collection from './cj';
 import { ItemResource, ListResource } from './resource';
+import { registry } from './registry';
 import { Feed } from './feed';
 import { PluginInstance } from './plugininstance';
 
@@ -10,23 +10,30 @@ import { PluginInstance } from './plugininstance';
  * Feed file item resource object representing a file written to a feed.
  */
 export class FeedFile extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'FeedFile';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the file blob associated to this file item from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
-   * @return {Promise<Blob>} - JS Promise, resolves to a ``Blob`` object
+   * @return {Promise<Blob|Buffer>} - JS Promise, resolves to a ``Blob`` object in the
+   * browser or a ``Buffer`` object in node.js
    * @throws {RequestException} throw error if this item resource has not yet been
    * fetched from the REST API
    */
@@ -34,17 +41,43 @@ export class FeedFile extends ItemResource {
     if (this.isEmpty) {
       throw new RequestException('Item object has not been set!');
     }
-    const req = new Request(this.auth, 'application/octet-stream', timeout);
+    const req = this._makeRequest(timeout, 'application/octet-stream');
     const item = this.collection.items[0];
     const blobUrl = Collection.getLinkRelationUrls(item, 'file_resource')[0];
 
     return req.get(blobUrl).then(resp => resp.data);
   }
 
+  /**
+   * Fetch the file associated to this file item from the REST API as a stream, either
+   * whole or only a byte range of it. The download progress can be reported by setting
+   * the ``onDownloadProgress`` property of the request options object.
+   *
+   * @param {?Object} [range=null] - byte range object to fetch only part of the file
+   * @param {number} range.start - first byte of the range
+   * @param {number} [range.end] - last byte of the range (inclusive)
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   *
+   * @return {Promise<ReadableStream|Readable>} - JS Promise, resolves to a ``ReadableStream``
+   * object in the browser or a ``Readable`` stream object in node.js
+   * @throws {RequestException} throw error if this item resource has not yet been
+   * fetched from the REST API
+   */
+  getFileStream(range = null, timeout = 30000) {
+    if (this.isEmpty) {
+      throw new RequestException('Item object has not been set!');
+    }
+    const req = this._makeRequest(timeout, 'application/octet-stream');
+    const item = this.collection.items[0];
+    const fileUrl = Collection.getLinkRelationUrls(item, 'file_resource')[0];
+
+    return req.getStream(fileUrl, range).then(resp => resp.data);
+  }
+
   /**
    * Fetch the plugin instance that created this file item from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstance>} - JS Promise, resolves to a ``PluginInstance`` object
    */
@@ -60,15 +93,21 @@ export class FeedFile extends ItemResource {
  * Feed file list resource object representing a list of files written to a feed.
  */
 export class FeedFileList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'FeedFileList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = FeedFile;
@@ -77,7 +116,7 @@ export class FeedFileList extends ListResource {
   /**
    * Fetch the feed associated to this file list from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Feed>} - JS Promise, resolves to a ``Feed`` object
    */
@@ -94,15 +133,21 @@ export class FeedFileList extends ListResource {
  * any user-owned feed.
  */
 export class AllFeedFileList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'AllFeedFileList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = FeedFile;
@@ -114,15 +159,21 @@ export class AllFeedFileList extends ListResource {
  * a plugin instance.
  */
 export class PluginInstanceFileList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginInstanceFileList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = FeedFile;
@@ -131,7 +182,7 @@ export class PluginInstanceFileList extends ListResource {
   /**
    * Fetch the feed associated to this file list from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Feed>} - JS Promise, resolves to a ``Feed`` object
    */
@@ -145,7 +196,7 @@ export class PluginInstanceFileList extends ListResource {
   /**
    * Fetch the plugin instance associated to this file list from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstance>} - JS Promise, resolves to a ``PluginInstance`` object
    */
@@ -156,3 +207,9 @@ export class PluginInstanceFileList extends ListResource {
     return this._getResource(linkRelation, resourceClass, null, timeout);
   }
 }
+
+registry
+  .register('files/', AllFeedFileList)
+  .register('/:id/files/', FeedFileList)
+  .register('plugins/instances/:id/files/', PluginInstanceFileList)
+  .register('files/:id/', FeedFile);
@@ -4,6 +4,8 @@ import Request from './request';
 import { FeedFile } from './feedfile';
 import { FeedList, Feed } from './feed';
 import { PluginInstance } from './plugininstance';
+import Client from './client';
+import FakeCUBE from './fakecube';
 
 // http://sinonjs.org/releases/v5.1.0/fake-xhr-and-server/
 
@@ -13,12 +15,20 @@ describe('Resource', () => {
   const chrisUrl = 'http://localhost:8000/api/v1/';
   const auth = { username: username, password: password };
   //const auth = {token: "d757da9c364fdc92368b90392559e0de78f54f02"};
+  const cube = new FakeCUBE(chrisUrl);
+  const options = { transport: cube };
   let feedFileListRes;
 
+  before(() =>
+    new Client(chrisUrl, auth, options)
+      .createPluginInstance(1, { dir: './' })
+      .then(plgInst => cube.addFile(plgInst.data.id, 'out.txt', 'feed file content'))
+  );
+
   before(() => {
     return new Promise(function(resolve, reject) {
       Request.runAsyncTask(function*() {
-        let feedListRes = new FeedList(chrisUrl, auth);
+        let feedListRes = new FeedList(chrisUrl, auth, options);
         try {
           feedListRes = yield feedListRes.get();
           // get the files for feed with id 1
@@ -26,7 +36,7 @@ describe('Resource', () => {
             const data = Collection.getItemDescriptors(item);
             return data.id === 1;
           })[0].href;
-          let feed = new Feed(feedItemURl, auth);
+          let feed = new Feed(feedItemURl, auth, options);
           feed = yield feed.get();
           feedFileListRes = yield feed.getFiles();
         } catch (ex) {
@@ -43,7 +53,7 @@ describe('Resource', () => {
 
     beforeEach(() => {
       let url = feedFileListRes.collection.items[0].href;
-      feedFile = new FeedFile(url, auth);
+      feedFile = new FeedFile(url, auth, options);
       return feedFile.get();
     });
 
@@ -0,0 +1,461 @@
+/** * Imports ***/
+import { AxiosResponse } from 'axios';
+
+/**
+ * HTTP cache object for GET responses. A cached response is served without contacting
+ * the server while it is younger than the cache's time to live, afterwards it is
+ * revalidated with a conditional request (``If-None-Match``/``If-Modified-Since``) and
+ * served again if the server answers with a 304 status code.
+ *
+ * Entries are kept in a storage object that can be shared by several caches. A storage
+ * object implements the ``get``, ``set``, ``delete`` and ``keys`` methods, all of them
+ * returning a promise, see ``MemoryCacheStorage``.
+ */
+export default class HttpCache {
+  /**
+   * Constructor
+   *
+   * @param {Object} [options={}] - cache options object
+   * @param {Object} [options.storage] - storage object, by default a new
+   * ``MemoryCacheStorage`` object
+   * @param {number} [options.ttl=0] - time to live in ms of a cached response during
+   * which it is served without revalidation, 0 means that it is always revalidated
+   */
+  constructor(options = {}) {
+    /** @type {Object} */
+    this.storage = options.storage || new MemoryCacheStorage();
+
+    /** @type {number} */
+    this.ttl = options.ttl || 0;
+  }
+
+  /**
+   * Get the cache key of a GET request. The key of an authenticated request starts with
+   * the identity of its credentials (see ``getIdentity``) so that the responses cached
+   * for a user are never served to another user sharing the cache storage.
+   *
+   * @param {string} url - url of the resource
+   * @param {?Object} params - search parameters
+   * @param {string} [identity=''] - identity of the request's credentials
+   *
+   * @return {string} - cache key
+   */
+  static getKey(url, params = null, identity = '') {
+    const prefix = identity ? identity + ' ' : '';
+
+    if (!params) {
+      return prefix + url;
+    }
+    const query = Object.keys(params)
+      .filter((name) => params[name] !== undefined && params[name] !== null)
+      .sort()
+      .map((name) => encodeURIComponent(name) + '=' + encodeURIComponent(params[name]))
+      .join('&');
+    return prefix + (query ? url + '?' + query : url);
+  }
+
+  /**
+   * Get the identity of a request's credentials. It is made of the username (if any)
+   * and a hash of the credentials, so that neither the password nor the token are kept
+   * in the cache storage.
+   *
+   * @param {?Object} auth - authentication object (or auth provider object) with either
+   * the ``username`` and ``password`` or the ``token`` properties
+   *
+   * @return {string} - identity, an empty string for anonymous requests
+   */
+  static getIdentity(auth) {
+    if (!auth || !((auth.username && auth.password) || auth.token)) {
+      return '';
+    }
+    const credentials =
+      auth.username && auth.password
+        ? 'basic ' + auth.username + ':' + auth.password
+        : 'token ' + auth.token;
+    let hash = 0x811c9dc5; // 32-bit FNV-1a
+
+    for (let i = 0; i < credentials.length; i++) {
+      hash = Math.imul(hash ^ credentials.charCodeAt(i), 0x01000193);
+    }
+    return (auth.username || '') + '#' + (hash >>> 0).toString(16);
+  }
+
+  /**
+   * Get a cached entry.
+   *
+   * @param {string} key - cache key
+   *
+   * @return {Promise<?Object>} - JS Promise, resolves to an entry object with the
+   * response ``data``, ``headers``, ``etag``, ``lastModified`` and ``storedAt`` (ms)
+   * properties or null if there is no entry for the key
+   */
+  get(key) {
+    return this.storage.get(key);
+  }
+
+  /**
+   * Store a response. Responses without an ETag or Last-Modified header are only stored
+   * when the cache has a time to live as they can not be revalidated.
+   *
+   * @param {string} key - cache key
+   * @param {AxiosResponse} response - axios response object
+   *
+   * @return {Promise} - JS Promise
+   */
+  set(key, response) {
+    const headers = response.headers || {};
+    const entry = {
+      data: response.data,
+      headers: headers,
+      etag: headers['etag'] || null,
+      lastModified: headers['last-modified'] || null,
+      storedAt: Date.now(),
+    };
+
+    if (!entry.etag && !entry.lastModified && !this.ttl) {
+      return Promise.resolve();
+    }
+    return this.storage.set(key, entry);
+  }
+
+  /**
+   * Mark a cached entry as fresh again after it has been revalidated.
+   *
+   * @param {string} key - cache key
+   * @param {Object} entry - entry object
+   *
+   * @return {Promise} - JS Promise
+   */
+  touch(key, entry) {
+    return this.storage.set(key, Object.assign({}, entry, { storedAt: Date.now() }));
+  }
+
+  /**
+   * Check whether a cached entry can be served without revalidation.
+   *
+   * @param {Object} entry - entry object
+   *
+   * @return {boolean} - whether the entry is younger than the cache's time to live
+   */
+  isFresh(entry) {
+    return this.ttl > 0 && Date.now() - entry.storedAt < this.ttl;
+  }
+
+  /**
+   * Remove all the cached entries of a resource, whatever their search parameters and
+   * credentials.
+   *
+   * @param {string} url - url of the resource
+   *
+   * @return {Promise} - JS Promise
+   */
+  invalidate(url) {
+    return this._invalidate([url]);
+  }
+
+  /**
+   * Remove all the cached entries of an item resource and of the list resource it
+   * belongs to (the item's url without its last path segment), including the list's
+   * ``search/`` queries, whatever their search parameters and credentials. Other lists
+   * that contain the item are not invalidated.
+   *
+   * @param {string} url - url of the item resource
+   *
+   * @return {Promise} - JS Promise
+   */
+  invalidateItem(url) {
+    const match = /^(.*\/)\d+\/$/.exec(url);
+
+    if (!match) {
+      return this._invalidate([url]);
+    }
+    const listUrl = match[1];
+    return this._invalidate([url, listUrl, listUrl + 'search/']);
+  }
+
+  /**
+   * Remove all the cached entries.
+   *
+   * @return {Promise} - JS Promise
+   */
+  clear() {
+    return this.storage.keys().then((keys) => {
+      return Promise.all(keys.map((key) => this.storage.delete(key)));
+    });
+  }
+
+  /**
+   * Internal method to remove all the cached entries of some resources.
+   *
+   * @param {string[]} urls - urls of the resources
+   *
+   * @return {Promise} - JS Promise
+   */
+  _invalidate(urls) {
+    return this.storage.keys().then((keys) => {
+      const stale = keys.filter((key) => {
+        const urlKey = key.slice(key.lastIndexOf(' ') + 1); // urls have no spaces
+        return urls.some((url) => urlKey === url || urlKey.indexOf(url + '?') === 0);
+      });
+      return Promise.all(stale.map((key) => this.storage.delete(key)));
+    });
+  }
+}
+
+/**
+ * In-memory cache storage object. Entries are stored serialized so that the objects
+ * returned by the cache can be freely modified. When the maximum number of entries is
+ * reached the least recently stored entry is evicted.
+ */
+export class MemoryCacheStorage {
+  /**
+   * Constructor
+   *
+   * @param {number} [maxEntries=500] - maximum number of entries
+   */
+  constructor(maxEntries = 500) {
+    /** @type {number} */
+    this.maxEntries = maxEntries;
+
+    /** @type {Map<string, string>} */
+    this._entries = new Map();
+  }
+
+  /**
+   * Get an entry.
+   *
+   * @param {string} key - cache key
+   *
+   * @return {Promise<?Object>} - JS Promise, resolves to the entry object or null
+   */
+  get(key) {
+    const value = this._entries.get(key);
+    return Promise.resolve(value === undefined ? null : JSON.parse(value));
+  }
+
+  /**
+   * Store an entry.
+   *
+   * @param {string} key - cache key
+   * @param {Object} entry - entry object
+   *
+   * @return {Promise} - JS Promise
+   */
+  set(key, entry) {
+    this._entries.delete(key);
+    this._entries.set(key, JSON.stringify(entry));
+
+    if (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Remove an entry.
+   *
+   * @param {string} key - cache key
+   *
+   * @return {Promise} - JS Promise
+   */
+  delete(key) {
+    this._entries.delete(key);
+    return Promise.resolve();
+  }
+
+  /**
+   * Get the keys of all the entries.
+   *
+   * @return {Promise<string[]>} - JS Promise, resolves to an array of cache keys
+   */
+  keys() {
+    return Promise.resolve(Array.from(this._entries.keys()));
+  }
+}
+
+/**
+ * Cache storage object backed by the browser's ``localStorage`` (or any object with the
+ * same interface) so that cached responses survive page reloads. Entries that can not be
+ * stored because the storage quota is exceeded are silently dropped.
+ */
+export class LocalStorageCacheStorage {
+  /**
+   * Constructor
+   *
+   * @param {string} [prefix='chrisapi:'] - prefix of the storage keys of the entries
+   * @param {?Storage} [storage=null] - storage object, by default ``window.localStorage``
+   */
+  constructor(prefix = 'chrisapi:', storage = null) {
+    /** @type {string} */
+    this.prefix = prefix;
+
+    /** @type {Storage} */
+    this.storage = storage || window.localStorage;
+  }
+
+  /**
+   * Get an entry.
+   *
+   * @param {string} key - cache key
+   *
+   * @return {Promise<?Object>} - JS Promise, resolves to the entry object or null
+   */
+  get(key) {
+    const value = this.storage.getItem(this.prefix + key);
+    return Promise.resolve(value === null ? null : JSON.parse(value));
+  }
+
+  /**
+   * Store an entry.
+   *
+   * @param {string} key - cache key
+   * @param {Object} entry - entry object
+   *
+   * @return {Promise} - JS Promise
+   */
+  set(key, entry) {
+    try {
+      this.storage.setItem(this.prefix + key, JSON.stringify(entry));
+    } catch (ex) {
+      // the storage quota is exceeded
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Remove an entry.
+   *
+   * @param {string} key - cache key
+   *
+   * @return {Promise} - JS Promise
+   */
+  delete(key) {
+    this.storage.removeItem(this.prefix + key);
+    return Promise.resolve();
+  }
+
+  /**
+   * Get the keys of all the entries.
+   *
+   * @return {Promise<string[]>} - JS Promise, resolves to an array of cache keys
+   */
+  keys() {
+    const keys = [];
+
+    for (let i = 0; i < this.storage.length; i++) {
+      const storageKey = this.storage.key(i);
+      if (storageKey.indexOf(this.prefix) === 0) {
+        keys.push(storageKey.substring(this.prefix.length));
+      }
+    }
+    return Promise.resolve(keys);
+  }
+}
+
+/**
+ * Cache storage object backed by an IndexedDB object store, suitable for large cached
+ * collections.
+ */
+export class IndexedDBCacheStorage {
+  /**
+   * Constructor
+   *
+   * @param {string} [dbName='chrisapi-cache'] - name of the database
+   * @param {string} [storeName='responses'] - name of the object store
+   */
+  constructor(dbName = 'chrisapi-cache', storeName = 'responses') {
+    /** @type {string} */
+    this.dbName = dbName;
+
+    /** @type {string} */
+    this.storeName = storeName;
+
+    /** @type {?Promise<IDBDatabase>} */
+    this._db = null; // the database is opened on first use
+  }
+
+  /**
+   * Get an entry.
+   *
+   * @param {string} key - cache key
+   *
+   * @return {Promise<?Object>} - JS Promise, resolves to the entry object or null
+   */
+  get(key) {
+    return this._request('readonly', (store) => store.get(key)).then((entry) =>
+      entry === undefined ? null : entry
+    );
+  }
+
+  /**
+   * Store an entry.
+   *
+   * @param {string} key - cache key
+   * @param {Object} entry - entry object
+   *
+   * @return {Promise} - JS Promise
+   */
+  set(key, entry) {
+    return this._request('readwrite', (store) => store.put(entry, key));
+  }
+
+  /**
+   * Remove an entry.
+   *
+   * @param {string} key - cache key
+   *
+   * @return {Promise} - JS Promise
+   */
+  delete(key) {
+    return this._request('readwrite', (store) => store.delete(key));
+  }
+
+  /**
+   * Get the keys of all the entries.
+   *
+   * @return {Promise<string[]>} - JS Promise, resolves to an array of cache keys
+   */
+  keys() {
+    return this._request('readonly', (store) => store.getAllKeys());
+  }
+
+  /**
+   * Internal method to make a request to the object store.
+   *
+   * @param {string} mode - transaction mode, either 'readonly' or 'readwrite'
+   * @param {function(store: IDBObjectStore): IDBRequest} makeRequest - function that
+   * makes the request
+   *
+   * @return {Promise} - JS Promise, resolves to the result of the request
+   */
+  _request(mode, makeRequest) {
+    return this._open().then(
+      (db) =>
+        new Promise((resolve, reject) => {
+          const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+          const request = makeRequest(store);
+
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        })
+    );
+  }
+
+  /**
+   * Internal method to open the database, creating the object store if needed.
+   *
+   * @return {Promise<IDBDatabase>} - JS Promise, resolves to the database object
+   */
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+}
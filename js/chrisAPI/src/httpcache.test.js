@@ -0,0 +1,189 @@
+import { expect } from 'chai';
+import HttpCache, { MemoryCacheStorage } from './httpcache';
+import { LocalStorageCacheStorage, IndexedDBCacheStorage } from './httpcache';
+
+describe('HttpCache', () => {
+  const url = 'http://localhost:8000/api/v1/plugins/';
+  const response = { data: { collection: { items: [] } }, headers: { etag: '"v1"' } };
+
+  // fake Storage object with the same interface as window.localStorage
+  const makeFakeStorage = () => {
+    const items = new Map();
+    return {
+      get length() {
+        return items.size;
+      },
+      key: i => Array.from(items.keys())[i],
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, String(value)),
+      removeItem: key => items.delete(key),
+    };
+  };
+
+  it('can make a cache key that does not depend on the order of the search parameters', () => {
+    const key1 = HttpCache.getKey(url, { limit: 10, name: 'pl-dircopy', offset: null });
+    const key2 = HttpCache.getKey(url, { name: 'pl-dircopy', limit: 10 });
+
+    expect(key1).to.equal(url + '?limit=10&name=pl-dircopy');
+    expect(key2).to.equal(key1);
+    expect(HttpCache.getKey(url)).to.equal(url);
+  });
+
+  it('can make a cache key that depends on the credentials of the request', () => {
+    const cube = HttpCache.getIdentity({ username: 'cube', password: 'cube1234' });
+    const otherPassword = HttpCache.getIdentity({ username: 'cube', password: 'other' });
+    const token = HttpCache.getIdentity({ token: 'd757da9c364fdc92368b90392559e0de78f54f02' });
+
+    expect(HttpCache.getIdentity(null)).to.equal('');
+    expect(cube).to.not.include('cube1234');
+    expect(token).to.not.include('d757da9c');
+    expect(new Set([cube, otherPassword, token]).size).to.equal(3);
+    expect(HttpCache.getKey(url, { limit: 10 }, cube)).to.equal(cube + ' ' + url + '?limit=10');
+  });
+
+  it('can store and retrieve a response', done => {
+    const cache = new HttpCache();
+
+    cache
+      .set(url, response)
+      .then(() => cache.get(url))
+      .then(entry => {
+        expect(entry.data).to.deep.equal(response.data);
+        expect(entry.etag).to.equal('"v1"');
+        expect(entry.lastModified).to.be.a('null');
+        expect(cache.isFresh(entry)).to.be.false;
+      })
+      .then(done, done);
+  });
+
+  it('does not store a response that can not be revalidated unless it has a ttl', done => {
+    const cache = new HttpCache();
+    const ttlCache = new HttpCache({ ttl: 60000 });
+    const unvalidated = { data: {}, headers: {} };
+
+    Promise.all([cache.set(url, unvalidated), ttlCache.set(url, unvalidated)])
+      .then(() => Promise.all([cache.get(url), ttlCache.get(url)]))
+      .then(entries => {
+        expect(entries[0]).to.be.a('null');
+        expect(ttlCache.isFresh(entries[1])).to.be.true;
+      })
+      .then(done, done);
+  });
+
+  it('can invalidate all the entries of a resource', done => {
+    const cache = new HttpCache();
+    const otherUrl = url + '1/';
+
+    Promise.all([
+      cache.set(url, response),
+      cache.set(HttpCache.getKey(url, { limit: 10 }), response),
+      cache.set(HttpCache.getKey(url, null, 'cube#1a2b3c4d'), response),
+      cache.set(otherUrl, response),
+    ])
+      .then(() => cache.invalidate(url))
+      .then(() => cache.storage.keys())
+      .then(keys => {
+        expect(keys).to.deep.equal([otherUrl]);
+      })
+      .then(done, done);
+  });
+
+  it('can invalidate the entries of an item resource and of its list', done => {
+    const cache = new HttpCache();
+    const itemUrl = url + '1/';
+    const otherListUrl = url + '1/files/';
+
+    Promise.all([
+      cache.set(itemUrl, response),
+      cache.set(HttpCache.getKey(url, { limit: 10 }, 'cube#1a2b3c4d'), response),
+      cache.set(HttpCache.getKey(url + 'search/', { name: 'a' }), response),
+      cache.set(otherListUrl, response),
+    ])
+      .then(() => cache.invalidateItem(itemUrl))
+      .then(() => cache.storage.keys())
+      .then(keys => {
+        expect(keys).to.deep.equal([otherListUrl]);
+      })
+      .then(done, done);
+  });
+
+  describe('MemoryCacheStorage', () => {
+    it('returns copies of the stored entries', done => {
+      const storage = new MemoryCacheStorage();
+
+      storage
+        .set('key', { data: { id: 1 } })
+        .then(() => storage.get('key'))
+        .then(entry => {
+          entry.data.id = 2;
+          return storage.get('key');
+        })
+        .then(entry => {
+          expect(entry.data.id).to.equal(1);
+        })
+        .then(done, done);
+    });
+
+    it('evicts the least recently stored entry', done => {
+      const storage = new MemoryCacheStorage(2);
+
+      storage
+        .set('key1', {})
+        .then(() => storage.set('key2', {}))
+        .then(() => storage.set('key1', {}))
+        .then(() => storage.set('key3', {}))
+        .then(() => storage.keys())
+        .then(keys => {
+          expect(keys).to.deep.equal(['key1', 'key3']);
+        })
+        .then(done, done);
+    });
+  });
+
+  describe('LocalStorageCacheStorage', () => {
+    it('stores entries under its key prefix', done => {
+      const fakeStorage = makeFakeStorage();
+      fakeStorage.setItem('other', 'value');
+      const storage = new LocalStorageCacheStorage('test:', fakeStorage);
+
+      storage
+        .set('key', { data: { id: 1 } })
+        .then(() => {
+          expect(fakeStorage.getItem('test:key')).to.equal('{"data":{"id":1}}');
+          return Promise.all([storage.get('key'), storage.keys()]);
+        })
+        .then(results => {
+          expect(results[0]).to.deep.equal({ data: { id: 1 } });
+          expect(results[1]).to.deep.equal(['key']);
+          return storage.delete('key');
+        })
+        .then(() => storage.get('key'))
+        .then(entry => {
+          expect(entry).to.be.a('null');
+        })
+        .then(done, done);
+    });
+  });
+
+  describe('IndexedDBCacheStorage', () => {
+    const itIndexedDB = typeof indexedDB === 'undefined' ? it.skip : it;
+
+    itIndexedDB('can store, retrieve and remove entries', done => {
+      const storage = new IndexedDBCacheStorage('chrisapi-cache-test');
+
+      storage
+        .set('key', { data: { id: 1 } })
+        .then(() => Promise.all([storage.get('key'), storage.keys()]))
+        .then(results => {
+          expect(results[0]).to.deep.equal({ data: { id: 1 } });
+          expect(results[1]).to.include('key');
+          return storage.delete('key');
+        })
+        .then(() => storage.get('key'))
+        .then(entry => {
+          expect(entry).to.be.a('null');
+        })
+        .then(done, done);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Identity map object. It keeps one shared item resource object per url so that every
+ * fetch of the same item resource (eg. ``Client.getPluginInstance``,
+ * ``FeedFile.getPluginInstance`` or the items of ``Feed.getPluginInstances``) returns or
+ * updates the same object, and code that holds it always sees the last fetched data.
+ *
+ * An identity map passed to a client in its options is shared by all the resource
+ * objects it creates. Where ``WeakRef`` is supported the shared objects are weakly
+ * referenced so that the ones not used anymore can be garbage collected, otherwise they
+ * are kept until they are evicted or deleted through the REST API.
+ */
+export default class IdentityMap {
+  /**
+   * Constructor
+   */
+  constructor() {
+    /** @type {Map<string, Object>} */
+    this._entries = new Map(); // url -> WeakRef or item resource object
+
+    /** @type {boolean} */
+    this._weak = typeof WeakRef !== 'undefined';
+
+    /** @type {?Object} */
+    this._finalizer = null;
+
+    if (this._weak && typeof FinalizationRegistry !== 'undefined') {
+      this._finalizer = new FinalizationRegistry((entry) => {
+        if (this._entries.get(entry.url) === entry.ref) {
+          this._entries.delete(entry.url); // not replaced since the object was collected
+        }
+      });
+    }
+  }
+
+  /**
+   * Number of urls in the map (including the weakly referenced objects that have been
+   * garbage collected but not cleaned up yet).
+   *
+   * @type {number}
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Get the shared item resource object of a url.
+   *
+   * @param {string} url - item resource url
+   *
+   * @return {?Object} - item resource object or null if there is none
+   */
+  get(url) {
+    const value = this._entries.get(url);
+
+    if (value === undefined) {
+      return null;
+    }
+    const item = this._weak ? value.deref() : value;
+
+    if (!item) {
+      this._entries.delete(url);
+      return null;
+    }
+    return item;
+  }
+
+  /**
+   * Get the shared item resource object of an item resource object's url. If there is
+   * none the passed object becomes the shared one, otherwise the shared object is
+   * updated with a copy of the data of the passed object (its unsaved edits are kept,
+   * and its template too if the passed object has none). A shared object that is not an instance
+   * of the passed object's class (eg. a generic ``ItemResource``) is replaced.
+   *
+   * @param {Object} item - item resource object
+   *
+   * @return {Object} - shared item resource object
+   */
+  share(item) {
+    const shared = this.get(item.url);
+
+    if (shared === item) {
+      return item;
+    }
+    if (!shared || !(shared instanceof item.constructor)) {
+      this._set(item);
+      return item;
+    }
+    if (!item.collection) {
+      return shared; // nothing fetched to update the shared object with
+    }
+    const template = shared.collection && shared.collection.template;
+    const collection = JSON.parse(JSON.stringify(item.collection)); // not aliased
+
+    if (template && !collection.template) {
+      collection.template = template;
+    }
+    shared.collection = collection;
+    return shared;
+  }
+
+  /**
+   * Remove the shared item resource object of a url. The next fetch of the url makes a
+   * new shared object.
+   *
+   * @param {string} url - item resource url
+   *
+   * @return {boolean} - whether there was an entry for the url
+   */
+  evict(url) {
+    return this._entries.delete(url);
+  }
+
+  /**
+   * Remove all the shared item resource objects.
+   */
+  clear() {
+    this._entries.clear();
+  }
+
+  /**
+   * Internal method to make an item resource object the shared object of its url.
+   *
+   * @param {Object} item - item resource object
+   */
+  _set(item) {
+    if (!this._weak) {
+      this._entries.set(item.url, item);
+      return;
+    }
+    const ref = new WeakRef(item);
+
+    this._entries.set(item.url, ref);
+    if (this._finalizer) {
+      this._finalizer.register(item, { url: item.url, ref: ref });
+    }
+  }
+}
@@ -0,0 +1,100 @@
+import { expect } from 'chai';
+import Client from './client';
+import FakeCUBE from './fakecube';
+import IdentityMap from './identitymap';
+import { ItemResource } from './resource';
+import { PluginInstance } from './plugininstance';
+
+describe('IdentityMap', () => {
+  const chrisUrl = 'http://localhost:8000/api/v1/';
+  const auth = { username: 'cube', password: 'cube1234' };
+
+  it('keeps one shared item resource object per url', () => {
+    const identityMap = new IdentityMap();
+    const url = chrisUrl + 'plugins/instances/1/';
+    const genericItem = new ItemResource(url, auth);
+    const item = new PluginInstance(url, auth);
+    const newItem = new PluginInstance(url, auth);
+
+    item.collection = { items: [{ data: [{ name: 'id', value: 1 }] }], template: { data: [] } };
+    newItem.collection = { items: [{ data: [{ name: 'id', value: 2 }] }] };
+
+    expect(identityMap.share(genericItem)).to.equal(genericItem);
+    expect(identityMap.share(item)).to.equal(item); // replaces the object of a base class
+    expect(identityMap.share(newItem)).to.equal(item);
+    expect(item.data).to.deep.equal({ id: 2 });
+    expect(item.collection.template).to.deep.equal({ data: [] }); // kept
+    expect(item.collection.items).to.not.equal(newItem.collection.items); // copied
+    expect(identityMap.share(genericItem)).to.equal(item);
+    expect(item.data).to.deep.equal({ id: 2 }); // not updated with unfetched data
+    expect(identityMap.evict(url)).to.be.true;
+    expect(identityMap.get(url)).to.be.a('null');
+  });
+
+  it('makes every fetch of the same url return the shared object', done => {
+    const cube = new FakeCUBE(chrisUrl);
+    const identityMap = new IdentityMap();
+    const client = new Client(chrisUrl, auth, { transport: cube, identityMap: identityMap });
+    let inst;
+
+    client
+      .createPluginInstance(1, { dir: 'x', title: 'a' })
+      .then(plgInst => {
+        inst = plgInst;
+        return client.getPluginInstance(inst.data.id);
+      })
+      .then(plgInst => {
+        expect(plgInst).to.equal(inst);
+        return inst.getFeed();
+      })
+      .then(feed => feed.getPluginInstances())
+      .then(instList => {
+        expect(instList.getItems()[0]).to.equal(inst);
+        // modified through an object that is not shared
+        const otherInst = new PluginInstance(inst.url, auth, { transport: cube });
+        return otherInst.put({ title: 'b' });
+      })
+      .then(() => client.getPluginInstance(inst.data.id))
+      .then(plgInst => {
+        expect(plgInst).to.equal(inst);
+        expect(inst.data.title).to.equal('b');
+        return inst.delete();
+      })
+      .then(() => {
+        expect(identityMap.get(inst.url)).to.be.a('null');
+      })
+      .then(done, done);
+  });
+
+  it('updates the fetched object and the shared object of its url', done => {
+    const cube = new FakeCUBE(chrisUrl);
+    const identityMap = new IdentityMap();
+    const options = { transport: cube, identityMap: identityMap };
+    const client = new Client(chrisUrl, auth, options);
+    let inst;
+
+    client
+      .createPluginInstance(1, { dir: 'x', title: 'a' })
+      .then(plgInst => {
+        inst = plgInst;
+        const otherInst = new PluginInstance(inst.url, auth, { transport: cube });
+        return otherInst.put({ title: 'b' });
+      })
+      .then(() => {
+        const fetchedInst = new PluginInstance(inst.url, auth, options);
+        return fetchedInst.get().then(plgInst => {
+          expect(plgInst).to.equal(fetchedInst);
+          expect(fetchedInst.data.title).to.equal('b');
+          expect(inst.data.title).to.equal('b');
+          expect(inst.collection).to.not.equal(fetchedInst.collection);
+
+          const titleDescriptor = fetchedInst.collection.items[0].data.find(
+            descriptor => descriptor.name === 'title'
+          );
+          titleDescriptor.value = 'c'; // not seen by the shared object
+          expect(inst.data.title).to.equal('b');
+        });
+      })
+      .then(done, done);
+  });
+});
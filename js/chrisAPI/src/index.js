@@ -1,8 +1,22 @@
 import Client from './client';
 import Request from './request';
 import Collection from './cj';
-import RequestException from './exception';
+import AuthProvider from './authprovider';
+import HttpCache, { MemoryCacheStorage } from './httpcache';
+import { LocalStorageCacheStorage, IndexedDBCacheStorage } from './httpcache';
+import RequestScheduler from './scheduler';
+import IdentityMap from './identitymap';
+import Instrumentation, { MetricsAggregator } from './instrumentation';
+import { makeTransportAdapter } from './transport';
+import RequestException, { AbortError, TimeoutError, NetworkError } from './exception';
+import { ValidationError, AuthenticationError, PermissionDeniedError } from './exception';
+import { NotFoundError } from './exception';
 import { ListResource, ItemResource, Resource } from './resource';
+import ListIterator from './listiterator';
+import Watcher from './watcher';
+import ResourceRegistry, { registry } from './registry';
+import Query, { FeedQuery, FileQuery, PluginQuery, PluginInstanceQuery } from './query';
+import { feeds, files, plugins, pluginInstances } from './query';
 import ChrisInstance from './chrisinstance';
 import { FeedList, Feed } from './feed';
 import { PluginList, PluginMetaPluginList, Plugin } from './plugin';
@@ -41,8 +55,21 @@ import { ServiceFileList, ServiceFile } from './servicefile';
 export default Client;
 export { Request };
 export { Collection };
-export { RequestException };
+export { AuthProvider };
+export { HttpCache, MemoryCacheStorage, LocalStorageCacheStorage, IndexedDBCacheStorage };
+export { RequestScheduler };
+export { IdentityMap };
+export { Instrumentation, MetricsAggregator };
+export { makeTransportAdapter };
+export { RequestException, AbortError, TimeoutError, NetworkError };
+export { ValidationError, AuthenticationError, PermissionDeniedError };
+export { NotFoundError };
 export { ListResource, ItemResource, Resource };
+export { ListIterator };
+export { Watcher };
+export { ResourceRegistry, registry };
+export { Query, FeedQuery, FileQuery, PluginQuery, PluginInstanceQuery };
+export { feeds, files, plugins, pluginInstances };
 export { ChrisInstance };
 export { FeedList, Feed };
 export { PluginList, PluginMetaPluginList, Plugin };
@@ -0,0 +1,262 @@
+/** * Imports ***/
+import { AxiosResponse } from 'axios';
+import ResourceRegistry from './registry';
+
+/**
+ * Instrumentation object. It emits structured events to its subscriber callbacks so
+ * that the requests made by a client and the duration of its methods can be traced or
+ * measured. An instrumentation object passed to a client is shared by all the resource
+ * objects it creates.
+ *
+ * A ``request`` event is emitted when a request settles (after its retries, if any) with
+ * the properties: ``type`` ('request'), ``method`` (request verb in upper case), ``url``
+ * and ``params`` (search parameters or null) of the request as sent (after the
+ * ``beforeRequest`` middleware), ``status`` (status code or null if there was no
+ * response), ``bytes`` (size of the response data or null if unknown), ``startTime``
+ * (ms since the epoch), ``duration`` (ms), ``retries`` (number of retried attempts),
+ * ``resource`` (``resourceName`` of the class of the resource object that made the
+ * request or null),
+ * ``clientMethod`` (name of the client method that made the request or null) and
+ * ``error`` (the request exception or null).
+ *
+ * A ``call`` event is emitted when a client method settles with the properties: ``type``
+ * ('call'), ``clientMethod``, ``startTime``, ``duration`` and ``error``. The requests made
+ * by a client method that calls another one are attributed to the outer method.
+ */
+export default class Instrumentation {
+  /**
+   * Constructor
+   */
+  constructor() {
+    /** @type {Array<function(event: Object)>} */
+    this._subscribers = [];
+  }
+
+  /**
+   * Subscribe a callback to the events.
+   *
+   * @param {function(event: Object)} callback - callback called with every event
+   *
+   * @return {function()} - function that unsubscribes the callback
+   */
+  subscribe(callback) {
+    this._subscribers.push(callback);
+    return () => {
+      this._subscribers = this._subscribers.filter((cb) => cb !== callback);
+    };
+  }
+
+  /**
+   * Emit an event to the subscribers. Errors thrown by a subscriber are ignored so that
+   * they can't make a request fail.
+   *
+   * @param {Object} event - event object
+   */
+  emit(event) {
+    this._subscribers.forEach((callback) => {
+      try {
+        callback(event);
+      } catch (ex) {
+        // ignore subscriber failures
+      }
+    });
+  }
+
+  /**
+   * Get the size in bytes of the data of a response, from its ``content-length`` header
+   * or else from the data itself (parsed JSON data is measured by its serialized length).
+   *
+   * @param {?AxiosResponse} response - axios response object
+   *
+   * @return {?number} - size of the response data or null if unknown (eg. a stream)
+   */
+  static getResponseSize(response) {
+    if (!response) {
+      return null;
+    }
+    const headers = response.headers || {};
+    const length = parseInt(headers['content-length'], 10);
+    const data = response.data;
+
+    if (!isNaN(length)) {
+      return length;
+    }
+    if (data === undefined || data === null || data === '') {
+      return 0;
+    }
+    if (typeof data === 'string') {
+      return data.length;
+    }
+    if (typeof data.byteLength === 'number') {
+      return data.byteLength; // ArrayBuffer and Buffer
+    }
+    if (typeof data.size === 'number') {
+      return data.size; // Blob
+    }
+    if (typeof data.pipe === 'function' || typeof data.getReader === 'function') {
+      return null; // stream
+    }
+    try {
+      return JSON.stringify(data).length;
+    } catch (ex) {
+      return null;
+    }
+  }
+}
+
+/**
+ * In-memory metrics aggregator. It collects the ``request`` and ``call`` events of an
+ * instrumentation object and reports latency statistics per endpoint and per client
+ * method. Endpoints are identified by the request verb and the url path whose numeric
+ * segments are replaced by ``:id`` (eg. 'GET /api/v1/plugins/:id/parameters/').
+ */
+export class MetricsAggregator {
+  /**
+   * Constructor
+   *
+   * @param {?Instrumentation} [instrumentation=null] - instrumentation object whose events
+   * are collected, events can also be passed to ``record``
+   * @param {Object} [options={}] - aggregator options object
+   * @param {number} [options.maxSamples=1000] - maximum number of most recent durations
+   * kept per endpoint and per client method to compute the percentiles
+   */
+  constructor(instrumentation = null, options = {}) {
+    /** @type {number} */
+    this.maxSamples = options.maxSamples || 1000;
+
+    /** @type {Object} */
+    this._endpoints = {};
+
+    /** @type {Object} */
+    this._methods = {};
+
+    /** @type {?function()} */
+    this._unsubscribe = instrumentation
+      ? instrumentation.subscribe((event) => this.record(event))
+      : null;
+  }
+
+  /**
+   * Record an event.
+   *
+   * @param {Object} event - ``request`` or ``call`` event object
+   */
+  record(event) {
+    if (event.type === 'request') {
+      const key = event.method + ' ' + MetricsAggregator.getEndpoint(event.url);
+      this._add(this._endpoints, key, event);
+    } else if (event.type === 'call') {
+      this._add(this._methods, event.clientMethod, event);
+    }
+  }
+
+  /**
+   * Get a report of the recorded events. Its ``endpoints`` and ``methods`` properties are
+   * objects whose properties are the endpoints and the client method names and whose
+   * values are statistics objects with the ``count``, ``errors``, ``p50``, ``p95`` and
+   * ``max`` (latency in ms) properties. Endpoint statistics also have the ``retries`` and
+   * ``bytes`` (total number of retries and of bytes received) properties.
+   *
+   * @return {Object} - report object
+   */
+  getReport() {
+    const summarize = (groups) => {
+      const report = {};
+      for (let key in groups) {
+        if (groups.hasOwnProperty(key)) {
+          const group = groups[key];
+          const durations = group.durations.slice().sort((a, b) => a - b);
+          const stats = {
+            count: group.count,
+            errors: group.errors,
+            p50: MetricsAggregator.getPercentile(durations, 50),
+            p95: MetricsAggregator.getPercentile(durations, 95),
+            max: durations[durations.length - 1],
+          };
+          if (group.retries !== undefined) {
+            stats.retries = group.retries;
+            stats.bytes = group.bytes;
+          }
+          report[key] = stats;
+        }
+      }
+      return report;
+    };
+    return { endpoints: summarize(this._endpoints), methods: summarize(this._methods) };
+  }
+
+  /**
+   * Forget all the recorded events.
+   */
+  reset() {
+    this._endpoints = {};
+    this._methods = {};
+  }
+
+  /**
+   * Stop collecting the events of the instrumentation object.
+   */
+  detach() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  /**
+   * Internal method to add an event to a group of statistics.
+   *
+   * @param {Object} groups - groups of statistics by key
+   * @param {string} key - key of the group
+   * @param {Object} event - event object
+   */
+  _add(groups, key, event) {
+    if (!groups.hasOwnProperty(key)) {
+      groups[key] = { count: 0, errors: 0, durations: [] };
+      if (event.type === 'request') {
+        groups[key].retries = 0;
+        groups[key].bytes = 0;
+      }
+    }
+    const group = groups[key];
+    group.count++;
+    if (event.error) {
+      group.errors++;
+    }
+    group.durations.push(event.duration);
+    if (group.durations.length > this.maxSamples) {
+      group.durations.shift();
+    }
+    if (event.type === 'request') {
+      group.retries += event.retries;
+      group.bytes += event.bytes || 0;
+    }
+  }
+
+  /**
+   * Get the endpoint of a url: its path whose numeric segments are replaced by ``:id``.
+   *
+   * @param {string} url - url
+   *
+   * @return {string} - endpoint
+   */
+  static getEndpoint(url) {
+    return ResourceRegistry.getPath(url).replace(/\/\d+(?=\/|$)/g, '/:id');
+  }
+
+  /**
+   * Get a percentile of a sorted array of values (nearest-rank method).
+   *
+   * @param {number[]} sorted - values sorted in ascending order
+   * @param {number} percentile - percentile between 0 and 100
+   *
+   * @return {?number} - percentile value or null if there are no values
+   */
+  static getPercentile(sorted, percentile) {
+    if (!sorted.length) {
+      return null;
+    }
+    const rank = Math.ceil((percentile / 100) * sorted.length);
+    return sorted[Math.max(rank, 1) - 1];
+  }
+}
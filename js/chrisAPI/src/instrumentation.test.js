@@ -0,0 +1,79 @@
+import { expect } from 'chai';
+import Instrumentation, { MetricsAggregator } from './instrumentation';
+
+describe('Instrumentation', () => {
+  it('emits events to its subscribers until they unsubscribe', () => {
+    const instrumentation = new Instrumentation();
+    const events = [];
+    const unsubscribe = instrumentation.subscribe(event => events.push(event));
+
+    instrumentation.subscribe(() => {
+      throw new Error('failing subscriber');
+    });
+    instrumentation.emit({ type: 'call' });
+    unsubscribe();
+    instrumentation.emit({ type: 'call' });
+
+    expect(events).to.have.lengthOf(1);
+  });
+
+  it('measures the size of the response data', () => {
+    const getSize = Instrumentation.getResponseSize;
+
+    expect(getSize({ headers: { 'content-length': '42' }, data: '' })).to.equal(42);
+    expect(getSize({ headers: {}, data: { a: 1 } })).to.equal(7);
+    expect(getSize({ headers: {}, data: 'abc' })).to.equal(3);
+    expect(getSize(null)).to.be.a('null');
+  });
+});
+
+describe('MetricsAggregator', () => {
+  const requestEvent = (url, duration, error = null) => ({
+    type: 'request',
+    method: 'GET',
+    url: url,
+    duration: duration,
+    retries: 1,
+    bytes: 10,
+    error: error,
+  });
+
+  it('reports the latency percentiles per endpoint', () => {
+    const aggregator = new MetricsAggregator();
+
+    for (let i = 1; i <= 20; i++) {
+      aggregator.record(requestEvent('http://localhost:8000/api/v1/' + i + '/files/?limit=10', i));
+    }
+    aggregator.record(requestEvent('http://localhost:8000/api/v1/', 5, new Error('failed')));
+    const report = aggregator.getReport();
+
+    expect(report.endpoints['GET /api/v1/:id/files/']).to.deep.equal({
+      count: 20,
+      errors: 0,
+      p50: 10,
+      p95: 19,
+      max: 20,
+      retries: 20,
+      bytes: 200,
+    });
+    expect(report.endpoints['GET /api/v1/'].errors).to.equal(1);
+  });
+
+  it('collects the call events of an instrumentation object per client method', () => {
+    const instrumentation = new Instrumentation();
+    const aggregator = new MetricsAggregator(instrumentation, { maxSamples: 2 });
+
+    [30, 10, 20].forEach(duration =>
+      instrumentation.emit({ type: 'call', clientMethod: 'getFeeds', duration, error: null })
+    );
+    aggregator.detach();
+    instrumentation.emit({ type: 'call', clientMethod: 'getFeeds', duration: 1, error: null });
+    const stats = aggregator.getReport().methods.getFeeds;
+
+    expect(stats.count).to.equal(3);
+    expect(stats.p50).to.equal(10); // only the 2 most recent durations are kept
+    expect(stats.p95).to.equal(20);
+    aggregator.reset();
+    expect(aggregator.getReport().methods).to.deep.equal({});
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Async iterator over the items of every page of a paginated list resource. Pages are
+ * fetched lazily, the next page is only requested (by following the ``next`` link of the
+ * current page) when the items of the current page have all been yielded. Items are
+ * yielded as item resource objects of the list's ``itemClass``. The iterator is its own
+ * async iterable so it can be used in a ``for await`` loop, breaking out of the loop
+ * stops the iteration without fetching any more pages.
+ */
+export default class ListIterator {
+  /**
+   * Constructor
+   *
+   * @param {function(timeout: number|Object): Promise<ListResource>} getFirstPage -
+   * function that fetches the first page to iterate over
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options
+   * object used to fetch the pages
+   */
+  constructor(getFirstPage, options = {}) {
+    /** @type {number} */
+    this.maxItems = options.maxItems === undefined ? Infinity : options.maxItems;
+
+    /** @type {number|Object} */
+    this.timeout = options.timeout === undefined ? 30000 : options.timeout;
+
+    /** @type {function(timeout: number|Object): Promise<ListResource>} */
+    this._getFirstPage = getFirstPage;
+
+    /** @type {?ListResource} */
+    this._page = null; // last fetched page
+
+    /** @type {Object[]} */
+    this._items = []; // items of the last fetched page that have not been yielded yet
+
+    /** @type {number} */
+    this._count = 0;
+
+    /** @type {boolean} */
+    this._done = false;
+
+    /** @type {Promise} */
+    this._pending = Promise.resolve(); // chain of next calls
+  }
+
+  /**
+   * Number of items yielded so far.
+   *
+   * @type {number}
+   */
+  get count() {
+    return this._count;
+  }
+
+  /**
+   * Return this iterator so that it can be used in a ``for await`` loop.
+   *
+   * @return {ListIterator} - ``this`` object
+   */
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Get the next item. Calls made before the previous one has settled are queued so that
+   * the items are yielded in order.
+   *
+   * @return {Promise<Object>} - JS Promise, resolves to an iterator result object with the
+   * ``value`` and ``done`` properties, rejects if a page could not be fetched
+   */
+  next() {
+    const result = this._pending.then(() => this._next());
+    this._pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Stop the iteration, this method is called when a ``for await`` loop is exited early.
+   *
+   * @return {Promise<Object>} - JS Promise, resolves to a done iterator result object
+   */
+  return() {
+    this._done = true;
+    this._items = [];
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  /**
+   * Internal method to get the next item, fetching the next page if needed.
+   *
+   * @return {Promise<Object>|Object} - iterator result object or JS Promise that
+   * resolves to an iterator result object
+   */
+  _next() {
+    if (this._done || this._count >= this.maxItems) {
+      return this.return();
+    }
+    if (this._items.length) {
+      this._count++;
+      return { value: this._items.shift(), done: false };
+    }
+    if (this._page && !this._page.hasNextPage) {
+      return this.return();
+    }
+    const fetchPage = this._page
+      ? this._page._getLinkedPage('next', this.timeout)
+      : this._getFirstPage(this.timeout);
+
+    return fetchPage.then((page) => {
+      this._page = page;
+      this._items = this._done ? [] : page.getItems();
+      return this._next();
+    });
+  }
+}
@@ -0,0 +1,111 @@
+import { expect } from 'chai';
+import Client from './client';
+import FakeCUBE from './fakecube';
+import { FeedList, Feed } from './feed';
+
+describe('ListIterator', () => {
+  const chrisUrl = 'http://localhost:8000/api/v1/';
+  const auth = { username: 'cube', password: 'cube1234' };
+  let cube;
+  let client;
+  let requests;
+
+  // collect the values yielded by an async iterator the way a for await loop does
+  const collect = (iterable, max = Infinity) => {
+    const iterator = iterable[Symbol.asyncIterator]();
+    const values = [];
+    const step = () =>
+      iterator.next().then(result => {
+        if (result.done) {
+          return values;
+        }
+        values.push(result.value);
+        if (values.length >= max) {
+          return iterator.return().then(() => values); // early break
+        }
+        return step();
+      });
+    return step();
+  };
+
+  beforeEach(() => {
+    cube = new FakeCUBE(chrisUrl, { pageSize: 2 });
+    requests = [];
+    const transport = {
+      request: config => {
+        requests.push(config.url);
+        return cube.request(config);
+      },
+    };
+    client = new Client(chrisUrl, auth, { transport });
+    const titles = ['a', 'b', 'c', 'd', 'e'];
+
+    // create the feeds in order
+    return titles
+      .reduce(
+        (promise, title) => promise.then(() => client.createPluginInstance(1, { dir: 'x', title })),
+        Promise.resolve()
+      )
+      .then(() => {
+        requests = [];
+      });
+  });
+
+  it('iterates over the items of every page of a list resource', done => {
+    const feedList = new FeedList(chrisUrl, auth, client.options);
+
+    collect(feedList)
+      .then(feeds => {
+        expect(feeds.map(feed => feed.data.name)).to.deep.equal(['a', 'b', 'c', 'd', 'e']);
+        expect(feeds[0]).to.be.an.instanceof(Feed);
+        expect(requests).to.have.lengthOf(3);
+        expect(feedList.isEmpty).to.be.true; // the list resource object is left unchanged
+      })
+      .then(done, done);
+  });
+
+  it('starts from the current page of a fetched list resource', done => {
+    const feedList = new FeedList(chrisUrl, auth, client.options);
+
+    feedList
+      .get({ limit: 2, offset: 2 })
+      .then(() => collect(feedList))
+      .then(feeds => {
+        expect(feeds.map(feed => feed.data.name)).to.deep.equal(['c', 'd', 'e']);
+      })
+      .then(done, done);
+  });
+
+  it('fetches the pages lazily and stops on early break', done => {
+    collect(client.iterateFeeds(), 3)
+      .then(feeds => {
+        expect(feeds).to.have.lengthOf(3);
+        expect(requests).to.have.lengthOf(2); // the third page is never fetched
+      })
+      .then(done, done);
+  });
+
+  it('stops after the maximum number of items', done => {
+    const iterator = client.iterateFeeds({ name: 'a' }, { maxItems: 1, timeout: 10000 });
+
+    client
+      .createPluginInstance(1, { dir: 'x', title: 'aa' })
+      .then(() => collect(iterator))
+      .then(feeds => {
+        expect(feeds).to.have.lengthOf(1);
+        expect(iterator.count).to.equal(1);
+      })
+      .then(done, done);
+  });
+
+  it('yields the items in order when next is called concurrently', done => {
+    const iterator = client.iteratePlugins();
+
+    Promise.all([iterator.next(), iterator.next(), iterator.next(), iterator.next()])
+      .then(results => {
+        expect(results.map(result => result.done)).to.deep.equal([false, false, false, true]);
+        expect(results[2].value.data.name).to.equal('pl-topologicalcopy');
+      })
+      .then(done, done);
+  });
+});
@@ -1,19 +1,26 @@
 /** * Imports ***/
 import { ItemResource } from './resource';
+import { registry } from './registry';
 
 /**
  * Note item resource object representing a feed's note.
  */
 export default class Note extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'Note';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
@@ -22,7 +29,7 @@ export default class Note extends ItemResource {
    * @param {Object} data - request JSON data object
    * @param {string} [data.title] - title of the comment
    * @param {string} [data.content] - content of the comment
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -30,3 +37,5 @@ export default class Note extends ItemResource {
     return this._put(data, null, timeout);
   }
 }
+
+registry.register('note:id/', Note);
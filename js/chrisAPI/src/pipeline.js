@@ -1,5 +1,6 @@
 /** * Imports ***/
 import { ItemResource, ListResource } from './resource';
+import { registry } from './registry';
 import { PluginList, Plugin } from './plugin';
 import { PluginParameter } from './pluginparameter';
 import { PipelineInstanceList } from './pipelineinstance';
@@ -8,15 +9,21 @@ import { PipelineInstanceList } from './pipelineinstance';
  * Pipeline item resource object representing a pipeline.
  */
 export class Pipeline extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'Pipeline';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
@@ -25,7 +32,7 @@ export class Pipeline extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PipelinePluginList>} - JS Promise, resolves to a ``PipelinePluginList`` object
    */
@@ -42,7 +49,7 @@ export class Pipeline extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PipelinePluginPipingList>} - JS Promise, resolves to a ``PipelinePluginPipingList`` object
    */
@@ -60,7 +67,7 @@ export class Pipeline extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PipelinePipingDefaultParameterList>} - JS Promise, resolves to a ``PipelinePipingDefaultParameterList`` object
    */
@@ -78,7 +85,7 @@ export class Pipeline extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PipelineInstanceList>} - JS Promise, resolves to a ``PipelineInstanceList`` object
    */
@@ -98,7 +105,7 @@ export class Pipeline extends ItemResource {
    * @param {string} [data.category] - pipeline category
    * @param {string} [data.description] - pipeline description
    * @param {boolean} [data.locked] - pipeline lock status
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -109,7 +116,7 @@ export class Pipeline extends ItemResource {
   /**
    * Make a DELETE request to delete this pipeline resource through the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise} - JS Promise
    */
@@ -122,15 +129,21 @@ export class Pipeline extends ItemResource {
  * Pipeline list resource object representing a list of pipelines.
  */
 export class PipelineList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PipelineList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Pipeline;
@@ -144,7 +157,7 @@ export class PipelineList extends ListResource {
    * used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginList>} - JS Promise, resolves to a ``PluginList`` object
    */
@@ -167,7 +180,7 @@ export class PipelineList extends ListResource {
    * @param {boolean} [data.locked=true] - pipeline status
    * @param {string} [data.plugin_tree] - JSON string containing a plugin tree list
    * @param {number} [data.plugin_inst_id] - plugin instance id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -181,22 +194,28 @@ export class PipelineList extends ListResource {
  * a pipeline.
  */
 export class PluginPiping extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginPiping';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the parent plugin piping within the corresponding pipeline from the
    * REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginPiping|null>} - JS Promise, resolves to a ``PluginPiping`` object or ``null``
    */
@@ -214,7 +233,7 @@ export class PluginPiping extends ItemResource {
   /**
    * Fetch the corresponding plugin for this plugin piping from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Plugin>} - JS Promise, resolves to a ``Plugin`` object
    */
@@ -228,7 +247,7 @@ export class PluginPiping extends ItemResource {
   /**
    * Fetch the corresponding pipeline for this plugin piping from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Pipeline>} - JS Promise, resolves to a ``Pipeline`` object
    */
@@ -245,22 +264,28 @@ export class PluginPiping extends ItemResource {
  * default value for a plugin parameter associated with this plugin piping.
  */
 export class PipingDefaultParameter extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PipingDefaultParameter';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the corresponding plugin piping for this plugin piping default
    * parameter from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginPiping>} - JS Promise, resolves to a ``PluginPiping`` object
    */
@@ -275,7 +300,7 @@ export class PipingDefaultParameter extends ItemResource {
    * Fetch the corresponding plugin parameter for this plugin piping default
    * parameter from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginParameter>} - JS Promise, resolves to a ``PluginParameter`` object
    */
@@ -292,15 +317,21 @@ export class PipingDefaultParameter extends ItemResource {
  * composing the pipeline.
  */
 export class PipelinePluginList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PipelinePluginList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Plugin;
@@ -312,15 +343,21 @@ export class PipelinePluginList extends ListResource {
  * plugin pipings composing the pipeline.
  */
 export class PipelinePluginPipingList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PipelinePluginPipingList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginPiping;
@@ -332,17 +369,32 @@ export class PipelinePluginPipingList extends ListResource {
  * default parameter values for the plugin pipings composing the pipeline.
  */
 export class PipelinePipingDefaultParameterList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PipelinePipingDefaultParameterList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginPiping;
   }
 }
+
+registry
+  .register('pipelines/', PipelineList)
+  .register('pipelines/:id/plugins/', PipelinePluginList)
+  .register('pipelines/:id/pipings/', PipelinePluginPipingList)
+  .register('pipelines/:id/parameters/', PipelinePipingDefaultParameterList)
+  .register('pipelines/:id/', Pipeline)
+  .register('pipelines/pipings/:id/', PluginPiping)
+  .register('pipelines/parameters/:id/', PipingDefaultParameter);
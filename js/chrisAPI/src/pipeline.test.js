@@ -3,6 +3,8 @@ import Request from './request';
 import { PipelinePluginList, Pipeline } from './pipeline';
 import { FeedList } from './feed';
 import { PluginList } from './plugin';
+import Client from './client';
+import FakeCUBE from './fakecube';
 
 // http://sinonjs.org/releases/v5.1.0/fake-xhr-and-server/
 
@@ -12,12 +14,22 @@ describe('Resource', () => {
   const chrisUrl = 'http://localhost:8000/api/v1/';
   const auth = { username: username, password: password };
   //const auth = {token: "d757da9c364fdc92368b90392559e0de78f54f02"};
+  const options = { transport: new FakeCUBE(chrisUrl) };
   let pipelineListRes;
 
+  before(() => {
+    const pluginTree = [{ plugin_name: 'pl-simpledsapp', plugin_version: '2.0.2' }];
+
+    return new Client(chrisUrl, auth, options).createPipeline({
+      name: 'Test pipeline',
+      plugin_tree: JSON.stringify(pluginTree),
+    });
+  });
+
   before(() => {
     return new Promise(function(resolve, reject) {
       Request.runAsyncTask(function*() {
-        let feedListRes = new FeedList(chrisUrl, auth);
+        let feedListRes = new FeedList(chrisUrl, auth, options);
         try {
           feedListRes = yield feedListRes.get();
           pipelineListRes = yield feedListRes.getPipelines();
@@ -35,7 +47,7 @@ describe('Resource', () => {
 
     beforeEach(() => {
       const url = pipelineListRes.collection.items[0].href;
-      pipeline = new Pipeline(url, auth);
+      pipeline = new Pipeline(url, auth, options);
       return pipeline.get();
     });
 
@@ -1,5 +1,6 @@
 /** * Imports ***/
 import { ItemResource, ListResource } from './resource';
+import { registry } from './registry';
 import { PipelineList, Pipeline } from './pipeline';
 import { PipelineInstancePluginInstanceList } from './plugininstance';
 
@@ -7,21 +8,27 @@ import { PipelineInstancePluginInstanceList } from './plugininstance';
  * Pipeline instance item resource object representing a pipeline instance.
  */
 export class PipelineInstance extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PipelineInstance';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the pipeline associated to this pipeline instance from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Pipeline>} - JS Promise, resolves to a ``Pipeline`` object
    */
@@ -39,7 +46,7 @@ export class PipelineInstance extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PipelineInstancePluginInstanceList>} - JS Promise, resolves to a ``PipelineInstancePluginInstanceList`` object
    */
@@ -56,7 +63,7 @@ export class PipelineInstance extends ItemResource {
    * @param {Object} data - request JSON data object
    * @param {string} [data.title] - title of the pipeline instance
    * @param {string} [data.description] - pipeline instance description
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -67,7 +74,7 @@ export class PipelineInstance extends ItemResource {
   /**
    * Make a DELETE request to delete this pipeline instance resource through the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise} - JS Promise
    */
@@ -81,15 +88,21 @@ export class PipelineInstance extends ItemResource {
  * instances.
  */
 export class PipelineInstanceList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PipelineInstanceList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PipelineInstance;
@@ -102,7 +115,7 @@ export class PipelineInstanceList extends ListResource {
    * @param {Object} data - request JSON data object which is pipeline-specific and it's
    * properties can be determined by calling the ``getPOSTParameters`` method on this
    * resource object
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -116,15 +129,21 @@ export class PipelineInstanceList extends ListResource {
  * instances.
  */
 export class AllPipelineInstanceList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'AllPipelineInstanceList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PipelineInstance;
@@ -138,7 +157,7 @@ export class AllPipelineInstanceList extends ListResource {
    * used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PipelineList>} - JS Promise, resolves to a ``PipelineList`` object
    */
@@ -149,3 +168,8 @@ export class AllPipelineInstanceList extends ListResource {
     return this._getResource(linkRelation, resourceClass, searchParams, timeout);
   }
 }
+
+registry
+  .register('pipelines/instances/', AllPipelineInstanceList)
+  .register('pipelines/:id/instances/', PipelineInstanceList)
+  .register('pipelines/instances/:id/', PipelineInstance);
@@ -1,5 +1,6 @@
 /** * Imports ***/
 import { ItemResource, ListResource } from './resource';
+import { registry } from './registry';
 import { FeedList } from './feed';
 import { PluginParameterList } from './pluginparameter';
 import { PluginComputeResourceList } from './computeresource';
@@ -10,15 +11,21 @@ import { PluginMeta } from './pluginmeta';
  * Plugin item resource object representing a plugin.
  */
 export class Plugin extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'Plugin';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
@@ -27,7 +34,7 @@ export class Plugin extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginParameterList>} - JS Promise, resolves to a ``PluginParameterList`` object
    */
@@ -45,7 +52,7 @@ export class Plugin extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginComputeResourceList>} - JS Promise, resolves to a ``PluginComputeResourceList`` object
    */
@@ -62,7 +69,7 @@ export class Plugin extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstanceList>} - JS Promise, resolves to a ``PluginInstanceList`` object
    */
@@ -78,15 +85,21 @@ export class Plugin extends ItemResource {
  * Plugin list resource object representing a list of plugins.
  */
 export class PluginList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Plugin;
@@ -100,7 +113,7 @@ export class PluginList extends ListResource {
    * can be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<FeedList>} - JS Promise, resolves to a ``FeedList`` object
    */
@@ -117,15 +130,21 @@ export class PluginList extends ListResource {
  * plugins associated to an specific plugin meta.
  */
 export class PluginMetaPluginList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginMetaPluginList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Plugin;
@@ -135,7 +154,7 @@ export class PluginMetaPluginList extends ListResource {
    * Fetch the plugin meta associated to this plugin meta-specific list of
    * plugins from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginMeta>} - JS Promise, resolves to a ``PluginMeta`` object
    */
@@ -146,3 +165,8 @@ export class PluginMetaPluginList extends ListResource {
     return this._getResource(linkRelation, resourceClass, null, timeout);
   }
 }
+
+registry
+  .register('plugins/', PluginList)
+  .register('plugins/metas/:id/plugins/', PluginMetaPluginList)
+  .register('plugins/:id/', Plugin);
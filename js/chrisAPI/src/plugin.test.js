@@ -5,6 +5,8 @@ import { FeedList } from './feed';
 import { PluginComputeResourceList } from './computeresource';
 import { PluginParameterList } from './pluginparameter';
 import { PluginInstanceList } from './plugininstance';
+import Client from './client';
+import FakeCUBE from './fakecube';
 
 // http://sinonjs.org/releases/v5.1.0/fake-xhr-and-server/
 
@@ -14,12 +16,15 @@ describe('Resource', () => {
   const chrisUrl = 'http://localhost:8000/api/v1/';
   const auth = { username: username, password: password };
   //const auth = {token: "d757da9c364fdc92368b90392559e0de78f54f02"};
+  const options = { transport: new FakeCUBE(chrisUrl) };
   let pluginListRes;
 
+  before(() => new Client(chrisUrl, auth, options).createPluginInstance(1, { dir: './' }));
+
   before(() => {
     return new Promise(function(resolve, reject) {
       Request.runAsyncTask(function*() {
-        let feedListRes = new FeedList(chrisUrl, auth);
+        let feedListRes = new FeedList(chrisUrl, auth, options);
         try {
           feedListRes = yield feedListRes.get();
           pluginListRes = yield feedListRes.getPlugins();
@@ -37,7 +42,7 @@ describe('Resource', () => {
 
     beforeEach(() => {
       const url = pluginListRes.collection.items[0].href;
-      plugin = new Plugin(url, auth);
+      plugin = new Plugin(url, auth, options);
       return plugin.get();
     });
 
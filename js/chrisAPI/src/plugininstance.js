@@ -1,5 +1,6 @@
 /** * Imports ***/
 import { ItemResource, ListResource } from './resource';
+import { registry } from './registry';
 import { ComputeResource } from './computeresource';
 import { PluginList, Plugin } from './plugin';
 import { Feed } from './feed';
@@ -11,22 +12,28 @@ import { PipelineInstance } from './pipelineinstance';
  * Plugin instance item resource object representing a plugin instance.
  */
 export class PluginInstance extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginInstance';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the feed created by this plugin instance from the REST API
    * (only for fs plugins, 'ds' plugins pass null to the resultant Promise).
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Feed|null>} - JS Promise, resolves to a ``Feed`` object or ``null``
    */
@@ -45,7 +52,7 @@ export class PluginInstance extends ItemResource {
   /**
    * Fetch the plugin associated to this plugin instance item from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Plugin>} - JS Promise, resolves to a ``Plugin`` object
    */
@@ -59,7 +66,7 @@ export class PluginInstance extends ItemResource {
   /**
    * Fetch the compute resource associated to this plugin instance item from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<ComputeResource>} - JS Promise, resolves to a ``ComputeResource`` object
    */
@@ -74,7 +81,7 @@ export class PluginInstance extends ItemResource {
    * Fetch the parent plugin instance of this plugin instance from the REST API
    * (only for 'ds' plugins, 'fs' plugins pass null to the resultant Promise).
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstance|null>} - JS Promise, resolves to a ``PluginInstance`` object or ``null``
    */
@@ -94,7 +101,7 @@ export class PluginInstance extends ItemResource {
    * Fetch the pipeline instance (if any) that created this plugin instance from
    * the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PipelineInstance|null>} - JS Promise, resolves to a ``PipelineInstance`` object or ``null``
    */
@@ -118,7 +125,7 @@ export class PluginInstance extends ItemResource {
    * @param {Object} [params=null] - page parameters
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstanceDescendantList>} - JS Promise, resolves to a ``PluginInstanceDescendantList`` object
    */
@@ -136,7 +143,7 @@ export class PluginInstance extends ItemResource {
    * @param {Object} [params=null] - page parameters
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstanceParameterList>} - JS Promise, resolves to a ``PluginInstanceParameterList`` object
    */
@@ -153,7 +160,7 @@ export class PluginInstance extends ItemResource {
    * @param {Object} [params=null] - page parameters
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstanceFileList>} - JS Promise, resolves to a ``PluginInstanceFileList`` object
    */
@@ -171,7 +178,7 @@ export class PluginInstance extends ItemResource {
    * @param {Object} [params=null] - page parameters
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstanceSplitList>} - JS Promise, resolves to a ``PluginInstanceSplitList`` object
    */
@@ -188,7 +195,7 @@ export class PluginInstance extends ItemResource {
    * @param {Object} data - request JSON data object
    * @param {string} [data.title] - title of the plugin instance
    * @param {string} [data.status] - execution status of the plugin instance (eg. `cancelled`)
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -199,7 +206,7 @@ export class PluginInstance extends ItemResource {
   /**
    * Make a DELETE request to delete this plugin instance resource through the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise} - JS Promise
    */
@@ -213,15 +220,21 @@ export class PluginInstance extends ItemResource {
  * instances.
  */
 export class PluginInstanceList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginInstanceList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginInstance;
@@ -230,7 +243,7 @@ export class PluginInstanceList extends ListResource {
   /**
    * Fetch the plugin associated to this plugin instance list from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Plugin>} - JS Promise, resolves to a ``Plugin`` object
    */
@@ -248,7 +261,7 @@ export class PluginInstanceList extends ListResource {
    * @param {Object} data - request JSON data object which is plugin-specific and it's
    * properties can be determined by calling the ``getPOSTParameters`` method on this
    * resource object
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -262,15 +275,21 @@ export class PluginInstanceList extends ListResource {
  * instances.
  */
 export class AllPluginInstanceList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'AllPluginInstanceList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginInstance;
@@ -284,7 +303,7 @@ export class AllPluginInstanceList extends ListResource {
    * used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginList>} - JS Promise, resolves to a ``PluginList`` object
    */
@@ -301,15 +320,21 @@ export class AllPluginInstanceList extends ListResource {
  * instances associated to an specific feed.
  */
 export class FeedPluginInstanceList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'FeedPluginInstanceList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginInstance;
@@ -319,7 +344,7 @@ export class FeedPluginInstanceList extends ListResource {
    * Fetch the feed associated to this feed-specific list of plugin instances from
    * the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Feed>} - JS Promise, resolves to a ``Feed`` object
    */
@@ -336,15 +361,21 @@ export class FeedPluginInstanceList extends ListResource {
  * a list of plugin instances associated to an specific pipeline instance.
  */
 export class PipelineInstancePluginInstanceList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PipelineInstancePluginInstanceList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginInstance;
@@ -356,15 +387,21 @@ export class PipelineInstancePluginInstanceList extends ListResource {
  * instances that have this plugin instance as an ancestor in a pipeline tree.
  */
 export class PluginInstanceDescendantList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginInstanceDescendantList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginInstance;
@@ -376,21 +413,27 @@ export class PluginInstanceDescendantList extends ListResource {
  * split that has been applied to a plugin instance.
  */
 export class PluginInstanceSplit extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginInstanceSplit';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the plugin instance associated to this split item from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstance>} - JS Promise, resolves to a ``PluginInstance`` object
    */
@@ -407,15 +450,21 @@ export class PluginInstanceSplit extends ItemResource {
  * directory splits that have been applied to a plugin instance.
  */
 export class PluginInstanceSplitList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginInstanceSplitList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginInstanceSplit;
@@ -424,7 +473,7 @@ export class PluginInstanceSplitList extends ListResource {
   /**
    * Fetch the plugin instance associated to this split list item from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstance>} - JS Promise, resolves to a ``PluginInstance`` object
    */
@@ -442,7 +491,7 @@ export class PluginInstanceSplitList extends ListResource {
    * @param {Object} data - request JSON data object
    * @param {string} [data.filter] - A comma-separated list of regular expressions
    * @param {string} [data.compute_resource_name] - remote compute resource name
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -456,21 +505,27 @@ export class PluginInstanceSplitList extends ListResource {
  * the plugin instance was run with.
  */
 export class PluginInstanceParameter extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginInstanceParameter';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the plugin instance associated to this parameter item from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginInstance>} - JS Promise, resolves to a ``PluginInstance`` object
    */
@@ -485,7 +540,7 @@ export class PluginInstanceParameter extends ItemResource {
    * Fetch the plugin parameter definition associated to this plugin instance item
    * from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginParameter>} - JS Promise, resolves to a ``PluginParameter`` object
    */
@@ -502,17 +557,34 @@ export class PluginInstanceParameter extends ItemResource {
  * the plugin instance was run with.
  */
 export class PluginInstanceParameterList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginInstanceParameterList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginInstanceParameter;
   }
 }
+
+registry
+  .register('plugins/instances/', AllPluginInstanceList)
+  .register('plugins/:id/instances/', PluginInstanceList)
+  .register('/:id/plugininstances/', FeedPluginInstanceList)
+  .register('pipelines/instances/:id/plugininstances/', PipelineInstancePluginInstanceList)
+  .register('plugins/instances/:id/descendants/', PluginInstanceDescendantList)
+  .register('plugins/instances/:id/splits/', PluginInstanceSplitList)
+  .register('plugins/instances/:id/parameters/', PluginInstanceParameterList)
+  .register('plugins/instances/:id/', PluginInstance)
+  .register('plugins/instances/splits/:id/', PluginInstanceSplit);
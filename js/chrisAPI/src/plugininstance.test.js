@@ -1,12 +1,14 @@
 import { expect } from 'chai';
 import Collection from './cj';
 import Request from './request';
+import Client from './client';
 import { FeedList, Feed } from './feed';
 import { ComputeResource } from './computeresource';
 import { Plugin } from './plugin';
 import { PluginInstanceDescendantList, PluginInstance } from './plugininstance';
 import { PluginInstanceParameterList } from './plugininstance';
 import { PluginInstanceFileList } from './feedfile';
+import FakeCUBE from './fakecube';
 
 // http://sinonjs.org/releases/v5.1.0/fake-xhr-and-server/
 
@@ -16,13 +18,22 @@ describe('Resource', () => {
   const chrisUrl = 'http://localhost:8000/api/v1/';
   const auth = { username: username, password: password };
   //const auth = {token: "d757da9c364fdc92368b90392559e0de78f54f02"};
+  const cube = new FakeCUBE(chrisUrl);
+  const options = { transport: cube };
   let pluginInstanceListRes;
 
   before(() => {
+    const simpleFsApp = cube.addPlugin({ name: 'pl-simplefsapp', version: '2.2.0', type: 'fs' }, [
+      { name: 'dir', default: './' },
+    ]);
+    const client = new Client(chrisUrl, auth, options);
+
     return new Promise(function(resolve, reject) {
       Request.runAsyncTask(function*() {
-        let feedListRes = new FeedList(chrisUrl, auth);
+        let feedListRes = new FeedList(chrisUrl, auth, options);
         try {
+          const plgInst = yield client.createPluginInstance(simpleFsApp.id, { dir: './' });
+          cube.addFile(plgInst.data.id, 'out.txt', 'plugin instance file content');
           feedListRes = yield feedListRes.get();
           const pluginListRes = yield feedListRes.getPlugins({ limit: 20 });
           // get the plugin with name 'pl-simplefsapp'
@@ -30,7 +41,7 @@ describe('Resource', () => {
             const data = Collection.getItemDescriptors(item);
             return data.name === 'pl-simplefsapp';
           })[0].href;
-          let plugin = new Plugin(url, auth);
+          let plugin = new Plugin(url, auth, options);
           plugin = yield plugin.get();
           pluginInstanceListRes = yield plugin.getPluginInstances();
         } catch (ex) {
@@ -51,7 +62,7 @@ describe('Resource', () => {
         const data = Collection.getItemDescriptors(item);
         return data.id === 1;
       })[0].href;
-      pluginInst = new PluginInstance(url, auth);
+      pluginInst = new PluginInstance(url, auth, options);
       return pluginInst.get();
     });
 
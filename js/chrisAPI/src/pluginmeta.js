@@ -1,5 +1,6 @@
 /** * Imports ***/
 import { ItemResource, ListResource } from './resource';
+import { registry } from './registry';
 import { PluginList, PluginMetaPluginList } from './plugin';
 import { FeedList } from './feed';
 
@@ -7,15 +8,21 @@ import { FeedList } from './feed';
  * Plugin meta item resource object representing a plugin meta.
  */
 export class PluginMeta extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginMeta';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
   }
 
   /**
@@ -24,7 +31,7 @@ export class PluginMeta extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginMetaPluginList>} - JS Promise, resolves to a ``PluginMetaPluginList`` object
    */
@@ -40,15 +47,21 @@ export class PluginMeta extends ItemResource {
  * Plugin meta list resource object representing a list of plugin metas.
  */
 export class PluginMetaList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginMetaList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginMeta;
@@ -62,7 +75,7 @@ export class PluginMetaList extends ListResource {
    * can be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<PluginList>} - JS Promise, resolves to a ``PluginList`` object
    */
@@ -81,7 +94,7 @@ export class PluginMetaList extends ListResource {
    * can be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<FeedList>} - JS Promise, resolves to a ``FeedList`` object
    */
@@ -92,3 +105,5 @@ export class PluginMetaList extends ListResource {
     return this._getResource(linkRelation, resourceClass, searchParams, timeout);
   }
 }
+
+registry.register('plugins/metas/', PluginMetaList).register('plugins/metas/:id/', PluginMeta);
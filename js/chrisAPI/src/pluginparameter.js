@@ -1,26 +1,33 @@
 /** * Imports ***/
 import { ItemResource, ListResource } from './resource';
+import { registry } from './registry';
 import { Plugin } from './plugin';
 
 /**
  * Plugin parameter item resource object representing a plugin parameter.
  */
 export class PluginParameter extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginParameter';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the plugin associated to this parameter item from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Plugin>} - JS Promise, resolves to a ``Plugin`` object
    */
@@ -36,15 +43,21 @@ export class PluginParameter extends ItemResource {
  * Plugin parameter list resource object representing a list of plugin parameters.
  */
 export class PluginParameterList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'PluginParameterList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginParameter;
@@ -53,7 +66,7 @@ export class PluginParameterList extends ListResource {
   /**
    * Fetch the plugin associated to this list of parameters from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Plugin>} - JS Promise, resolves to a ``Plugin`` object
    */
@@ -64,3 +77,7 @@ export class PluginParameterList extends ListResource {
     return this._getResource(linkRelation, resourceClass, null, timeout);
   }
 }
+
+registry
+  .register('plugins/:id/parameters/', PluginParameterList)
+  .register('plugins/parameters/:id/', PluginParameter);
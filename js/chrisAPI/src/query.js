@@ -0,0 +1,649 @@
+/** * Imports ***/
+import { ValidationError } from './exception';
+
+/**
+ * Fluent builder of the search parameters of a list resource. Its methods validate
+ * their arguments and return ``this`` object so that they can be chained, the
+ * ``toSearchParams`` method makes the search parameters object. A query object can also
+ * be passed in place of a search parameters object to the ``get`` method of a list
+ * resource object and to the client's ``get*`` and ``iterate*`` methods.
+ */
+export default class Query {
+  /**
+   * Constructor
+   */
+  constructor() {
+    /** @type {Object} */
+    this._params = {};
+  }
+
+  /**
+   * Set the page limit.
+   *
+   * @param {number} limit - positive integer
+   *
+   * @return {this} - ``this`` object
+   */
+  limit(limit) {
+    return this._setInteger('limit', limit, 1);
+  }
+
+  /**
+   * Set the page offset.
+   *
+   * @param {number} offset - non-negative integer
+   *
+   * @return {this} - ``this`` object
+   */
+  offset(offset) {
+    return this._setInteger('offset', offset, 0);
+  }
+
+  /**
+   * Match the id exactly.
+   *
+   * @param {number} id - positive integer
+   *
+   * @return {this} - ``this`` object
+   */
+  id(id) {
+    return this._setInteger('id', id, 1);
+  }
+
+  /**
+   * Make the search parameters object.
+   *
+   * @return {Object} - search parameters object
+   */
+  toSearchParams() {
+    return Object.assign({}, this._params);
+  }
+
+  /**
+   * Internal method to set a string search parameter.
+   *
+   * @param {string} name - search parameter name
+   * @param {string} value - non-empty string
+   *
+   * @return {this} - ``this`` object
+   * @throws {ValidationError} throw error if the value is not a non-empty string
+   */
+  _setString(name, value) {
+    if (typeof value !== 'string' || !value) {
+      throw Query._makeError(name, 'Expected a non-empty string, got ' + String(value) + '.');
+    }
+    this._params[name] = value;
+    return this;
+  }
+
+  /**
+   * Internal method to set a string search parameter that takes one of a set of values.
+   *
+   * @param {string} name - search parameter name
+   * @param {string} value - one of ``choices``
+   * @param {string[]} choices - valid values
+   *
+   * @return {this} - ``this`` object
+   * @throws {ValidationError} throw error if the value is not one of the choices
+   */
+  _setChoice(name, value, choices) {
+    if (choices.indexOf(value) === -1) {
+      const errMsg = 'Expected one of ' + choices.join(', ') + ', got ' + String(value) + '.';
+      throw Query._makeError(name, errMsg);
+    }
+    this._params[name] = value;
+    return this;
+  }
+
+  /**
+   * Internal method to set an integer search parameter.
+   *
+   * @param {string} name - search parameter name
+   * @param {number} value - integer
+   * @param {number} min - minimum value
+   *
+   * @return {this} - ``this`` object
+   * @throws {ValidationError} throw error if the value is not an integer gte ``min``
+   */
+  _setInteger(name, value, min) {
+    if (!Number.isInteger(value) || value < min) {
+      const errMsg = 'Expected an integer greater than or equal to ' + min + ', got ';
+      throw Query._makeError(name, errMsg + String(value) + '.');
+    }
+    this._params[name] = value;
+    return this;
+  }
+
+  /**
+   * Internal method to set the bound of an integer range search parameter.
+   *
+   * @param {string} name - search parameter name (``min_`` or ``max_`` prefixed)
+   * @param {number} value - positive integer
+   *
+   * @return {this} - ``this`` object
+   * @throws {ValidationError} throw error if the value is not a positive integer or the
+   * range is empty
+   */
+  _setIntegerBound(name, value) {
+    const previous = this._params[name];
+
+    this._setInteger(name, value, 1);
+    return this._checkRange(name, previous);
+  }
+
+  /**
+   * Internal method to set the bound of a date range search parameter. Date objects are
+   * converted to ISO 8601 strings.
+   *
+   * @param {string} name - search parameter name (``min_`` or ``max_`` prefixed)
+   * @param {Date|string} date - date object or date string
+   *
+   * @return {this} - ``this`` object
+   * @throws {ValidationError} throw error if the value is not a valid date or the range
+   * is empty
+   */
+  _setDateBound(name, date) {
+    const time = date instanceof Date ? date.getTime() : Date.parse(date);
+
+    if (isNaN(time) || (typeof date !== 'string' && !(date instanceof Date))) {
+      throw Query._makeError(name, 'Expected a valid date, got ' + String(date) + '.');
+    }
+    const previous = this._params[name];
+
+    this._params[name] = date instanceof Date ? date.toISOString() : date;
+    return this._checkRange(name, previous);
+  }
+
+  /**
+   * Internal method to check that the lower bound of a range search parameter is not
+   * greater than its upper bound. The bound that was just set is restored to its previous
+   * value otherwise (or removed if it had none).
+   *
+   * @param {string} name - search parameter name of the bound that was just set
+   * @param {number|string} [previous] - previous value of the bound
+   *
+   * @return {this} - ``this`` object
+   * @throws {ValidationError} throw error if the range is empty
+   */
+  _checkRange(name, previous) {
+    const field = name.replace(/^(min|max)_/, '');
+    const min = this._params['min_' + field];
+    const max = this._params['max_' + field];
+    const toNumber = (value) => (typeof value === 'number' ? value : Date.parse(value));
+
+    if (min !== undefined && max !== undefined && toNumber(min) > toNumber(max)) {
+      if (previous === undefined) {
+        delete this._params[name];
+      } else {
+        this._params[name] = previous;
+      }
+      const errMsg = 'The lower bound ' + min + ' is greater than the upper bound ' + max + '.';
+      throw Query._makeError(name, errMsg);
+    }
+    return this;
+  }
+
+  /**
+   * Internal method to make the error thrown when a search parameter is not valid.
+   *
+   * @param {string} name - search parameter name
+   * @param {string} message - error message
+   *
+   * @return {ValidationError} - error whose ``fieldErrors`` has the search parameter
+   */
+  static _makeError(name, message) {
+    const error = new ValidationError('Invalid search parameter "' + name + '": ' + message);
+    error.fieldErrors[name] = [message];
+    return error;
+  }
+}
+
+/**
+ * Query builder of the search parameters of a feed list (``Client.getFeeds``).
+ */
+export class FeedQuery extends Query {
+  /**
+   * Match the feeds whose id is greater than or equal to a number.
+   *
+   * @param {number} id - positive integer
+   *
+   * @return {this} - ``this`` object
+   */
+  idAtLeast(id) {
+    return this._setIntegerBound('min_id', id);
+  }
+
+  /**
+   * Match the feeds whose id is lesser than or equal to a number.
+   *
+   * @param {number} id - positive integer
+   *
+   * @return {this} - ``this`` object
+   */
+  idAtMost(id) {
+    return this._setIntegerBound('max_id', id);
+  }
+
+  /**
+   * Match the feeds whose name contains a string.
+   *
+   * @param {string} name - part of the name
+   *
+   * @return {this} - ``this`` object
+   */
+  nameContains(name) {
+    return this._setString('name', name);
+  }
+
+  /**
+   * Match the feeds created on or after a date.
+   *
+   * @param {Date|string} date - date object or date string
+   *
+   * @return {this} - ``this`` object
+   */
+  createdAfter(date) {
+    return this._setDateBound('min_creation_date', date);
+  }
+
+  /**
+   * Match the feeds created on or before a date.
+   *
+   * @param {Date|string} date - date object or date string
+   *
+   * @return {this} - ``this`` object
+   */
+  createdBefore(date) {
+    return this._setDateBound('max_creation_date', date);
+  }
+}
+
+/**
+ * Query builder of the search parameters of a list of the files of every user-owned
+ * feed (``Client.getFiles``).
+ */
+export class FileQuery extends Query {
+  /**
+   * Match the files whose path starts with a string.
+   *
+   * @param {string} path - start of the path
+   *
+   * @return {this} - ``this`` object
+   */
+  pathStartsWith(path) {
+    return this._setString('fname', path);
+  }
+
+  /**
+   * Match the files whose path is exactly a string.
+   *
+   * @param {string} path - path
+   *
+   * @return {this} - ``this`` object
+   */
+  path(path) {
+    return this._setString('fname_exact', path);
+  }
+
+  /**
+   * Match the files whose path contains a string (case insensitive).
+   *
+   * @param {string} path - part of the path
+   *
+   * @return {this} - ``this`` object
+   */
+  pathContains(path) {
+    return this._setString('fname_icontains', path);
+  }
+
+  /**
+   * Match the files whose path contains a number of slashes.
+   *
+   * @param {number} slashes - non-negative integer
+   *
+   * @return {this} - ``this`` object
+   */
+  pathSlashes(slashes) {
+    return this._setInteger('fname_nslashes', slashes, 0);
+  }
+
+  /**
+   * Match the files written by a plugin instance.
+   *
+   * @param {number} id - plugin instance id
+   *
+   * @return {this} - ``this`` object
+   */
+  pluginInstanceId(id) {
+    return this._setInteger('plugin_inst_id', id, 1);
+  }
+
+  /**
+   * Match the files of a feed.
+   *
+   * @param {number} id - feed id
+   *
+   * @return {this} - ``this`` object
+   */
+  feedId(id) {
+    return this._setInteger('feed_id', id, 1);
+  }
+
+  /**
+   * Match the files created on or after a date.
+   *
+   * @param {Date|string} date - date object or date string
+   *
+   * @return {this} - ``this`` object
+   */
+  createdAfter(date) {
+    return this._setDateBound('min_creation_date', date);
+  }
+
+  /**
+   * Match the files created on or before a date.
+   *
+   * @param {Date|string} date - date object or date string
+   *
+   * @return {this} - ``this`` object
+   */
+  createdBefore(date) {
+    return this._setDateBound('max_creation_date', date);
+  }
+}
+
+/**
+ * Query builder of the search parameters of a plugin list (``Client.getPlugins``).
+ */
+export class PluginQuery extends Query {
+  /**
+   * Match the plugins whose name contains a string.
+   *
+   * @param {string} name - part of the name
+   *
+   * @return {this} - ``this`` object
+   */
+  nameContains(name) {
+    return this._setString('name', name);
+  }
+
+  /**
+   * Match the plugins whose name is exactly a string.
+   *
+   * @param {string} name - name
+   *
+   * @return {this} - ``this`` object
+   */
+  name(name) {
+    return this._setString('name_exact', name);
+  }
+
+  /**
+   * Match the plugins whose version is exactly a string.
+   *
+   * @param {string} version - version
+   *
+   * @return {this} - ``this`` object
+   */
+  version(version) {
+    return this._setString('version', version);
+  }
+
+  /**
+   * Match the plugins whose docker image is exactly a string.
+   *
+   * @param {string} image - docker image
+   *
+   * @return {this} - ``this`` object
+   */
+  dockImage(image) {
+    return this._setString('dock_image', image);
+  }
+
+  /**
+   * Match the plugins of a type.
+   *
+   * @param {string} type - plugin type, one of 'fs', 'ds' or 'ts'
+   *
+   * @return {this} - ``this`` object
+   */
+  type(type) {
+    return this._setChoice('type', type, ['fs', 'ds', 'ts']);
+  }
+
+  /**
+   * Match the plugins whose category contains a string.
+   *
+   * @param {string} category - part of the category
+   *
+   * @return {this} - ``this`` object
+   */
+  categoryContains(category) {
+    return this._setString('category', category);
+  }
+
+  /**
+   * Match the plugins whose title contains a string.
+   *
+   * @param {string} title - part of the title
+   *
+   * @return {this} - ``this`` object
+   */
+  titleContains(title) {
+    return this._setString('title', title);
+  }
+
+  /**
+   * Match the plugins whose description contains a string.
+   *
+   * @param {string} description - part of the description
+   *
+   * @return {this} - ``this`` object
+   */
+  descriptionContains(description) {
+    return this._setString('description', description);
+  }
+
+  /**
+   * Match the plugins whose name, title or category contains a string.
+   *
+   * @param {string} text - part of the name, title or category
+   *
+   * @return {this} - ``this`` object
+   */
+  nameTitleCategoryContains(text) {
+    return this._setString('name_title_category', text);
+  }
+
+  /**
+   * Match the plugins registered with a compute resource.
+   *
+   * @param {number} id - compute resource id
+   *
+   * @return {this} - ``this`` object
+   */
+  computeResourceId(id) {
+    return this._setInteger('compute_resource_id', id, 1);
+  }
+
+  /**
+   * Match the plugins created on or after a date.
+   *
+   * @param {Date|string} date - date object or date string
+   *
+   * @return {this} - ``this`` object
+   */
+  createdAfter(date) {
+    return this._setDateBound('min_creation_date', date);
+  }
+
+  /**
+   * Match the plugins created on or before a date.
+   *
+   * @param {Date|string} date - date object or date string
+   *
+   * @return {this} - ``this`` object
+   */
+  createdBefore(date) {
+    return this._setDateBound('max_creation_date', date);
+  }
+}
+
+/**
+ * Query builder of the search parameters of a list of the plugin instances of every user
+ * (``Client.getPluginInstances``).
+ */
+export class PluginInstanceQuery extends Query {
+  /**
+   * Match the plugin instances whose title contains a string.
+   *
+   * @param {string} title - part of the title
+   *
+   * @return {this} - ``this`` object
+   */
+  titleContains(title) {
+    return this._setString('title', title);
+  }
+
+  /**
+   * Match the plugin instances with an execution status.
+   *
+   * @param {string} status - execution status
+   *
+   * @return {this} - ``this`` object
+   */
+  status(status) {
+    return this._setChoice('status', status, PluginInstanceQuery.STATUSES);
+  }
+
+  /**
+   * Match the plugin instances of an owner.
+   *
+   * @param {string} username - owner's username
+   *
+   * @return {this} - ``this`` object
+   */
+  owner(username) {
+    return this._setString('owner_username', username);
+  }
+
+  /**
+   * Match the plugin instances of a feed.
+   *
+   * @param {number} id - feed id
+   *
+   * @return {this} - ``this`` object
+   */
+  feedId(id) {
+    return this._setInteger('feed_id', id, 1);
+  }
+
+  /**
+   * Match the plugin instances descending from a plugin instance (included).
+   *
+   * @param {number} id - root plugin instance id
+   *
+   * @return {this} - ``this`` object
+   */
+  rootId(id) {
+    return this._setInteger('root_id', id, 1);
+  }
+
+  /**
+   * Match the instances of a plugin.
+   *
+   * @param {number} id - plugin id
+   *
+   * @return {this} - ``this`` object
+   */
+  pluginId(id) {
+    return this._setInteger('plugin_id', id, 1);
+  }
+
+  /**
+   * Match the instances of the plugins whose name contains a string.
+   *
+   * @param {string} name - part of the plugin name
+   *
+   * @return {this} - ``this`` object
+   */
+  pluginNameContains(name) {
+    return this._setString('plugin_name', name);
+  }
+
+  /**
+   * Match the instances of the plugins whose name is exactly a string.
+   *
+   * @param {string} name - plugin name
+   *
+   * @return {this} - ``this`` object
+   */
+  pluginName(name) {
+    return this._setString('plugin_name_exact', name);
+  }
+
+  /**
+   * Match the instances of the plugins whose version is exactly a string.
+   *
+   * @param {string} version - plugin version
+   *
+   * @return {this} - ``this`` object
+   */
+  pluginVersion(version) {
+    return this._setString('plugin_version', version);
+  }
+}
+
+/**
+ * Execution statuses of a plugin instance.
+ *
+ * @type {string[]}
+ */
+PluginInstanceQuery.STATUSES = [
+  'created',
+  'waiting',
+  'scheduled',
+  'started',
+  'registeringFiles',
+  'finishedSuccessfully',
+  'finishedWithError',
+  'cancelled',
+];
+
+/**
+ * Make a query builder of the search parameters of a feed list.
+ *
+ * @return {FeedQuery} - feed query object
+ */
+export function feeds() {
+  return new FeedQuery();
+}
+
+/**
+ * Make a query builder of the search parameters of a list of the files of every
+ * user-owned feed.
+ *
+ * @return {FileQuery} - file query object
+ */
+export function files() {
+  return new FileQuery();
+}
+
+/**
+ * Make a query builder of the search parameters of a plugin list.
+ *
+ * @return {PluginQuery} - plugin query object
+ */
+export function plugins() {
+  return new PluginQuery();
+}
+
+/**
+ * Make a query builder of the search parameters of a list of the plugin instances of
+ * every user.
+ *
+ * @return {PluginInstanceQuery} - plugin instance query object
+ */
+export function pluginInstances() {
+  return new PluginInstanceQuery();
+}
@@ -0,0 +1,68 @@
+import { expect } from 'chai';
+import Client from './client';
+import FakeCUBE from './fakecube';
+import { ValidationError } from './exception';
+import { feeds, files, plugins, pluginInstances } from './query';
+
+describe('Query', () => {
+  it('makes the search parameters of a list resource', () => {
+    const date = new Date(Date.UTC(2020, 0, 31));
+    const feedParams = feeds()
+      .nameContains('brain')
+      .createdAfter(date)
+      .idAtMost(30)
+      .limit(50)
+      .toSearchParams();
+
+    expect(feedParams).to.deep.equal({
+      name: 'brain',
+      min_creation_date: '2020-01-31T00:00:00.000Z',
+      max_id: 30,
+      limit: 50,
+    });
+    expect(files().feedId(3).pathContains('.dcm').toSearchParams()).to.deep.equal({
+      feed_id: 3,
+      fname_icontains: '.dcm',
+    });
+    expect(plugins().type('ds').name('pl-dircopy').toSearchParams()).to.deep.equal({
+      type: 'ds',
+      name_exact: 'pl-dircopy',
+    });
+    expect(pluginInstances().status('started').toSearchParams()).to.deep.equal({
+      status: 'started',
+    });
+  });
+
+  it('validates the values and the ranges of the search parameters', () => {
+    const query = feeds().createdBefore('2020-01-01');
+
+    expect(() => query.createdAfter(new Date(Date.UTC(2021, 0, 1)))).to.throw(ValidationError);
+    expect(query.toSearchParams()).to.deep.equal({ max_creation_date: '2020-01-01' });
+    expect(() => feeds().createdAfter('yesterday')).to.throw('Expected a valid date');
+    expect(() => feeds().idAtLeast(10).idAtMost(5)).to.throw('lower bound 10');
+
+    const idQuery = feeds().idAtLeast(5).idAtMost(10);
+    expect(() => idQuery.idAtLeast(20)).to.throw('lower bound 20');
+    expect(idQuery.toSearchParams()).to.deep.equal({ min_id: 5, max_id: 10 }); // restored
+    expect(() => feeds().limit(0)).to.throw(ValidationError);
+    expect(() => plugins().type('xs')).to.throw('Expected one of fs, ds, ts');
+    expect(() => pluginInstances().status('done'))
+      .to.throw(ValidationError)
+      .with.property('fieldErrors')
+      .that.has.property('status');
+  });
+
+  it('can be passed to the client methods in place of the search parameters', done => {
+    const chrisUrl = 'http://localhost:8000/api/v1/';
+    const auth = { username: 'cube', password: 'cube1234' };
+    const client = new Client(chrisUrl, auth, { transport: new FakeCUBE(chrisUrl) });
+
+    client
+      .getPlugins(plugins().nameContains('copy').limit(1))
+      .then(pluginList => {
+        expect(pluginList.searchParams).to.deep.equal({ name: 'copy', limit: 1 });
+        expect(pluginList.totalCount).to.equal(2);
+      })
+      .then(done, done);
+  });
+});
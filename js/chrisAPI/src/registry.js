@@ -0,0 +1,164 @@
+/**
+ * Registry of the resource classes used to follow the link relations of the resource
+ * objects. A resource class is registered either for a url pattern or for a link
+ * relation name. Url patterns are matched against the end of the path of a link's url
+ * (its query string is ignored), ``:id`` matches any numeric id, eg. the pattern
+ * 'plugins/instances/:id/descendants/' matches
+ * 'http://localhost:8000/api/v1/plugins/instances/5/descendants/'. The longest matching
+ * pattern wins, relation names are only looked up if no pattern matches. A pattern that
+ * starts with a '/' is anchored at the API root url (the client url, eg.
+ * 'http://localhost:8000/api/v1/') so that '/:id/' matches the url of a feed but not
+ * 'http://localhost:8000/api/v1/plugins/5/', anchored patterns don't match when the API
+ * root url is not known.
+ *
+ * The resource classes of this library register themselves in the shared ``registry``
+ * object, a different registry object can be passed to a client in its options.
+ */
+export default class ResourceRegistry {
+  /**
+   * Constructor
+   */
+  constructor() {
+    /** @type {Object[]} */
+    this._patterns = []; // sorted by decreasing pattern length
+
+    /** @type {Object} */
+    this._relations = {};
+  }
+
+  /**
+   * Register a resource class for a url pattern or a link relation name. Any previous
+   * registration of the same key is replaced.
+   *
+   * @param {string} key - url pattern (contains a '/') or link relation name
+   * @param {Object} ResourceClass - item or list resource class
+   *
+   * @return {ResourceRegistry} - ``this`` object
+   */
+  register(key, ResourceClass) {
+    if (key.indexOf('/') === -1) {
+      this._relations[key] = ResourceClass;
+      return this;
+    }
+    const anchored = key.charAt(0) === '/';
+    const source = key
+      .slice(anchored ? 1 : 0)
+      .split(':id')
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('\\d+');
+    const regex = new RegExp((anchored ? '^' : '(^|/)') + source + '$');
+
+    this._patterns = this._patterns.filter((entry) => entry.pattern !== key);
+    this._patterns.push({
+      pattern: key,
+      regex: regex,
+      anchored: anchored,
+      ResourceClass: ResourceClass,
+    });
+    this._patterns.sort((a, b) => b.pattern.length - a.pattern.length);
+    return this;
+  }
+
+  /**
+   * Get the resource class registered for a link.
+   *
+   * @param {string} linkRelation - link relation name
+   * @param {string} url - url of the link
+   * @param {string} [rootUrl=''] - API root url the anchored patterns are matched from
+   *
+   * @return {?Object} - resource class or null if none is registered
+   */
+  resolve(linkRelation, url, rootUrl = '') {
+    for (let entry of this._patterns) {
+      if (ResourceRegistry._matches(entry, url, rootUrl)) {
+        return entry.ResourceClass;
+      }
+    }
+    return this._relations.hasOwnProperty(linkRelation) ? this._relations[linkRelation] : null;
+  }
+
+  /**
+   * Get the resource class registered for a key.
+   *
+   * @param {string} key - url pattern or link relation name
+   *
+   * @return {?Object} - resource class or null if none is registered
+   */
+  get(key) {
+    if (key.indexOf('/') === -1) {
+      return this._relations.hasOwnProperty(key) ? this._relations[key] : null;
+    }
+    const entry = this._patterns.find((entry) => entry.pattern === key);
+    return entry ? entry.ResourceClass : null;
+  }
+
+  /**
+   * Get the key a resource class is registered for, preferably the url pattern that
+   * matches a url of the resource.
+   *
+   * @param {Object} ResourceClass - resource class
+   * @param {string} [url=''] - url of the resource
+   * @param {string} [rootUrl=''] - API root url the anchored patterns are matched from
+   *
+   * @return {?string} - url pattern or link relation name, or null if the resource class
+   * is not registered
+   */
+  keyOf(ResourceClass, url = '', rootUrl = '') {
+    const entries = this._patterns.filter((entry) => entry.ResourceClass === ResourceClass);
+    const entry =
+      entries.find((entry) => ResourceRegistry._matches(entry, url, rootUrl)) || entries[0];
+
+    if (entry) {
+      return entry.pattern;
+    }
+    for (let name in this._relations) {
+      if (this._relations.hasOwnProperty(name) && this._relations[name] === ResourceClass) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the path of a url without its origin, query string and fragment.
+   *
+   * @param {string} url - url
+   *
+   * @return {string} - path
+   */
+  static getPath(url) {
+    return url
+      .split('#')[0]
+      .split('?')[0]
+      .replace(/^[a-z][a-z0-9+.-]*:\/\/[^/]*/i, '');
+  }
+
+  /**
+   * Internal helper method to test whether a registered url pattern matches a url.
+   *
+   * @param {Object} entry - registered pattern object
+   * @param {string} url - url
+   * @param {string} rootUrl - API root url the anchored patterns are matched from
+   *
+   * @return {boolean} - whether the pattern matches the url
+   */
+  static _matches(entry, url, rootUrl) {
+    const path = ResourceRegistry.getPath(url);
+
+    if (!entry.anchored) {
+      return entry.regex.test(path);
+    }
+    if (!rootUrl) {
+      return false;
+    }
+    const rootPath = ResourceRegistry.getPath(rootUrl).replace(/\/?$/, '/');
+    return path.indexOf(rootPath) === 0 && entry.regex.test(path.slice(rootPath.length));
+  }
+}
+
+/**
+ * Shared registry object of the resource classes of this library.
+ *
+ * @type {ResourceRegistry}
+ */
+export const registry = new ResourceRegistry();
@@ -0,0 +1,117 @@
+import { expect } from 'chai';
+import Client from './client';
+import FakeCUBE from './fakecube';
+import ResourceRegistry, { registry as sharedRegistry } from './registry';
+import { ItemResource, ListResource } from './resource';
+import { Feed } from './feed';
+import { PluginInstanceDescendantList } from './plugininstance';
+import { PluginInstanceFileList, FeedFileList } from './feedfile';
+
+describe('ResourceRegistry', () => {
+  const chrisUrl = 'http://localhost:8000/api/v1/';
+  const auth = { username: 'cube', password: 'cube1234' };
+
+  it('resolves the resource class of a link by url pattern or relation name', () => {
+    const registry = new ResourceRegistry();
+    registry
+      .register(':id/files/', FeedFileList)
+      .register('plugins/instances/:id/files/', PluginInstanceFileList)
+      .register('feed', Feed);
+
+    expect(registry.resolve('files', chrisUrl + '3/files/?limit=5')).to.equal(FeedFileList);
+    expect(registry.resolve('files', chrisUrl + 'plugins/instances/3/files/')).to.equal(
+      PluginInstanceFileList
+    );
+    expect(registry.resolve('feed', chrisUrl + 'feeds/3/')).to.equal(Feed);
+    expect(registry.resolve('files', chrisUrl + 'files/')).to.be.a('null');
+  });
+
+  it('matches the anchored url patterns from the API root url', () => {
+    const registry = new ResourceRegistry();
+    registry.register('/:id/', Feed).register('/:id/files/', FeedFileList);
+
+    expect(registry.resolve('feed', chrisUrl + '3/', chrisUrl)).to.equal(Feed);
+    expect(registry.resolve('files', chrisUrl + '3/files/', chrisUrl)).to.equal(FeedFileList);
+    expect(registry.resolve('workflow', chrisUrl + 'workflows/3/', chrisUrl)).to.be.a('null');
+    expect(registry.resolve('feed', chrisUrl + '3/')).to.be.a('null'); // unknown API root
+    expect(registry.keyOf(Feed, chrisUrl + '3/', chrisUrl)).to.equal('/:id/');
+  });
+
+  it('gets the resource classes by key and the keys of the resource classes', () => {
+    const registry = new ResourceRegistry();
+    registry.register('feeds/:id/files/', FeedFileList).register('files', FeedFileList);
+
+    expect(registry.get('feeds/:id/files/')).to.equal(FeedFileList);
+    expect(registry.get('files')).to.equal(FeedFileList);
+    expect(registry.get('feed')).to.be.a('null');
+    expect(registry.keyOf(FeedFileList, chrisUrl + 'feeds/3/files/')).to.equal('feeds/:id/files/');
+    expect(registry.keyOf(Feed)).to.be.a('null');
+  });
+
+  describe('following links', () => {
+    let client;
+    let pluginInstance;
+
+    beforeEach(() => {
+      client = new Client(chrisUrl, auth, { transport: new FakeCUBE(chrisUrl) });
+
+      return client.createPluginInstance(1, { dir: 'x', title: 'a' }).then(inst => {
+        pluginInstance = inst;
+      });
+    });
+
+    it('lists and follows the link relations of a resource object', done => {
+      expect(pluginInstance.relations()).to.include.members(['feed', 'descendants', 'files']);
+
+      Promise.all([pluginInstance.follow('feed'), pluginInstance.follow('descendants')])
+        .then(([feed, descendants]) => {
+          expect(feed).to.be.an.instanceof(Feed);
+          expect(feed.data.name).to.equal('a');
+          expect(descendants).to.be.an.instanceof(PluginInstanceDescendantList);
+          expect(descendants.data).to.have.lengthOf(1);
+          expect(() => pluginInstance.follow('unknown')).to.throw('Missing "unknown"');
+        })
+        .then(done, done);
+    });
+
+    it('falls back to a generic resource object for unregistered links', done => {
+      const options = Object.assign({}, client.options, { registry: new ResourceRegistry() });
+      const inst = new ItemResource(pluginInstance.url, auth, options);
+
+      inst
+        .get()
+        .then(() => Promise.all([inst.follow('plugin'), inst.follow('files', { limit: 1 })]))
+        .then(([plugin, files]) => {
+          expect(plugin.constructor).to.equal(ItemResource);
+          expect(plugin.data.name).to.equal('pl-dircopy');
+          expect(files.constructor).to.equal(ListResource);
+          expect(files.searchParams).to.deep.equal({ limit: 1 });
+        })
+        .then(done, done);
+    });
+
+    it('falls back to a generic resource object for unknown item urls', done => {
+      const workflowUrl = chrisUrl + 'workflows/3/';
+      const transport = {
+        request: config => {
+          const item = { href: config.url, data: [{ name: 'id', value: 3 }], links: [] };
+          const collection = { href: config.url, items: [item], links: [] };
+          return Promise.resolve({ status: 200, headers: {}, data: { collection } });
+        },
+      };
+      const options = Object.assign({}, client.options, { transport: transport });
+      const feed = new Feed(chrisUrl + '1/', auth, options);
+      const links = [{ rel: 'workflow', href: workflowUrl }];
+      feed.collection = { href: feed.url, items: [{ href: feed.url, data: [], links }], links: [] };
+
+      expect(sharedRegistry.resolve('workflow', workflowUrl, chrisUrl)).to.be.a('null');
+      feed
+        .follow('workflow')
+        .then(workflow => {
+          expect(workflow.constructor).to.equal(ItemResource);
+          expect(workflow.data.id).to.equal(3);
+        })
+        .then(done, done);
+    });
+  });
+});
@@ -1,7 +1,61 @@
 /** * Imports ***/
 import axios, { AxiosResponse, AxiosRequestConfig } from 'axios';
 import Collection from './cj';
-import RequestException from './exception';
+import RequestException, {
+  AbortError,
+  TimeoutError,
+  NetworkError,
+  ValidationError,
+  AuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+} from './exception';
+import {
+  isNode,
+  fetchStreamAdapter,
+  trackStreamProgress,
+  getRangeHeader,
+  getMultipartBody,
+  hasStreamFile,
+} from './filestream';
+import HttpCache from './httpcache';
+import { makeTransportAdapter } from './transport';
+import Instrumentation from './instrumentation';
+
+/**
+ * Default retry policy for requests that fail with a transient error.
+ *
+ * @type {Object}
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 10000,
+  jitter: true,
+  statusCodes: [408, 429, 502, 503, 504],
+  methods: ['get', 'put', 'delete'],
+};
+
+/**
+ * Exception classes for error responses with specific HTTP status codes.
+ *
+ * @type {Object}
+ */
+const STATUS_EXCEPTIONS = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: PermissionDeniedError,
+  404: NotFoundError,
+};
+
+/**
+ * GET requests in flight that are shared by identical concurrent calls, by client options
+ * object (requests made without client options are shared under ``NO_OPTIONS``).
+ *
+ * @type {WeakMap<Object, Map<string, Promise>>}
+ */
+const SHARED_REQUESTS = new WeakMap();
+const NO_OPTIONS = {};
 
 /**
  * Http request object.
@@ -10,12 +64,56 @@ export default class Request {
   /**
    * Constructor
    *
+   * A retry policy object can be passed either in ``options.retry`` (client-wide) or in
+   * ``timeout.retry`` (per call, overriding the client-wide policy). Its properties are:
+   * ``maxAttempts`` (total number of attempts, default 3), ``baseDelay`` and ``maxDelay``
+   * (exponential backoff bounds in ms, default 500 and 10000), ``jitter`` (randomize the
+   * backoff delay, default true), ``statusCodes`` (HTTP status codes that are retried) and
+   * ``methods`` (request verbs that are retried, by default only the idempotent ones).
+   * A ``false`` value disables retries while a per-call ``true`` value enables them for
+   * any request verb (eg. to opt-in for a POST request).
+   *
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
    * @param {string} contentType - request content type
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or per-call options object
+   * @param {number} [timeout.timeout=30000] - request timeout
+   * @param {Object|boolean} [timeout.retry] - per-call retry policy
+   * @param {AbortSignal} [timeout.signal] - signal that aborts the request when triggered
+   * @param {Object} [timeout.cancelToken] - axios cancel token that aborts the request
+   * @param {function(progress: Object)} [timeout.onUploadProgress] - callback called with a
+   * progress object (see ``_getProgressHandler``) while the data of a POST or PUT request
+   * is sent
+   * @param {function(progress: Object)} [timeout.onDownloadProgress] - callback called
+   * with a progress object while the data of a GET response is received
+   * @param {boolean} [timeout.cache] - ``false`` bypasses the client's HTTP cache
+   * @param {string} [timeout.priority='interactive'] - lane of the request in the client's
+   * request scheduler, either 'interactive' or 'background'
+   * @param {boolean} [timeout.dedupe] - ``false`` prevents a GET request from being shared
+   * with identical concurrent calls
+   * @param {Object} [timeout.transport] - transport object that sends this request instead
+   * of the network, overriding the client's transport (eg. for the static client methods)
+   * @param {string} [timeout.clientMethod] - name of the client method that makes the
+   * request, reported in the instrumentation events
+   * @param {?Object} [options=null] - client options object
+   * @param {Object|boolean} [options.retry] - client-wide retry policy
+   * @param {Object[]} [options.middleware] - array of middleware objects
+   * @param {AuthProvider} [options.authProvider] - auth provider object
+   * @param {HttpCache} [options.cache] - HTTP cache object for GET responses
+   * @param {RequestScheduler} [options.scheduler] - request scheduler object
+   * @param {Object} [options.transport] - transport object that sends the requests instead
+   * of the network (see ``makeTransportAdapter``)
+   * @param {Instrumentation} [options.instrumentation] - instrumentation object that is
+   * emitted an event for every request
    */
-  constructor(auth, contentType, timeout = 30000) {
+  constructor(auth, contentType, timeout = 30000, options = null) {
+    let callOptions = {};
+
+    if (timeout !== null && typeof timeout === 'object') {
+      callOptions = timeout;
+      timeout = callOptions.timeout !== undefined ? callOptions.timeout : 30000;
+    }
+
     /** @type {Object} */
     this.auth = auth;
 
@@ -24,6 +122,15 @@ export default class Request {
 
     /** @type {number} */
     this.timeout = timeout;
+
+    /** @type {?Object} */
+    this.options = options;
+
+    /** @type {Object} */
+    this.callOptions = callOptions;
+
+    /** @type {?string} */
+    this.resource = null; // class name of the resource object that makes the request
   }
 
   /**
@@ -41,7 +148,50 @@ export default class Request {
       config.params = params;
     }
 
-    return Request._callAxios(config);
+    if (this.callOptions.onDownloadProgress) {
+      config.onDownloadProgress = Request._getProgressHandler(this.callOptions.onDownloadProgress);
+    }
+
+    const cache = this._getCache();
+    const send = () => (cache ? this._callAxiosWithCache(cache, config) : this._callAxios(config));
+
+    return this._shareRequest(url, params, send);
+  }
+
+  /**
+   * Perform a GET request whose response data is streamed instead of being buffered.
+   *
+   * @param {string} url - url of the resource
+   * @param {?Object} range - byte range object to request only part of the resource
+   * @param {number} range.start - first byte of the range
+   * @param {number} [range.end] - last byte of the range (inclusive)
+   *
+   * @return {Promise<AxiosResponse>} - JS Promise, resolves to an ``axios reponse`` object
+   * whose data is a ``ReadableStream`` object in the browser or a ``Readable`` stream object
+   * in node.js
+   */
+  getStream(url, range = null) {
+    const config = this._getConfig(url, 'get');
+    config.responseType = 'stream';
+    delete config.headers['content-type'];
+
+    if (range) {
+      config.headers.Range = getRangeHeader(range);
+    }
+
+    const adapter = Request._getStreamAdapter();
+    if (adapter && !config.adapter) {
+      config.adapter = adapter;
+    }
+
+    return this._callAxios(config).then((response) => {
+      if (this.callOptions.onDownloadProgress) {
+        const total = parseInt(response.headers['content-length'], 10) || 0;
+        const handler = Request._getProgressHandler(this.callOptions.onDownloadProgress);
+        response.data = trackStreamProgress(response.data, total, handler);
+      }
+      return response;
+    });
   }
 
   /**
@@ -50,7 +200,8 @@ export default class Request {
    * @param {string} url - url of the resource
    * @param {Object} data - JSON data object
    * @param {?Object} uploadFileObj - custom object with a property with the same name as
-   * the API descriptor corresponding to the file and whose value is the file blob
+   * the API descriptor corresponding to the file and whose value is the file blob (in
+   * node.js the file can also be a file path, a ``Buffer`` or a ``Readable`` stream)
    *
    * @return {Promise<AxiosResponse>} - JS Promise, resolves to an ``axios reponse`` object
    */
@@ -64,7 +215,8 @@ export default class Request {
    * @param {string} url - url of the resource
    * @param {Object} data - JSON data object
    * @param {?Object} uploadFileObj - custom object with a property with the same name as
-   * the API descriptor corresponding to the file and whose value is the file blob
+   * the API descriptor corresponding to the file and whose value is the file blob (in
+   * node.js the file can also be a file path, a ``Buffer`` or a ``Readable`` stream)
    *
    * @return {Promise<AxiosResponse>} - JS Promise, resolves to an ``axios reponse`` object
    */
@@ -72,6 +224,25 @@ export default class Request {
     return this._postOrPut('put', url, data, uploadFileObj);
   }
 
+  /**
+   * Remove the cached responses of an item resource and of the list resource it belongs
+   * to from the client's HTTP cache, if any (see ``HttpCache.invalidateItem``).
+   *
+   * @param {string} url - url of the item resource
+   *
+   * @return {Promise} - JS Promise
+   */
+  invalidateCache(url) {
+    const cache = this.options && this.options.cache;
+    if (!cache) {
+      return Promise.resolve();
+    }
+    return cache.invalidateItem(url).then(
+      () => {},
+      () => {} // failures of the cache storage are ignored
+    );
+  }
+
   /**
    * Perform a DELETE request.
    *
@@ -82,7 +253,7 @@ export default class Request {
   delete(url) {
     const config = this._getConfig(url, 'delete');
 
-    return Request._callAxios(config);
+    return this._callAxios(config);
   }
 
   /**
@@ -92,7 +263,8 @@ export default class Request {
    * @param {string} url - url of the resource
    * @param {Object} data - JSON data object
    * @param {?Object} uploadFileObj - custom object with a property with the same name as
-   * the API descriptor corresponding to the file and whose value is the file blob
+   * the API descriptor corresponding to the file and whose value is the file blob (in
+   * node.js the file can also be a file path, a ``Buffer`` or a ``Readable`` stream)
    *
    * @return {Promise<AxiosResponse>} - JS Promise, resolves to an ``axios reponse`` object
    */
@@ -100,24 +272,44 @@ export default class Request {
     const config = this._getConfig(url, requestMethod);
     config.data = data;
 
-    if (uploadFileObj) {
-      config['headers']['content-type'] = 'multipart/form-data';
-      const bFormData = new FormData();
+    if (this.callOptions.onUploadProgress) {
+      config.onUploadProgress = Request._getProgressHandler(this.callOptions.onUploadProgress);
+    }
 
-      for (let property in data) {
-        if (data.hasOwnProperty(property)) {
-          bFormData.set(property, data[property]);
-        }
-      }
-      for (let property in uploadFileObj) {
-        if (uploadFileObj.hasOwnProperty(property)) {
-          bFormData.set(property, uploadFileObj[property]);
-        }
-      }
-      config.data = bFormData;
+    if (!uploadFileObj) {
+      return this._callAxios(config);
     }
+    const makeBody = () => getMultipartBody(data, uploadFileObj, config.onUploadProgress);
+    let resend = null;
 
-    return Request._callAxios(config);
+    // in node.js the multipart body is a stream that is consumed when the request is sent,
+    // a new body is made to send it again unless the files are streams that can't be re-read
+    if (!hasStreamFile(uploadFileObj)) {
+      resend = (config) =>
+        makeBody().then((body) => {
+          const headers = Object.assign({}, config.headers);
+          return Request._setMultipartBody(Object.assign({}, config, { headers: headers }), body);
+        });
+    }
+    return makeBody().then((body) =>
+      this._callAxios(Request._setMultipartBody(config, body), resend)
+    );
+  }
+
+  /**
+   * Internal method to set the multipart body of a request.
+   *
+   * @param {AxiosRequestConfig} config - axios configuration object
+   * @param {Object} body - object with the request ``data`` and ``headers``, see
+   * ``getMultipartBody``
+   *
+   * @return {AxiosRequestConfig} - axios configuration object
+   */
+  static _setMultipartBody(config, body) {
+    config.data = body.data;
+    Object.assign(config.headers, body.headers);
+    config.maxBodyLength = Infinity; // lift the redirect body size limit in node.js
+    return config;
   }
 
   /**
@@ -146,27 +338,551 @@ export default class Request {
     }
 
     if (this.contentType === 'application/octet-stream') {
-      config.responseType = 'blob';
+      config.responseType = isNode ? 'arraybuffer' : 'blob';
+    }
+
+    const transport = this.callOptions.transport || (this.options && this.options.transport);
+    if (transport) {
+      config.adapter = makeTransportAdapter(transport);
     }
 
     return config;
   }
 
   /**
-   * Internal method to make an axios request.
+   * Internal method to get an axios cancel token from the per-call options. The abort
+   * listener that a token made from a signal adds to it is removed by the token's
+   * release function.
+   *
+   * @return {?Object} - object with the axios cancel ``token`` and the ``release``
+   * function or null if the request can not be aborted
+   */
+  _getCancelToken() {
+    const signal = this.callOptions.signal;
+
+    if (this.callOptions.cancelToken) {
+      return { token: this.callOptions.cancelToken, release: () => {} };
+    }
+    if (signal) {
+      let onAbort = null;
+      const token = new axios.CancelToken((cancel) => {
+        if (signal.aborted) {
+          cancel('Request aborted!');
+        } else {
+          onAbort = () => cancel('Request aborted!');
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      });
+      const release = () => {
+        if (onAbort) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      return { token: token, release: release };
+    }
+    return null;
+  }
+
+  /**
+   * Internal method to make an axios progress event handler that calls a callback with
+   * a progress object. The progress object has the properties ``loaded`` (number of bytes
+   * transferred), ``total`` (total number of bytes or 0 if unknown), ``rate`` (average
+   * transfer rate in bytes/s) and ``eta`` (estimated number of seconds left or null if
+   * unknown).
+   *
+   * @param {function(progress: Object)} callback - progress callback
+   *
+   * @return {function(event: ProgressEvent)} - axios progress event handler
+   */
+  static _getProgressHandler(callback) {
+    const startTime = Date.now();
+
+    return (event) => {
+      const elapsed = (Date.now() - startTime) / 1000;
+      const total = event.lengthComputable ? event.total : 0;
+      const rate = elapsed > 0 ? event.loaded / elapsed : 0;
+      const eta = total && rate ? (total - event.loaded) / rate : null;
+
+      callback({ loaded: event.loaded, total: total, rate: rate, eta: eta });
+    };
+  }
+
+  /**
+   * Internal method to share a GET request with the identical calls made while it is in
+   * flight (same client, url, search parameters, content type and credentials), so that
+   * they all resolve with a single network round-trip. Every call gets its own copy of
+   * the response data. Calls that can be aborted or report their progress are not shared.
+   *
+   * @param {string} url - url of the resource
+   * @param {?Object} params - search parameters
+   * @param {function(): Promise<AxiosResponse>} send - function that makes the request
+   *
+   * @return {Promise<AxiosResponse>} - JS Promise, resolves to an ``axios reponse`` object
+   */
+  _shareRequest(url, params, send) {
+    const callOptions = this.callOptions;
+
+    if (
+      callOptions.dedupe === false ||
+      callOptions.signal ||
+      callOptions.cancelToken ||
+      callOptions.onDownloadProgress ||
+      callOptions.transport
+    ) {
+      return send();
+    }
+    const owner = this.options || NO_OPTIONS;
+    if (!SHARED_REQUESTS.has(owner)) {
+      SHARED_REQUESTS.set(owner, new Map());
+    }
+    const shared = SHARED_REQUESTS.get(owner);
+    const auth = this.auth ? this.auth.token || this.auth.username || '' : '';
+    const key = [this.contentType, auth, HttpCache.getKey(url, params)].join(' ');
+
+    if (shared.has(key)) {
+      return shared.get(key).then((response) => Request._copyResponse(response));
+    }
+    const request = send();
+    const forget = () => shared.delete(key);
+    shared.set(key, request);
+    request.then(forget, forget);
+    return request;
+  }
+
+  /**
+   * Internal method to copy an axios response object so that its JSON data can be
+   * modified without affecting the original response.
    *
+   * @param {AxiosResponse} response - axios response object
+   *
+   * @return {AxiosResponse} - axios response object
+   */
+  static _copyResponse(response) {
+    const data = response.data;
+    const isJSON = data !== null && typeof data === 'object' && data.constructor === Object;
+    return Object.assign({}, response, { data: isJSON ? JSON.parse(JSON.stringify(data)) : data });
+  }
+
+  /**
+   * Internal method to get the HTTP cache that applies to this request.
+   *
+   * @return {?HttpCache} - HTTP cache object or null if responses should not be cached
+   */
+  _getCache() {
+    const cache = this.options && this.options.cache;
+
+    if (!cache || this.callOptions.cache === false) {
+      return null;
+    }
+    return this.contentType === 'application/octet-stream' ? null : cache;
+  }
+
+  /**
+   * Internal method to make a GET request through an HTTP cache. A fresh cached response
+   * is served without contacting the server, a stale one is revalidated with a
+   * conditional request and served again if the server answers with a 304 status code.
+   * Failures of the cache storage are ignored.
+   *
+   * @param {HttpCache} cache - HTTP cache object
    * @param {AxiosRequestConfig} config - axios configuration object
    *
    * @return {Promise<AxiosResponse>} - JS Promise, resolves to an ``axios reponse`` object
    */
-  static _callAxios(config) {
-    return axios(config)
-      .then(response => {
+  _callAxiosWithCache(cache, config) {
+    const auth = this.auth || (this.options && this.options.authProvider);
+    const key = HttpCache.getKey(config.url, config.params, HttpCache.getIdentity(auth));
+
+    return cache
+      .get(key)
+      .catch(() => null)
+      .then((entry) => {
+        if (entry && cache.isFresh(entry)) {
+          return Request._makeCachedResponse(entry, config);
+        }
+        if (entry) {
+          if (entry.etag) {
+            config.headers['If-None-Match'] = entry.etag;
+          }
+          if (entry.lastModified) {
+            config.headers['If-Modified-Since'] = entry.lastModified;
+          }
+          config.validateStatus = (status) => (status >= 200 && status < 300) || status === 304;
+        }
+        return this._callAxios(config).then((response) => {
+          if (entry && response.status === 304) {
+            return cache
+              .touch(key, entry)
+              .catch(() => {})
+              .then(() => Request._makeCachedResponse(entry, config));
+          }
+          return cache
+            .set(key, response)
+            .catch(() => {})
+            .then(() => response);
+        });
+      });
+  }
+
+  /**
+   * Internal method to make an axios response object from a cached entry.
+   *
+   * @param {Object} entry - cache entry object
+   * @param {AxiosRequestConfig} config - axios configuration object
+   *
+   * @return {AxiosResponse} - axios response object with a ``fromCache`` property
+   */
+  static _makeCachedResponse(entry, config) {
+    return {
+      data: entry.data,
+      status: 200,
+      statusText: 'OK',
+      headers: entry.headers,
+      config: config,
+      request: null,
+      fromCache: true,
+    };
+  }
+
+  /**
+   * Internal method to get the axios adapter for streamed responses.
+   *
+   * @return {?function(config: AxiosRequestConfig)} - axios adapter or null if the default
+   * adapter can stream responses (node.js)
+   */
+  static _getStreamAdapter() {
+    return isNode ? null : fetchStreamAdapter;
+  }
+
+  /**
+   * Internal method to set the auth token of an axios config object. Any basic auth
+   * credentials are removed from the config object.
+   *
+   * @param {AxiosRequestConfig} config - axios configuration object
+   * @param {string} token - authentication token
+   *
+   * @return {AxiosRequestConfig} - axios configuration object
+   */
+  static _setAuthToken(config, token) {
+    delete config.auth;
+    config.headers.Authorization = 'Token ' + token;
+    return config;
+  }
+
+  /**
+   * Internal method to get the retry policy that applies to a request verb.
+   *
+   * @param {string} method - request verb
+   *
+   * @return {?Object} - retry policy object or null if the request should not be retried
+   */
+  _getRetryPolicy(method) {
+    const clientRetry = this.options ? this.options.retry : undefined;
+    const callRetry = this.callOptions.retry;
+
+    if (callRetry === false || (clientRetry === false && callRetry === undefined)) {
+      return null;
+    }
+    const policy = Object.assign({}, DEFAULT_RETRY_POLICY);
+
+    if (clientRetry && typeof clientRetry === 'object') {
+      Object.assign(policy, clientRetry);
+    }
+    if (callRetry && typeof callRetry === 'object') {
+      Object.assign(policy, callRetry);
+    }
+    if (callRetry === true || policy.methods.includes(method)) {
+      return policy;
+    }
+    return null;
+  }
+
+  /**
+   * Internal method to make an axios request. The request goes through the client's
+   * middleware chain and requests that fail with a transient error are retried
+   * according to the retry policy. An event is emitted to the client's instrumentation
+   * object, if any, when the request settles. The request can be aborted through the
+   * signal or cancel token of the per-call options until it settles.
+   *
+   * @param {AxiosRequestConfig} config - axios configuration object
+   * @param {?function(config: AxiosRequestConfig): Promise<AxiosRequestConfig>} [resend] -
+   * function that makes the configuration object to send the request again (eg. with a new
+   * body stream), or null if the request can't be sent again so that it is neither
+   * retried nor replayed
+   *
+   * @return {Promise<AxiosResponse>} - JS Promise, resolves to an ``axios reponse`` object
+   */
+  _callAxios(config, resend = (config) => Promise.resolve(config)) {
+    const middleware = (this.options && this.options.middleware) || [];
+    const instrumentation = this.options && this.options.instrumentation;
+    const trace = { startTime: Date.now(), retries: 0, config: config };
+    const cancelToken = this._getCancelToken();
+
+    if (cancelToken) {
+      config.cancelToken = cancelToken.token;
+    }
+    let result = Request._runMiddleware(middleware, 'beforeRequest', config)
+      .then((config) => {
+        trace.config = config; // the event reports the request as sent
+        return this._callAxiosWithAuth(config, trace, resend);
+      })
+      .then(
+        (response) => Request._runMiddleware(middleware, 'afterResponse', response),
+        (error) => Request._runErrorMiddleware(middleware, error)
+      );
+
+    if (cancelToken) {
+      // don't keep a listener on a long-lived signal once the request has settled
+      result = result.then(
+        (response) => {
+          cancelToken.release();
+          return response;
+        },
+        (error) => {
+          cancelToken.release();
+          throw error;
+        }
+      );
+    }
+
+    if (!instrumentation) {
+      return result;
+    }
+    return result.then(
+      (response) => {
+        instrumentation.emit(this._makeRequestEvent(trace, response, null));
         return response;
+      },
+      (error) => {
+        instrumentation.emit(this._makeRequestEvent(trace, error.response, error));
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Internal method to make the instrumentation event of a request that settled.
+   *
+   * @param {Object} trace - trace object with the ``startTime``, ``retries`` and axios
+   * configuration object (as returned by the ``beforeRequest`` middleware) of the request
+   * @param {?AxiosResponse} response - axios response object
+   * @param {?RequestException} error - request error
+   *
+   * @return {Object} - ``request`` event object (see ``Instrumentation``)
+   */
+  _makeRequestEvent(trace, response, error) {
+    const config = trace.config;
+
+    return {
+      type: 'request',
+      method: config.method.toUpperCase(),
+      url: config.url,
+      params: config.params || null,
+      status: response ? response.status : null,
+      bytes: Instrumentation.getResponseSize(response),
+      startTime: trace.startTime,
+      duration: Date.now() - trace.startTime,
+      retries: trace.retries,
+      resource: this.resource,
+      clientMethod: this.callOptions.clientMethod || null,
+      error: error,
+    };
+  }
+
+  /**
+   * Internal method to make an axios request authenticated with the token provided by
+   * the client's auth provider. If the request fails with a 401 status code then a new
+   * token is requested from the provider and the request is replayed once.
+   *
+   * @param {AxiosRequestConfig} config - axios configuration object
+   * @param {Object} trace - trace object whose retries are counted
+   * @param {?function(config: AxiosRequestConfig): Promise<AxiosRequestConfig>} resend -
+   * function that makes the configuration object to send the request again or null
+   *
+   * @return {Promise<AxiosResponse>} - JS Promise, resolves to an ``axios reponse`` object
+   */
+  _callAxiosWithAuth(config, trace, resend) {
+    const authProvider = this.options && this.options.authProvider;
+
+    if (!authProvider) {
+      return this._callAxiosWithRetry(config, trace, resend);
+    }
+    const send = (config, token) =>
+      this._callAxiosWithRetry(Request._setAuthToken(config, token), trace, resend);
+
+    return authProvider.getToken(this.timeout, this.options).then((token) =>
+      send(config, token).catch((error) => {
+        const status = error.response && error.response.status;
+
+        if (status !== 401 || !resend || !authProvider.canFetchToken()) {
+          throw error;
+        }
+        // the token has been revoked or rotated, re-authenticate and replay the request
+        return authProvider
+          .refreshToken(token, this.timeout, this.options)
+          .then((token) => resend(config).then((config) => send(config, token)));
       })
-      .catch(error => {
+    );
+  }
+
+  /**
+   * Internal method to make an axios request that is retried according to the retry
+   * policy when it fails with a transient error. Aborting the request while waiting to
+   * retry it rejects right away.
+   *
+   * @param {AxiosRequestConfig} config - axios configuration object
+   * @param {Object} trace - trace object whose retries are counted
+   * @param {?function(config: AxiosRequestConfig): Promise<AxiosRequestConfig>} resend -
+   * function that makes the configuration object to send the request again or null
+   *
+   * @return {Promise<AxiosResponse>} - JS Promise, resolves to an ``axios reponse`` object
+   */
+  _callAxiosWithRetry(config, trace, resend) {
+    const retry = resend ? this._getRetryPolicy(config.method) : null;
+
+    const attempt = (attemptNumber, config) => {
+      return this._callAxiosWithScheduler(config).catch((error) => {
+        if (retry && attemptNumber < retry.maxAttempts) {
+          const delay = Request._getRetryDelay(error, attemptNumber, retry);
+
+          if (delay >= 0) {
+            return Request._wait(delay, config.cancelToken)
+              .then(
+                () => resend(config),
+                (cancel) => Request._handleRequestError(cancel)
+              )
+              .then((config) => {
+                trace.retries++;
+                return attempt(attemptNumber + 1, config);
+              });
+          }
+        }
         Request._handleRequestError(error);
       });
+    };
+
+    return attempt(1, config);
+  }
+
+  /**
+   * Internal method to make an axios request through the client's request scheduler, if
+   * any, which may queue the request to enforce its concurrency and rate limits.
+   *
+   * @param {AxiosRequestConfig} config - axios configuration object
+   *
+   * @return {Promise<AxiosResponse>} - JS Promise, resolves to an ``axios reponse`` object
+   */
+  _callAxiosWithScheduler(config) {
+    const scheduler = this.options && this.options.scheduler;
+
+    if (!scheduler) {
+      return axios(config);
+    }
+    const priority = this.callOptions.priority || 'interactive';
+    return scheduler.schedule(() => axios(config), priority, config.cancelToken || null);
+  }
+
+  /**
+   * Internal method to wait for a delay that is cut short if a request is aborted.
+   *
+   * @param {number} delay - delay in milliseconds
+   * @param {?Object} cancelToken - axios cancel token of the request
+   *
+   * @return {Promise} - JS Promise, resolves after the delay or rejects with the axios
+   * cancel object if the request is aborted before
+   */
+  static _wait(delay, cancelToken) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, delay);
+
+      if (cancelToken) {
+        cancelToken.promise.then((cancel) => {
+          clearTimeout(timer);
+          reject(cancel);
+        });
+      }
+    });
+  }
+
+  /**
+   * Internal method to run a hook of a middleware chain. Every middleware object's hook
+   * is passed the value returned by the previous one, a hook returning ``undefined``
+   * leaves the value unchanged.
+   *
+   * @param {Object[]} middleware - array of middleware objects
+   * @param {string} hook - either 'beforeRequest' or 'afterResponse'
+   * @param {Object} value - axios configuration or response object
+   *
+   * @return {Promise} - JS Promise, resolves to the value returned by the last hook
+   */
+  static _runMiddleware(middleware, hook, value) {
+    return middleware.reduce((promise, mw) => {
+      if (!mw[hook]) {
+        return promise;
+      }
+      return promise.then((value) =>
+        Promise.resolve(mw[hook](value)).then((result) => (result === undefined ? value : result))
+      );
+    }, Promise.resolve(value));
+  }
+
+  /**
+   * Internal method to run the ``onError`` hooks of a middleware chain. A hook can
+   * recover from the error by returning a response object or replace it by throwing
+   * another error, returning ``undefined`` passes the error on to the next hook.
+   *
+   * @param {Object[]} middleware - array of middleware objects
+   * @param {RequestException} error - request error
+   *
+   * @return {Promise<AxiosResponse>} - JS Promise, resolves to the response returned by a hook
+   */
+  static _runErrorMiddleware(middleware, error) {
+    return middleware.reduce((promise, mw) => {
+      if (!mw.onError) {
+        return promise;
+      }
+      return promise.catch((error) =>
+        Promise.resolve(mw.onError(error)).then((result) => {
+          if (result === undefined) {
+            throw error;
+          }
+          return result;
+        })
+      );
+    }, Promise.reject(error));
+  }
+
+  /**
+   * Internal method to compute the delay before retrying a failed request.
+   *
+   * @param {Object} error - axios error object
+   * @param {number} attemptNumber - number of the attempt that just failed
+   * @param {Object} retry - retry policy object
+   *
+   * @return {number} - delay in ms or -1 if the request should not be retried
+   */
+  static _getRetryDelay(error, attemptNumber, retry) {
+    if (!error.request) {
+      return -1; // the request was never sent
+    }
+    if (error.response) {
+      if (!retry.statusCodes.includes(error.response.status)) {
+        return -1;
+      }
+      const retryAfter = error.response.headers && error.response.headers['retry-after'];
+
+      if (retryAfter) {
+        // Retry-After is either a number of seconds or an HTTP date
+        let delay = Number(retryAfter) * 1000;
+        if (isNaN(delay)) {
+          delay = Date.parse(retryAfter) - Date.now();
+        }
+        if (!isNaN(delay)) {
+          return delay > retry.maxDelay ? -1 : Math.max(delay, 0);
+        }
+      }
+    }
+    const backoff = Math.min(retry.maxDelay, retry.baseDelay * Math.pow(2, attemptNumber - 1));
+    return retry.jitter ? Math.random() * backoff : backoff;
   }
 
   /**
@@ -175,11 +891,16 @@ export default class Request {
    * @param {Object} error - axios error object
    *
    * @throws {RequestException} throw error
+   * @throws {AbortError} throw error if the request was aborted
+   * @throws {TimeoutError} throw error if the request timeout expired
+   * @throws {NetworkError} throw error if no response was received
    */
   static _handleRequestError(error) {
     let apiError;
 
-    if (error.response) {
+    if (axios.isCancel(error)) {
+      apiError = new AbortError(error.message || 'Request aborted!');
+    } else if (error.response) {
       // The request was made and the server responded with a status code
       // that falls out of the range of 2xx
       //console.log(error.response.data);
@@ -189,7 +910,8 @@ export default class Request {
       if (error.response.data.collection) {
         errMsg = Collection.getErrorMessage(error.response.data.collection);
       }
-      apiError = new RequestException(errMsg);
+      const ExceptionClass = STATUS_EXCEPTIONS[error.response.status] || RequestException;
+      apiError = new ExceptionClass(errMsg);
       apiError.request = error.request;
       apiError.response = error.response;
       try {
@@ -197,12 +919,19 @@ export default class Request {
       } catch (ex) {
         apiError.response.data = errMsg;
       }
+      if (apiError instanceof ValidationError) {
+        apiError.fieldErrors = ValidationError.getFieldErrors(apiError.response.data);
+      }
+    } else if (error.request && error.code === 'ECONNABORTED') {
+      // The request timeout expired
+      apiError = new TimeoutError(error.message);
+      apiError.request = error.request;
     } else if (error.request) {
       // The request was made but no response was received
       // `error.request` is an instance of XMLHttpRequest in the browser and an instance of
       // http.ClientRequest in node.js
       //console.log(error.request);
-      apiError = new RequestException('No server response!');
+      apiError = new NetworkError('No server response!');
       apiError.request = error.request;
     } else {
       // Something happened in setting up the request that triggered an Error
@@ -230,11 +959,11 @@ export default class Request {
       // if there's more to do (result.value and result.done are iterator's properties)
       if (!result.done) {
         result.value
-          .then(resp => {
+          .then((resp) => {
             result = task.next(resp); // send this resp value to the yield
             step();
           })
-          .catch(error => {
+          .catch((error) => {
             result = task.throw(error); // throws error within taskGenerator generator
             step();
           });
@@ -1,5 +1,15 @@
+import axios from 'axios';
 import Request from './request';
-import RequestException from './exception';
+import RequestException, { AbortError, TimeoutError, NetworkError } from './exception';
+import { ValidationError, AuthenticationError, PermissionDeniedError } from './exception';
+import { NotFoundError } from './exception';
+import * as exceptions from './exception';
+import AuthProvider from './authprovider';
+import { fetchStreamAdapter } from './filestream';
+import HttpCache from './httpcache';
+import RequestScheduler from './scheduler';
+import Instrumentation from './instrumentation';
+import FakeCUBE from './fakecube';
 import { expect } from 'chai';
 
 // http://sinonjs.org/releases/v5.1.0/fake-xhr-and-server/
@@ -12,9 +22,10 @@ describe('Request', () => {
     password: 'cube1234',
   };
   const contentType = 'application/vnd.collection+json';
+  const options = { transport: new FakeCUBE(chrisUrl) };
 
   beforeEach(() => {
-    req = new Request(auth, contentType);
+    req = new Request(auth, contentType, 30000, options);
   });
 
   it('can make authenticated GET request', done => {
@@ -35,21 +46,21 @@ describe('Request', () => {
       .catch(error => {
         expect(error.response.status).to.equal(404);
         expect(error.message).to.be.a('string');
-        expect(error.request).to.be.an.instanceof(XMLHttpRequest);
+        expect(error.request.url).to.equal(badUrl);
         expect(error).to.be.an.instanceof(RequestException);
       })
       .then(done, done);
   });
 
   it('can report unsuccessfull unauthenticated GET request', done => {
-    const req = new Request(undefined, contentType);
+    const req = new Request(undefined, contentType, 30000, options);
     const result = req.get(chrisUrl);
 
     result
       .catch(error => {
         expect(error).to.be.an.instanceof(RequestException);
         expect(error.message).to.be.a('string');
-        expect(error.request).to.be.an.instanceof(XMLHttpRequest);
+        expect(error.request.url).to.equal(chrisUrl);
         expect(error.response.status).to.equal(401);
         expect(error.response.data).to.be.a('string');
       })
@@ -92,4 +103,1157 @@ describe('Request', () => {
       })
       .then(done, done);
   });*/
+
+  describe('instrumentation', () => {
+    const url = chrisUrl + 'plugins/';
+    let defaultAdapter;
+
+    beforeEach(() => {
+      defaultAdapter = axios.defaults.adapter;
+    });
+
+    afterEach(() => {
+      axios.defaults.adapter = defaultAdapter;
+    });
+
+    it('emits an event when a request settles', done => {
+      const instrumentation = new Instrumentation();
+      const events = [];
+      const data = { collection: { href: url, items: [], links: [] } };
+      let attempts = 0;
+      axios.defaults.adapter = config => {
+        attempts++;
+        if (attempts === 1) {
+          return Promise.reject(Object.assign(new Error('Network Error'), { request: {}, config }));
+        }
+        return Promise.resolve({ data, status: 200, statusText: 'OK', headers: {}, config });
+      };
+      instrumentation.subscribe(event => events.push(event));
+      const retry = { baseDelay: 1, jitter: false };
+      const req = new Request(
+        auth,
+        contentType,
+        { clientMethod: 'getPlugins' },
+        { instrumentation, retry }
+      );
+      req.resource = 'PluginList';
+
+      req
+        .get(url, { limit: 10 })
+        .then(() => {
+          expect(events).to.have.lengthOf(1);
+          expect(events[0]).to.include({
+            type: 'request',
+            method: 'GET',
+            url: url,
+            status: 200,
+            bytes: JSON.stringify(data).length,
+            retries: 1,
+            resource: 'PluginList',
+            clientMethod: 'getPlugins',
+            error: null,
+          });
+          expect(events[0].params).to.deep.equal({ limit: 10 });
+          expect(events[0].duration).to.be.at.least(0);
+        })
+        .then(done, done);
+    });
+
+    it('emits an event with the error of a failed request', done => {
+      const instrumentation = new Instrumentation();
+      const events = [];
+      const data = { collection: { href: url, error: { message: 'Not found.' } } };
+      axios.defaults.adapter = config => {
+        const response = { data, status: 404, statusText: 'Not Found', headers: {}, config };
+        return Promise.reject(Object.assign(new Error('404'), { request: {}, response, config }));
+      };
+      instrumentation.subscribe(event => events.push(event));
+      const req = new Request(auth, contentType, 30000, { instrumentation });
+
+      req
+        .delete(url)
+        .then(() => {
+          throw new Error('expected the request to fail');
+        })
+        .catch(error => {
+          expect(events[0].method).to.equal('DELETE');
+          expect(events[0].status).to.equal(404);
+          expect(events[0].error).to.equal(error);
+        })
+        .then(done, done);
+    });
+
+    it('reports the url and search parameters set by the middleware', done => {
+      const instrumentation = new Instrumentation();
+      const events = [];
+      const data = { collection: { href: url, items: [], links: [] } };
+      axios.defaults.adapter = config =>
+        Promise.resolve({ data, status: 200, statusText: 'OK', headers: {}, config });
+      instrumentation.subscribe(event => events.push(event));
+      const middleware = {
+        beforeRequest: config =>
+          Object.assign({}, config, { url: url + '?v=2', params: { limit: 5 } }),
+      };
+      const req = new Request(auth, contentType, 30000, {
+        instrumentation,
+        middleware: [middleware],
+      });
+
+      req
+        .get(url, { limit: 10 })
+        .then(() => {
+          expect(events[0].url).to.equal(url + '?v=2');
+          expect(events[0].params).to.deep.equal({ limit: 5 });
+        })
+        .then(done, done);
+    });
+  });
+
+  describe('transport', () => {
+    const url = chrisUrl + 'plugins/';
+
+    // make a transport that resolves every request to the given response
+    const makeTransport = (response, sent) => ({
+      request: config => {
+        sent.push(config);
+        return Promise.resolve(response);
+      },
+    });
+
+    it('sends requests through the transport instead of the network', done => {
+      const sent = [];
+      const data = { collection: { href: url, items: [], links: [] } };
+      const transport = makeTransport({ status: 200, data }, sent);
+      const req = new Request(auth, contentType, 30000, { transport });
+
+      req
+        .get(url, { limit: 10 })
+        .then(response => {
+          expect(sent).to.have.lengthOf(1);
+          expect(sent[0].params).to.deep.equal({ limit: 10 });
+          expect(response.data).to.deep.equal(data);
+        })
+        .then(done, done);
+    });
+
+    it('can override the client transport per call', done => {
+      const clientSent = [];
+      const callSent = [];
+      const data = { collection: { href: url, items: [], links: [] } };
+      const options = { transport: makeTransport({ status: 200, data }, clientSent) };
+      const callOptions = { transport: makeTransport({ status: 200, data }, callSent) };
+      const req = new Request(auth, contentType, callOptions, options);
+
+      req
+        .get(url)
+        .then(() => {
+          expect(clientSent).to.have.lengthOf(0);
+          expect(callSent).to.have.lengthOf(1);
+        })
+        .then(done, done);
+    });
+
+    it('maps error responses of the transport to the error hierarchy', done => {
+      const data = { collection: { href: url, error: { message: 'Not found.' } } };
+      const transport = makeTransport({ status: 404, data }, []);
+      const req = new Request(auth, contentType, 30000, { transport });
+
+      req
+        .get(url)
+        .then(() => {
+          throw new Error('expected the request to fail');
+        })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(NotFoundError);
+          expect(error.response.status).to.equal(404);
+        })
+        .then(done, done);
+    });
+
+    it('reports a transport failure as a network error', done => {
+      const transport = { request: () => Promise.reject(new Error('connection refused')) };
+      const req = new Request(auth, contentType, { retry: false }, { transport });
+
+      req
+        .get(url)
+        .then(() => {
+          throw new Error('expected the request to fail');
+        })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(NetworkError);
+        })
+        .then(done, done);
+    });
+
+    it('fails with a timeout error when the transport does not respond in time', done => {
+      const transport = { request: () => new Promise(() => {}) };
+      const req = new Request(auth, contentType, { timeout: 20, retry: false }, { transport });
+
+      req
+        .get(url)
+        .then(() => {
+          throw new Error('expected the request to fail');
+        })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(TimeoutError);
+        })
+        .then(done, done);
+    });
+
+    it('retries a request that timed out in the transport', done => {
+      const data = { collection: { href: url, items: [], links: [] } };
+      let calls = 0;
+      const transport = {
+        request: () => (calls++ ? Promise.resolve({ status: 200, data }) : new Promise(() => {})),
+      };
+      const retry = { baseDelay: 1, jitter: false };
+      const req = new Request(auth, contentType, { timeout: 20 }, { transport, retry });
+
+      req
+        .get(url)
+        .then(response => {
+          expect(response.data).to.deep.equal(data);
+          expect(calls).to.equal(2);
+        })
+        .then(done, done);
+    });
+  });
+
+  describe('request deduplication', () => {
+    const url = chrisUrl + 'plugins/';
+    let defaultAdapter;
+    let sent;
+
+    beforeEach(() => {
+      defaultAdapter = axios.defaults.adapter;
+      sent = [];
+      axios.defaults.adapter = config => {
+        sent.push(config);
+        const data = { collection: { href: config.url, items: [], links: [] } };
+        return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+          return { data, status: 200, statusText: 'OK', headers: {}, config };
+        });
+      };
+    });
+
+    afterEach(() => {
+      axios.defaults.adapter = defaultAdapter;
+    });
+
+    it('shares a single request between identical concurrent GET requests', done => {
+      const options = {};
+      const req1 = new Request(auth, contentType, 30000, options);
+      const req2 = new Request(auth, contentType, 30000, options);
+
+      Promise.all([req1.get(url, { limit: 10 }), req2.get(url, { limit: 10 })])
+        .then(responses => {
+          expect(sent).to.have.lengthOf(1);
+          expect(responses[1].data).to.deep.equal(responses[0].data);
+          expect(responses[1].data === responses[0].data).to.be.false;
+          return req1.get(url, { limit: 10 });
+        })
+        .then(() => {
+          expect(sent).to.have.lengthOf(2); // the first request is not in flight any more
+        })
+        .then(done, done);
+    });
+
+    it('does not share requests that are not identical', done => {
+      const options = {};
+      const req = new Request(auth, contentType, 30000, options);
+      const otherClientReq = new Request(auth, contentType, 30000, {});
+      const otherUserReq = new Request({ token: 'abc' }, contentType, 30000, options);
+
+      Promise.all([
+        req.get(url, { limit: 10 }),
+        req.get(url, { limit: 20 }),
+        otherClientReq.get(url, { limit: 10 }),
+        otherUserReq.get(url, { limit: 10 }),
+      ])
+        .then(() => {
+          expect(sent).to.have.lengthOf(4);
+        })
+        .then(done, done);
+    });
+
+    it('does not share requests that can be aborted or opt out', done => {
+      const controller = new AbortController();
+      const req = new Request(auth, contentType);
+      const abortableReq = new Request(auth, contentType, { signal: controller.signal });
+      const optOutReq = new Request(auth, contentType, { dedupe: false });
+
+      Promise.all([req.get(url), abortableReq.get(url), optOutReq.get(url)])
+        .then(() => {
+          expect(sent).to.have.lengthOf(3);
+        })
+        .then(done, done);
+    });
+  });
+
+  describe('request scheduler', () => {
+    const url = chrisUrl + 'plugins/';
+    let defaultAdapter;
+    let inFlight;
+    let maxInFlight;
+
+    beforeEach(() => {
+      defaultAdapter = axios.defaults.adapter;
+      inFlight = 0;
+      maxInFlight = 0;
+      // fake axios adapter that takes 10ms to answer
+      axios.defaults.adapter = config => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        return new Promise(resolve => setTimeout(resolve, 10)).then(() => {
+          inFlight--;
+          return { data: {}, status: 200, statusText: 'OK', headers: {}, config };
+        });
+      };
+    });
+
+    afterEach(() => {
+      axios.defaults.adapter = defaultAdapter;
+    });
+
+    it('limits the number of concurrent requests', done => {
+      const options = { scheduler: new RequestScheduler({ maxConcurrency: 2 }) };
+      const requests = [1, 2, 3, 4, 5].map(() => new Request(auth, contentType, 30000, options));
+
+      Promise.all(requests.map((req, i) => req.get(url, { offset: i })))
+        .then(() => {
+          expect(maxInFlight).to.equal(2);
+        })
+        .then(done, done);
+    });
+
+    it('can abort a queued request', done => {
+      const options = { scheduler: new RequestScheduler({ maxConcurrency: 1 }) };
+      const controller = new AbortController();
+      const req = new Request(auth, contentType, 30000, options);
+      const queuedReq = new Request(auth, contentType, { signal: controller.signal }, options);
+
+      const result = Promise.all([req.get(url), queuedReq.get(url)]);
+      controller.abort();
+
+      result
+        .then(() => {
+          throw new Error('expected the queued request to be aborted');
+        })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(AbortError);
+          expect(options.scheduler.pending).to.equal(0);
+        })
+        .then(done, done);
+    });
+  });
+
+  describe('response cache', () => {
+    const url = chrisUrl + 'plugins/';
+    let defaultAdapter;
+    let sent; // configs of the requests sent to the server
+
+    // make a client options object with an HTTP cache
+    const withCache = cacheOptions => ({ cache: new HttpCache(cacheOptions) });
+
+    beforeEach(() => {
+      defaultAdapter = axios.defaults.adapter;
+      sent = [];
+      // fake axios adapter that answers conditional requests for the current ETag with a 304
+      axios.defaults.adapter = config => {
+        sent.push(config);
+        const headers = { etag: '"v1"' };
+        if (config.headers['If-None-Match'] === '"v1"') {
+          return Promise.resolve({ data: '', status: 304, statusText: '', headers, config });
+        }
+        const data = { collection: { href: config.url, items: [], links: [] } };
+        return Promise.resolve({ data, status: 200, statusText: 'OK', headers, config });
+      };
+    });
+
+    afterEach(() => {
+      axios.defaults.adapter = defaultAdapter;
+    });
+
+    it('can revalidate a cached response with a conditional request', done => {
+      const req = new Request(auth, contentType, 30000, withCache());
+
+      req
+        .get(url)
+        .then(() => req.get(url))
+        .then(response => {
+          expect(sent).to.have.lengthOf(2);
+          expect(sent[0].headers).to.not.have.property('If-None-Match');
+          expect(sent[1].headers['If-None-Match']).to.equal('"v1"');
+          expect(response.status).to.equal(200);
+          expect(response.fromCache).to.be.true;
+          expect(response.data.collection.href).to.equal(url);
+        })
+        .then(done, done);
+    });
+
+    it('can serve a fresh cached response without contacting the server', done => {
+      const req = new Request(auth, contentType, 30000, withCache({ ttl: 60000 }));
+
+      req
+        .get(url)
+        .then(() => req.get(url))
+        .then(response => {
+          expect(sent).to.have.lengthOf(1);
+          expect(response.fromCache).to.be.true;
+        })
+        .then(done, done);
+    });
+
+    it('caches responses by url and search parameters', done => {
+      const req = new Request(auth, contentType, 30000, withCache());
+
+      req
+        .get(url, { limit: 10 })
+        .then(() => req.get(url, { limit: 20 }))
+        .then(() => req.get(url, { limit: 10 }))
+        .then(() => {
+          expect(sent[1].headers).to.not.have.property('If-None-Match');
+          expect(sent[2].headers['If-None-Match']).to.equal('"v1"');
+        })
+        .then(done, done);
+    });
+
+    it('does not serve the responses cached for other credentials', done => {
+      const options = withCache({ ttl: 60000 });
+      const req = new Request(auth, contentType, 30000, options);
+      const otherAuth = { username: 'chris', password: 'chris1234' };
+      const otherReq = new Request(otherAuth, contentType, 30000, options);
+
+      req
+        .get(url)
+        .then(() => otherReq.get(url))
+        .then(response => {
+          expect(sent).to.have.lengthOf(2);
+          expect(sent[1].headers).to.not.have.property('If-None-Match');
+          expect(response.fromCache).to.be.undefined;
+          return req.get(url);
+        })
+        .then(response => {
+          expect(sent).to.have.lengthOf(2);
+          expect(response.fromCache).to.be.true;
+        })
+        .then(done, done);
+    });
+
+    it('can be bypassed for a call', done => {
+      const options = withCache({ ttl: 60000 });
+      const req = new Request(auth, contentType, 30000, options);
+      const uncachedReq = new Request(auth, contentType, { cache: false }, options);
+
+      req
+        .get(url)
+        .then(() => uncachedReq.get(url))
+        .then(response => {
+          expect(sent).to.have.lengthOf(2);
+          expect(sent[1].headers).to.not.have.property('If-None-Match');
+          expect(response.fromCache).to.be.undefined;
+        })
+        .then(done, done);
+    });
+  });
+
+  describe('download streaming', () => {
+    const url = chrisUrl + 'uploadedfiles/1/file.txt';
+    const streamContentType = 'application/octet-stream';
+    let defaultAdapter;
+    let getStreamAdapter;
+    let defaultFetch;
+
+    // make a web stream that delivers the given strings as separate chunks
+    const makeStream = chunks =>
+      new ReadableStream({
+        start(controller) {
+          chunks.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)));
+          controller.close();
+        },
+      });
+
+    // read a web stream to the end and decode its content
+    const readText = stream => {
+      const reader = stream.getReader();
+      let text = '';
+      const pump = () =>
+        reader.read().then(result => {
+          if (result.done) {
+            return text;
+          }
+          text += new TextDecoder().decode(result.value);
+          return pump();
+        });
+      return pump();
+    };
+
+    beforeEach(() => {
+      defaultAdapter = axios.defaults.adapter;
+      getStreamAdapter = Request._getStreamAdapter;
+      defaultFetch = globalThis.fetch;
+      // use the fake axios adapter below instead of the browser's stream adapter
+      Request._getStreamAdapter = () => null;
+      axios.defaults.adapter = config => {
+        const headers = { 'content-length': '6', 'x-range': config.headers.Range || '' };
+        const data = makeStream(['abc', 'def']);
+        return Promise.resolve({ data, status: 206, statusText: 'OK', headers, config });
+      };
+    });
+
+    afterEach(() => {
+      axios.defaults.adapter = defaultAdapter;
+      Request._getStreamAdapter = getStreamAdapter;
+      globalThis.fetch = defaultFetch;
+    });
+
+    it('can stream the data of a GET response and report the download progress', done => {
+      const progress = [];
+      const onDownloadProgress = p => progress.push(p);
+      const req = new Request(auth, streamContentType, { onDownloadProgress: onDownloadProgress });
+
+      req
+        .getStream(url)
+        .then(response => readText(response.data))
+        .then(text => {
+          expect(text).to.equal('abcdef');
+          expect(progress).to.have.lengthOf(2);
+          expect(progress[0].loaded).to.equal(3);
+          expect(progress[1].loaded).to.equal(6);
+          expect(progress[1].total).to.equal(6);
+        })
+        .then(done, done);
+    });
+
+    it('can request a byte range', done => {
+      const req = new Request(auth, streamContentType);
+
+      Promise.all([req.getStream(url, { start: 10, end: 19 }), req.getStream(url, { start: 10 })])
+        .then(responses => {
+          expect(responses[0].headers['x-range']).to.equal('bytes=10-19');
+          expect(responses[1].headers['x-range']).to.equal('bytes=10-');
+        })
+        .then(done, done);
+    });
+
+    it('throws RequestException for an invalid byte range', () => {
+      const req = new Request(auth, streamContentType);
+
+      expect(() => req.getStream(url, { start: 10, end: 5 })).to.throw(RequestException);
+      expect(() => req.getStream(url, { start: -1 })).to.throw(RequestException);
+    });
+
+    it('can stream a response with the Fetch API', done => {
+      let fetchInit;
+      globalThis.fetch = (fetchUrl, init) => {
+        fetchInit = init;
+        return Promise.resolve(new Response(makeStream(['abc']), { status: 200 }));
+      };
+      Request._getStreamAdapter = () => fetchStreamAdapter;
+      const req = new Request(auth, streamContentType);
+
+      req
+        .getStream(url)
+        .then(response => {
+          expect(fetchInit.headers.Authorization).to.equal('Basic ' + btoa('cube:cube1234'));
+          return readText(response.data);
+        })
+        .then(text => {
+          expect(text).to.equal('abc');
+        })
+        .then(done, done);
+    });
+
+    it('throws NotFoundError for a 404 response fetched with the Fetch API', done => {
+      const body = JSON.stringify({ collection: { error: { message: 'Not found.' } } });
+      globalThis.fetch = () => Promise.resolve(new Response(body, { status: 404 }));
+      Request._getStreamAdapter = () => fetchStreamAdapter;
+      const req = new Request(auth, streamContentType, { retry: false });
+
+      req
+        .getStream(url)
+        .then(() => {
+          throw new Error('expected the request to fail');
+        })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(NotFoundError);
+          expect(error.message).to.equal('Not found.');
+        })
+        .then(done, done);
+    });
+  });
+
+  describe('upload progress', () => {
+    const url = chrisUrl + 'uploadedfiles/';
+    let defaultAdapter;
+
+    beforeEach(() => {
+      defaultAdapter = axios.defaults.adapter;
+      // fake axios adapter that reports the upload progress in two steps
+      axios.defaults.adapter = config => {
+        config.onUploadProgress({ loaded: 50, total: 100, lengthComputable: true });
+        config.onUploadProgress({ loaded: 100, total: 100, lengthComputable: true });
+        return Promise.resolve({ data: {}, status: 201, statusText: 'OK', headers: {}, config });
+      };
+    });
+
+    afterEach(() => {
+      axios.defaults.adapter = defaultAdapter;
+    });
+
+    it('can report the progress of the data sent in a POST request', done => {
+      const progress = [];
+      const onUploadProgress = p => progress.push(p);
+      const req = new Request(auth, contentType, { onUploadProgress: onUploadProgress });
+
+      req
+        .post(url, { upload_path: 'test.txt' })
+        .then(() => {
+          expect(progress).to.have.lengthOf(2);
+          expect(progress[0].loaded).to.equal(50);
+          expect(progress[0].total).to.equal(100);
+          expect(progress[0].rate).to.be.a('number');
+          expect(progress[1].loaded).to.equal(100);
+          expect(progress[1].eta === null || progress[1].eta === 0).to.be.true;
+        })
+        .then(done, done);
+    });
+
+    it('can report an unknown total size', () => {
+      let progress;
+      const handler = Request._getProgressHandler(p => (progress = p));
+
+      handler({ loaded: 10, total: 0, lengthComputable: false });
+      expect(progress.total).to.equal(0);
+      expect(progress.eta).to.be.a('null');
+    });
+  });
+
+  describe('error hierarchy', () => {
+    const url = chrisUrl + 'plugins/';
+    let defaultAdapter;
+
+    // make a fake axios adapter that fails with the given error properties
+    const failWith = props => config => {
+      const error = Object.assign(new Error('Request failed'), { config, request: {} }, props);
+      return Promise.reject(error);
+    };
+
+    // make an error response whose Collection+JSON error message is the given string
+    const errorResponse = (status, message) => ({
+      response: {
+        data: { collection: { error: { message: message } } },
+        status: status,
+        headers: {},
+      },
+    });
+
+    const expectError = (ExceptionClass, done, check) => {
+      const req = new Request(auth, contentType, { retry: false });
+
+      req
+        .get(url)
+        .then(() => {
+          throw new Error('request should have failed');
+        })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(ExceptionClass);
+          expect(error).to.be.an.instanceof(RequestException);
+          if (check) {
+            check(error);
+          }
+        })
+        .then(done, done);
+    };
+
+    beforeEach(() => {
+      defaultAdapter = axios.defaults.adapter;
+    });
+
+    afterEach(() => {
+      axios.defaults.adapter = defaultAdapter;
+    });
+
+    it('can report a validation error with its field errors', done => {
+      const message = '{"email": ["Enter a valid email address."], "detail": "Bad data"}';
+      axios.defaults.adapter = failWith(errorResponse(400, message));
+
+      expectError(ValidationError, done, error => {
+        expect(error.response.data.email).to.deep.equal(['Enter a valid email address.']);
+        expect(error.fieldErrors).to.deep.equal({
+          email: ['Enter a valid email address.'],
+          detail: ['Bad data'],
+        });
+      });
+    });
+
+    it('can report a validation error whose message is a plain string', done => {
+      axios.defaults.adapter = failWith(errorResponse(400, 'Invalid request'));
+
+      expectError(ValidationError, done, error => {
+        expect(error.fieldErrors).to.deep.equal({ non_field_errors: ['Invalid request'] });
+      });
+    });
+
+    it('can report an authentication error', done => {
+      axios.defaults.adapter = failWith(errorResponse(401, 'Invalid credentials'));
+      expectError(AuthenticationError, done);
+    });
+
+    it('can report a permission denied error', done => {
+      axios.defaults.adapter = failWith(errorResponse(403, 'Not allowed'));
+      expectError(PermissionDeniedError, done);
+    });
+
+    it('can report a not found error', done => {
+      axios.defaults.adapter = failWith(errorResponse(404, 'Not found'));
+      expectError(NotFoundError, done, error => {
+        expect(error.response.status).to.equal(404);
+      });
+    });
+
+    it('can report a timeout error', done => {
+      axios.defaults.adapter = failWith({ code: 'ECONNABORTED' });
+      expectError(TimeoutError, done, error => {
+        expect(error.response).to.be.a('null');
+      });
+    });
+
+    it('can report a network error', done => {
+      axios.defaults.adapter = failWith({});
+      expectError(NetworkError, done, error => {
+        expect(error.message).to.equal('No server response!');
+      });
+    });
+  });
+
+  describe('re-authentication', () => {
+    const url = chrisUrl + 'plugins/';
+    const authUrl = chrisUrl + 'auth-token/';
+    let defaultAdapter;
+    let sentTokens;
+
+    beforeEach(() => {
+      defaultAdapter = axios.defaults.adapter;
+      sentTokens = [];
+      // fake axios adapter that only accepts the 'fresh' token
+      axios.defaults.adapter = config => {
+        sentTokens.push(config.headers.Authorization);
+        if (config.headers.Authorization !== 'Token fresh') {
+          const error = new Error('Request failed with status code 401');
+          error.config = config;
+          error.request = {};
+          error.response = { data: '', status: 401, headers: {}, config };
+          return Promise.reject(error);
+        }
+        return Promise.resolve({ data: {}, status: 200, statusText: 'OK', headers: {}, config });
+      };
+    });
+
+    afterEach(() => {
+      axios.defaults.adapter = defaultAdapter;
+    });
+
+    it('can re-authenticate and replay a request rejected with a 401 status code', done => {
+      const authProvider = {
+        token: 'revoked',
+        getToken: () => Promise.resolve(authProvider.token),
+        canFetchToken: () => true,
+        refreshToken: () => Promise.resolve((authProvider.token = 'fresh')),
+      };
+      const req = new Request(auth, contentType, 30000, { authProvider: authProvider });
+
+      req
+        .get(url)
+        .then(response => {
+          expect(response.status).to.equal(200);
+          expect(sentTokens).to.deep.equal(['Token revoked', 'Token fresh']);
+          expect(response.config.auth).to.be.undefined;
+        })
+        .then(done, done);
+    });
+
+    it('can only replay a request once', done => {
+      const authProvider = {
+        getToken: () => Promise.resolve('revoked'),
+        canFetchToken: () => true,
+        refreshToken: () => Promise.resolve('revoked again'),
+      };
+      const req = new Request(auth, contentType, 30000, { authProvider: authProvider });
+
+      req
+        .get(url)
+        .catch(error => {
+          expect(error.response.status).to.equal(401);
+          expect(sentTokens).to.have.lengthOf(2);
+        })
+        .then(done, done);
+    });
+
+    it('fails with the original error when the auth provider can not fetch a new token', done => {
+      const authProvider = new AuthProvider(authUrl, { token: 'revoked' });
+      const req = new Request(auth, contentType, 30000, { authProvider: authProvider });
+
+      req
+        .get(url)
+        .then(() => {
+          throw new Error('expected the request to fail');
+        })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(AuthenticationError);
+          expect(error.response.status).to.equal(401);
+          expect(sentTokens).to.deep.equal(['Token revoked']);
+        })
+        .then(done, done);
+    });
+
+    it('fetches a new token through the transport and middleware of the client', done => {
+      const sentUrls = [];
+      const middleware = {
+        beforeRequest: config => {
+          sentUrls.push(config.url);
+          return config;
+        },
+      };
+      const options = {
+        transport: new FakeCUBE(chrisUrl),
+        middleware: [middleware],
+        authProvider: new AuthProvider(authUrl, auth),
+      };
+      const req = new Request(undefined, contentType, 30000, options);
+
+      req
+        .get(url)
+        .then(response => {
+          expect(response.status).to.equal(200);
+          expect(sentUrls).to.deep.equal([url, authUrl]);
+          expect(sentTokens).to.be.empty; // nothing is sent to the network
+        })
+        .then(done, done);
+    });
+  });
+
+  describe('middleware chain', () => {
+    const url = chrisUrl + 'plugins/';
+    let defaultAdapter;
+    let sentConfig;
+
+    beforeEach(() => {
+      defaultAdapter = axios.defaults.adapter;
+      sentConfig = null;
+      // fake axios adapter that responds with 200 unless the url contains 'fail'
+      axios.defaults.adapter = config => {
+        sentConfig = config;
+        if (config.url.includes('fail')) {
+          const error = new Error('Request failed with status code 400');
+          error.config = config;
+          error.request = {};
+          error.response = { data: '', status: 400, headers: {}, config };
+          return Promise.reject(error);
+        }
+        return Promise.resolve({ data: {}, status: 200, statusText: 'OK', headers: {}, config });
+      };
+    });
+
+    afterEach(() => {
+      axios.defaults.adapter = defaultAdapter;
+    });
+
+    it('can run the request and response hooks in registration order', done => {
+      const calls = [];
+      const middleware = [
+        {
+          beforeRequest: config => {
+            calls.push('before1');
+            config.headers['X-Correlation-ID'] = 'abc';
+            return config;
+          },
+          afterResponse: response => {
+            calls.push('after1');
+          },
+        },
+        {
+          beforeRequest: config => {
+            calls.push('before2');
+            return Promise.resolve(Object.assign({}, config, { url: config.url + '?gw=1' }));
+          },
+          afterResponse: response => {
+            calls.push('after2');
+            return Object.assign({}, response, { data: { rewritten: true } });
+          },
+        },
+      ];
+      const req = new Request(auth, contentType, 30000, { middleware: middleware });
+
+      req
+        .get(url)
+        .then(response => {
+          expect(calls).to.deep.equal(['before1', 'before2', 'after1', 'after2']);
+          expect(sentConfig.headers['X-Correlation-ID']).to.equal('abc');
+          expect(sentConfig.url).to.equal(url + '?gw=1');
+          expect(response.data).to.deep.equal({ rewritten: true });
+        })
+        .then(done, done);
+    });
+
+    it('can recover from an error in an error hook', done => {
+      const middleware = [
+        { onError: error => undefined },
+        { onError: error => ({ data: { recovered: error.response.status } }) },
+      ];
+      const req = new Request(auth, contentType, 30000, { middleware: middleware });
+
+      req
+        .get(url + 'fail/')
+        .then(response => {
+          expect(response.data).to.deep.equal({ recovered: 400 });
+        })
+        .then(done, done);
+    });
+
+    it('can pass an error through the error hooks', done => {
+      let seenError = null;
+      const middleware = [
+        {
+          onError: error => {
+            seenError = error;
+          },
+        },
+      ];
+      const req = new Request(auth, contentType, 30000, { middleware: middleware });
+
+      req
+        .get(url + 'fail/')
+        .then(() => {
+          throw new Error('request should have failed');
+        })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(RequestException);
+          expect(error).to.equal(seenError);
+        })
+        .then(done, done);
+    });
+  });
+
+  it('gives every exception class an explicit name that survives minification', () => {
+    Object.keys(exceptions).forEach(name => {
+      const className = name === 'default' ? 'RequestException' : name;
+      expect(new exceptions[name]('message').name).to.equal(className);
+    });
+    expect(Object.keys(exceptions)).to.include.members(['AbortError', 'NetworkError']);
+  });
+
+  describe('request abortion', () => {
+    const url = chrisUrl + 'plugins/';
+    let defaultAdapter;
+
+    beforeEach(() => {
+      defaultAdapter = axios.defaults.adapter;
+      // fake axios adapter that never responds unless the request is cancelled
+      axios.defaults.adapter = config =>
+        new Promise((resolve, reject) => {
+          if (config.cancelToken) {
+            config.cancelToken.promise.then(reject);
+          }
+        });
+    });
+
+    afterEach(() => {
+      axios.defaults.adapter = defaultAdapter;
+    });
+
+    it('can abort an in-flight request through an AbortSignal', done => {
+      const controller = new AbortController();
+      const req = new Request(auth, contentType, { signal: controller.signal });
+      const result = req.get(url);
+      controller.abort();
+
+      result
+        .then(() => {
+          throw new Error('request should have been aborted');
+        })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(AbortError);
+          expect(error).to.be.an.instanceof(RequestException);
+          expect(error.response).to.be.a('null');
+        })
+        .then(done, done);
+    });
+
+    it('removes the abort listener from the signal once the request settles', done => {
+      const controller = new AbortController();
+      const signal = controller.signal;
+      const listeners = new Set();
+      signal.addEventListener = (type, listener) => listeners.add(listener);
+      signal.removeEventListener = (type, listener) => listeners.delete(listener);
+      axios.defaults.adapter = config =>
+        Promise.resolve({ data: {}, status: 200, statusText: 'OK', headers: {}, config });
+      const req = new Request(auth, contentType, { signal: signal });
+      const result = req.get(url);
+
+      expect(listeners.size).to.equal(1);
+      result
+        .then(() => {
+          expect(listeners.size).to.equal(0);
+        })
+        .then(done, done);
+    });
+
+    it('can refuse to send a request whose signal is already aborted', done => {
+      const controller = new AbortController();
+      controller.abort();
+      const req = new Request(auth, contentType, { signal: controller.signal });
+
+      req
+        .get(url)
+        .catch(error => {
+          expect(error).to.be.an.instanceof(AbortError);
+        })
+        .then(done, done);
+    });
+  });
+
+  describe('retry policy', () => {
+    const url = chrisUrl + 'plugins/';
+    const retry = { baseDelay: 1, jitter: false };
+    let defaultAdapter;
+    let calls;
+
+    // fake axios adapter that fails with the given statuses before succeeding
+    const failWith = (...statuses) => config => {
+      const status = statuses[calls++];
+      if (!status) {
+        return Promise.resolve({ data: {}, status: 200, statusText: 'OK', headers: {}, config });
+      }
+      const error = new Error('Request failed with status code ' + status);
+      error.config = config;
+      error.request = {};
+      error.response = { data: '', status: status, headers: {}, config };
+      return Promise.reject(error);
+    };
+
+    beforeEach(() => {
+      defaultAdapter = axios.defaults.adapter;
+      calls = 0;
+    });
+
+    afterEach(() => {
+      axios.defaults.adapter = defaultAdapter;
+    });
+
+    it('can retry an idempotent request that fails with a transient error', done => {
+      axios.defaults.adapter = failWith(503, 502);
+      const req = new Request(auth, contentType, 30000, { retry: retry });
+
+      req
+        .get(url)
+        .then(response => {
+          expect(response.status).to.equal(200);
+          expect(calls).to.equal(3);
+        })
+        .then(done, done);
+    });
+
+    it('can give up after the maximum number of attempts', done => {
+      axios.defaults.adapter = failWith(503, 503, 503);
+      const req = new Request(auth, contentType, 30000, { retry: retry });
+
+      req
+        .get(url)
+        .then(() => {
+          throw new Error('request should have failed');
+        })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(RequestException);
+          expect(error.response.status).to.equal(503);
+          expect(calls).to.equal(3);
+        })
+        .then(done, done);
+    });
+
+    it('does not retry a request that fails with a non transient error', done => {
+      axios.defaults.adapter = failWith(404);
+      const req = new Request(auth, contentType, 30000, { retry: retry });
+
+      req
+        .get(url)
+        .catch(error => {
+          expect(error.response.status).to.equal(404);
+          expect(calls).to.equal(1);
+        })
+        .then(done, done);
+    });
+
+    it('only retries a POST request when opted-in per call', done => {
+      axios.defaults.adapter = failWith(503, 503);
+      const req = new Request(auth, contentType, 30000, { retry: retry });
+
+      req
+        .post(url, {})
+        .catch(error => {
+          expect(error.response.status).to.equal(503);
+          expect(calls).to.equal(1);
+
+          calls = 0;
+          const optInReq = new Request(auth, contentType, { retry: true }, { retry: retry });
+          return optInReq.post(url, {});
+        })
+        .then(response => {
+          expect(response.status).to.equal(200);
+          expect(calls).to.equal(3);
+        })
+        .then(done, done);
+    });
+
+    it('can disable retries for a single call', done => {
+      axios.defaults.adapter = failWith(503);
+      const req = new Request(auth, contentType, { retry: false }, { retry: retry });
+
+      req
+        .get(url)
+        .catch(error => {
+          expect(error.response.status).to.equal(503);
+          expect(calls).to.equal(1);
+        })
+        .then(done, done);
+    });
+
+    it('stops waiting to retry a request when it is aborted', done => {
+      axios.defaults.adapter = failWith(503);
+      const controller = new AbortController();
+      const slowRetry = { baseDelay: 60000, maxDelay: 60000, jitter: false };
+      const req = new Request(
+        auth,
+        contentType,
+        { signal: controller.signal },
+        { retry: slowRetry }
+      );
+      const startTime = Date.now();
+      const result = req.get(url);
+      setTimeout(() => controller.abort(), 10);
+
+      result
+        .then(() => {
+          throw new Error('request should have been aborted');
+        })
+        .catch(error => {
+          expect(error).to.be.an.instanceof(AbortError);
+          expect(calls).to.equal(1);
+          expect(Date.now() - startTime).to.be.below(1000);
+        })
+        .then(done, done);
+    });
+
+    it('can compute the retry delay honoring the Retry-After header', () => {
+      const policy = { baseDelay: 100, maxDelay: 5000, jitter: false, statusCodes: [429] };
+      const error = { request: {}, response: { status: 429, headers: {} } };
+
+      expect(Request._getRetryDelay(error, 1, policy)).to.equal(100);
+      expect(Request._getRetryDelay(error, 3, policy)).to.equal(400);
+      error.response.headers['retry-after'] = '2';
+      expect(Request._getRetryDelay(error, 1, policy)).to.equal(2000);
+      error.response.headers['retry-after'] = '60';
+      expect(Request._getRetryDelay(error, 1, policy)).to.equal(-1);
+    });
+  });
 });
@@ -1,20 +1,36 @@
 /** * Imports ***/
 import Collection from './cj';
 import Request from './request';
-import RequestException from './exception';
+import RequestException, { ValidationError, NotFoundError } from './exception';
+import ListIterator from './listiterator';
+import Query from './query';
+import Watcher from './watcher';
+import { registry } from './registry';
 
 /**
  * API abstract resource class.
  */
 export class Resource {
+  /**
+   * Name of this resource class reported in the instrumentation events. It is set
+   * explicitly because class names are mangled in the minified standalone bundle.
+   *
+   * @type {string}
+   */
+  static get resourceName() {
+    return 'Resource';
+  }
+
   /**
    * Constructor
    *
    * @param {string} resourceUrl - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object shared by all the
+   * resource objects created from the same client
    */
-  constructor(resourceUrl, auth) {
+  constructor(resourceUrl, auth, options = null) {
     /** @type {string} */
     this.url = resourceUrl;
 
@@ -24,6 +40,9 @@ export class Resource {
     /** @type {Object} */
     this.auth = auth;
 
+    /** @type {?Object} */
+    this.options = options;
+
     /** @type {string} */
     this.contentType = 'application/vnd.collection+json';
 
@@ -43,6 +62,21 @@ export class Resource {
     return true;
   }
 
+  /**
+   * Internal method to make a request object for this resource, which reports the
+   * ``resourceName`` of this resource's class in the instrumentation events.
+   *
+   * @param {number|Object} timeout - request timeout or request options object
+   * @param {string} [contentType=this.contentType] - request content type
+   *
+   * @return {Request} - request object
+   */
+  _makeRequest(timeout, contentType = this.contentType) {
+    const req = new Request(this.auth, contentType, timeout, this.options);
+    req.resource = this.constructor.resourceName;
+    return req;
+  }
+
   /**
    * Make a deep copy clone of this object resource.
    *
@@ -52,6 +86,140 @@ export class Resource {
     return Resource.cloneObj(this);
   }
 
+  /**
+   * Get an array of the link relation names of this resource object that can be passed
+   * to the ``follow`` method.
+   *
+   * @return {?string[]} - array of link relation names or null if this resource's data
+   * has not been fetched from the API yet
+   */
+  relations() {
+    const linksObj = this._getLinksObj();
+
+    if (!linksObj) {
+      return null;
+    }
+    const names = [];
+    for (let link of linksObj.links || []) {
+      if (names.indexOf(link.rel) === -1) {
+        names.push(link.rel);
+      }
+    }
+    return names;
+  }
+
+  /**
+   * Fetch the resource referenced by a link relation of this resource object from the
+   * REST API. The class of the new resource object is looked up in the resource registry
+   * (the ``registry`` client option or else the shared registry) by the url of the link
+   * or else by the relation name. If none is registered the link is followed into an
+   * ``ItemResource`` or (if the response is a paginated list or search parameters are
+   * given) a ``ListResource`` object.
+   *
+   * @param {string} linkRelation - link relation name, one of ``relations()``
+   * @param {?Object} [searchParams=null] - search parameters object if the link
+   * references a list resource
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   *
+   * @return {Promise<Resource>} - JS Promise, resolves to a new resource object
+   * @throws {RequestException} throw error if this resource has not yet been fetched
+   * from the REST API
+   * @throws {RequestException} throw error when the link relation is not found
+   */
+  follow(linkRelation, searchParams = null, timeout = 30000) {
+    const linksObj = this._getLinksObj();
+
+    if (!linksObj) {
+      throw new RequestException('Resource object has not been set!');
+    }
+    const urls = Collection.getLinkRelationUrls(linksObj, linkRelation);
+
+    if (!urls.length) {
+      const errMsg = 'Missing "' + linkRelation + '" link relation!';
+      throw new RequestException(errMsg);
+    }
+    const url = urls[0];
+    const resourceRegistry = (this.options && this.options.registry) || registry;
+    const ResourceClass = resourceRegistry.resolve(linkRelation, url, this._getRootUrl());
+
+    if (ResourceClass) {
+      const resourceObj = new ResourceClass(url, this.auth, this.options);
+      const fetchResource = searchParams
+        ? resourceObj.get(searchParams, timeout)
+        : resourceObj.get(timeout);
+      return fetchResource.then((res) => res._share());
+    }
+    const req = this._makeRequest(timeout);
+
+    return req.get(url, searchParams).then((resp) => {
+      const coll = resp.data && resp.data.collection;
+      const isList =
+        !!searchParams || !coll || coll.hasOwnProperty('total') || coll.items.length !== 1;
+      const resourceObj = isList
+        ? new ListResource(url, this.auth, this.options)
+        : new ItemResource(url, this.auth, this.options);
+
+      resourceObj.collection = coll || null;
+      if (isList) {
+        resourceObj.searchParams = searchParams;
+      }
+      return resourceObj;
+    });
+  }
+
+  /**
+   * Serialize this resource object into a plain JSON-compatible object that can be
+   * stored (eg. in localStorage or IndexedDB) and turned back into a resource object of
+   * the same class by ``Resource.fromJSON`` without a request. The authentication object
+   * and the client options are not serialized. The class is identified by its key in the
+   * resource registry, unregistered classes are rehydrated as a generic ``ItemResource``
+   * or ``ListResource`` object. Also called by ``JSON.stringify``.
+   *
+   * @return {Object} - object with the ``type`` (registry key or null), ``kind``
+   * (``'item'`` or ``'list'``), ``url`` and ``collection`` properties
+   */
+  toJSON() {
+    const resourceRegistry = (this.options && this.options.registry) || registry;
+
+    return {
+      type: resourceRegistry.keyOf(this.constructor, this.url, this._getRootUrl()),
+      kind: this instanceof ListResource ? 'list' : 'item',
+      url: this.url,
+      collection: this.collection ? JSON.parse(JSON.stringify(this.collection)) : null,
+    };
+  }
+
+  /**
+   * Make a resource object from an object serialized by ``toJSON``. The class of the new
+   * resource object is looked up in the resource registry (the ``registry`` client
+   * option or else the shared registry).
+   *
+   * @param {Object|string} json - serialized resource object or its JSON string
+   * @param {Object} auth - authentication object
+   * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
+   *
+   * @return {Resource} - new resource object
+   * @throws {RequestException} throw error if the serialized object is not valid
+   */
+  static fromJSON(json, auth, options = null) {
+    const obj = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (!obj || typeof obj.url !== 'string' || ['item', 'list'].indexOf(obj.kind) === -1) {
+      throw new RequestException('Invalid serialized resource object!');
+    }
+    const resourceRegistry = (options && options.registry) || registry;
+    const GenericClass = obj.kind === 'list' ? ListResource : ItemResource;
+    let ResourceClass = obj.type ? resourceRegistry.get(obj.type) : null;
+
+    if (!ResourceClass || !(ResourceClass.prototype instanceof GenericClass)) {
+      ResourceClass = GenericClass;
+    }
+    const resourceObj = new ResourceClass(obj.url, auth, options);
+    resourceObj._restoreJSON(obj);
+    return resourceObj;
+  }
+
   /**
    * Helper method to make a deep copy clone of the passed object resource.
    *
@@ -63,7 +231,9 @@ export class Resource {
     const cloneObj = Object.create(Object.getPrototypeOf(obj));
 
     for (let prop in obj) {
-      if (obj[prop] !== null && typeof obj[prop] === 'object') {
+      if (prop === 'options') {
+        cloneObj[prop] = obj[prop]; // client options are shared, not copied
+      } else if (obj[prop] !== null && typeof obj[prop] === 'object') {
         cloneObj[prop] = JSON.parse(JSON.stringify(obj[prop]));
       } else {
         cloneObj[prop] = obj[prop];
@@ -71,32 +241,117 @@ export class Resource {
     }
     return cloneObj;
   }
+
+  /**
+   * Internal helper method to validate the data of a POST or PUT request against the
+   * template of a collection object, see ``Collection.validateTemplate``.
+   *
+   * @param {?Object} collection - Collection+JSON collection object with the template
+   * @param {Object} data - request data object
+   * @param {?Object} uploadFileObj - custom file object
+   * @param {boolean} partial - whether missing required descriptors are allowed
+   *
+   * @return {?ValidationError} - validation error or null if the data is valid or
+   * there is no template to validate it against
+   */
+  static _validateData(collection, data, uploadFileObj, partial) {
+    if (!collection || !collection.template) {
+      return null;
+    }
+    const descriptorsObj = Object.assign({}, data, uploadFileObj);
+    const fieldErrors = Collection.validateTemplate(collection.template, descriptorsObj, partial);
+
+    if (!fieldErrors) {
+      return null;
+    }
+    const errMsg =
+      'Invalid request data for ' +
+      collection.href +
+      ': ' +
+      Object.keys(fieldErrors)
+        .map((name) => name + ': ' + fieldErrors[name].join(' '))
+        .join('; ');
+    const error = new ValidationError(errMsg);
+    error.fieldErrors = fieldErrors;
+    return error;
+  }
+
+  /**
+   * Internal method to get the API root url of the client options that the anchored url
+   * patterns of the resource registry are matched from (see ``ResourceRegistry``).
+   *
+   * @return {string} - API root url or an empty string if it is not known
+   */
+  _getRootUrl() {
+    return (this.options && this.options._rootUrl) || '';
+  }
+
+  /**
+   * Internal method to get the Collection+JSON object that has the links of this
+   * resource object. Subclasses must override it.
+   *
+   * @return {?Object} - Collection+JSON collection or item object or null if this
+   * resource's data has not been fetched from the API yet
+   */
+  _getLinksObj() {
+    return null;
+  }
+
+  /**
+   * Internal method to get the object that a fetch of this resource object's url
+   * resolves to. Item resources override it to get the shared object of an identity map.
+   *
+   * @return {Resource} - ``this`` object
+   */
+  _share() {
+    return this;
+  }
+
+  /**
+   * Internal method to set the state of this resource object from an object serialized
+   * by ``toJSON``. Subclasses with more state must extend it.
+   *
+   * @param {Object} obj - serialized resource object
+   */
+  _restoreJSON(obj) {
+    this.collection = obj.collection ? JSON.parse(JSON.stringify(obj.collection)) : null;
+  }
 }
 
 /**
  * API abstract item resource class.
  */
 export class ItemResource extends Resource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'ItemResource';
+  }
+
   /**
    * Constructor
    *
    * @param {string} itemUrl - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(itemUrl, auth) {
-    super(itemUrl, auth);
+  constructor(itemUrl, auth, options = null) {
+    super(itemUrl, auth, options);
+
+    /** @type {Object} */
+    this._changes = {}; // unsaved edits of the descriptors
   }
 
   /**
-   * Fetch this item resource from the REST API.
+   * Fetch this item resource from the REST API. If the client has an identity map (see
+   * ``IdentityMap``) the shared object of this resource's url is updated as well.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
   get(timeout = 30000) {
-    const req = new Request(this.auth, this.contentType, timeout);
+    const req = this._makeRequest(timeout);
 
     return req.get(this.url).then((resp) => {
       // change the state of this object on successfull response
@@ -104,10 +359,38 @@ export class ItemResource extends Resource {
       if (resp.data && resp.data.collection) {
         this.collection = resp.data.collection;
       }
+      this._share();
       return this;
     });
   }
 
+  /**
+   * Watch this item resource for changes by polling the REST API. ``changed`` events are
+   * emitted when its descriptors change and a ``removed`` event when it is not found
+   * anymore. This object is not modified (unless it is the shared object of an identity
+   * map), the events carry the newly fetched objects.
+   *
+   * @param {Object} [options={}] - watch options object, see ``Watcher``
+   *
+   * @return {Watcher} - started watcher object
+   */
+  watch(options = {}) {
+    const fetchItems = (timeout) => {
+      const item = new this.constructor(this.url, this.auth, this.options);
+
+      return item.get(timeout).then(
+        (fetchedItem) => [fetchedItem],
+        (error) => {
+          if (error instanceof NotFoundError) {
+            return [];
+          }
+          throw error;
+        }
+      );
+    };
+    return new Watcher(fetchItems, this.isEmpty ? null : [this], options).start();
+  }
+
   /**
    * Get the item's data object (REST API descriptors).
    *
@@ -135,6 +418,101 @@ export class ItemResource extends Resource {
     return null;
   }
 
+  /**
+   * Whether this item resource has unsaved edits.
+   *
+   * @type {boolean}
+   */
+  get isDirty() {
+    return Object.keys(this._changes).length > 0;
+  }
+
+  /**
+   * Get the unsaved edits of this item resource.
+   *
+   * @return {Object} - object whose properties are the edited descriptor names and whose
+   * values are their new values
+   */
+  getChanges() {
+    return Object.assign({}, this._changes);
+  }
+
+  /**
+   * Edit a descriptor of this item resource without saving it. Setting a descriptor back
+   * to its fetched value drops the edit.
+   *
+   * @param {string} name - descriptor name, one of ``getPUTParameters()`` if known
+   * @param {*} value - new value
+   *
+   * @return {this} - ``this`` object
+   * @throws {ValidationError} throw error if the descriptor is known to be read-only
+   */
+  set(name, value) {
+    const writableNames = this.getPUTParameters();
+
+    if (writableNames) {
+      this._checkWritable([name], writableNames);
+    }
+    const data = this.data || {};
+
+    if (data.hasOwnProperty(name) && JSON.stringify(data[name]) === JSON.stringify(value)) {
+      delete this._changes[name];
+    } else {
+      this._changes[name] = value;
+    }
+    return this;
+  }
+
+  /**
+   * Save the edits of this item resource by making a PUT request with only the edited
+   * descriptors through the REST API. If the writable descriptor names are not known (eg.
+   * for an item of a list resource) they are fetched first. Edits of read-only
+   * descriptors are rejected without making the request. The edits are dropped on
+   * success and kept on failure.
+   *
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   *
+   * @return {Promise<this>} - JS Promise, resolves to ``this`` object
+   */
+  save(timeout = 30000) {
+    const changes = this.getChanges();
+
+    if (!Object.keys(changes).length) {
+      return Promise.resolve(this);
+    }
+    let getWritableNames = Promise.resolve(this.getPUTParameters());
+
+    if (!this.collection || !this.collection.template) {
+      const item = new this.constructor(this.url, this.auth, this.options);
+      getWritableNames = item.get(timeout).then(() => item.getPUTParameters());
+    }
+    return getWritableNames.then((writableNames) => {
+      if (!writableNames) {
+        throw new RequestException('Item resource does not support PUT requests!');
+      }
+      this._checkWritable(Object.keys(changes), writableNames);
+
+      return this._put(changes, null, timeout).then(() => {
+        for (let name in changes) {
+          if (changes.hasOwnProperty(name) && this._changes[name] === changes[name]) {
+            delete this._changes[name]; // not edited again while saving
+          }
+        }
+        return this;
+      });
+    });
+  }
+
+  /**
+   * Drop the unsaved edits of this item resource.
+   *
+   * @return {this} - ``this`` object
+   */
+  revert() {
+    this._changes = {};
+    return this;
+  }
+
   /**
    * Internal method to fetch a related resource from the REST API that is referenced
    * by a link relation within the item object.
@@ -144,7 +522,7 @@ export class ItemResource extends Resource {
    * @param {Object} [searchParams=null] - search parameters object which is resource-specific
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    * @return {Promise<ResourceClass>} - JS Promise, resolves to a ``ResourceClass`` object
    * @throws {RequestException} throw error if this item resource has not yet been
    * fetched from the REST API
@@ -162,26 +540,104 @@ export class ItemResource extends Resource {
       throw new RequestException(errMsg);
     }
     const resourceUrl = urls[0];
-    const resourceObj = new ResourceClass(resourceUrl, this.auth);
-    if (searchParams) {
-      return resourceObj.get(searchParams, timeout);
+    const resourceObj = new ResourceClass(resourceUrl, this.auth, this.options);
+    const fetchResource = searchParams
+      ? resourceObj.get(searchParams, timeout)
+      : resourceObj.get(timeout);
+    return fetchResource.then((res) => res._share());
+  }
+
+  /**
+   * Internal method to get the Collection+JSON item object that has the links of this
+   * item resource.
+   *
+   * @return {?Object} - Collection+JSON item object or null if this item resource's data
+   * has not been fetched from the API yet
+   */
+  _getLinksObj() {
+    return this.isEmpty ? null : this.collection.items[0];
+  }
+
+  /**
+   * Serialize this item resource object, see ``Resource.toJSON``. Its unsaved edits are
+   * serialized in the ``changes`` property.
+   *
+   * @return {Object} - serialized item resource object
+   */
+  toJSON() {
+    return Object.assign(super.toJSON(), { changes: this.getChanges() });
+  }
+
+  /**
+   * Internal method to set the state of this item resource object from an object
+   * serialized by ``toJSON``.
+   *
+   * @param {Object} obj - serialized item resource object
+   */
+  _restoreJSON(obj) {
+    super._restoreJSON(obj);
+    this._changes = Object.assign({}, obj.changes);
+  }
+
+  /**
+   * Internal method to get the shared object of this item resource's url from the
+   * identity map of the client options, see ``IdentityMap.share``.
+   *
+   * @return {this} - shared item resource object or ``this`` object if the client has no
+   * identity map
+   */
+  _share() {
+    const identityMap = this.options && this.options.identityMap;
+    return identityMap ? identityMap.share(this) : this;
+  }
+
+  /**
+   * Internal method to check that descriptors are writable.
+   *
+   * @param {string[]} names - descriptor names
+   * @param {string[]} writableNames - writable descriptor names
+   *
+   * @throws {ValidationError} throw error if some of the descriptors are read-only
+   */
+  _checkWritable(names, writableNames) {
+    const readOnlyNames = names.filter((name) => writableNames.indexOf(name) === -1);
+
+    if (readOnlyNames.length) {
+      const writable = writableNames.join(', ');
+      const errMsg =
+        'Read-only field(s) ' +
+        readOnlyNames.map((name) => '"' + name + '"').join(', ') +
+        ', writable fields are: ' +
+        writable;
+      const error = new ValidationError(errMsg);
+
+      readOnlyNames.forEach((name) => {
+        error.fieldErrors[name] = ['Read-only field, writable fields are: ' + writable];
+      });
+      throw error;
     }
-    return resourceObj.get(timeout);
   }
 
   /**
    * Internal helper method to make a PUT request to this item resource through
-   * the REST API.
+   * the REST API. If this item resource's template is known the data is validated
+   * against it first (missing required descriptors are allowed).
    *
    * @param {Object} data - request JSON data object
    * @param {?Object} uploadFileObj - custom file object
    * @param {Object} uploadFileObj.fname - file blob
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
-   * @return {Promise<this>} - JS Promise, resolves to ``this`` object
+   * @return {Promise<this>} - JS Promise, resolves to ``this`` object, rejects with a
+   * ``ValidationError`` without making the request if the data is not valid
    */
   _put(data, uploadFileObj, timeout = 30000) {
-    const req = new Request(this.auth, this.contentType, timeout);
+    const error = Resource._validateData(this.collection, data, uploadFileObj, true);
+
+    if (error) {
+      return Promise.reject(error);
+    }
+    const req = this._makeRequest(timeout);
     let putData = data;
 
     if (!uploadFileObj && this.contentType === 'application/vnd.collection+json') {
@@ -193,7 +649,8 @@ export class ItemResource extends Resource {
       if (resp.data && resp.data.collection) {
         this.collection = resp.data.collection;
       }
-      return this;
+      this._share();
+      return req.invalidateCache(this.url).then(() => this);
     });
   }
 
@@ -201,16 +658,20 @@ export class ItemResource extends Resource {
    * Internal helper method to make a DELETE request to this item resource through
    * the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise} - JS Promise
    */
   _delete(timeout = 30000) {
-    const req = new Request(this.auth, this.contentType, timeout);
+    const req = this._makeRequest(timeout);
 
     return req.delete(this.url).then(() => {
       // change the state of this object on successfull response
       this.collection = null;
+      if (this.options && this.options.identityMap) {
+        this.options.identityMap.evict(this.url);
+      }
+      return req.invalidateCache(this.url);
     });
   }
 }
@@ -219,15 +680,21 @@ export class ItemResource extends Resource {
  * API abstract list resource class.
  */
 export class ListResource extends Resource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'ListResource';
+  }
+
   /**
    * Constructor
    *
    * @param {string} listUrl - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(listUrl, auth) {
-    super(listUrl, auth);
+  constructor(listUrl, auth, options = null) {
+    super(listUrl, auth, options);
 
     /** @type {string} */
     this.queryUrl = '';
@@ -243,17 +710,21 @@ export class ListResource extends Resource {
    * Fetch this list resource from the REST API based on search parameters. If
    * no search parameters then get the default first page.
    *
-   * @param {Object} [searchParams=null] - search parameters object which is
+   * @param {Object|Query} [searchParams=null] - search parameters object which is
    * resource-specific, the ``getSearchParameters`` method can be used to get a list
-   * of possible search parameters
+   * of possible search parameters, or query object that makes them
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
   get(searchParams = null, timeout = 30000) {
-    const req = new Request(this.auth, this.contentType, timeout);
+    const req = this._makeRequest(timeout);
+
+    if (searchParams instanceof Query) {
+      searchParams = searchParams.toSearchParams();
+    }
 
     const updateInternalState = (resp) => {
       // change the state of this object on successfull response
@@ -265,20 +736,30 @@ export class ListResource extends Resource {
 
         if (this.collection.queries && this.collection.queries.length) {
           this.queryUrl = this.collection.queries[0].href;
+          this._setDiscoveredQueries(this.collection.queries);
         }
       }
+      this._shareItems();
       return this;
     };
 
-    if (searchParams) {
-      for (let prop in searchParams) {
-        if (searchParams.hasOwnProperty(prop) && prop !== 'limit' && prop !== 'offset') {
-          // here we assume a fixed queryUrl form but API resource objecs are more flexible than this
-          this.queryUrl = this.queryUrl || this.url + 'search/';
+    const searchNames = searchParams
+      ? Object.keys(searchParams).filter((name) => name !== 'limit' && name !== 'offset')
+      : [];
 
-          return req.get(this.queryUrl, searchParams).then(updateInternalState);
+    if (searchNames.length) {
+      return this._getQueries(timeout).then((queries) => {
+        const validNames = queries.length ? Collection.getQueryParameters(queries) : [];
+        const unknownNames = searchNames.filter((name) => validNames.indexOf(name) === -1);
+
+        if (unknownNames.length) {
+          throw ListResource._makeSearchError(this.url, unknownNames, validNames);
         }
-      }
+        this.queryUrl = queries[0].href;
+        return req.get(this.queryUrl, searchParams).then(updateInternalState);
+      });
+    }
+    if (searchParams) {
       return req.get(this.url, searchParams).then(updateInternalState);
     }
     return req.get(this.url).then(updateInternalState);
@@ -321,11 +802,7 @@ export class ListResource extends Resource {
     if (!items.length) {
       return null;
     }
-    const itemResource = new this.itemClass(items[0].href, this.auth);
-    itemResource.collection = Collection.createCollectionObj();
-    itemResource.collection.items.push(items[0]);
-    itemResource.collection.href = items[0].href;
-    return itemResource;
+    return this._makeItemResource(items[0]);
   }
 
   /**
@@ -338,13 +815,58 @@ export class ListResource extends Resource {
     if (this.isEmpty) {
       return [];
     }
-    return this.collection.items.map((item) => {
-      const itemResource = new this.itemClass(item.href, this.auth);
-      itemResource.collection = Collection.createCollectionObj();
-      itemResource.collection.items.push(item);
-      itemResource.collection.href = item.href;
-      return itemResource;
-    });
+    return this.collection.items.map((item) => this._makeItemResource(item));
+  }
+
+  /**
+   * Get an async iterator over the items of this list resource across all the pages of
+   * the paginated REST API, starting from this page (or from the page matching
+   * ``this.searchParams`` if this list resource's data has not been fetched yet). The
+   * next pages are fetched lazily and this object is left unchanged. List resource
+   * objects are also async iterables, ``for await (const item of listRes)`` iterates
+   * with the default options.
+   *
+   * @param {Object} [options={}] - iteration options object
+   * @param {number} [options.maxItems=Infinity] - maximum number of items yielded
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options
+   * object used to fetch the pages
+   *
+   * @return {ListIterator} - async iterator that yields instances of ``this.itemClass``
+   */
+  iterate(options = {}) {
+    const getFirstPage = (timeout) => {
+      if (this.collection) {
+        return Promise.resolve(this);
+      }
+      return this._fetchPage(this.searchParams, timeout);
+    };
+    return new ListIterator(getFirstPage, options);
+  }
+
+  /**
+   * Get an async iterator over the items of this list resource across all the pages of
+   * the paginated REST API (see ``iterate``).
+   *
+   * @return {ListIterator} - async iterator
+   */
+  [Symbol.asyncIterator]() {
+    return this.iterate();
+  }
+
+  /**
+   * Watch this page of the list resource (same search parameters) for changes by polling
+   * the REST API. ``added``, ``removed`` and ``changed`` events are emitted as the items
+   * of the page change. This object is not modified.
+   *
+   * @param {Object} [options={}] - watch options object, see ``Watcher``
+   *
+   * @return {Watcher} - started watcher object
+   */
+  watch(options = {}) {
+    const fetchItems = (timeout) => {
+      return this._fetchPage(this.searchParams, timeout).then((page) => page.getItems());
+    };
+    return new Watcher(fetchItems, this.collection ? this.getItems() : null, options).start();
   }
 
   /**
@@ -410,6 +932,183 @@ export class ListResource extends Resource {
     return false;
   }
 
+  /**
+   * Get the total number of pages of the entire collection in the paginated REST API
+   * given the page limit of this list resource. Return -1 if no data has been fetched
+   * or the total number of items info is not available from the fetched data.
+   *
+   * @type {number}
+   */
+  get pageCount() {
+    const totalCount = this.totalCount;
+
+    if (totalCount < 0) {
+      return -1;
+    }
+    const limit = this._getPageLimit();
+    return limit ? Math.max(Math.ceil(totalCount / limit), 1) : 1;
+  }
+
+  /**
+   * Fetch the next page of this list resource from the REST API into a new list
+   * resource object with the same search parameters (but the page offset). This object
+   * is not modified.
+   *
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   *
+   * @return {Promise<?ListResource>} - JS Promise, resolves to a new list resource
+   * object of the same class or null if there is no next page
+   * @throws {RequestException} throw error if this list resource has not yet
+   * been fetched from the REST API
+   */
+  getNextPage(timeout = 30000) {
+    if (!this.collection) {
+      throw new RequestException('Collection object has not been set!');
+    }
+    if (!this.hasNextPage) {
+      return Promise.resolve(null);
+    }
+    return this._getLinkedPage('next', timeout);
+  }
+
+  /**
+   * Fetch the previous page of this list resource from the REST API into a new list
+   * resource object with the same search parameters (but the page offset). This object
+   * is not modified.
+   *
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   *
+   * @return {Promise<?ListResource>} - JS Promise, resolves to a new list resource
+   * object of the same class or null if there is no previous page
+   * @throws {RequestException} throw error if this list resource has not yet
+   * been fetched from the REST API
+   */
+  getPreviousPage(timeout = 30000) {
+    if (!this.collection) {
+      throw new RequestException('Collection object has not been set!');
+    }
+    if (!this.hasPreviousPage) {
+      return Promise.resolve(null);
+    }
+    return this._getLinkedPage('previous', timeout);
+  }
+
+  /**
+   * Fetch a page of this list resource given its number from the REST API into a new
+   * list resource object with the same search parameters and page limit. This object
+   * is not modified.
+   *
+   * @param {number} pageNumber - page number between 1 and ``pageCount``
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   *
+   * @return {Promise<ListResource>} - JS Promise, resolves to a new list resource object
+   * of the same class
+   * @throws {RequestException} throw error if this list resource has not yet
+   * been fetched from the REST API
+   * @throws {RequestException} throw error if the page number is out of range
+   */
+  getPage(pageNumber, timeout = 30000) {
+    if (!this.collection) {
+      throw new RequestException('Collection object has not been set!');
+    }
+    const pageCount = this.pageCount;
+
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pageCount) {
+      const errMsg = 'Page number must be an integer between 1 and ' + pageCount + '!';
+      throw new RequestException(errMsg);
+    }
+    const limit = this._getPageLimit();
+    const searchParams = Object.assign({}, this.searchParams);
+
+    if (limit) {
+      searchParams.limit = limit;
+      searchParams.offset = (pageNumber - 1) * limit;
+    }
+    return this._fetchPage(searchParams, timeout);
+  }
+
+  /**
+   * Fetch all the pages of this list resource from the REST API, the first page to
+   * read the total number of items and then the remaining pages concurrently (with the
+   * same search parameters and page limit). The items of the pages are merged in order.
+   * If some of the remaining pages can't be fetched the items of the other pages are
+   * still returned along with the errors. If the total number of items is unknown the
+   * remaining pages are instead fetched one after the other by following their ``next``
+   * links until there are none left or a page can't be fetched. This object is not
+   * modified.
+   *
+   * @param {Object} [options={}] - fetch options object
+   * @param {number} [options.concurrency=4] - maximum number of pages fetched at once
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options
+   * object used to fetch the pages
+   *
+   * @return {Promise<Object>} - JS Promise, resolves to a result object with the
+   * ``items`` (array of item resource objects), ``totalCount`` (-1 if it is unknown and
+   * some page wasn't fetched), ``complete`` (true if every page was fetched) and ``errors`` (array of objects with the ``offset``,
+   * ``limit`` and ``error`` properties of the failed pages) properties, rejects if the
+   * first page can't be fetched
+   */
+  fetchAll(options = {}) {
+    const concurrency = Math.max(options.concurrency || 4, 1);
+    const timeout = options.timeout === undefined ? 30000 : options.timeout;
+    const searchParams = Object.assign({}, this.searchParams);
+    let fetchFirstPage;
+
+    if (this.collection && !searchParams.offset) {
+      fetchFirstPage = Promise.resolve(this);
+    } else {
+      delete searchParams.offset;
+      fetchFirstPage = this._fetchPage(searchParams, timeout);
+    }
+
+    return fetchFirstPage.then((firstPage) => {
+      const totalCount = firstPage.totalCount;
+      const limit = firstPage._getPageLimit();
+      const offsets = [];
+
+      if (totalCount < 0) {
+        return ListResource._fetchNextPages(firstPage, timeout);
+      }
+
+      if (limit) {
+        for (let offset = limit; offset < totalCount; offset += limit) {
+          offsets.push(offset);
+        }
+      }
+      const pages = [firstPage];
+      const errors = [];
+      let next = 0;
+
+      // each worker fetches the next remaining page until there are none left
+      const work = () => {
+        if (next >= offsets.length) {
+          return Promise.resolve();
+        }
+        const i = next++;
+        const pageParams = Object.assign({}, searchParams, { limit, offset: offsets[i] });
+
+        return this._fetchPage(pageParams, timeout)
+          .then(
+            (page) => {
+              pages[i + 1] = page;
+            },
+            (error) => {
+              errors.push({ offset: offsets[i], limit, error });
+            }
+          )
+          .then(work);
+      };
+      const workers = [];
+
+      for (let i = 0; i < Math.min(concurrency, offsets.length); i++) {
+        workers.push(work());
+      }
+      return Promise.all(workers).then(() =>
+        ListResource._makeFetchResult(pages, totalCount, errors)
+      );
+    });
+  }
+
   /**
    * Get an array of parameter names that can be used as properties of the data
    * object in POST requests.
@@ -425,6 +1124,303 @@ export class ListResource extends Resource {
     return null;
   }
 
+  /**
+   * Internal method to get the Collection+JSON collection object that has the links of
+   * this list resource.
+   *
+   * @return {?Object} - Collection+JSON collection object or null if this list
+   * resource's data has not been fetched from the API yet
+   */
+  _getLinksObj() {
+    return this.collection;
+  }
+
+  /**
+   * Serialize this list resource object, see ``Resource.toJSON``. Its search parameters
+   * are serialized in the ``searchParams`` property.
+   *
+   * @return {Object} - serialized list resource object
+   */
+  toJSON() {
+    return Object.assign(super.toJSON(), {
+      searchParams: this.searchParams ? Object.assign({}, this.searchParams) : null,
+      queryUrl: this.queryUrl,
+    });
+  }
+
+  /**
+   * Internal method to set the state of this list resource object from an object
+   * serialized by ``toJSON``.
+   *
+   * @param {Object} obj - serialized list resource object
+   */
+  _restoreJSON(obj) {
+    super._restoreJSON(obj);
+    this.searchParams = obj.searchParams ? Object.assign({}, obj.searchParams) : null;
+    this.queryUrl = obj.queryUrl || '';
+  }
+
+  /**
+   * Internal method to make an item resource object from an item of this list
+   * resource's collection object. If the client has an identity map the shared object
+   * of the item's url is returned instead, updated with the item only if requested so
+   * that the items of a list fetched earlier don't overwrite fresher data.
+   *
+   * @param {Object} item - Collection+JSON item object
+   * @param {boolean} [update=false] - whether to update the shared object with the item
+   *
+   * @return {Object} - an instance of ``this.itemClass``
+   */
+  _makeItemResource(item, update = false) {
+    const identityMap = this.options && this.options.identityMap;
+
+    if (identityMap && !update) {
+      const shared = identityMap.get(item.href);
+
+      if (shared instanceof this.itemClass) {
+        return shared;
+      }
+    }
+    const itemResource = new this.itemClass(item.href, this.auth, this.options);
+    itemResource.collection = Collection.createCollectionObj();
+    itemResource.collection.items.push(item);
+    itemResource.collection.href = item.href;
+    return itemResource._share();
+  }
+
+  /**
+   * Internal method to update the shared objects of the items of this list resource in
+   * the identity map of the client options (if any) after a fetch.
+   */
+  _shareItems() {
+    if (this.options && this.options.identityMap && !this.isEmpty) {
+      this.collection.items.forEach((item) => this._makeItemResource(item, true));
+    }
+  }
+
+  /**
+   * Internal method to fetch the page of this list resource referenced by a link
+   * relation of its collection object (eg. 'next' or 'previous') into a new list
+   * resource object of the same class.
+   *
+   * @param {string} linkRelation - link relation of the page
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   *
+   * @return {Promise<ListResource>} - JS Promise, resolves to a new list resource object
+   */
+  _getLinkedPage(linkRelation, timeout = 30000) {
+    const pageUrl = Collection.getLinkRelationUrls(this.collection, linkRelation)[0];
+    const req = this._makeRequest(timeout);
+
+    return req.get(pageUrl).then((resp) => {
+      const page = new this.constructor(this.url, this.auth, this.options);
+      const pageParams = ListResource._getPageParams(pageUrl);
+      page.queryUrl = this.queryUrl;
+      page.searchParams = Object.assign({}, this.searchParams, pageParams);
+      if (resp.data && resp.data.collection) {
+        page.collection = resp.data.collection;
+      }
+      page._shareItems();
+      return page;
+    });
+  }
+
+  /**
+   * Internal method to fetch the pages that follow a first page of a list resource whose
+   * total number of items is unknown. The pages are fetched one after the other by
+   * following their ``next`` links until there are none left or a page can't be fetched.
+   *
+   * @param {ListResource} firstPage - first page of the list resource
+   * @param {number|Object} timeout - request timeout or request options object
+   *
+   * @return {Promise<Object>} - JS Promise, resolves to a result object (see ``fetchAll``)
+   * whose ``totalCount`` is the number of items if every page was fetched or -1 otherwise
+   */
+  static _fetchNextPages(firstPage, timeout) {
+    const pages = [firstPage];
+
+    const fetchNext = (page) => {
+      if (!page.hasNextPage) {
+        return Promise.resolve([]);
+      }
+      return page.getNextPage(timeout).then(
+        (nextPage) => {
+          pages.push(nextPage);
+          return fetchNext(nextPage);
+        },
+        (error) => {
+          const pageUrl = Collection.getLinkRelationUrls(page.collection, 'next')[0];
+          const pageParams = ListResource._getPageParams(pageUrl);
+          return [{ offset: pageParams.offset, limit: pageParams.limit, error }];
+        }
+      );
+    };
+    return fetchNext(firstPage).then((errors) => {
+      const result = ListResource._makeFetchResult(pages, -1, errors);
+
+      if (result.complete) {
+        result.totalCount = result.items.length;
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Internal method to make the result object of ``fetchAll``.
+   *
+   * @param {Array<?ListResource>} pages - fetched pages in order (null for a failed page)
+   * @param {number} totalCount - total number of items
+   * @param {Object[]} errors - array of objects with the ``offset``, ``limit`` and
+   * ``error`` properties of the failed pages
+   *
+   * @return {Object} - result object (see ``fetchAll``)
+   */
+  static _makeFetchResult(pages, totalCount, errors) {
+    let items = [];
+    for (let page of pages) {
+      if (page) {
+        items = items.concat(page.getItems());
+      }
+    }
+    errors.sort((a, b) => a.offset - b.offset);
+    return { items, totalCount, complete: !errors.length, errors };
+  }
+
+  /**
+   * Internal method to get the Collection+JSON query array of this list resource. If it
+   * is not yet known to this object or to the other list resource objects of the same url
+   * and client it is discovered by fetching a single item page of the list.
+   *
+   * @param {number|Object} timeout - request timeout or request options object
+   *
+   * @return {Promise<Object[]>} - JS Promise, resolves to the query array (empty if the
+   * list resource doesn't support searching)
+   */
+  _getQueries(timeout) {
+    if (this.collection && this.collection.queries && this.collection.queries.length) {
+      this._setDiscoveredQueries(this.collection.queries);
+      return Promise.resolve(this.collection.queries);
+    }
+    const discoveredQueries = this.options && this.options._discoveredQueries;
+    const listUrl = this.url.split('?')[0];
+
+    if (discoveredQueries && discoveredQueries.hasOwnProperty(listUrl)) {
+      return Promise.resolve(discoveredQueries[listUrl]);
+    }
+    const req = this._makeRequest(timeout);
+
+    return req.get(this.url, { limit: 1 }).then((resp) => {
+      const coll = resp.data && resp.data.collection;
+
+      if (coll && coll.queries && coll.queries.length) {
+        this._setDiscoveredQueries(coll.queries);
+        return coll.queries;
+      }
+      return [];
+    });
+  }
+
+  /**
+   * Internal method to remember the Collection+JSON query array of this list resource
+   * in the client options so that the other list resource objects of the same url and
+   * client don't have to discover it again (see ``Client.clearDiscoveredQueries``).
+   *
+   * @param {Object[]} queries - query array
+   */
+  _setDiscoveredQueries(queries) {
+    if (this.options && this.options._discoveredQueries) {
+      this.options._discoveredQueries[this.url.split('?')[0]] = queries;
+    }
+  }
+
+  /**
+   * Internal method to make the error thrown when unknown search parameters are used.
+   *
+   * @param {string} listUrl - url of the list resource
+   * @param {string[]} unknownNames - names of the unknown search parameters
+   * @param {string[]} validNames - names of the valid search parameters (but the
+   * ``limit`` and ``offset`` page parameters)
+   *
+   * @return {ValidationError} - error whose ``fieldErrors`` has a property for each
+   * unknown search parameter
+   */
+  static _makeSearchError(listUrl, unknownNames, validNames) {
+    const valid = validNames.concat('limit', 'offset').join(', ');
+    const errMsg =
+      'Unknown search parameter(s) ' +
+      unknownNames.map((name) => '"' + name + '"').join(', ') +
+      ' for ' +
+      listUrl +
+      ', valid search parameters are: ' +
+      valid;
+    const error = new ValidationError(errMsg);
+
+    unknownNames.forEach((name) => {
+      error.fieldErrors[name] = ['Unknown search parameter, valid ones are: ' + valid];
+    });
+    return error;
+  }
+
+  /**
+   * Internal method to fetch a page of this list resource from the REST API into a new
+   * list resource object of the same class.
+   *
+   * @param {?Object} searchParams - search parameters object of the page
+   * @param {number|Object} timeout - request timeout or request options object
+   *
+   * @return {Promise<ListResource>} - JS Promise, resolves to a new list resource object
+   */
+  _fetchPage(searchParams, timeout) {
+    const page = new this.constructor(this.url, this.auth, this.options);
+    page.queryUrl = this.queryUrl;
+    return page.get(searchParams, timeout);
+  }
+
+  /**
+   * Internal method to get the page limit of this list resource from its search
+   * parameters or else from the urls of its next and previous pages.
+   *
+   * @return {?number} - page limit or null if unknown (there is a single page)
+   */
+  _getPageLimit() {
+    if (this.searchParams && this.searchParams.limit) {
+      return Number(this.searchParams.limit);
+    }
+    if (this.collection) {
+      for (let linkRelation of ['next', 'previous']) {
+        const urls = Collection.getLinkRelationUrls(this.collection, linkRelation);
+        if (urls.length) {
+          const pageParams = ListResource._getPageParams(urls[0]);
+          if (pageParams.limit) {
+            return pageParams.limit;
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Internal method to get the ``limit`` and ``offset`` search parameters from the
+   * query string of a page url. A missing offset means the first page.
+   *
+   * @param {string} pageUrl - url of a page
+   *
+   * @return {Object} - object with the ``offset`` and (if in the url) ``limit`` properties
+   */
+  static _getPageParams(pageUrl) {
+    const pageParams = { offset: 0 };
+    const query = pageUrl.split('#')[0].split('?')[1] || '';
+
+    query.split('&').forEach((param) => {
+      const [name, value] = param.split('=');
+      if ((name === 'limit' || name === 'offset') && /^\d+$/.test(value)) {
+        pageParams[name] = parseInt(value, 10);
+      }
+    });
+    return pageParams;
+  }
+
   /**
    * Internal method to fetch a related resource from the REST API that is
    * referenced by a link relation within this list resource's collection object.
@@ -434,7 +1430,7 @@ export class ListResource extends Resource {
    * @param {Object} [searchParams=null] - search parameters object which is resource-specific
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<ResourceClass>} - JS Promise, resolves to a ``ResourceClass`` object
    * @throws {RequestException} throw error if this list resource has not yet
@@ -452,28 +1448,34 @@ export class ListResource extends Resource {
       throw new RequestException(errMsg);
     }
     const resourceUrl = urls[0];
-    const resourceObj = new ResourceClass(resourceUrl, this.auth);
-
-    if (searchParams) {
-      return resourceObj.get(searchParams, timeout);
-    }
-    return resourceObj.get(timeout);
+    const resourceObj = new ResourceClass(resourceUrl, this.auth, this.options);
+    const fetchResource = searchParams
+      ? resourceObj.get(searchParams, timeout)
+      : resourceObj.get(timeout);
+    return fetchResource.then((res) => res._share());
   }
 
   /**
    * Internal helper method to make a POST request to this list resource through
-   * the REST API.
+   * the REST API. If this list resource's template is known the data is validated
+   * against it first.
    *
    * @param {Object} data - request JSON data object
    * @param {?Object} uploadFileObj - custom file object
    * @param {Object} uploadFileObj.fname - file blob
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
-   * @return {Promise<this>} - JS Promise, resolves to ``this`` object
+   * @return {Promise<this>} - JS Promise, resolves to ``this`` object, rejects with a
+   * ``ValidationError`` without making the request if the data is not valid
    */
   _post(data, uploadFileObj, timeout = 30000) {
+    const error = Resource._validateData(this.collection, data, uploadFileObj, false);
+
+    if (error) {
+      return Promise.reject(error);
+    }
     const url = this.url;
-    const req = new Request(this.auth, this.contentType, timeout);
+    const req = this._makeRequest(timeout);
     let postData = data;
 
     if (!uploadFileObj && this.contentType === 'application/vnd.collection+json') {
@@ -487,6 +1489,7 @@ export class ListResource extends Resource {
       if (resp.data && resp.data.collection) {
         this.collection = resp.data.collection;
       }
+      this._shareItems();
       return this;
     });
   }
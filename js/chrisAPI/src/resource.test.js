@@ -1,6 +1,14 @@
+import axios from 'axios';
 import { expect } from 'chai';
-import { ItemResource, ListResource } from './resource';
+import { Resource, ItemResource, ListResource } from './resource';
 import Collection from './cj';
+import { AbortError, ValidationError } from './exception';
+import HttpCache from './httpcache';
+import FakeCUBE from './fakecube';
+import Client from './client';
+import { FeedList, Feed } from './feed';
+import { PluginInstance } from './plugininstance';
+import * as CAPI from './index';
 
 // http://sinonjs.org/releases/v5.1.0/fake-xhr-and-server/
 
@@ -10,8 +18,22 @@ describe('Resource', () => {
   const chrisUrl = 'http://localhost:8000/api/v1/';
   const auth = { username: username, password: password };
   //const auth = {token: "d757da9c364fdc92368b90392559e0de78f54f02"};
+  const options = { transport: new FakeCUBE(chrisUrl) };
   let collection;
 
+  before(() =>
+    new Client(chrisUrl, auth, options).createPluginInstance(1, { dir: './', title: 'Test feed' })
+  );
+
+  it('gives every resource class an explicit name that survives minification', () => {
+    const resourceClasses = Object.keys(CAPI).filter(
+      name => CAPI[name] === Resource || CAPI[name].prototype instanceof Resource
+    );
+
+    expect(resourceClasses).to.include.members(['Resource', 'FeedList', 'Note', 'User']);
+    resourceClasses.forEach(name => expect(CAPI[name].resourceName).to.equal(name));
+  });
+
   describe('ItemResource', () => {
     const itemUrl = chrisUrl + '1/';
     let itemRes;
@@ -22,7 +44,7 @@ describe('Resource', () => {
         items: [{ data: [{ name: 'id', value: 1 }] }],
         links: [],
       };
-      itemRes = new ItemResource(itemUrl, auth);
+      itemRes = new ItemResource(itemUrl, auth, options);
       itemRes.collection = collection;
     });
 
@@ -37,6 +59,18 @@ describe('Resource', () => {
       expect(itemRes.isEmpty).to.be.false;
     });
 
+    it('can be serialized and rehydrated without its credentials', () => {
+      itemRes.set('name', 'a');
+      const json = JSON.stringify(itemRes);
+      const itemResCopy = Resource.fromJSON(json, auth);
+
+      expect(json).not.to.contain(password);
+      expect(itemResCopy).to.be.an.instanceof(ItemResource);
+      expect(itemResCopy.collection).to.deep.equal(itemRes.collection);
+      expect(itemResCopy.getChanges()).to.deep.equal({ name: 'a' });
+      expect(() => Resource.fromJSON({ url: itemUrl }, auth)).to.throw('Invalid serialized');
+    });
+
     it('can retrieve its data', () => {
       expect(itemRes.data).to.deep.equal({ id: 1 });
     });
@@ -56,6 +90,113 @@ describe('Resource', () => {
         })
         .then(done, done);
     });
+
+    it('can abort fetching an Item Resource from the REST API', done => {
+      const defaultAdapter = axios.defaults.adapter;
+      axios.defaults.adapter = config =>
+        new Promise((resolve, reject) => config.cancelToken.promise.then(reject));
+      const controller = new AbortController();
+      const result = itemRes.get({ signal: controller.signal });
+      controller.abort();
+
+      result
+        .catch(error => {
+          expect(error).to.be.an.instanceof(AbortError);
+          expect(itemRes.data).to.deep.equal({ id: 1 }); // state is left untouched
+        })
+        .then(() => {
+          axios.defaults.adapter = defaultAdapter;
+        })
+        .then(done, done);
+    });
+
+    it('invalidates its cached responses and those of its list when it is modified or deleted', done => {
+      const defaultAdapter = axios.defaults.adapter;
+      axios.defaults.adapter = config =>
+        Promise.resolve({ data: { collection }, status: 200, headers: {}, config });
+      const cache = new HttpCache();
+      const cachedResponse = { data: { collection }, headers: { etag: '"v1"' } };
+      itemRes = new ItemResource(itemUrl, auth, { cache: cache });
+      itemRes.collection = collection;
+
+      cache
+        .set(itemUrl, cachedResponse)
+        .then(() => itemRes._put({ id: 1 }, null))
+        .then(() => cache.get(itemUrl))
+        .then(entry => {
+          expect(entry).to.be.a('null');
+          return Promise.all([
+            cache.set(itemUrl, cachedResponse),
+            cache.set(HttpCache.getKey(chrisUrl, { limit: 10 }), cachedResponse),
+          ]);
+        })
+        .then(() => itemRes._delete())
+        .then(() => cache.storage.keys())
+        .then(keys => {
+          expect(keys).to.be.empty;
+        })
+        .then(
+          () => {
+            axios.defaults.adapter = defaultAdapter;
+          },
+          error => {
+            axios.defaults.adapter = defaultAdapter;
+            throw error;
+          }
+        )
+        .then(done, done);
+    });
+
+    it('tracks its unsaved edits', () => {
+      itemRes.collection.template = Collection.makeTemplate({ name: '' });
+
+      expect(() => itemRes.set('id', 2)).to.throw(ValidationError, 'writable fields are: name');
+      expect(itemRes.set('name', 'a').getChanges()).to.deep.equal({ name: 'a' });
+      expect(itemRes.isDirty).to.be.true;
+      expect(itemRes.revert().isDirty).to.be.false;
+    });
+
+    it('saves only its edited writable descriptors through the REST API', done => {
+      const cube = new FakeCUBE(chrisUrl);
+      const puts = [];
+      const transport = {
+        request: config => {
+          if (config.method === 'put') {
+            puts.push(JSON.parse(config.data));
+          }
+          return cube.request(config);
+        },
+      };
+      const client = new Client(chrisUrl, auth, { transport });
+      let feed;
+
+      client
+        .createPluginInstance(1, { dir: 'x', title: 'a' })
+        .then(() => client.getFeeds())
+        .then(feedList => {
+          feed = feedList.getItems()[0]; // the writable names are not known yet
+          expect(feed.set('name', 'a').isDirty).to.be.false; // same as the fetched value
+          return feed.set('name', 'b').set('creation_date', '2020-01-01').save();
+        })
+        .then(
+          () => {
+            throw new Error('read-only field was saved');
+          },
+          error => {
+            expect(error).to.be.an.instanceof(ValidationError);
+            expect(error.fieldErrors).to.have.property('creation_date');
+            expect(puts).to.have.lengthOf(0);
+            expect(feed.isDirty).to.be.true;
+            return feed.revert().set('name', 'b').save();
+          }
+        )
+        .then(() => {
+          expect(puts).to.deep.equal([{ template: { data: [{ name: 'name', value: 'b' }] } }]);
+          expect(feed.data.name).to.equal('b');
+          expect(feed.isDirty).to.be.false;
+        })
+        .then(done, done);
+    });
   });
 
   describe('ListResource', () => {
@@ -68,7 +209,7 @@ describe('Resource', () => {
         links: [],
         total: 100,
       };
-      listRes = new ListResource(chrisUrl, auth);
+      listRes = new ListResource(chrisUrl, auth, options);
       listRes.collection = collection;
     });
 
@@ -79,6 +220,65 @@ describe('Resource', () => {
       expect(listResClone.collection === listRes.collection).to.be.false;
     });
 
+    it('can be rehydrated into the class of the serialized resource object', done => {
+      const client = new Client(chrisUrl, auth, { transport: new FakeCUBE(chrisUrl) });
+      let json;
+
+      client
+        .createPluginInstance(1, { dir: 'x', title: 'a' })
+        .then(inst => {
+          const instCopy = Resource.fromJSON(inst.toJSON(), auth, client.options);
+          expect(instCopy).to.be.an.instanceof(PluginInstance);
+          expect(instCopy.data).to.deep.equal(inst.data);
+          return client.getFeeds({ limit: 1 });
+        })
+        .then(feedList => {
+          json = JSON.stringify(feedList);
+          const feedListCopy = Resource.fromJSON(json, auth, client.options);
+
+          expect(feedListCopy).to.be.an.instanceof(FeedList);
+          expect(feedListCopy.searchParams).to.deep.equal({ limit: 1 });
+          expect(feedListCopy.getItems()[0]).to.be.an.instanceof(Feed);
+          return feedListCopy.get({ limit: 1 }); // usable with the passed credentials
+        })
+        .then(feedListCopy => {
+          expect(JSON.stringify(feedListCopy)).to.equal(json);
+        })
+        .then(done, done);
+    });
+
+    it('validates the POST data against its template before making the request', done => {
+      const requests = [];
+      const transport = {
+        request: config => {
+          requests.push(JSON.parse(config.data));
+          return Promise.resolve({ status: 201, statusText: 'Created', headers: {}, data: {} });
+        },
+      };
+      listRes = new ListResource(chrisUrl, auth, { transport });
+      listRes.collection = Object.assign({}, collection, {
+        template: { data: [{ name: 'name', value: '', required: true, regexp: '^\\w+$' }] },
+      });
+
+      listRes
+        ._post({ name: 'a b' }, null)
+        .then(
+          () => {
+            throw new Error('invalid data was posted');
+          },
+          error => {
+            expect(error).to.be.an.instanceof(ValidationError);
+            expect(error.fieldErrors).to.have.property('name');
+            expect(requests).to.have.lengthOf(0);
+            return listRes._post({ name: 'ab' }, null);
+          }
+        )
+        .then(() => {
+          expect(requests).to.deep.equal([{ template: { data: [{ name: 'name', value: 'ab' }] } }]);
+        })
+        .then(done, done);
+    });
+
     it('can check if it is empty (has no data)', () => {
       listRes.collection = null;
       expect(listRes.isEmpty).to.be.true;
@@ -120,7 +320,7 @@ describe('Resource', () => {
       const result = listRes.get(); // fetch the queryUrl as part of the response
       result
         .then(() => {
-          const searchParams = { limit: 1, name: 'pl-simplefsapp' };
+          const searchParams = { limit: 1, name: 'Test feed' };
           const searchResult = listRes.get(searchParams);
 
           return searchResult
@@ -134,6 +334,56 @@ describe('Resource', () => {
         .then(done, done);
     });
 
+    it('validates the search parameters against the queries of the REST API', done => {
+      const listUrl = chrisUrl + 'things/';
+      const requests = [];
+      const transport = {
+        request: config => {
+          requests.push(config.url);
+          const collection = {
+            href: config.url,
+            items: [],
+            links: [],
+            queries: [{ href: listUrl + 'query/', rel: 'search', data: [{ name: 'name' }] }],
+          };
+          return Promise.resolve({ status: 200, headers: {}, data: { collection } });
+        },
+      };
+      const client = new Client(chrisUrl, auth, { transport });
+      const thingList = new ListResource(listUrl, auth, client.options);
+
+      thingList
+        .get({ name: 'a', limit: 5 })
+        .then(() => {
+          // the queries are discovered before searching
+          expect(requests).to.deep.equal([listUrl, listUrl + 'query/']);
+          return new ListResource(listUrl, auth, client.options).get({ nme: 'a' });
+        })
+        .then(
+          () => {
+            throw new Error('unknown search parameter was sent');
+          },
+          error => {
+            expect(error).to.be.an.instanceof(ValidationError);
+            expect(error.message).to.contain('"nme"');
+            expect(error.message).to.contain('valid search parameters are: name, limit, offset');
+            expect(error.fieldErrors).to.have.property('nme');
+            expect(requests).to.have.lengthOf(2); // the discovered queries are reused
+            const otherClient = new Client(chrisUrl, auth, { transport });
+            return new ListResource(listUrl, auth, otherClient.options).get({ name: 'a' });
+          }
+        )
+        .then(() => {
+          expect(requests).to.have.lengthOf(4); // not shared with other clients
+          client.clearDiscoveredQueries();
+          return new ListResource(listUrl, auth, client.options).get({ name: 'a' });
+        })
+        .then(() => {
+          expect(requests.slice(4)).to.deep.equal([listUrl, listUrl + 'query/']);
+        })
+        .then(done, done);
+    });
+
     it('can provide the total number of items across pages in the paginated REST API', () => {
       expect(listRes.totalCount).to.be.equal(100);
     });
@@ -153,5 +403,139 @@ describe('Resource', () => {
       listRes.collection.links = [{ rel: 'previous', href: chrisUrl }];
       expect(listRes.hasPreviousPage).to.be.true;
     });
+
+    it('can provide the total number of pages in the paginated REST API', () => {
+      expect(listRes.pageCount).to.be.equal(1);
+      listRes.collection.links = [{ rel: 'next', href: chrisUrl + '?limit=30&offset=30' }];
+      expect(listRes.pageCount).to.be.equal(4);
+      listRes.searchParams = { limit: 50 };
+      expect(listRes.pageCount).to.be.equal(2);
+      listRes.collection = null;
+      expect(listRes.pageCount).to.be.equal(-1);
+    });
+
+    it('can navigate the pages of the paginated REST API into new objects', done => {
+      const cube = new FakeCUBE(chrisUrl);
+      const pluginList = new ListResource(chrisUrl + 'plugins/', auth, { transport: cube });
+      const searchParams = { limit: 1, name: 'copy' }; // pl-dircopy and pl-topologicalcopy
+      let nextPage;
+
+      pluginList
+        .get(searchParams)
+        .then(() => {
+          expect(pluginList.pageCount).to.be.equal(2);
+          expect(pluginList.getPage.bind(pluginList, 3)).to.throw('between 1 and 2');
+          return pluginList.getNextPage();
+        })
+        .then(page => {
+          nextPage = page;
+          expect(nextPage).to.be.an.instanceof(ListResource);
+          expect(nextPage === pluginList).to.be.false;
+          expect(nextPage.searchParams).to.deep.equal({ limit: 1, name: 'copy', offset: 1 });
+          expect(nextPage.data[0].name).to.equal('pl-topologicalcopy');
+          expect(pluginList.searchParams).to.equal(searchParams); // not modified
+          const pages = [nextPage.getNextPage(), pluginList.getPreviousPage()];
+          return Promise.all(pages.concat(nextPage.getPreviousPage()));
+        })
+        .then(([lastPage, firstPage, previousPage]) => {
+          expect(lastPage).to.be.a('null');
+          expect(firstPage).to.be.a('null');
+          expect(previousPage.searchParams).to.deep.equal({ limit: 1, name: 'copy', offset: 0 });
+          expect(previousPage.data[0].name).to.equal('pl-dircopy');
+          return previousPage.getPage(2);
+        })
+        .then(page => {
+          expect(page.data).to.deep.equal(nextPage.data);
+          expect(page.searchParams).to.deep.equal(nextPage.searchParams);
+        })
+        .then(done, done);
+    });
+
+    it('can fetch all the pages of the paginated REST API concurrently', done => {
+      const cube = new FakeCUBE(chrisUrl);
+      let active = 0;
+      let maxActive = 0;
+      const transport = {
+        request: config => {
+          active++;
+          maxActive = Math.max(active, maxActive);
+          return new Promise(resolve => setTimeout(resolve, 10))
+            .then(() => {
+              if (config.params && config.params.offset === 1) {
+                return { status: 500, headers: {}, data: '' };
+              }
+              return cube.request(config);
+            })
+            .then(response => {
+              active--;
+              return response;
+            });
+        },
+      };
+      cube.addPlugin({ name: 'pl-fourth', type: 'ds' });
+      const pluginList = new ListResource(chrisUrl + 'plugins/', auth, { transport });
+
+      pluginList
+        .get({ limit: 1, offset: 2 })
+        .then(() => pluginList.fetchAll({ concurrency: 2 }))
+        .then(result => {
+          const names = result.items.map(item => item.data.name);
+          expect(names).to.deep.equal(['pl-dircopy', 'pl-topologicalcopy', 'pl-fourth']);
+          expect(result.totalCount).to.equal(4);
+          expect(result.complete).to.be.false;
+          expect(result.errors).to.have.lengthOf(1);
+          expect(result.errors[0].offset).to.equal(1);
+          expect(maxActive).to.equal(2);
+          expect(pluginList.searchParams).to.deep.equal({ limit: 1, offset: 2 }); // not modified
+        })
+        .then(done, done);
+    });
+
+    it('follows the next links to fetch all the pages when the total number of items is unknown', done => {
+      const cube = new FakeCUBE(chrisUrl);
+      let failOffset = 2;
+      const transport = {
+        request: config => {
+          if (config.url.endsWith('offset=' + failOffset)) {
+            return Promise.resolve({ status: 500, headers: {}, data: '' });
+          }
+          return cube.request(config).then(response => {
+            delete response.data.collection.total;
+            return response;
+          });
+        },
+      };
+      cube.addPlugin({ name: 'pl-fourth', type: 'ds' });
+      const pluginList = new ListResource(chrisUrl + 'plugins/', auth, { transport });
+
+      pluginList
+        .get({ limit: 1 })
+        .then(() => pluginList.fetchAll())
+        .then(result => {
+          const names = result.items.map(item => item.data.name);
+          expect(names).to.deep.equal(['pl-dircopy', 'pl-simpledsapp']);
+          expect(result.totalCount).to.equal(-1);
+          expect(result.complete).to.be.false;
+          expect(result.errors).to.have.lengthOf(1);
+          expect(result.errors[0].offset).to.equal(2);
+          expect(result.errors[0].limit).to.equal(1);
+
+          failOffset = -1;
+          return pluginList.fetchAll({ concurrency: 2 });
+        })
+        .then(result => {
+          const names = result.items.map(item => item.data.name);
+          expect(names).to.deep.equal([
+            'pl-dircopy',
+            'pl-simpledsapp',
+            'pl-topologicalcopy',
+            'pl-fourth',
+          ]);
+          expect(result.totalCount).to.equal(4);
+          expect(result.complete).to.be.true;
+          expect(result.errors).to.have.lengthOf(0);
+        })
+        .then(done, done);
+    });
   });
 });
@@ -0,0 +1,123 @@
+/**
+ * Request scheduler object. It limits the number of requests in flight and the rate at
+ * which requests are started. Queued requests are started in order, except that
+ * requests in the ``interactive`` lane always go before requests in the ``background``
+ * lane, so that a bulk download does not delay the requests the user is waiting for.
+ *
+ * A scheduler passed to a client is shared by all the resource objects it creates. Every
+ * attempt of a request (eg. a retry) is scheduled on its own.
+ */
+export default class RequestScheduler {
+  /**
+   * Constructor
+   *
+   * @param {Object} [options={}] - scheduler options object
+   * @param {number} [options.maxConcurrency=Infinity] - maximum number of requests in flight
+   * @param {number} [options.requestsPerSecond=Infinity] - maximum number of requests
+   * started per second, requests are evenly spaced in time
+   */
+  constructor(options = {}) {
+    /** @type {number} */
+    this.maxConcurrency = options.maxConcurrency || Infinity;
+
+    /** @type {number} */
+    this.requestsPerSecond = options.requestsPerSecond || Infinity;
+
+    /** @type {number} */
+    this._active = 0;
+
+    /** @type {Object} */
+    this._lanes = { interactive: [], background: [] };
+
+    /** @type {number} */
+    this._nextStartTime = 0; // earliest time the next request can start at
+
+    /** @type {?number} */
+    this._timer = null;
+  }
+
+  /**
+   * Number of requests in flight.
+   *
+   * @type {number}
+   */
+  get active() {
+    return this._active;
+  }
+
+  /**
+   * Number of queued requests.
+   *
+   * @type {number}
+   */
+  get pending() {
+    return this._lanes.interactive.length + this._lanes.background.length;
+  }
+
+  /**
+   * Schedule a task that makes a request.
+   *
+   * @param {function(): Promise} task - function that makes the request and returns a
+   * promise that settles when the request is done
+   * @param {string} [priority='interactive'] - lane of the task, either 'interactive' or
+   * 'background'
+   * @param {?Object} [cancelToken=null] - axios cancel token, a task that is cancelled
+   * while queued is removed from the queue
+   *
+   * @return {Promise} - JS Promise, resolves or rejects as the promise returned by the task
+   */
+  schedule(task, priority = 'interactive', cancelToken = null) {
+    const lane = this._lanes[priority === 'background' ? 'background' : 'interactive'];
+
+    return new Promise((resolve, reject) => {
+      const job = { task: task, resolve: resolve, reject: reject };
+      lane.push(job);
+
+      if (cancelToken) {
+        cancelToken.promise.then((cancel) => {
+          const index = lane.indexOf(job);
+          if (index !== -1) {
+            lane.splice(index, 1);
+            reject(cancel);
+          }
+        });
+      }
+      this._next();
+    });
+  }
+
+  /**
+   * Internal method to start as many queued tasks as the limits allow.
+   */
+  _next() {
+    while (this._active < this.maxConcurrency && this.pending) {
+      const now = Date.now();
+
+      if (this._nextStartTime > now) {
+        if (this._timer === null) {
+          this._timer = setTimeout(() => {
+            this._timer = null;
+            this._next();
+          }, this._nextStartTime - now);
+        }
+        return;
+      }
+      if (this.requestsPerSecond !== Infinity) {
+        this._nextStartTime = now + 1000 / this.requestsPerSecond;
+      }
+      const lane = this._lanes.interactive.length
+        ? this._lanes.interactive
+        : this._lanes.background;
+      const job = lane.shift();
+      this._active++;
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .then(() => {
+          this._active--;
+          this._next();
+        });
+    }
+  }
+}
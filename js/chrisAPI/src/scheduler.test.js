@@ -0,0 +1,104 @@
+import axios from 'axios';
+import { expect } from 'chai';
+import RequestScheduler from './scheduler';
+
+describe('RequestScheduler', () => {
+  // make a task that settles when its release function is called
+  const makeTask = (started, name) => {
+    let release;
+    const done = new Promise(resolve => (release = resolve));
+    const task = () => {
+      started.push(name);
+      return done.then(() => name);
+    };
+    return { task, release };
+  };
+
+  it('limits the number of tasks in flight', done => {
+    const scheduler = new RequestScheduler({ maxConcurrency: 2 });
+    const started = [];
+    const tasks = [1, 2, 3].map(i => makeTask(started, i));
+    const results = tasks.map(t => scheduler.schedule(t.task));
+
+    Promise.resolve()
+      .then(() => {
+        expect(started).to.deep.equal([1, 2]);
+        expect(scheduler.active).to.equal(2);
+        expect(scheduler.pending).to.equal(1);
+        tasks[0].release();
+        return results[0];
+      })
+      .then(result => {
+        expect(result).to.equal(1);
+        tasks[1].release();
+        tasks[2].release();
+        return Promise.all(results);
+      })
+      .then(() => {
+        expect(started).to.deep.equal([1, 2, 3]);
+        expect(scheduler.active).to.equal(0);
+      })
+      .then(done, done);
+  });
+
+  it('starts interactive tasks before background tasks', done => {
+    const scheduler = new RequestScheduler({ maxConcurrency: 1 });
+    const started = [];
+    const first = makeTask(started, 'first');
+    const background = makeTask(started, 'background');
+    const interactive = makeTask(started, 'interactive');
+
+    const results = [
+      scheduler.schedule(first.task),
+      scheduler.schedule(background.task, 'background'),
+      scheduler.schedule(interactive.task, 'interactive'),
+    ];
+    first.release();
+    background.release();
+    interactive.release();
+
+    Promise.all(results)
+      .then(() => {
+        expect(started).to.deep.equal(['first', 'interactive', 'background']);
+      })
+      .then(done, done);
+  });
+
+  it('limits the rate at which tasks are started', done => {
+    const scheduler = new RequestScheduler({ requestsPerSecond: 20 });
+    const startTimes = [];
+    const task = () => startTimes.push(Date.now());
+
+    Promise.all([1, 2, 3].map(() => scheduler.schedule(task)))
+      .then(() => {
+        expect(startTimes[1] - startTimes[0]).to.be.at.least(40);
+        expect(startTimes[2] - startTimes[1]).to.be.at.least(40);
+      })
+      .then(done, done);
+  });
+
+  it('removes a cancelled task from the queue', done => {
+    const scheduler = new RequestScheduler({ maxConcurrency: 1 });
+    const started = [];
+    const first = makeTask(started, 'first');
+    const source = axios.CancelToken.source();
+
+    scheduler.schedule(first.task);
+    const result = scheduler.schedule(() => started.push('cancelled'), 'interactive', source.token);
+    source.cancel('Request aborted!');
+
+    result
+      .then(() => {
+        throw new Error('expected the task to be cancelled');
+      })
+      .catch(error => {
+        expect(axios.isCancel(error)).to.be.true;
+        expect(scheduler.pending).to.equal(0);
+        first.release();
+      })
+      .then(() => {
+        expect(started).to.deep.equal(['first']);
+      })
+      .then(done, done);
+  });
+});
@@ -1,58 +1,99 @@
 /** * Imports ***/
-import Request from './request';
 import RequestException from './exception';
 import Collection from './cj';
 import { ItemResource, ListResource } from './resource';
+import { registry } from './registry';
 
 /**
  * Service file item resource object representing a file from an unregistered service.
  */
 export class ServiceFile extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'ServiceFile';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the file blob associated to this file item from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
-   * @return {Promise<Blob>} - JS Promise, resolves to a ``Blob`` object
+   * @return {Promise<Blob|Buffer>} - JS Promise, resolves to a ``Blob`` object in the
+   * browser or a ``Buffer`` object in node.js
    */
   getFileBlob(timeout = 30000) {
     if (this.isEmpty) {
       throw new RequestException('Item object has not been set!');
     }
-    const req = new Request(this.auth, 'application/octet-stream', timeout);
+    const req = this._makeRequest(timeout, 'application/octet-stream');
     const item = this.collection.items[0];
     const blobUrl = Collection.getLinkRelationUrls(item, 'file_resource')[0];
 
     return req.get(blobUrl).then(resp => resp.data);
   }
+
+  /**
+   * Fetch the file associated to this file item from the REST API as a stream, either
+   * whole or only a byte range of it. The download progress can be reported by setting
+   * the ``onDownloadProgress`` property of the request options object.
+   *
+   * @param {?Object} [range=null] - byte range object to fetch only part of the file
+   * @param {number} range.start - first byte of the range
+   * @param {number} [range.end] - last byte of the range (inclusive)
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   *
+   * @return {Promise<ReadableStream|Readable>} - JS Promise, resolves to a ``ReadableStream``
+   * object in the browser or a ``Readable`` stream object in node.js
+   * @throws {RequestException} throw error if this item resource has not yet been
+   * fetched from the REST API
+   */
+  getFileStream(range = null, timeout = 30000) {
+    if (this.isEmpty) {
+      throw new RequestException('Item object has not been set!');
+    }
+    const req = this._makeRequest(timeout, 'application/octet-stream');
+    const item = this.collection.items[0];
+    const fileUrl = Collection.getLinkRelationUrls(item, 'file_resource')[0];
+
+    return req.getStream(fileUrl, range).then(resp => resp.data);
+  }
 }
 
 /**
  * Service file list resource object representing a list of files from an unregistered service.
  */
 export class ServiceFileList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'ServiceFileList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = ServiceFile;
   }
 }
+
+registry.register('servicefiles/', ServiceFileList).register('servicefiles/:id/', ServiceFile);
@@ -1,20 +1,27 @@
 /** * Imports ***/
 import { ItemResource, ListResource } from './resource';
+import { registry } from './registry';
 import { FeedList, Feed } from './feed';
 
 /**
  * Tag item resource object representing a feed tag.
  */
 export class Tag extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'Tag';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
@@ -23,7 +30,7 @@ export class Tag extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<TagFeedList>} - JS Promise, resolves to a ``TagFeedList`` object
    */
@@ -40,7 +47,7 @@ export class Tag extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<TagTaggingList>} - JS Promise, resolves to a ``TagTaggingList`` object
    */
@@ -57,7 +64,7 @@ export class Tag extends ItemResource {
    * @param {Object} data - request JSON data object
    * @param {string} [data.name] - tag name
    * @param {string} [data.color] - tag color
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -68,7 +75,7 @@ export class Tag extends ItemResource {
   /**
    * Make a DELETE request to delete this tag item resource through the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise} - JS Promise
    */
@@ -81,15 +88,21 @@ export class Tag extends ItemResource {
  * Tag list resource object representing a list of a feed's tags.
  */
 export class TagList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'TagList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Tag;
@@ -103,7 +116,7 @@ export class TagList extends ListResource {
    * used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<FeedList>} - JS Promise, resolves to a ``FeedList`` object
    */
@@ -121,7 +134,7 @@ export class TagList extends ListResource {
    * @param {Object} data - request JSON data object
    * @param {string} [data.name] - tag name
    * @param {string} [data.color] - tag color
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -135,21 +148,27 @@ export class TagList extends ListResource {
  * specific tag.
  */
 export class Tagging extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'Tagging';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the tag associated to this tagging from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Tag>} - JS Promise, resolves to a ``Tag`` object
    */
@@ -163,7 +182,7 @@ export class Tagging extends ItemResource {
   /**
    * Fetch the feed associated to this tagging from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Feed>} - JS Promise, resolves to a ``Feed`` object
    */
@@ -177,7 +196,7 @@ export class Tagging extends ItemResource {
   /**
    * Make a DELETE request to delete this tagging item resource through the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise} - JS Promise
    */
@@ -191,15 +210,21 @@ export class Tagging extends ItemResource {
  * specific tag.
  */
 export class TagTaggingList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'TagTaggingList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Tagging;
@@ -208,7 +233,7 @@ export class TagTaggingList extends ListResource {
   /**
    * Fetch the tag associated to this tag-specific list of taggings from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Tag>} - JS Promise, resolves to a ``Tag`` object
    */
@@ -225,7 +250,7 @@ export class TagTaggingList extends ListResource {
    *
    * @param {Object} data - request JSON data object
    * @param {string} data.feed_id - id of the feed to be tagged
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -239,15 +264,21 @@ export class TagTaggingList extends ListResource {
  * an specific feed.
  */
 export class FeedTaggingList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'FeedTaggingList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Tagging;
@@ -256,7 +287,7 @@ export class FeedTaggingList extends ListResource {
   /**
    * Fetch the feed associated to this feed-specific list of taggings from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Feed>} - JS Promise, resolves to a ``Feed`` object
    */
@@ -273,7 +304,7 @@ export class FeedTaggingList extends ListResource {
    *
    * @param {Object} data - request JSON data object
    * @param {string} data.tag_id - id of the tag to be used to tag the feed
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -287,15 +318,21 @@ export class FeedTaggingList extends ListResource {
  * with an specific tag.
  */
 export class TagFeedList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'TagFeedList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Feed;
@@ -304,7 +341,7 @@ export class TagFeedList extends ListResource {
   /**
    * Fetch the tag associated to this tag-specific list of feeds from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Tag>} - JS Promise, resolves to a ``Tag`` object
    */
@@ -321,15 +358,21 @@ export class TagFeedList extends ListResource {
  * feed is tagged with.
  */
 export class FeedTagList extends ListResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'FeedTagList';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Tag;
@@ -338,7 +381,7 @@ export class FeedTagList extends ListResource {
   /**
    * Fetch the feed associated to this feed-specific list of tags from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<Feed>} - JS Promise, resolves to a ``Feed`` object
    */
@@ -349,3 +392,12 @@ export class FeedTagList extends ListResource {
     return this._getResource(linkRelation, resourceClass, null, timeout);
   }
 }
+
+registry
+  .register('tags/', TagList)
+  .register('tags/:id/taggings/', TagTaggingList)
+  .register('/:id/taggings/', FeedTaggingList)
+  .register('tags/:id/feeds/', TagFeedList)
+  .register('/:id/tags/', FeedTagList)
+  .register('tags/:id/', Tag)
+  .register('tags/taggings/:id/', Tagging);
@@ -0,0 +1,8 @@
+/**
+ * Test and development entry point of the library. It is bundled separately from the
+ * main library (``dist/chrisapi-testing.js``) so that the in-memory fake server is not
+ * shipped to the applications that only talk to an actual ChRIS server.
+ */
+import FakeCUBE from './fakecube';
+
+export { FakeCUBE };
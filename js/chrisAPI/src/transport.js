@@ -0,0 +1,79 @@
+/** * Imports ***/
+import { AxiosResponse, AxiosRequestConfig } from 'axios';
+
+/**
+ * Make an axios adapter that sends requests through a transport object instead of the
+ * network. A transport object implements a ``request`` method that is passed the axios
+ * configuration object of a request (``url``, ``method``, ``params``, ``headers``,
+ * ``auth``, ``data`` and ``responseType`` properties) and returns a promise that resolves
+ * to a response object with the ``status``, ``statusText``, ``headers`` and ``data``
+ * properties, whatever the status code. A promise that rejects is reported as a network
+ * error. Responses whose status code is rejected by the request's ``validateStatus``
+ * function make the request fail as axios does, so that the library's error handling,
+ * retries, middleware and cache work the same way with any transport. A request that
+ * the transport doesn't settle within the request's ``timeout`` fails with an axios
+ * timeout error.
+ *
+ * @param {Object} transport - transport object
+ * @param {function(config: AxiosRequestConfig): Promise<Object>} transport.request -
+ * method that sends a request
+ *
+ * @return {function(config: AxiosRequestConfig): Promise<AxiosResponse>} - axios adapter
+ */
+export function makeTransportAdapter(transport) {
+  return (config) =>
+    new Promise((resolve, reject) => {
+      const request = { url: config.url, method: config.method.toUpperCase() };
+
+      let timer = null;
+
+      const fail = (message, response, code) => {
+        const error = new Error(message);
+        error.config = config;
+        error.request = request;
+        error.response = response;
+        error.code = code;
+        error.isAxiosError = true;
+        clearTimeout(timer);
+        reject(error);
+      };
+
+      if (config.cancelToken) {
+        config.cancelToken.promise.then((cancel) => {
+          clearTimeout(timer);
+          reject(cancel);
+        });
+      }
+      if (config.timeout) {
+        timer = setTimeout(() => {
+          const message =
+            config.timeoutErrorMessage || 'timeout of ' + config.timeout + 'ms exceeded';
+          fail(message, undefined, 'ECONNABORTED');
+        }, config.timeout);
+      }
+
+      Promise.resolve()
+        .then(() => transport.request(config))
+        .then(
+          (resp) => {
+            const response = {
+              data: resp.data,
+              status: resp.status,
+              statusText: resp.statusText || '',
+              headers: resp.headers || {},
+              config: config,
+              request: request,
+            };
+            const validateStatus = config.validateStatus;
+
+            if (!response.status || !validateStatus || validateStatus(response.status)) {
+              clearTimeout(timer);
+              resolve(response);
+            } else {
+              fail('Request failed with status code ' + response.status, response);
+            }
+          },
+          (error) => fail(error.message)
+        );
+    });
+}
@@ -2,6 +2,7 @@ import { expect } from 'chai';
 import Request from './request';
 import { FeedList } from './feed';
 import { UploadedFile } from './uploadedfile';
+import FakeCUBE from './fakecube';
 
 // http://sinonjs.org/releases/v5.1.0/fake-xhr-and-server/
 
@@ -11,12 +12,13 @@ describe('Resource', () => {
   const chrisUrl = 'http://localhost:8000/api/v1/';
   const auth = { username: username, password: password };
   //const auth = {token: "d757da9c364fdc92368b90392559e0de78f54f02"};
+  const options = { transport: new FakeCUBE(chrisUrl) };
   let uploadedFileListRes;
 
   before(() => {
     return new Promise(function(resolve, reject) {
       Request.runAsyncTask(function*() {
-        let feedListRes = new FeedList(chrisUrl, auth);
+        let feedListRes = new FeedList(chrisUrl, auth, options);
         try {
           feedListRes = yield feedListRes.get();
           uploadedFileListRes = yield feedListRes.getUploadedFiles();
@@ -45,7 +47,7 @@ describe('Resource', () => {
     beforeEach(() => {
       // get the plugin instance with id 1
       const url = uploadedFileListRes.collection.items[0].href;
-      uploadedFile = new UploadedFile(url, auth);
+      uploadedFile = new UploadedFile(url, auth, options);
       return uploadedFile.get();
     });
 
@@ -73,6 +75,16 @@ describe('Resource', () => {
         })
         .then(done, done);
     });
+
+    it('can stream a byte range of the associated file from the REST API', done => {
+      const result = uploadedFile.getFileStream({ start: 1, end: 7 });
+      result
+        .then(stream => new Response(stream).text())
+        .then(text => {
+          expect(text).to.equal('This is');
+        })
+        .then(done, done);
+    });
   });
 
   describe('UploadedFileList', () => {
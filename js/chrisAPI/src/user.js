@@ -1,20 +1,27 @@
 /** * Imports ***/
 import Request from './request';
 import { ItemResource } from './resource';
+import { registry } from './registry';
 
 /**
  * User item resource object representing a user of the system.
  */
 export default class User extends ItemResource {
+  /** @type {string} */
+  static get resourceName() {
+    return 'User';
+  }
+
   /**
    * Constructor
    *
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
@@ -23,7 +30,7 @@ export default class User extends ItemResource {
    * @param {Object} data - request JSON data object
    * @param {string} data.password - user password
    * @param {string} data.email - user email
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Promise<this>} - JS Promise, resolves to ``this`` object
    */
@@ -31,3 +38,5 @@ export default class User extends ItemResource {
     return this._put(data, null, timeout);
   }
 }
+
+registry.register('users/:id/', User);
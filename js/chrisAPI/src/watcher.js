@@ -0,0 +1,302 @@
+/**
+ * Watcher of the changes of a resource's items. It polls the REST API at an interval and
+ * compares the descriptor data of the fetched items (identified by their url) with the
+ * previous snapshot. The first snapshot is the data of the watched resource object if it
+ * had been fetched or else the data of the first poll.
+ *
+ * Its subscriber callbacks are called with an ``added`` event (an item appeared), a
+ * ``removed`` event (an item disappeared) or a ``changed`` event (some of the descriptors
+ * of an item changed) with the properties: ``type``, ``item`` (item resource object,
+ * the last fetched one for a removed item) and ``data`` (item data). ``changed`` events
+ * also have a ``changes`` property whose properties are the changed descriptor names and
+ * whose values are objects with the ``previous`` and ``current`` values. An ``error``
+ * event with the ``error`` property is emitted when a poll fails, polling goes on.
+ *
+ * When a poll finds no changes the polling interval is multiplied by the ``backoff``
+ * factor up to ``maxInterval``, and reset when there are changes. In a browser the
+ * polling is paused while the page is hidden and resumed (with an immediate poll) when it
+ * is visible again.
+ */
+export default class Watcher {
+  /**
+   * Constructor
+   *
+   * @param {function(timeout: number|Object): Promise<Object[]>} fetchItems - function
+   * that fetches the watched item resource objects
+   * @param {?Object[]} items - current item resource objects or null if unknown
+   * @param {Object} [options={}] - watch options object
+   * @param {number} [options.interval=5000] - polling interval in ms
+   * @param {number} [options.maxInterval=60000] - maximum polling interval in ms
+   * @param {number} [options.backoff=1.5] - factor the polling interval is multiplied by
+   * after a poll that found no changes
+   * @param {boolean} [options.pauseWhenHidden=true] - whether to pause while the page is
+   * hidden
+   * @param {number|Object} [options.timeout=30000] - request timeout or request options
+   * object used to poll
+   */
+  constructor(fetchItems, items, options = {}) {
+    /** @type {number} */
+    this.minInterval = options.interval || 5000;
+
+    /** @type {number} */
+    this.maxInterval = Math.max(options.maxInterval || 60000, this.minInterval);
+
+    /** @type {number} */
+    this.backoff = options.backoff || 1.5;
+
+    /** @type {boolean} */
+    this.pauseWhenHidden = options.pauseWhenHidden !== false;
+
+    /** @type {number|Object} */
+    this.timeout = options.timeout === undefined ? 30000 : options.timeout;
+
+    /** @type {number} */
+    this.interval = this.minInterval; // current polling interval
+
+    /** @type {function(timeout: number|Object): Promise<Object[]>} */
+    this._fetchItems = fetchItems;
+
+    /** @type {?Object} */
+    this._snapshot = items ? Watcher._makeSnapshot(items) : null;
+
+    /** @type {Array<function(event: Object)>} */
+    this._subscribers = [];
+
+    /** @type {?number} */
+    this._timer = null;
+
+    /** @type {?Promise<Object[]>} */
+    this._polling = null; // poll in flight
+
+    /** @type {boolean} */
+    this._running = false;
+
+    /** @type {function()} */
+    this._onVisibilityChange = () => {
+      if (!this._running) {
+        return;
+      }
+      if (Watcher._isPageHidden()) {
+        this._clearTimer();
+      } else {
+        this.interval = this.minInterval;
+        this._poll();
+      }
+    };
+  }
+
+  /**
+   * Whether the watcher is polling (it is started and not stopped).
+   *
+   * @type {boolean}
+   */
+  get isRunning() {
+    return this._running;
+  }
+
+  /**
+   * Subscribe a callback to the events.
+   *
+   * @param {function(event: Object)} callback - callback called with every event
+   *
+   * @return {function()} - function that unsubscribes the callback
+   */
+  subscribe(callback) {
+    this._subscribers.push(callback);
+    return () => {
+      this._subscribers = this._subscribers.filter((cb) => cb !== callback);
+    };
+  }
+
+  /**
+   * Start polling.
+   *
+   * @return {Watcher} - ``this`` object
+   */
+  start() {
+    if (!this._running) {
+      this._running = true;
+      if (this.pauseWhenHidden && typeof document !== 'undefined') {
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+      }
+      this._schedule();
+    }
+    return this;
+  }
+
+  /**
+   * Stop polling. A poll in flight still emits its events.
+   *
+   * @return {Watcher} - ``this`` object
+   */
+  stop() {
+    if (this._running) {
+      this._running = false;
+      this._clearTimer();
+      if (this.pauseWhenHidden && typeof document !== 'undefined') {
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Poll the REST API now. Calls made while a poll is in flight share it.
+   *
+   * @return {Promise<Object[]>} - JS Promise, resolves to the array of emitted events,
+   * rejects if the items could not be fetched
+   */
+  poll() {
+    if (!this._polling) {
+      this._polling = this._fetchItems(this.timeout).then(
+        (items) => {
+          this._polling = null;
+          const snapshot = Watcher._makeSnapshot(items);
+          const events = this._snapshot ? Watcher._diff(this._snapshot, snapshot) : [];
+          this._snapshot = snapshot;
+          this.interval = events.length
+            ? this.minInterval
+            : Math.min(this.interval * this.backoff, this.maxInterval);
+          events.forEach((event) => this._emit(event));
+          return events;
+        },
+        (error) => {
+          this._polling = null;
+          this._emit({ type: 'error', error: error });
+          throw error;
+        }
+      );
+    }
+    return this._polling;
+  }
+
+  /**
+   * Internal method to poll and schedule the next poll.
+   */
+  _poll() {
+    this._clearTimer();
+    this.poll()
+      .catch(() => {}) // errors are emitted as events
+      .then(() => this._schedule());
+  }
+
+  /**
+   * Internal method to schedule the next poll unless stopped or paused.
+   */
+  _schedule() {
+    this._clearTimer();
+    if (this._running && !(this.pauseWhenHidden && Watcher._isPageHidden())) {
+      this._timer = setTimeout(() => this._poll(), this.interval);
+    }
+  }
+
+  /**
+   * Internal method to cancel the scheduled poll.
+   */
+  _clearTimer() {
+    if (this._timer !== null) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Internal method to emit an event to the subscribers. Errors thrown by a subscriber
+   * are ignored so that they can't stop the polling.
+   *
+   * @param {Object} event - event object
+   */
+  _emit(event) {
+    this._subscribers.forEach((callback) => {
+      try {
+        callback(event);
+      } catch (ex) {
+        // ignore subscriber failures
+      }
+    });
+  }
+
+  /**
+   * Internal method to make a snapshot of item resource objects.
+   *
+   * @param {Object[]} items - item resource objects
+   *
+   * @return {Object} - object whose properties are the item urls and whose values are
+   * objects with the ``item`` and ``data`` properties
+   */
+  static _makeSnapshot(items) {
+    const snapshot = {};
+    items.forEach((item) => {
+      snapshot[item.url] = { item: item, data: item.data || {} };
+    });
+    return snapshot;
+  }
+
+  /**
+   * Internal method to compute the events that turn a snapshot into another one.
+   *
+   * @param {Object} previous - previous snapshot
+   * @param {Object} current - current snapshot
+   *
+   * @return {Object[]} - array of event objects
+   */
+  static _diff(previous, current) {
+    const events = [];
+
+    for (let url in current) {
+      if (current.hasOwnProperty(url)) {
+        const { item, data } = current[url];
+
+        if (!previous.hasOwnProperty(url)) {
+          events.push({ type: 'added', item: item, data: data });
+        } else {
+          const changes = Watcher._diffData(previous[url].data, data);
+          if (changes) {
+            events.push({ type: 'changed', item: item, data: data, changes: changes });
+          }
+        }
+      }
+    }
+    for (let url in previous) {
+      if (previous.hasOwnProperty(url) && !current.hasOwnProperty(url)) {
+        events.push({ type: 'removed', item: previous[url].item, data: previous[url].data });
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Internal method to compute the field-level differences of two item data objects.
+   *
+   * @param {Object} previous - previous item data
+   * @param {Object} current - current item data
+   *
+   * @return {?Object} - object whose properties are the changed descriptor names and
+   * whose values are objects with the ``previous`` and ``current`` values, or null if
+   * there are no changes
+   */
+  static _diffData(previous, current) {
+    const changes = {};
+    let changed = false;
+    const names = Object.keys(previous).concat(
+      Object.keys(current).filter((name) => !previous.hasOwnProperty(name))
+    );
+
+    names.forEach((name) => {
+      if (JSON.stringify(previous[name]) !== JSON.stringify(current[name])) {
+        changes[name] = { previous: previous[name], current: current[name] };
+        changed = true;
+      }
+    });
+    return changed ? changes : null;
+  }
+
+  /**
+   * Internal method to check whether the page is hidden (always false outside a browser).
+   *
+   * @return {boolean}
+   */
+  static _isPageHidden() {
+    return typeof document !== 'undefined' && document.visibilityState === 'hidden';
+  }
+}
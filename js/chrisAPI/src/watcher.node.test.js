@@ -0,0 +1,61 @@
+import { expect } from 'chai';
+import Client from './client';
+import FakeCUBE from './fakecube';
+import { FeedList } from './feed';
+
+// these tests run in node.js under mocha (yarn test:node) with a fake document object
+
+describe('Watcher in node.js', () => {
+  const chrisUrl = 'http://localhost:8000/api/v1/';
+  const auth = { username: 'cube', password: 'cube1234' };
+  let client;
+  let requests;
+
+  beforeEach(() => {
+    const cube = new FakeCUBE(chrisUrl);
+    const transport = {
+      request: config => {
+        requests++;
+        return cube.request(config);
+      },
+    };
+    client = new Client(chrisUrl, auth, { transport });
+  });
+
+  it('pauses polling while the page is hidden', done => {
+    const listeners = [];
+    global.document = {
+      visibilityState: 'hidden',
+      addEventListener: (type, listener) => listeners.push(listener),
+      removeEventListener: () => listeners.pop(),
+    };
+    const feedList = new FeedList(chrisUrl, auth, client.options);
+    const watcher = feedList.watch({ interval: 5 });
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    requests = 0;
+
+    wait(30)
+      .then(() => {
+        expect(requests).to.equal(0);
+        global.document.visibilityState = 'visible';
+        listeners.forEach(listener => listener());
+        return wait(30);
+      })
+      .then(() => {
+        expect(requests).to.be.at.least(1);
+        watcher.stop();
+        expect(listeners).to.have.lengthOf(0);
+      })
+      .then(
+        () => {
+          delete global.document;
+        },
+        error => {
+          watcher.stop();
+          delete global.document;
+          throw error;
+        }
+      )
+      .then(done, done);
+  });
+});
@@ -0,0 +1,95 @@
+import { expect } from 'chai';
+import Client from './client';
+import FakeCUBE from './fakecube';
+import { FeedList } from './feed';
+
+describe('Watcher', () => {
+  const chrisUrl = 'http://localhost:8000/api/v1/';
+  const auth = { username: 'cube', password: 'cube1234' };
+  let client;
+
+  beforeEach(() => {
+    client = new Client(chrisUrl, auth, { transport: new FakeCUBE(chrisUrl) });
+    return client.createPluginInstance(1, { dir: 'x', title: 'a' });
+  });
+
+  it('emits the added, changed and removed items of a list resource', done => {
+    const feedList = new FeedList(chrisUrl, auth, client.options);
+    const events = [];
+    let watcher;
+    let feed;
+
+    feedList
+      .get()
+      .then(() => {
+        watcher = feedList.watch({ interval: 60000 });
+        watcher.subscribe(event => events.push(event));
+        return client.createPluginInstance(1, { dir: 'x', title: 'b' });
+      })
+      .then(() => watcher.poll())
+      .then(() => {
+        expect(events.map(event => event.type)).to.deep.equal(['added']);
+        feed = events[0].item;
+        expect(feed.data.name).to.equal('b');
+        return feed.put({ name: 'c' });
+      })
+      .then(() => watcher.poll())
+      .then(() => {
+        expect(events[1].type).to.equal('changed');
+        expect(events[1].changes.name).to.deep.equal({ previous: 'b', current: 'c' });
+        return feed.delete();
+      })
+      .then(() => watcher.poll())
+      .then(() => {
+        expect(events[2].type).to.equal('removed');
+        expect(events[2].data.name).to.equal('c');
+        expect(feedList.data).to.have.lengthOf(1); // the list resource object is not modified
+      })
+      .then(
+        () => watcher.stop(),
+        error => {
+          watcher.stop();
+          throw error;
+        }
+      )
+      .then(() => done(), done);
+  });
+
+  it('emits the removal of an item resource that is not found anymore', done => {
+    const events = [];
+    let watcher;
+
+    client
+      .getFeeds()
+      .then(feedList => {
+        watcher = feedList.getItems()[0].watch({ interval: 60000 });
+        watcher.subscribe(event => events.push(event));
+        return feedList.getItems()[0].delete();
+      })
+      .then(() => watcher.poll())
+      .then(() => {
+        watcher.stop();
+        expect(events.map(event => event.type)).to.deep.equal(['removed']);
+      })
+      .then(done, done);
+  });
+
+  it('backs off the polling interval while there are no changes', done => {
+    const feedList = new FeedList(chrisUrl, auth, client.options);
+    const watcher = feedList.watch({ interval: 1000, maxInterval: 2000, backoff: 1.5 });
+
+    watcher
+      .poll() // first snapshot
+      .then(() => watcher.poll())
+      .then(() => {
+        expect(watcher.interval).to.equal(2000);
+        return client.createPluginInstance(1, { dir: 'x', title: 'b' });
+      })
+      .then(() => watcher.poll())
+      .then(() => {
+        watcher.stop();
+        expect(watcher.interval).to.equal(1000);
+      })
+      .then(done, done);
+  });
+});
@@ -2,17 +2,26 @@ var path = require('path');
 
 module.exports = {
   // Change to your "entry-point".
-  entry: './src/index',
+  entry: {
+    chrisapi: './src/index',
+    // in-memory fake server for tests and development, kept out of the main bundle
+    'chrisapi-testing': {
+      import: './src/testing',
+      library: { name: 'CAPITesting', type: 'umd', umdNamedDefine: true },
+    },
+  },
   mode: 'production',
   output: {
     path: path.resolve(__dirname, 'dist'),
-    filename: 'chrisapi.js',
+    filename: '[name].js',
     library: 'CAPI',
     libraryTarget: 'umd',
     umdNamedDefine: true,
   },
   resolve: {
     extensions: ['.js', '.json'],
+    // node.js core modules are only used when running in node.js
+    fallback: { fs: false, path: false, stream: false },
   },
   module: {
     rules: [
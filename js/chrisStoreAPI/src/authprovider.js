@@ -0,0 +1,125 @@
+/** * Imports ***/
+import Client from './client';
+import RequestException from './exception';
+
+/**
+ * Authentication provider object. It exchanges the user credentials for an auth token
+ * and caches it so requests made by a client don't have to send the credentials. When
+ * a request fails with a 401 status code the client asks the provider for a new token
+ * and replays the request once.
+ *
+ * Custom providers (eg. for a different authentication service) can subclass this
+ * class and override the ``fetchToken`` and ``canFetchToken`` methods.
+ */
+export default class AuthProvider {
+  /**
+   * Constructor
+   *
+   * @param {string} authUrl - url of the authorization service
+   * @param {Object} auth - authentication object
+   * @param {string} [auth.username] - username
+   * @param {string} [auth.password] - password
+   * @param {string} [auth.token] - initial authentication token
+   * @param {?function(token: string)} [onTokenChange=null] - callback called with every new
+   * token fetched by this provider, eg. to persist it
+   */
+  constructor(authUrl, auth, onTokenChange = null) {
+    if (!auth) {
+      throw new RequestException('Authentication object is required');
+    }
+
+    /** @type {string} */
+    this.authUrl = authUrl;
+
+    /** @type {string} */
+    this.username = auth.username || '';
+
+    /** @type {string} */
+    this.password = auth.password || '';
+
+    /** @type {string} */
+    this.token = auth.token || '';
+
+    /** @type {?function(token: string)} */
+    this.onTokenChange = onTokenChange;
+
+    /** @type {?Promise<string>} */
+    this._tokenRequest = null; // in-flight token request shared by concurrent callers
+  }
+
+  /**
+   * Get the cached auth token, fetching a new one if there is none yet.
+   *
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   * @param {?Object} [options=null] - options object of the client making the request
+   *
+   * @return {Object} - JS Promise, resolves to a ``string`` value
+   */
+  getToken(timeout = 30000, options = null) {
+    if (this.token) {
+      return Promise.resolve(this.token);
+    }
+    return this.refreshToken(null, timeout, options);
+  }
+
+  /**
+   * Fetch a new auth token replacing the cached one.
+   *
+   * @param {?string} [staleToken=null] - token that was rejected by the server, if the cached
+   * token has already been replaced by a newer one then the newer one is returned
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   * @param {?Object} [options=null] - options object of the client making the request
+   *
+   * @return {Object} - JS Promise, resolves to a ``string`` value
+   */
+  refreshToken(staleToken = null, timeout = 30000, options = null) {
+    if (staleToken && this.token && this.token !== staleToken) {
+      return Promise.resolve(this.token);
+    }
+    if (!this._tokenRequest) {
+      this._tokenRequest = this.fetchToken(timeout, options).then(
+        token => {
+          this._tokenRequest = null;
+          this.token = token;
+          if (this.onTokenChange) {
+            this.onTokenChange(token);
+          }
+          return token;
+        },
+        error => {
+          this._tokenRequest = null;
+          throw error;
+        }
+      );
+    }
+    return this._tokenRequest;
+  }
+
+  /**
+   * Check whether this provider can fetch a new auth token. When it can't, a request
+   * rejected with a 401 status code is not replayed and fails with its original error.
+   *
+   * @return {boolean} - whether the user credentials are known
+   */
+  canFetchToken() {
+    return Boolean(this.username && this.password);
+  }
+
+  /**
+   * Fetch an auth token from the REST API in exchange for the user credentials. The
+   * token request goes through the transport and middleware of the client making the
+   * request, if any.
+   *
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   * @param {?Object} [options=null] - options object of the client making the request
+   *
+   * @return {Object} - JS Promise, resolves to a ``string`` value
+   */
+  fetchToken(timeout = 30000, options = null) {
+    if (!this.canFetchToken()) {
+      const errMsg = 'User credentials are required to fetch a new auth token!';
+      return Promise.reject(new RequestException(errMsg));
+    }
+    return Client.getAuthToken(this.authUrl, this.username, this.password, timeout, options);
+  }
+}
@@ -11,6 +11,11 @@ import User from './user';
 
 /**
  * API client object.
+ *
+ * The ``timeout`` argument of the methods of this client and of the resource objects
+ * it creates can also be a request options object with ``timeout``, ``retry``,
+ * ``signal`` (an ``AbortSignal`` to abort the call) and ``onUploadProgress`` (a callback
+ * to report the progress of an upload) properties, see ``Request``.
  */
 export default class Client {
   /**
@@ -19,14 +24,25 @@ export default class Client {
    * @param {string} url - url of the ChRIS store service
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {Object} [options={}] - client options object shared by all the resource
+   * objects created by this client
+   * @param {Object|boolean} [options.retry] - retry policy for requests that fail with
+   * a transient error (see ``Request``), ``false`` disables retries
+   * @param {Object[]} [options.middleware] - array of middleware objects (see ``use``)
+   * @param {AuthProvider} [options.authProvider] - auth provider object that fetches and
+   * caches an auth token and re-authenticates when the token is rejected by the server
    */
-  constructor(url, auth = null) {
+  constructor(url, auth = null, options = {}) {
     /** @type {string} */
     this.url = url;
 
     /** @type {Object} */
     this.auth = auth;
 
+    /** @type {Object} */
+    this.options = Object.assign({}, options);
+    this.options._discoveredQueries = {}; // list url -> query array, see clearDiscoveredQueries
+
     /* Urls of the high level API resources */
     this.pluginMetasUrl = this.url;
     this.favoritePluginMetasUrl = '';
@@ -35,16 +51,69 @@ export default class Client {
     this.pluginsUrl = '';
     this.pipelinesUrl = '';
     this.userUrl = '';
+
+    /** @type {?Object} */
+    this._urlsRequest = null; // in-flight request shared by concurrent setUrls calls
   }
 
   /**
-   * Set the urls of the high level API resources.
-   * @param {number} [timeout=30000] - request timeout
+   * Register a middleware object whose hooks are run by every request made by this
+   * client and the resource objects it creates, in registration order. Hooks may return
+   * a promise. The ``beforeRequest`` hook can modify or replace the axios config object
+   * (eg. to add headers or rewrite the url) and the ``afterResponse`` hook the axios
+   * response object. An ``onError`` hook can recover from a failed request by returning a
+   * response object, otherwise the error is passed on to the next hook.
+   *
+   * @param {Object} middleware - middleware object
+   * @param {function(config: Object): ?Object} [middleware.beforeRequest] - request hook
+   * @param {function(response: Object): ?Object} [middleware.afterResponse] - response hook
+   * @param {function(error: RequestException): ?Object} [middleware.onError] - error hook
+   *
+   * @return {Client} - ``this`` object
+   */
+  use(middleware) {
+    this.options.middleware = (this.options.middleware || []).concat(middleware);
+    return this;
+  }
+
+  /**
+   * Forget the Collection+JSON query arrays of the list resources discovered by the
+   * resource objects of this client to validate search parameters. They are discovered
+   * again from the REST API the next time they are needed.
+   *
+   * @return {Client} - ``this`` object
+   */
+  clearDiscoveredQueries() {
+    const discoveredQueries = this.options._discoveredQueries;
+
+    Object.keys(discoveredQueries).forEach(listUrl => {
+      delete discoveredQueries[listUrl];
+    });
+    return this;
+  }
+
+  /**
+   * Set the urls of the high level API resources. Concurrent calls share a single
+   * request, but for the calls that can be aborted (with a ``signal`` or ``cancelToken``)
+   * or opt out of sharing (``dedupe`` set to false) which make their own request.
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise
    */
   setUrls(timeout = 30000) {
-    return this.getPluginMetas(null, timeout);
+    const callOptions = timeout !== null && typeof timeout === 'object' ? timeout : {};
+
+    if (callOptions.dedupe === false || callOptions.signal || callOptions.cancelToken) {
+      return this.getPluginMetas(null, timeout);
+    }
+    if (!this._urlsRequest) {
+      const done = () => {
+        this._urlsRequest = null;
+      };
+      this._urlsRequest = this.getPluginMetas(null, timeout);
+      this._urlsRequest.then(done, done);
+    }
+    return this._urlsRequest;
   }
 
   /**
@@ -69,12 +138,12 @@ export default class Client {
    * category containing this string
    * @param {string} [searchParams.owner_username] - match plugin meta owner's username exactly
    * with this string
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginMetaList`` object
    */
   getPluginMetas(searchParams = null, timeout = 30000) {
-    const plgMetaList = new PluginMetaList(this.pluginMetasUrl, this.auth);
+    const plgMetaList = new PluginMetaList(this.pluginMetasUrl, this.auth, this.options);
 
     return plgMetaList.get(searchParams, timeout).then(plgMetaList => {
       const coll = plgMetaList.collection;
@@ -101,7 +170,7 @@ export default class Client {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``UserFavoritePluginMetaList`` object
    */
@@ -118,7 +187,7 @@ export default class Client {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``UserOwnedPluginMetaList`` object
    */
@@ -133,7 +202,7 @@ export default class Client {
    * Get a plugin meta resource object given its id.
    *
    * @param {number} id - plugin meta id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginMeta`` object
    */
@@ -162,7 +231,7 @@ export default class Client {
    * Get a plugin star resource object given its id.
    *
    * @param {string} id - plugin star id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginStar`` object
    */
@@ -175,16 +244,16 @@ export default class Client {
    *
    * @param {Object} data - request JSON data object
    * @param {string} data.plugin_name - plugin's name
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to ``PluginStar`` object
    */
   createPluginStar(data, timeout = 30000) {
     const createRes = () => {
-      const res = new PluginStarList(this.pluginStarsUrl, this.auth);
+      const res = new PluginStarList(this.pluginStarsUrl, this.auth, this.options);
       return res.post(data, timeout).then(res => res.getItems()[0]);
     };
-    return this.pluginStarsUrl ? createRes() : this.setUrls().then(() => createRes());
+    return this.pluginStarsUrl ? createRes() : this.setUrls(timeout).then(() => createRes());
   }
 
   /**
@@ -224,7 +293,7 @@ export default class Client {
    * Get a plugin resource object given its id.
    *
    * @param {number} id - plugin id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``Plugin`` object
    */
@@ -240,17 +309,20 @@ export default class Client {
    * @param {string} data.dock_image - plugin docker image
    * @param {string} data.public_repo - plugin repo
    * @param {Object} uploadFileObj - custom file object
-   * @param {Object} uploadFileObj.descriptor_file - file blob
-   * @param {number} [timeout=30000] - request timeout
+   * @param {Object} uploadFileObj.descriptor_file - file blob (in node.js a file path,
+   * ``Buffer`` or ``Readable`` stream can also be passed)
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   * @param {function(progress: Object)} [timeout.onUploadProgress] - upload progress callback,
+   * the progress object has ``loaded``, ``total``, ``rate`` (bytes/s) and ``eta`` (s) properties
    *
    * @return {Object} - JS Promise, resolves to ``Plugin`` object
    */
   createPlugin(data, uploadFileObj, timeout = 30000) {
     const createRes = () => {
-      const res = new PluginList(this.pluginsUrl, this.auth);
+      const res = new PluginList(this.pluginsUrl, this.auth, this.options);
       return res.post(data, uploadFileObj, timeout).then(res => res.getItems()[0]);
     };
-    return this.pluginsUrl ? createRes() : this.setUrls().then(() => createRes());
+    return this.pluginsUrl ? createRes() : this.setUrls(timeout).then(() => createRes());
   }
 
   /**
@@ -279,7 +351,7 @@ export default class Client {
    * Get a pipeline resource object given its id.
    *
    * @param {number} id - pipeline id
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``Pipeline`` object
    */
@@ -297,21 +369,21 @@ export default class Client {
    * @param {string} [data.category] - pipeline category
    * @param {string} [data.description] - pipeline description
    * @param {boolean} [data.locked=true] - pipeline status
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to ``Pipeline`` object
    */
   createPipeline(data, timeout = 30000) {
     const createRes = () => {
-      const res = new PipelineList(this.pipelinessUrl, this.auth);
+      const res = new PipelineList(this.pipelinessUrl, this.auth, this.options);
       return res.post(data, timeout).then(res => res.getItems()[0]);
     };
-    return this.pipelinesUrl ? createRes() : this.setUrls().then(() => createRes());
+    return this.pipelinesUrl ? createRes() : this.setUrls(timeout).then(() => createRes());
   }
 
   /**
    * Get a user resource object for the currently authenticated user.
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``User`` object
    */
@@ -326,7 +398,7 @@ export default class Client {
    * @param {string} username - username
    * @param {string} password - password
    * @param {string} email - user email
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``User`` object
    */
@@ -356,12 +428,16 @@ export default class Client {
    * @param {string} authUrl - url of the authorization service
    * @param {string} username - username
    * @param {string} password - password
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   * @param {?Object} [options=null] - client options object (eg. with the client's
+   * ``transport`` and ``middleware``), its auth provider is not used
    *
    * @return {Object} - JS Promise, resolves to a ``string`` value
    */
-  static getAuthToken(authUrl, username, password, timeout = 30000) {
-    const req = new Request(undefined, 'application/json', timeout);
+  static getAuthToken(authUrl, username, password, timeout = 30000, options = null) {
+    // the token request can't be authenticated by the auth provider it is made for
+    const reqOptions = options && Object.assign({}, options, { authProvider: null });
+    const req = new Request(undefined, 'application/json', timeout, reqOptions);
     const authData = {
       username: username,
       password: password,
@@ -384,15 +460,15 @@ export default class Client {
    * @param {string} resUrlProp -  property of the `this` object containing the url of the resource
    * @param {string} ResClass - resource class
    * @param {Object} [searchParams=null] - search parameters object
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise
    */
   _fetchRes(resUrlProp, ResClass, searchParams = null, timeout = 30000) {
     const getRes = () => {
-      const res = new ResClass(this[resUrlProp], this.auth);
+      const res = new ResClass(this[resUrlProp], this.auth, this.options);
       return searchParams ? res.get(searchParams, timeout) : res.get(timeout);
     };
-    return this[resUrlProp] ? getRes() : this.setUrls().then(() => getRes());
+    return this[resUrlProp] ? getRes() : this.setUrls(timeout).then(() => getRes());
   }
 }
@@ -1,6 +1,7 @@
+import axios from 'axios';
 import Client from './client';
 import { expect } from 'chai';
-import RequestException from './exception';
+import RequestException, { AbortError } from './exception';
 import { PluginList, Plugin } from './plugin';
 import { UserFavoritePluginMetaList, UserOwnedPluginMetaList } from './pluginmeta';
 import { PluginMetaList, PluginMeta } from './pluginmeta';
@@ -54,6 +55,85 @@ describe('Client', () => {
   //const auth = {token: "d757da9c364fdc92368b90392559e0de78f54f02"};
   const client = new Client(chrisStoreUrl, auth);
 
+  it('can register middleware shared by all the resource objects it creates', () => {
+    const mwClient = new Client(chrisStoreUrl, auth);
+    const middleware = { beforeRequest: config => config };
+
+    expect(mwClient.use(middleware)).to.equal(mwClient);
+    const pluginMetaList = new PluginMetaList(mwClient.pluginMetasUrl, auth, mwClient.options);
+    expect(pluginMetaList.options.middleware).to.deep.equal([middleware]);
+  });
+
+  it('shares a single request between concurrent calls that discover the resource urls', done => {
+    const defaultAdapter = axios.defaults.adapter;
+    const links = [
+      { rel: 'plugins', href: chrisStoreUrl + 'plugins/' },
+      { rel: 'pipelines', href: chrisStoreUrl + 'pipelines/' },
+    ];
+    const sent = [];
+    axios.defaults.adapter = config => {
+      sent.push(config.url);
+      const data = { collection: { href: config.url, items: [], links: links } };
+      return Promise.resolve({ data, status: 200, statusText: 'OK', headers: {}, config });
+    };
+    const urlsClient = new Client(chrisStoreUrl, auth);
+
+    Promise.all([urlsClient.getPlugins(), urlsClient.getPipelines()])
+      .then(() => {
+        expect(sent.filter(url => url === chrisStoreUrl)).to.have.lengthOf(1);
+        expect(urlsClient.pluginsUrl).to.equal(chrisStoreUrl + 'plugins/');
+        expect(urlsClient._urlsRequest).to.be.a('null');
+      })
+      .then(
+        () => {
+          axios.defaults.adapter = defaultAdapter;
+        },
+        error => {
+          axios.defaults.adapter = defaultAdapter;
+          throw error;
+        }
+      )
+      .then(done, done);
+  });
+
+  it('does not share the resource urls discovery with a call that can be aborted', done => {
+    const defaultAdapter = axios.defaults.adapter;
+    const links = [{ rel: 'plugins', href: chrisStoreUrl + 'plugins/' }];
+    axios.defaults.adapter = config =>
+      new Promise((resolve, reject) => {
+        const data = { collection: { href: config.url, items: [], links: links } };
+        if (config.cancelToken) {
+          config.cancelToken.promise.then(reject);
+        }
+        setTimeout(() => resolve({ data, status: 200, statusText: 'OK', headers: {}, config }), 10);
+      });
+    const urlsClient = new Client(chrisStoreUrl, auth);
+    const controller = new AbortController();
+    const aborted = urlsClient.setUrls({ signal: controller.signal }).then(
+      () => {
+        throw new Error('expected the call to be aborted');
+      },
+      error => expect(error).to.be.an.instanceof(AbortError)
+    );
+    const shared = urlsClient.setUrls();
+    controller.abort();
+
+    Promise.all([aborted, shared])
+      .then(() => {
+        expect(urlsClient.pluginsUrl).to.equal(chrisStoreUrl + 'plugins/');
+      })
+      .then(
+        () => {
+          axios.defaults.adapter = defaultAdapter;
+        },
+        error => {
+          axios.defaults.adapter = defaultAdapter;
+          throw error;
+        }
+      )
+      .then(done, done);
+  });
+
   it('can create a new user through the REST API', done => {
     const username = 'user' + Date.now();
     const password = username + 'pass';
@@ -8,7 +8,7 @@ export default class RequestException extends Error {
     super(...args);
 
     /** @type {string} */
-    this.name = this.constructor.name;
+    this.name = 'RequestException';
 
     /** @type {Object} */
     this.request = null;
@@ -17,3 +17,121 @@ export default class RequestException extends Error {
     this.response = null;
   }
 }
+
+/**
+ * Exception thrown when a request is aborted through an ``AbortSignal`` or a cancel token.
+ */
+export class AbortError extends RequestException {
+  constructor(...args) {
+    super(...args);
+
+    /** @type {string} */
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Exception thrown when the server responds with a 400 status code because the
+ * request data did not validate.
+ */
+export class ValidationError extends RequestException {
+  constructor(...args) {
+    super(...args);
+
+    /** @type {string} */
+    this.name = 'ValidationError';
+
+    /** @type {Object} */
+    this.fieldErrors = {};
+  }
+
+  /**
+   * Normalize the data of an error response into an object whose properties are the
+   * names of the fields that produced the error and whose values are lists of plain
+   * string errors. Errors that are not related to a single field are put in the
+   * ``non_field_errors`` property.
+   *
+   * @param {Object|string} data - error response data
+   *
+   * @return {Object} - field errors object
+   */
+  static getFieldErrors(data) {
+    const fieldErrors = {};
+    const toMessage = err => (typeof err === 'string' ? err : JSON.stringify(err));
+
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+      for (let field in data) {
+        if (data.hasOwnProperty(field)) {
+          const errors = Array.isArray(data[field]) ? data[field] : [data[field]];
+          fieldErrors[field] = errors.map(toMessage);
+        }
+      }
+    } else if (data) {
+      const errors = Array.isArray(data) ? data : [data];
+      fieldErrors.non_field_errors = errors.map(toMessage);
+    }
+    return fieldErrors;
+  }
+}
+
+/**
+ * Exception thrown when the server responds with a 401 status code because the
+ * request was not authenticated or the credentials were not valid.
+ */
+export class AuthenticationError extends RequestException {
+  constructor(...args) {
+    super(...args);
+
+    /** @type {string} */
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * Exception thrown when the server responds with a 403 status code because the
+ * authenticated user is not allowed to perform the request.
+ */
+export class PermissionDeniedError extends RequestException {
+  constructor(...args) {
+    super(...args);
+
+    /** @type {string} */
+    this.name = 'PermissionDeniedError';
+  }
+}
+
+/**
+ * Exception thrown when the server responds with a 404 status code.
+ */
+export class NotFoundError extends RequestException {
+  constructor(...args) {
+    super(...args);
+
+    /** @type {string} */
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Exception thrown when the request timeout expires before a response is received.
+ */
+export class TimeoutError extends RequestException {
+  constructor(...args) {
+    super(...args);
+
+    /** @type {string} */
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Exception thrown when a request was made but no response was received.
+ */
+export class NetworkError extends RequestException {
+  constructor(...args) {
+    super(...args);
+
+    /** @type {string} */
+    this.name = 'NetworkError';
+  }
+}
@@ -0,0 +1,155 @@
+/** * Imports ***/
+import fs from 'fs';
+import path from 'path';
+import NodeFormData from 'form-data';
+import RequestException from './exception';
+
+/**
+ * Whether the code is running in node.js rather than in a browser.
+ *
+ * @type {boolean}
+ */
+export const isNode =
+  typeof process !== 'undefined' && process.versions != null && process.versions.node != null;
+
+/**
+ * Make the multipart body of a request that uploads files. In node.js a file can be given
+ * as a file path, a ``Buffer``, a ``Readable`` stream or a ``Blob`` and the body is a
+ * ``form-data`` stream whose headers include the multipart boundary and, unless a stream
+ * of unknown length is uploaded, the content length.
+ *
+ * @param {Object} data - JSON data object
+ * @param {Object} uploadFileObj - custom object with a property with the same name as
+ * the API descriptor corresponding to the file and whose value is the file
+ * @param {?function(event: Object)} [onProgress=null] - progress event handler, in the
+ * browser the progress is reported by axios instead
+ *
+ * @return {Object} - JS Promise, resolves to an object with the request ``data``
+ * and ``headers``
+ */
+export function getMultipartBody(data, uploadFileObj, onProgress = null) {
+  if (!isNode) {
+    const bFormData = new FormData();
+
+    for (let property in data) {
+      if (data.hasOwnProperty(property)) {
+        bFormData.set(property, data[property]);
+      }
+    }
+    for (let property in uploadFileObj) {
+      if (uploadFileObj.hasOwnProperty(property)) {
+        bFormData.set(property, uploadFileObj[property]);
+      }
+    }
+    return Promise.resolve({ data: bFormData, headers: { 'content-type': 'multipart/form-data' } });
+  }
+  const form = new NodeFormData();
+  let lengthKnown = true;
+
+  for (let property in data) {
+    if (data.hasOwnProperty(property)) {
+      form.append(property, String(data[property]));
+    }
+  }
+  const files = Object.keys(uploadFileObj).map(property =>
+    getNodeFile(uploadFileObj[property], property)
+  );
+
+  return Promise.all(files)
+    .then(files => {
+      files.forEach(file => {
+        form.append(file.name, file.value, file.options);
+        lengthKnown = lengthKnown && file.lengthKnown;
+      });
+      if (!lengthKnown) {
+        return 0; // the body is sent with chunked transfer encoding
+      }
+      return new Promise((resolve, reject) => {
+        form.getLength((error, length) => (error ? reject(error) : resolve(length)));
+      });
+    })
+    .then(length => {
+      const headers = form.getHeaders();
+      if (lengthKnown) {
+        headers['content-length'] = length;
+      }
+      if (onProgress) {
+        let loaded = 0;
+        const total = lengthKnown ? length : 0;
+        form.on('data', chunk => {
+          loaded += Buffer.byteLength(chunk);
+          onProgress({ loaded: loaded, total: total, lengthComputable: total > 0 });
+        });
+      }
+      return { data: form, headers: headers };
+    })
+    .catch(error => {
+      throw error instanceof RequestException ? error : new RequestException(error.message);
+    });
+}
+
+/**
+ * Whether some of the files to upload are streams, which can only be read once.
+ *
+ * @param {Object} uploadFileObj - custom object with a property with the same name as
+ * the API descriptor corresponding to the file and whose value is the file
+ *
+ * @return {boolean} - whether a file is a stream
+ */
+export function hasStreamFile(uploadFileObj) {
+  return Object.keys(uploadFileObj).some(name => {
+    const file = uploadFileObj[name];
+    return !!file && typeof file.pipe === 'function';
+  });
+}
+
+/**
+ * Internal function to get the value and options to append a file to a ``form-data``
+ * object in node.js.
+ *
+ * @param {string|Buffer|Readable|Blob} file - file path, ``Buffer``, ``Readable`` stream
+ * or ``Blob`` object
+ * @param {string} name - name of the API descriptor corresponding to the file, also used
+ * as the file name when it can not be determined from the file
+ *
+ * @return {Object} - JS Promise, resolves to an object with the ``name``,
+ * ``value`` and ``options`` to append and whether the file length is known
+ * (``lengthKnown``)
+ */
+function getNodeFile(file, name) {
+  const result = { name: name, value: file, options: { filename: name }, lengthKnown: true };
+
+  if (typeof file === 'string') {
+    return new Promise((resolve, reject) => {
+      fs.stat(file, (error, stats) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        result.value = fs.createReadStream(file);
+        result.options = { filename: path.basename(file), knownLength: stats.size };
+        resolve(result);
+      });
+    });
+  }
+  if (Buffer.isBuffer(file)) {
+    return Promise.resolve(result);
+  }
+  if (file && typeof file.pipe === 'function') {
+    // form-data computes the length of file streams from the file path
+    if (file.path) {
+      result.options.filename = path.basename(String(file.path));
+    } else {
+      result.lengthKnown = false;
+    }
+    return Promise.resolve(result);
+  }
+  if (file && typeof file.arrayBuffer === 'function') {
+    return file.arrayBuffer().then(buffer => {
+      result.value = Buffer.from(buffer);
+      result.options = { filename: file.name || name, contentType: file.type || undefined };
+      return result;
+    });
+  }
+  return Promise.reject(new RequestException('Unsupported file object for ' + name + '!'));
+}
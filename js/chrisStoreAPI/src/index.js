@@ -1,7 +1,10 @@
 import Client from './client';
 import Request from './request';
 import Collection from './cj';
-import RequestException from './exception';
+import AuthProvider from './authprovider';
+import RequestException, { AbortError, TimeoutError, NetworkError } from './exception';
+import { ValidationError, AuthenticationError, PermissionDeniedError } from './exception';
+import { NotFoundError } from './exception';
 import { ListResource, ItemResource, Resource } from './resource';
 import { PluginList, PluginMetaPluginList, Plugin } from './plugin';
 import { PluginMetaList, PluginMeta } from './pluginmeta';
@@ -18,7 +21,10 @@ import { User } from './user';
 export default Client;
 export { Request };
 export { Collection };
-export { RequestException };
+export { AuthProvider };
+export { RequestException, AbortError, TimeoutError, NetworkError };
+export { ValidationError, AuthenticationError, PermissionDeniedError };
+export { NotFoundError };
 export { ListResource, ItemResource, Resource };
 export { PluginList, PluginMetaPluginList, Plugin };
 export { PluginMetaList, PluginMeta };
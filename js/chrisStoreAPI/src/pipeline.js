@@ -13,9 +13,10 @@ export class Pipeline extends ItemResource {
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
   }
 
   /**
@@ -24,7 +25,7 @@ export class Pipeline extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PipelinePluginList`` object
    */
@@ -41,7 +42,7 @@ export class Pipeline extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PipelinePluginPipingList`` object
    */
@@ -59,7 +60,7 @@ export class Pipeline extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PipelinePipingDefaultParameterList`` object
    */
@@ -79,7 +80,7 @@ export class Pipeline extends ItemResource {
    * @param {string} [data.category] - pipeline category
    * @param {string} [data.description] - pipeline description
    * @param {boolean} [data.locked] - pipeline lock status
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to ``this`` object
    */
@@ -90,7 +91,7 @@ export class Pipeline extends ItemResource {
   /**
    * Make a DELETE request to delete this pipeline resource through the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise
    */
@@ -109,9 +110,10 @@ export class PipelineList extends ListResource {
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Pipeline;
@@ -125,7 +127,7 @@ export class PipelineList extends ListResource {
    * used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginList`` object
    */
@@ -147,7 +149,7 @@ export class PipelineList extends ListResource {
    * @param {string} [data.category] - pipeline category
    * @param {string} [data.description] - pipeline description
    * @param {boolean} [data.locked=true] - pipeline status
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to ``this`` object
    */
@@ -167,16 +169,17 @@ export class PluginPiping extends ItemResource {
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the parent plugin piping within the corresponding pipeline from the
    * REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginPiping`` object or ``null``
    */
@@ -194,7 +197,7 @@ export class PluginPiping extends ItemResource {
   /**
    * Fetch the corresponding plugin for this plugin piping from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``Plugin`` object
    */
@@ -208,7 +211,7 @@ export class PluginPiping extends ItemResource {
   /**
    * Fetch the corresponding pipeline for this plugin piping from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``Pipeline`` object
    */
@@ -231,16 +234,17 @@ export class PipingDefaultParameter extends ItemResource {
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the corresponding plugin piping for this plugin piping default
    * parameter from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginPiping`` object
    */
@@ -255,7 +259,7 @@ export class PipingDefaultParameter extends ItemResource {
    * Fetch the corresponding plugin parameter for this plugin piping default
    * parameter from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginParameter`` object
    */
@@ -278,9 +282,10 @@ export class PipelinePluginList extends ListResource {
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Plugin;
@@ -298,9 +303,10 @@ export class PipelinePluginPipingList extends ListResource {
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginPiping;
@@ -318,9 +324,10 @@ export class PipelinePipingDefaultParameterList extends ListResource {
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginPiping;
@@ -15,9 +15,10 @@ export class Plugin extends ItemResource {
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
   }
 
   /**
@@ -26,7 +27,7 @@ export class Plugin extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginParameterList`` object
    */
@@ -40,7 +41,7 @@ export class Plugin extends ItemResource {
   /**
    * Fetch the plugin meta associated to this plugin from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginMeta`` object
    */
@@ -54,7 +55,7 @@ export class Plugin extends ItemResource {
   /**
    * Make a DELETE request to delete this plugin item resource through the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise
    */
@@ -73,9 +74,10 @@ export class PluginList extends ListResource {
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Plugin;
@@ -89,7 +91,7 @@ export class PluginList extends ListResource {
    * can be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PipelineList`` object
    */
@@ -108,7 +110,7 @@ export class PluginList extends ListResource {
    * can be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginStarList`` object
    */
@@ -128,8 +130,11 @@ export class PluginList extends ListResource {
    * @param {string} data.dock_image - plugin docker image
    * @param {string} data.public_repo - plugin repo
    * @param {Object} uploadFileObj - custom file object
-   * @param {Object} uploadFileObj.descriptor_file - file blob
-   * @param {number} [timeout=30000] - request timeout
+   * @param {Object} uploadFileObj.descriptor_file - file blob (in node.js a file path,
+   * ``Buffer`` or ``Readable`` stream can also be passed)
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   * @param {function(progress: Object)} [timeout.onUploadProgress] - upload progress callback,
+   * the progress object has ``loaded``, ``total``, ``rate`` (bytes/s) and ``eta`` (s) properties
    *
    * @return {Object} - JS Promise, resolves to ``this`` object
    */
@@ -149,9 +154,10 @@ export class PluginMetaPluginList extends ListResource {
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = Plugin;
@@ -161,7 +167,7 @@ export class PluginMetaPluginList extends ListResource {
    * Fetch the plugin meta associated to this plugin meta-specific list of
    * plugins from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginMeta`` object
    */
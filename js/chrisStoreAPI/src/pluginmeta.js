@@ -15,9 +15,10 @@ export class PluginMeta extends ItemResource {
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
   }
 
   /**
@@ -26,7 +27,7 @@ export class PluginMeta extends ItemResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginMetaPluginList`` object
    */
@@ -43,7 +44,7 @@ export class PluginMeta extends ItemResource {
    * @param {Object} data - request JSON data object
    * @param {string} data.public_repo - public repo
    * @param {string} [data.new_owner] - new additional owner for this plugin meta
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to ``this`` object
    */
@@ -54,7 +55,7 @@ export class PluginMeta extends ItemResource {
   /**
    * Make a DELETE request to delete this plugin meta item resource through the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise
    */
@@ -74,9 +75,10 @@ export class UserOwnedPluginMetaList extends ListResource {
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
 
     if (!this.auth) {
       throw new RequestException('Authentication object is required');
@@ -89,7 +91,7 @@ export class UserOwnedPluginMetaList extends ListResource {
   /**
    * Fetch the owner user from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``User`` object
    */
@@ -112,9 +114,10 @@ export class UserFavoritePluginMetaList extends ListResource {
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
 
     if (!this.auth) {
       throw new RequestException('Authentication object is required');
@@ -127,7 +130,7 @@ export class UserFavoritePluginMetaList extends ListResource {
   /**
    * Fetch the fan user from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``User`` object
    */
@@ -149,9 +152,10 @@ export class PluginMetaList extends ListResource {
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginMeta;
@@ -165,7 +169,7 @@ export class PluginMetaList extends ListResource {
    * can be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginList`` object
    */
@@ -184,7 +188,7 @@ export class PluginMetaList extends ListResource {
    * can be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PipelineList`` object
    */
@@ -203,7 +207,7 @@ export class PluginMetaList extends ListResource {
    * can be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginStarList`` object
    */
@@ -217,7 +221,7 @@ export class PluginMetaList extends ListResource {
   /**
    * Fetch the authenticated user from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``User`` object
    */
@@ -234,7 +238,7 @@ export class PluginMetaList extends ListResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``UserFavoritePluginMetaList`` object
    */
@@ -251,7 +255,7 @@ export class PluginMetaList extends ListResource {
    * @param {Object} [params=null] - page parameters object
    * @param {number} [params.limit] - page limit
    * @param {number} [params.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``UserOwnedPluginMetaList`` object
    */
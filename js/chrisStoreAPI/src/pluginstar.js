@@ -14,15 +14,16 @@ export class PluginStar extends ItemResource {
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
   }
 
   /**
    * Fetch the plugin meta associated to this plugin star from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginMeta`` object
    */
@@ -36,7 +37,7 @@ export class PluginStar extends ItemResource {
   /**
    * Fetch the user associated to this plugin star from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``User`` object
    */
@@ -51,7 +52,7 @@ export class PluginStar extends ItemResource {
    * Make a DELETE request to delete this plugin star item resource through the
    * REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise
    */
@@ -70,9 +71,10 @@ export class PluginStarList extends ListResource {
    * @param {string} url - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth = null) {
-    super(url, auth);
+  constructor(url, auth = null, options = null) {
+    super(url, auth, options);
 
     /** @type {Object} */
     this.itemClass = PluginStar;
@@ -86,7 +88,7 @@ export class PluginStarList extends ListResource {
    * can be used to get a list of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``PluginList`` object
    */
@@ -103,7 +105,7 @@ export class PluginStarList extends ListResource {
    *
    * @param {Object} data - request JSON data object
    * @param {string} data.plugin_name - plugin name
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to ``this`` object
    */
@@ -1,7 +1,51 @@
 /** * Imports ***/
 import axios from 'axios';
 import Collection from './cj';
-import RequestException from './exception';
+import RequestException, {
+  AbortError,
+  TimeoutError,
+  NetworkError,
+  ValidationError,
+  AuthenticationError,
+  PermissionDeniedError,
+  NotFoundError,
+} from './exception';
+import { isNode, getMultipartBody, hasStreamFile } from './filestream';
+
+/**
+ * Default retry policy for requests that fail with a transient error.
+ *
+ * @type {Object}
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 10000,
+  jitter: true,
+  statusCodes: [408, 429, 502, 503, 504],
+  methods: ['get', 'put', 'delete'],
+};
+
+/**
+ * Exception classes for error responses with specific HTTP status codes.
+ *
+ * @type {Object}
+ */
+const STATUS_EXCEPTIONS = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: PermissionDeniedError,
+  404: NotFoundError,
+};
+
+/**
+ * GET requests in flight that are shared by identical concurrent calls, by client options
+ * object (requests made without client options are shared under ``NO_OPTIONS``).
+ *
+ * @type {WeakMap<Object, Map<string, Promise>>}
+ */
+const SHARED_REQUESTS = new WeakMap();
+const NO_OPTIONS = {};
 
 /**
  * Http request object.
@@ -10,12 +54,41 @@ export default class Request {
   /**
    * Constructor
    *
+   * A retry policy object can be passed either in ``options.retry`` (client-wide) or in
+   * ``timeout.retry`` (per call, overriding the client-wide policy). Its properties are:
+   * ``maxAttempts`` (total number of attempts, default 3), ``baseDelay`` and ``maxDelay``
+   * (exponential backoff bounds in ms, default 500 and 10000), ``jitter`` (randomize the
+   * backoff delay, default true), ``statusCodes`` (HTTP status codes that are retried) and
+   * ``methods`` (request verbs that are retried, by default only the idempotent ones).
+   * A ``false`` value disables retries while a per-call ``true`` value enables them for
+   * any request verb (eg. to opt-in for a POST request).
+   *
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
    * @param {string} contentType - request content type
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or per-call options object
+   * @param {number} [timeout.timeout=30000] - request timeout
+   * @param {Object|boolean} [timeout.retry] - per-call retry policy
+   * @param {AbortSignal} [timeout.signal] - signal that aborts the request when triggered
+   * @param {Object} [timeout.cancelToken] - axios cancel token that aborts the request
+   * @param {function(progress: Object)} [timeout.onUploadProgress] - callback called with a
+   * progress object (see ``_getProgressHandler``) while the data of a POST or PUT request
+   * is sent
+   * @param {boolean} [timeout.dedupe] - ``false`` prevents a GET request from being shared
+   * with identical concurrent calls
+   * @param {?Object} [options=null] - client options object
+   * @param {Object|boolean} [options.retry] - client-wide retry policy
+   * @param {Object[]} [options.middleware] - array of middleware objects
+   * @param {AuthProvider} [options.authProvider] - auth provider object
    */
-  constructor(auth, contentType, timeout = 30000) {
+  constructor(auth, contentType, timeout = 30000, options = null) {
+    let callOptions = {};
+
+    if (timeout !== null && typeof timeout === 'object') {
+      callOptions = timeout;
+      timeout = callOptions.timeout !== undefined ? callOptions.timeout : 30000;
+    }
+
     /** @type {Object} */
     this.auth = auth;
 
@@ -24,6 +97,12 @@ export default class Request {
 
     /** @type {number} */
     this.timeout = timeout;
+
+    /** @type {?Object} */
+    this.options = options;
+
+    /** @type {Object} */
+    this.callOptions = callOptions;
   }
 
   /**
@@ -41,7 +120,7 @@ export default class Request {
       config.params = params;
     }
 
-    return Request._callAxios(config);
+    return this._shareRequest(url, params, () => this._callAxios(config));
   }
 
   /**
@@ -50,7 +129,8 @@ export default class Request {
    * @param {string} url - url of the resource
    * @param {Object} data - JSON data object
    * @param {?Object} uploadFileObj - custom object with a property with the same name as
-   * the API descriptor corresponding to the file and whose value is the file blob
+   * the API descriptor corresponding to the file and whose value is the file blob (in
+   * node.js the file can also be a file path, a ``Buffer`` or a ``Readable`` stream)
    *
    * @return {Object} - JS Promise, resolves to an ``axios reponse`` object
    */
@@ -64,7 +144,8 @@ export default class Request {
    * @param {string} url - url of the resource
    * @param {Object} data - JSON data object
    * @param {?Object} uploadFileObj - custom object with a property with the same name as
-   * the API descriptor corresponding to the file and whose value is the file blob
+   * the API descriptor corresponding to the file and whose value is the file blob (in
+   * node.js the file can also be a file path, a ``Buffer`` or a ``Readable`` stream)
    *
    * @return {Object} - JS Promise, resolves to an ``axios reponse`` object
    */
@@ -82,7 +163,7 @@ export default class Request {
   delete(url) {
     const config = this._getConfig(url, 'delete');
 
-    return Request._callAxios(config);
+    return this._callAxios(config);
   }
 
   /**
@@ -92,7 +173,8 @@ export default class Request {
    * @param {string} url - url of the resource
    * @param {Object} data - JSON data object
    * @param {?Object} uploadFileObj - custom object with a property with the same name as
-   * the API descriptor corresponding to the file and whose value is the file blob
+   * the API descriptor corresponding to the file and whose value is the file blob (in
+   * node.js the file can also be a file path, a ``Buffer`` or a ``Readable`` stream)
    *
    * @return {Object} - JS Promise, resolves to an ``axios reponse`` object
    */
@@ -100,24 +182,98 @@ export default class Request {
     const config = this._getConfig(url, requestMethod);
     config.data = data;
 
-    if (uploadFileObj) {
-      config['headers']['content-type'] = 'multipart/form-data';
-      const bFormData = new FormData();
+    if (this.callOptions.onUploadProgress) {
+      config.onUploadProgress = Request._getProgressHandler(this.callOptions.onUploadProgress);
+    }
 
-      for (let property in data) {
-        if (data.hasOwnProperty(property)) {
-          bFormData.set(property, data[property]);
-        }
-      }
-      for (let property in uploadFileObj) {
-        if (uploadFileObj.hasOwnProperty(property)) {
-          bFormData.set(property, uploadFileObj[property]);
-        }
-      }
-      config.data = bFormData;
+    if (!uploadFileObj) {
+      return this._callAxios(config);
     }
+    const makeBody = () => getMultipartBody(data, uploadFileObj, config.onUploadProgress);
+    let resend = null;
 
-    return Request._callAxios(config);
+    // in node.js the multipart body is a stream that is consumed when the request is sent,
+    // a new body is made to send it again unless the files are streams that can't be re-read
+    if (!hasStreamFile(uploadFileObj)) {
+      resend = config =>
+        makeBody().then(body => {
+          const headers = Object.assign({}, config.headers);
+          return Request._setMultipartBody(Object.assign({}, config, { headers: headers }), body);
+        });
+    }
+    return makeBody().then(body =>
+      this._callAxios(Request._setMultipartBody(config, body), resend)
+    );
+  }
+
+  /**
+   * Internal method to set the multipart body of a request.
+   *
+   * @param {Object} config - axios configuration object
+   * @param {Object} body - object with the request ``data`` and ``headers``, see
+   * ``getMultipartBody``
+   *
+   * @return {Object} - axios configuration object
+   */
+  static _setMultipartBody(config, body) {
+    config.data = body.data;
+    Object.assign(config.headers, body.headers);
+    config.maxBodyLength = Infinity; // lift the redirect body size limit in node.js
+    return config;
+  }
+
+  /**
+   * Internal method to share a GET request with the identical calls made while it is in
+   * flight (same client, url, search parameters, content type and credentials), so that
+   * they all resolve with a single network round-trip. Every call gets its own copy of
+   * the response data. Calls that can be aborted are not shared.
+   *
+   * @param {string} url - url of the resource
+   * @param {?Object} params - search parameters
+   * @param {function(): Object} send - function that makes the request
+   *
+   * @return {Object} - JS Promise, resolves to an ``axios reponse`` object
+   */
+  _shareRequest(url, params, send) {
+    const callOptions = this.callOptions;
+
+    if (callOptions.dedupe === false || callOptions.signal || callOptions.cancelToken) {
+      return send();
+    }
+    const owner = this.options || NO_OPTIONS;
+    if (!SHARED_REQUESTS.has(owner)) {
+      SHARED_REQUESTS.set(owner, new Map());
+    }
+    const shared = SHARED_REQUESTS.get(owner);
+    const auth = this.auth ? this.auth.token || this.auth.username || '' : '';
+    const query = Object.keys(params || {})
+      .sort()
+      .map(name => name + '=' + params[name])
+      .join('&');
+    const key = [this.contentType, auth, url + '?' + query].join(' ');
+
+    if (shared.has(key)) {
+      return shared.get(key).then(response => Request._copyResponse(response));
+    }
+    const request = send();
+    const forget = () => shared.delete(key);
+    shared.set(key, request);
+    request.then(forget, forget);
+    return request;
+  }
+
+  /**
+   * Internal method to copy an axios response object so that its JSON data can be
+   * modified without affecting the original response.
+   *
+   * @param {Object} response - axios response object
+   *
+   * @return {Object} - axios response object
+   */
+  static _copyResponse(response) {
+    const data = response.data;
+    const isJSON = data !== null && typeof data === 'object' && data.constructor === Object;
+    return Object.assign({}, response, { data: isJSON ? JSON.parse(JSON.stringify(data)) : data });
   }
 
   /**
@@ -146,27 +302,328 @@ export default class Request {
     }
 
     if (this.contentType === 'application/octet-stream') {
-      config.responseType = 'blob';
+      config.responseType = isNode ? 'arraybuffer' : 'blob';
     }
 
     return config;
   }
 
   /**
-   * Internal method to make an axios request.
+   * Internal method to get an axios cancel token from the per-call options. The abort
+   * listener that a token made from a signal adds to it is removed by the token's
+   * release function.
+   *
+   * @return {?Object} - object with the axios cancel ``token`` and the ``release``
+   * function or null if the request can not be aborted
+   */
+  _getCancelToken() {
+    const signal = this.callOptions.signal;
+
+    if (this.callOptions.cancelToken) {
+      return { token: this.callOptions.cancelToken, release: () => {} };
+    }
+    if (signal) {
+      let onAbort = null;
+      const token = new axios.CancelToken(cancel => {
+        if (signal.aborted) {
+          cancel('Request aborted!');
+        } else {
+          onAbort = () => cancel('Request aborted!');
+          signal.addEventListener('abort', onAbort, { once: true });
+        }
+      });
+      const release = () => {
+        if (onAbort) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+      return { token: token, release: release };
+    }
+    return null;
+  }
+
+  /**
+   * Internal method to make an axios progress event handler that calls a callback with
+   * a progress object. The progress object has the properties ``loaded`` (number of bytes
+   * transferred), ``total`` (total number of bytes or 0 if unknown), ``rate`` (average
+   * transfer rate in bytes/s) and ``eta`` (estimated number of seconds left or null if
+   * unknown).
+   *
+   * @param {function(progress: Object)} callback - progress callback
+   *
+   * @return {function(event: ProgressEvent)} - axios progress event handler
+   */
+  static _getProgressHandler(callback) {
+    const startTime = Date.now();
+
+    return event => {
+      const elapsed = (Date.now() - startTime) / 1000;
+      const total = event.lengthComputable ? event.total : 0;
+      const rate = elapsed > 0 ? event.loaded / elapsed : 0;
+      const eta = total && rate ? (total - event.loaded) / rate : null;
+
+      callback({ loaded: event.loaded, total: total, rate: rate, eta: eta });
+    };
+  }
+
+  /**
+   * Internal method to set the auth token of an axios config object. Any basic auth
+   * credentials are removed from the config object.
    *
    * @param {Object} config - axios configuration object
+   * @param {string} token - authentication token
+   *
+   * @return {Object} - axios configuration object
+   */
+  static _setAuthToken(config, token) {
+    delete config.auth;
+    config.headers.Authorization = 'Token ' + token;
+    return config;
+  }
+
+  /**
+   * Internal method to get the retry policy that applies to a request verb.
+   *
+   * @param {string} method - request verb
+   *
+   * @return {?Object} - retry policy object or null if the request should not be retried
+   */
+  _getRetryPolicy(method) {
+    const clientRetry = this.options ? this.options.retry : undefined;
+    const callRetry = this.callOptions.retry;
+
+    if (callRetry === false || (clientRetry === false && callRetry === undefined)) {
+      return null;
+    }
+    const policy = Object.assign({}, DEFAULT_RETRY_POLICY);
+
+    if (clientRetry && typeof clientRetry === 'object') {
+      Object.assign(policy, clientRetry);
+    }
+    if (callRetry && typeof callRetry === 'object') {
+      Object.assign(policy, callRetry);
+    }
+    if (callRetry === true || policy.methods.includes(method)) {
+      return policy;
+    }
+    return null;
+  }
+
+  /**
+   * Internal method to make an axios request. The request goes through the client's
+   * middleware chain and requests that fail with a transient error are retried
+   * according to the retry policy. The request can be aborted through the signal or
+   * cancel token of the per-call options until it settles.
+   *
+   * @param {Object} config - axios configuration object
+   * @param {?function(config: Object): Promise<Object>} [resend] - function that makes the
+   * configuration object to send the request again (eg. with a new body stream), or null
+   * if the request can't be sent again so that it is neither retried nor replayed
    *
    * @return {Object} - JS Promise, resolves to an ``axios reponse`` object
    */
-  static _callAxios(config) {
-    return axios(config)
-      .then(response => {
+  _callAxios(config, resend = config => Promise.resolve(config)) {
+    const middleware = (this.options && this.options.middleware) || [];
+    const cancelToken = this._getCancelToken();
+
+    if (cancelToken) {
+      config.cancelToken = cancelToken.token;
+    }
+    const result = Request._runMiddleware(middleware, 'beforeRequest', config)
+      .then(config => this._callAxiosWithAuth(config, resend))
+      .then(
+        response => Request._runMiddleware(middleware, 'afterResponse', response),
+        error => Request._runErrorMiddleware(middleware, error)
+      );
+
+    if (!cancelToken) {
+      return result;
+    }
+    // don't keep a listener on a long-lived signal once the request has settled
+    return result.then(
+      response => {
+        cancelToken.release();
         return response;
+      },
+      error => {
+        cancelToken.release();
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Internal method to make an axios request authenticated with the token provided by
+   * the client's auth provider. If the request fails with a 401 status code then a new
+   * token is requested from the provider and the request is replayed once.
+   *
+   * @param {Object} config - axios configuration object
+   * @param {?function(config: Object): Promise<Object>} resend - function that makes the
+   * configuration object to send the request again or null
+   *
+   * @return {Object} - JS Promise, resolves to an ``axios reponse`` object
+   */
+  _callAxiosWithAuth(config, resend) {
+    const authProvider = this.options && this.options.authProvider;
+
+    if (!authProvider) {
+      return this._callAxiosWithRetry(config, resend);
+    }
+    const send = (config, token) =>
+      this._callAxiosWithRetry(Request._setAuthToken(config, token), resend);
+
+    return authProvider.getToken(this.timeout, this.options).then(token =>
+      send(config, token).catch(error => {
+        const status = error.response && error.response.status;
+
+        if (status !== 401 || !resend || !authProvider.canFetchToken()) {
+          throw error;
+        }
+        // the token has been revoked or rotated, re-authenticate and replay the request
+        return authProvider
+          .refreshToken(token, this.timeout, this.options)
+          .then(token => resend(config).then(config => send(config, token)));
       })
-      .catch(error => {
+    );
+  }
+
+  /**
+   * Internal method to make an axios request that is retried according to the retry
+   * policy when it fails with a transient error. Aborting the request while waiting to
+   * retry it rejects right away.
+   *
+   * @param {Object} config - axios configuration object
+   * @param {?function(config: Object): Promise<Object>} resend - function that makes the
+   * configuration object to send the request again or null
+   *
+   * @return {Object} - JS Promise, resolves to an ``axios reponse`` object
+   */
+  _callAxiosWithRetry(config, resend) {
+    const retry = resend ? this._getRetryPolicy(config.method) : null;
+
+    const attempt = (attemptNumber, config) => {
+      return axios(config).catch(error => {
+        if (retry && attemptNumber < retry.maxAttempts) {
+          const delay = Request._getRetryDelay(error, attemptNumber, retry);
+
+          if (delay >= 0) {
+            return Request._wait(delay, config.cancelToken)
+              .then(
+                () => resend(config),
+                cancel => Request._handleRequestError(cancel)
+              )
+              .then(config => attempt(attemptNumber + 1, config));
+          }
+        }
         Request._handleRequestError(error);
       });
+    };
+
+    return attempt(1, config);
+  }
+
+  /**
+   * Internal method to wait for a delay that is cut short if a request is aborted.
+   *
+   * @param {number} delay - delay in milliseconds
+   * @param {?Object} cancelToken - axios cancel token of the request
+   *
+   * @return {Promise} - JS Promise, resolves after the delay or rejects with the axios
+   * cancel object if the request is aborted before
+   */
+  static _wait(delay, cancelToken) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, delay);
+
+      if (cancelToken) {
+        cancelToken.promise.then(cancel => {
+          clearTimeout(timer);
+          reject(cancel);
+        });
+      }
+    });
+  }
+
+  /**
+   * Internal method to run a hook of a middleware chain. Every middleware object's hook
+   * is passed the value returned by the previous one, a hook returning ``undefined``
+   * leaves the value unchanged.
+   *
+   * @param {Object[]} middleware - array of middleware objects
+   * @param {string} hook - either 'beforeRequest' or 'afterResponse'
+   * @param {Object} value - axios configuration or response object
+   *
+   * @return {Promise} - JS Promise, resolves to the value returned by the last hook
+   */
+  static _runMiddleware(middleware, hook, value) {
+    return middleware.reduce((promise, mw) => {
+      if (!mw[hook]) {
+        return promise;
+      }
+      return promise.then(value =>
+        Promise.resolve(mw[hook](value)).then(result => (result === undefined ? value : result))
+      );
+    }, Promise.resolve(value));
+  }
+
+  /**
+   * Internal method to run the ``onError`` hooks of a middleware chain. A hook can
+   * recover from the error by returning a response object or replace it by throwing
+   * another error, returning ``undefined`` passes the error on to the next hook.
+   *
+   * @param {Object[]} middleware - array of middleware objects
+   * @param {RequestException} error - request error
+   *
+   * @return {Object} - JS Promise, resolves to the response returned by a hook
+   */
+  static _runErrorMiddleware(middleware, error) {
+    return middleware.reduce((promise, mw) => {
+      if (!mw.onError) {
+        return promise;
+      }
+      return promise.catch(error =>
+        Promise.resolve(mw.onError(error)).then(result => {
+          if (result === undefined) {
+            throw error;
+          }
+          return result;
+        })
+      );
+    }, Promise.reject(error));
+  }
+
+  /**
+   * Internal method to compute the delay before retrying a failed request.
+   *
+   * @param {Object} error - axios error object
+   * @param {number} attemptNumber - number of the attempt that just failed
+   * @param {Object} retry - retry policy object
+   *
+   * @return {number} - delay in ms or -1 if the request should not be retried
+   */
+  static _getRetryDelay(error, attemptNumber, retry) {
+    if (!error.request) {
+      return -1; // the request was never sent
+    }
+    if (error.response) {
+      if (!retry.statusCodes.includes(error.response.status)) {
+        return -1;
+      }
+      const retryAfter = error.response.headers && error.response.headers['retry-after'];
+
+      if (retryAfter) {
+        // Retry-After is either a number of seconds or an HTTP date
+        let delay = Number(retryAfter) * 1000;
+        if (isNaN(delay)) {
+          delay = Date.parse(retryAfter) - Date.now();
+        }
+        if (!isNaN(delay)) {
+          return delay > retry.maxDelay ? -1 : Math.max(delay, 0);
+        }
+      }
+    }
+    const backoff = Math.min(retry.maxDelay, retry.baseDelay * Math.pow(2, attemptNumber - 1));
+    return retry.jitter ? Math.random() * backoff : backoff;
   }
 
   /**
@@ -175,11 +632,16 @@ export default class Request {
    * @param {Object} error - axios error object
    *
    * @throws {RequestException} throw error
+   * @throws {AbortError} throw error if the request was aborted
+   * @throws {TimeoutError} throw error if the request timeout expired
+   * @throws {NetworkError} throw error if no response was received
    */
   static _handleRequestError(error) {
     let apiError;
 
-    if (error.response) {
+    if (axios.isCancel(error)) {
+      apiError = new AbortError(error.message || 'Request aborted!');
+    } else if (error.response) {
       // The request was made and the server responded with a status code
       // that falls out of the range of 2xx
       //console.log(error.response.data);
@@ -189,7 +651,8 @@ export default class Request {
       if (error.response.data.collection) {
         errMsg = Collection.getErrorMessage(error.response.data.collection);
       }
-      apiError = new RequestException(errMsg);
+      const ExceptionClass = STATUS_EXCEPTIONS[error.response.status] || RequestException;
+      apiError = new ExceptionClass(errMsg);
       apiError.request = error.request;
       apiError.response = error.response;
       try {
@@ -197,12 +660,19 @@ export default class Request {
       } catch (ex) {
         apiError.response.data = errMsg;
       }
+      if (apiError instanceof ValidationError) {
+        apiError.fieldErrors = ValidationError.getFieldErrors(apiError.response.data);
+      }
+    } else if (error.request && error.code === 'ECONNABORTED') {
+      // The request timeout expired
+      apiError = new TimeoutError(error.message);
+      apiError.request = error.request;
     } else if (error.request) {
       // The request was made but no response was received
       // `error.request` is an instance of XMLHttpRequest in the browser and an instance of
       // http.ClientRequest in node.js
       //console.log(error.request);
-      apiError = new RequestException('No server response!');
+      apiError = new NetworkError('No server response!');
       apiError.request = error.request;
     } else {
       // Something happened in setting up the request that triggered an Error
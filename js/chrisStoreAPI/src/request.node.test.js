@@ -0,0 +1,268 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import axios from 'axios';
+import Client from './client';
+import Request from './request';
+import RequestException, { AuthenticationError } from './exception';
+import { expect } from 'chai';
+
+// these tests run in node.js under mocha (yarn test:node) with a fake axios adapter
+
+describe('Request in node.js', () => {
+  const chrisStoreUrl = 'http://localhost:8010/api/v1/';
+  const pluginsUrl = chrisStoreUrl + 'plugins/';
+  const auth = { token: 'd757da9c364fdc92368b90392559e0de78f54f02' };
+  const contentType = 'application/vnd.collection+json';
+  const pluginData = {
+    name: 'simplefsapp',
+    dock_image: 'fnndsc/pl-simplefsapp',
+    public_repo: 'https://github.com/FNNDSC',
+  };
+  const fileContent = JSON.stringify({ type: 'ds', parameters: [] });
+  let defaultAdapter;
+  let tmpDir;
+  let filePath;
+  let sent; // config and body of the last request sent
+
+  // read the whole request body stream
+  const readBody = stream =>
+    new Promise((resolve, reject) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(Buffer.from(chunk)));
+      stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+      stream.on('error', reject);
+      stream.resume();
+    });
+
+  // make a Collection+JSON response with the given links and items
+  const collectionResponse = (config, links, items) => ({
+    data: { collection: { href: config.url, links: links, items: items } },
+    status: 200,
+    statusText: 'OK',
+    headers: {},
+    config,
+  });
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrisstoreapi-'));
+    filePath = path.join(tmpDir, 'simplefsapp.json');
+    fs.writeFileSync(filePath, fileContent);
+  });
+
+  after(() => {
+    fs.unlinkSync(filePath);
+    fs.rmdirSync(tmpDir);
+  });
+
+  beforeEach(() => {
+    defaultAdapter = axios.defaults.adapter;
+    sent = null;
+    axios.defaults.adapter = config => {
+      if (config.method === 'get') {
+        const links = [{ rel: 'plugins', href: pluginsUrl }];
+        return Promise.resolve(collectionResponse(config, links, []));
+      }
+      return readBody(config.data).then(body => {
+        sent = { config, body };
+        const item = {
+          href: pluginsUrl + '1/',
+          data: [
+            { name: 'id', value: 1 },
+            { name: 'name', value: 'simplefsapp' },
+          ],
+          links: [],
+        };
+        return collectionResponse(config, [], [item]);
+      });
+    };
+  });
+
+  afterEach(() => {
+    axios.defaults.adapter = defaultAdapter;
+  });
+
+  // get a header of the last request sent (axios normalizes the name of some headers)
+  const sentHeader = name => {
+    const headers = sent.config.headers;
+    const key = Object.keys(headers).find(key => key.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+  };
+
+  const expectMultipart = (filename, content) => {
+    expect(sentHeader('content-type')).to.match(/^multipart\/form-data; boundary=/);
+    expect(sent.body).to.contain('name="name"');
+    expect(sent.body).to.contain('simplefsapp');
+    expect(sent.body).to.contain('name="descriptor_file"; filename="' + filename + '"');
+    expect(sent.body).to.contain(content);
+  };
+
+  it('can upload a file from a file path', done => {
+    const req = new Request(auth, contentType);
+
+    req
+      .post(pluginsUrl, pluginData, { descriptor_file: filePath })
+      .then(() => {
+        expectMultipart('simplefsapp.json', fileContent);
+        expect(sentHeader('content-length')).to.equal(Buffer.byteLength(sent.body));
+      })
+      .then(done, done);
+  });
+
+  it('can upload a file from a Buffer', done => {
+    const req = new Request(auth, contentType);
+
+    req
+      .post(pluginsUrl, pluginData, { descriptor_file: Buffer.from(fileContent) })
+      .then(() => {
+        expectMultipart('descriptor_file', fileContent);
+        expect(sentHeader('content-length')).to.equal(Buffer.byteLength(sent.body));
+      })
+      .then(done, done);
+  });
+
+  it('can upload a file from a file stream', done => {
+    const req = new Request(auth, contentType);
+    const stream = fs.createReadStream(filePath);
+
+    req
+      .post(pluginsUrl, pluginData, { descriptor_file: stream })
+      .then(() => {
+        expectMultipart('simplefsapp.json', fileContent);
+        expect(sentHeader('content-length')).to.equal(Buffer.byteLength(sent.body));
+      })
+      .then(done, done);
+  });
+
+  it('can upload a stream of unknown length', done => {
+    const req = new Request(auth, contentType);
+    const stream = Readable.from([Buffer.from(fileContent)]);
+
+    req
+      .post(pluginsUrl, pluginData, { descriptor_file: stream })
+      .then(() => {
+        expectMultipart('descriptor_file', fileContent);
+        expect(sentHeader('content-length')).to.be.undefined;
+      })
+      .then(done, done);
+  });
+
+  it('can report the upload progress', done => {
+    const progress = [];
+    const req = new Request(auth, contentType, { onUploadProgress: p => progress.push(p) });
+
+    req
+      .post(pluginsUrl, pluginData, { descriptor_file: filePath })
+      .then(() => {
+        const last = progress[progress.length - 1];
+        expect(last.loaded).to.equal(Buffer.byteLength(sent.body));
+        expect(last.total).to.equal(last.loaded);
+      })
+      .then(done, done);
+  });
+
+  it('throws RequestException when the file path does not exist', done => {
+    const req = new Request(auth, contentType);
+
+    req
+      .post(pluginsUrl, pluginData, { descriptor_file: filePath + '.missing' })
+      .then(() => {
+        throw new Error('expected the upload to fail');
+      })
+      .catch(error => {
+        expect(error).to.be.an.instanceof(RequestException);
+        expect(sent).to.be.a('null');
+      })
+      .then(done, done);
+  });
+
+  // make the uploads fail with a status code before the last one is accepted
+  const failUploads = (...statuses) => {
+    const uploadAdapter = axios.defaults.adapter;
+    const bodies = [];
+
+    axios.defaults.adapter = config =>
+      readBody(config.data).then(body => {
+        const status = statuses[bodies.length];
+        bodies.push(body);
+        if (!status) {
+          config.data = Readable.from([Buffer.from(body)]);
+          return uploadAdapter(config);
+        }
+        const error = new Error('Request failed with status code ' + status);
+        error.config = config;
+        error.request = {};
+        error.response = { data: '', status: status, headers: {}, config };
+        return Promise.reject(error);
+      });
+    return bodies;
+  };
+
+  it('sends a new multipart body when an upload rejected with 401 is replayed', done => {
+    const authProvider = {
+      getToken: () => Promise.resolve('revoked'),
+      canFetchToken: () => true,
+      refreshToken: () => Promise.resolve('fresh'),
+    };
+    const req = new Request(auth, contentType, 3000, { authProvider: authProvider });
+    const bodies = failUploads(401);
+
+    req
+      .post(pluginsUrl, pluginData, { descriptor_file: filePath })
+      .then(() => {
+        expect(bodies).to.have.lengthOf(2);
+        expect(bodies[1]).to.contain(fileContent);
+        expect(sentHeader('authorization')).to.equal('Token fresh');
+      })
+      .then(done, done);
+  });
+
+  it('sends a new multipart body when an upload is retried', done => {
+    const retry = { baseDelay: 1, jitter: false, methods: ['post'] };
+    const req = new Request(auth, contentType, 3000, { retry: retry });
+    const bodies = failUploads(503);
+
+    req
+      .post(pluginsUrl, pluginData, { descriptor_file: Buffer.from(fileContent) })
+      .then(() => {
+        expect(bodies).to.have.lengthOf(2);
+        expect(bodies[1]).to.contain(fileContent);
+      })
+      .then(done, done);
+  });
+
+  it('does not send an upload of a stream again', done => {
+    const authProvider = {
+      getToken: () => Promise.resolve('revoked'),
+      canFetchToken: () => true,
+      refreshToken: () => Promise.reject(new Error('refreshed')),
+    };
+    const retry = { baseDelay: 1, jitter: false, methods: ['post'] };
+    const req = new Request(auth, contentType, 3000, { authProvider: authProvider, retry: retry });
+    const bodies = failUploads(401);
+
+    req
+      .post(pluginsUrl, pluginData, { descriptor_file: Readable.from([Buffer.from(fileContent)]) })
+      .then(() => {
+        throw new Error('expected the upload to fail');
+      })
+      .catch(error => {
+        expect(error).to.be.an.instanceof(AuthenticationError);
+        expect(bodies).to.have.lengthOf(1);
+      })
+      .then(done, done);
+  });
+
+  it('can create a plugin through Client.createPlugin', done => {
+    const client = new Client(chrisStoreUrl, auth);
+
+    client
+      .createPlugin(pluginData, { descriptor_file: filePath })
+      .then(plugin => {
+        expectMultipart('simplefsapp.json', fileContent);
+        expect(plugin.data.name).to.equal('simplefsapp');
+      })
+      .then(done, done);
+  });
+});
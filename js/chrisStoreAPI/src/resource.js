@@ -1,7 +1,7 @@
 /** * Imports ***/
 import Collection from './cj';
 import Request from './request';
-import RequestException from './exception';
+import RequestException, { ValidationError } from './exception';
 
 /**
  * API abstract resource class.
@@ -13,14 +13,19 @@ export class Resource {
    * @param {string} resourceUrl - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object shared by all the
+   * resource objects created from the same client
    */
-  constructor(resourceUrl, auth = null) {
+  constructor(resourceUrl, auth = null, options = null) {
     /** @type {string} */
     this.url = resourceUrl;
 
     /** @type {Object} */
     this.auth = auth;
 
+    /** @type {?Object} */
+    this.options = options;
+
     /** @type {string} */
     this.contentType = 'application/vnd.collection+json';
 
@@ -49,7 +54,9 @@ export class Resource {
     const cloneObj = Object.create(Object.getPrototypeOf(this));
 
     for (let prop in this) {
-      if (this[prop] !== null && typeof this[prop] === 'object') {
+      if (prop === 'options') {
+        cloneObj[prop] = this[prop]; // client options are shared, not copied
+      } else if (this[prop] !== null && typeof this[prop] === 'object') {
         cloneObj[prop] = JSON.parse(JSON.stringify(this[prop]));
       } else {
         cloneObj[prop] = this[prop];
@@ -57,6 +64,40 @@ export class Resource {
     }
     return cloneObj;
   }
+
+  /**
+   * Internal helper method to validate the data of a POST or PUT request against the
+   * template of a collection object, see ``Collection.validateTemplate``.
+   *
+   * @param {?Object} collection - Collection+JSON collection object with the template
+   * @param {Object} data - request data object
+   * @param {?Object} uploadFileObj - custom file object
+   * @param {boolean} partial - whether missing required descriptors are allowed
+   *
+   * @return {?ValidationError} - validation error or null if the data is valid or
+   * there is no template to validate it against
+   */
+  static _validateData(collection, data, uploadFileObj, partial) {
+    if (!collection || !collection.template) {
+      return null;
+    }
+    const descriptorsObj = Object.assign({}, data, uploadFileObj);
+    const fieldErrors = Collection.validateTemplate(collection.template, descriptorsObj, partial);
+
+    if (!fieldErrors) {
+      return null;
+    }
+    const errMsg =
+      'Invalid request data for ' +
+      collection.href +
+      ': ' +
+      Object.keys(fieldErrors)
+        .map(name => name + ': ' + fieldErrors[name].join(' '))
+        .join('; ');
+    const error = new ValidationError(errMsg);
+    error.fieldErrors = fieldErrors;
+    return error;
+  }
 }
 
 /**
@@ -69,20 +110,21 @@ export class ItemResource extends Resource {
    * @param {string} itemUrl - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(itemUrl, auth = null) {
-    super(itemUrl, auth);
+  constructor(itemUrl, auth = null, options = null) {
+    super(itemUrl, auth, options);
   }
 
   /**
    * Fetch this item resource from the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to ``this`` object
    */
   get(timeout = 30000) {
-    const req = new Request(this.auth, this.contentType, timeout);
+    const req = new Request(this.auth, this.contentType, timeout, this.options);
 
     return req.get(this.url).then(resp => {
       // change the state of this object on successfull response
@@ -130,7 +172,7 @@ export class ItemResource extends Resource {
    * @param {Object} [searchParams=null] - search parameters object which is resource-specific
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    * @return {Object} - JS Promise, resolves to a ``ResourceClass`` object
    * @throws {RequestException} throw error if this item resource has not yet been
    * fetched from the REST API
@@ -148,7 +190,7 @@ export class ItemResource extends Resource {
       throw new RequestException(errMsg);
     }
     const resourceUrl = urls[0];
-    const resourceObj = new ResourceClass(resourceUrl, this.auth);
+    const resourceObj = new ResourceClass(resourceUrl, this.auth, this.options);
     if (searchParams) {
       return resourceObj.get(searchParams, timeout);
     }
@@ -157,17 +199,24 @@ export class ItemResource extends Resource {
 
   /**
    * Internal helper method to make a PUT request to this item resource through
-   * the REST API.
+   * the REST API. If this item resource's template is known the data is validated
+   * against it first (missing required descriptors are allowed).
    *
    * @param {Object} data - request JSON data object
    * @param {?Object} uploadFileObj - custom file object
    * @param {Object} uploadFileObj.fname - file blob
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
-   * @return {Object} - JS Promise, resolves to ``this`` object
+   * @return {Object} - JS Promise, resolves to ``this`` object, rejects with a
+   * ``ValidationError`` without making the request if the data is not valid
    */
   _put(data, uploadFileObj, timeout = 30000) {
-    const req = new Request(this.auth, this.contentType, timeout);
+    const error = Resource._validateData(this.collection, data, uploadFileObj, true);
+
+    if (error) {
+      return Promise.reject(error);
+    }
+    const req = new Request(this.auth, this.contentType, timeout, this.options);
     let putData = data;
 
     if (!uploadFileObj && this.contentType === 'application/vnd.collection+json') {
@@ -187,12 +236,12 @@ export class ItemResource extends Resource {
    * Internal helper method to make a DELETE request to this item resource through
    * the REST API.
    *
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise
    */
   _delete(timeout = 30000) {
-    const req = new Request(this.auth, this.contentType, timeout);
+    const req = new Request(this.auth, this.contentType, timeout, this.options);
 
     return req.delete(this.url).then(() => {
       // change the state of this object on successfull response
@@ -211,9 +260,10 @@ export class ListResource extends Resource {
    * @param {string} listUrl - url of the resource
    * @param {Object} [auth=null] - authentication object
    * @param {string} [auth.token] - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(listUrl, auth = null) {
-    super(listUrl, auth);
+  constructor(listUrl, auth = null, options = null) {
+    super(listUrl, auth, options);
 
     /** @type {string} */
     this.queryUrl = '';
@@ -234,12 +284,12 @@ export class ListResource extends Resource {
    * of possible search parameters
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to ``this`` object
    */
   get(searchParams = null, timeout = 30000) {
-    const req = new Request(this.auth, this.contentType, timeout);
+    const req = new Request(this.auth, this.contentType, timeout, this.options);
 
     const updateInternalState = resp => {
       // change the state of this object on successfull response
@@ -251,20 +301,29 @@ export class ListResource extends Resource {
 
         if (this.collection.queries && this.collection.queries.length) {
           this.queryUrl = this.collection.queries[0].href;
+          this._setDiscoveredQueries(this.collection.queries);
         }
       }
       return this;
     };
 
-    if (searchParams) {
-      for (let prop in searchParams) {
-        if (searchParams.hasOwnProperty(prop) && prop !== 'limit' && prop !== 'offset') {
-          // here we assume a fixed queryUrl form but API resource objecs are more flexible than this
-          this.queryUrl = this.queryUrl || this.url + 'search/';
+    const searchNames = searchParams
+      ? Object.keys(searchParams).filter(name => name !== 'limit' && name !== 'offset')
+      : [];
 
-          return req.get(this.queryUrl, searchParams).then(updateInternalState);
+    if (searchNames.length) {
+      return this._getQueries(timeout).then(queries => {
+        const validNames = queries.length ? Collection.getQueryParameters(queries) : [];
+        const unknownNames = searchNames.filter(name => validNames.indexOf(name) === -1);
+
+        if (unknownNames.length) {
+          throw ListResource._makeSearchError(this.url, unknownNames, validNames);
         }
-      }
+        this.queryUrl = queries[0].href;
+        return req.get(this.queryUrl, searchParams).then(updateInternalState);
+      });
+    }
+    if (searchParams) {
       return req.get(this.url, searchParams).then(updateInternalState);
     }
     return req.get(this.url).then(updateInternalState);
@@ -307,7 +366,7 @@ export class ListResource extends Resource {
     if (!items.length) {
       return null;
     }
-    const itemResource = new this.itemClass(items[0].href, this.auth);
+    const itemResource = new this.itemClass(items[0].href, this.auth, this.options);
     const listRes = this.clone();
     listRes.collection.items[0] = items[0];
     itemResource.collection = listRes.collection;
@@ -325,7 +384,7 @@ export class ListResource extends Resource {
       return [];
     }
     return this.collection.items.map(item => {
-      const itemResource = new this.itemClass(item.href, this.auth);
+      const itemResource = new this.itemClass(item.href, this.auth, this.options);
       const listRes = this.clone();
       listRes.collection.items[0] = item;
       itemResource.collection = listRes.collection;
@@ -396,6 +455,103 @@ export class ListResource extends Resource {
     return false;
   }
 
+  /**
+   * Get the total number of pages of the entire collection in the paginated REST API
+   * given the page limit of this list resource. Return -1 if no data has been fetched
+   * or the total number of items info is not available from the fetched data.
+   *
+   * @type {number}
+   */
+  get pageCount() {
+    const totalCount = this.totalCount;
+
+    if (totalCount < 0) {
+      return -1;
+    }
+    const limit = this._getPageLimit();
+    return limit ? Math.max(Math.ceil(totalCount / limit), 1) : 1;
+  }
+
+  /**
+   * Fetch the next page of this list resource from the REST API into a new list
+   * resource object with the same search parameters (but the page offset). This object
+   * is not modified.
+   *
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   *
+   * @return {Object} - JS Promise, resolves to a new list resource object of the same
+   * class or null if there is no next page
+   * @throws {RequestException} throw error if this list resource has not yet
+   * been fetched from the REST API
+   */
+  getNextPage(timeout = 30000) {
+    if (!this.collection) {
+      throw new RequestException('Collection object has not been set!');
+    }
+    if (!this.hasNextPage) {
+      return Promise.resolve(null);
+    }
+    return this._getLinkedPage('next', timeout);
+  }
+
+  /**
+   * Fetch the previous page of this list resource from the REST API into a new list
+   * resource object with the same search parameters (but the page offset). This object
+   * is not modified.
+   *
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   *
+   * @return {Object} - JS Promise, resolves to a new list resource object of the same
+   * class or null if there is no previous page
+   * @throws {RequestException} throw error if this list resource has not yet
+   * been fetched from the REST API
+   */
+  getPreviousPage(timeout = 30000) {
+    if (!this.collection) {
+      throw new RequestException('Collection object has not been set!');
+    }
+    if (!this.hasPreviousPage) {
+      return Promise.resolve(null);
+    }
+    return this._getLinkedPage('previous', timeout);
+  }
+
+  /**
+   * Fetch a page of this list resource given its number from the REST API into a new
+   * list resource object with the same search parameters and page limit. This object
+   * is not modified.
+   *
+   * @param {number} pageNumber - page number between 1 and ``pageCount``
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   *
+   * @return {Object} - JS Promise, resolves to a new list resource object of the same
+   * class
+   * @throws {RequestException} throw error if this list resource has not yet
+   * been fetched from the REST API
+   * @throws {RequestException} throw error if the page number is out of range
+   */
+  getPage(pageNumber, timeout = 30000) {
+    if (!this.collection) {
+      throw new RequestException('Collection object has not been set!');
+    }
+    const pageCount = this.pageCount;
+
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > pageCount) {
+      const errMsg = 'Page number must be an integer between 1 and ' + pageCount + '!';
+      throw new RequestException(errMsg);
+    }
+    const limit = this._getPageLimit();
+    const searchParams = Object.assign({}, this.searchParams);
+
+    if (limit) {
+      searchParams.limit = limit;
+      searchParams.offset = (pageNumber - 1) * limit;
+    }
+    const page = new this.constructor(this.url, this.auth, this.options);
+    page.queryUrl = this.queryUrl;
+    return page.get(searchParams, timeout);
+  }
+
   /**
    * Get an array of parameter names that can be used as properties of the data
    * object in POST requests.
@@ -411,6 +567,152 @@ export class ListResource extends Resource {
     return null;
   }
 
+  /**
+   * Internal method to get the Collection+JSON query array of this list resource. If it
+   * is not yet known to this object or to the other list resource objects of the same url
+   * and client it is discovered by fetching a single item page of the list.
+   *
+   * @param {number|Object} timeout - request timeout or request options object
+   *
+   * @return {Object} - JS Promise, resolves to the query array (empty if the list
+   * resource doesn't support searching)
+   */
+  _getQueries(timeout) {
+    if (this.collection && this.collection.queries && this.collection.queries.length) {
+      this._setDiscoveredQueries(this.collection.queries);
+      return Promise.resolve(this.collection.queries);
+    }
+    const discoveredQueries = this.options && this.options._discoveredQueries;
+    const listUrl = this.url.split('?')[0];
+
+    if (discoveredQueries && discoveredQueries.hasOwnProperty(listUrl)) {
+      return Promise.resolve(discoveredQueries[listUrl]);
+    }
+    const req = new Request(this.auth, this.contentType, timeout, this.options);
+
+    return req.get(this.url, { limit: 1 }).then(resp => {
+      const coll = resp.data && resp.data.collection;
+
+      if (coll && coll.queries && coll.queries.length) {
+        this._setDiscoveredQueries(coll.queries);
+        return coll.queries;
+      }
+      return [];
+    });
+  }
+
+  /**
+   * Internal method to remember the Collection+JSON query array of this list resource
+   * in the client options so that the other list resource objects of the same url and
+   * client don't have to discover it again (see ``Client.clearDiscoveredQueries``).
+   *
+   * @param {Object[]} queries - query array
+   */
+  _setDiscoveredQueries(queries) {
+    if (this.options && this.options._discoveredQueries) {
+      this.options._discoveredQueries[this.url.split('?')[0]] = queries;
+    }
+  }
+
+  /**
+   * Internal method to make the error thrown when unknown search parameters are used.
+   *
+   * @param {string} listUrl - url of the list resource
+   * @param {string[]} unknownNames - names of the unknown search parameters
+   * @param {string[]} validNames - names of the valid search parameters (but the
+   * ``limit`` and ``offset`` page parameters)
+   *
+   * @return {ValidationError} - error whose ``fieldErrors`` has a property for each
+   * unknown search parameter
+   */
+  static _makeSearchError(listUrl, unknownNames, validNames) {
+    const valid = validNames.concat('limit', 'offset').join(', ');
+    const errMsg =
+      'Unknown search parameter(s) ' +
+      unknownNames.map(name => '"' + name + '"').join(', ') +
+      ' for ' +
+      listUrl +
+      ', valid search parameters are: ' +
+      valid;
+    const error = new ValidationError(errMsg);
+
+    unknownNames.forEach(name => {
+      error.fieldErrors[name] = ['Unknown search parameter, valid ones are: ' + valid];
+    });
+    return error;
+  }
+
+  /**
+   * Internal method to fetch the page of this list resource referenced by a link
+   * relation of its collection object (eg. 'next' or 'previous') into a new list
+   * resource object of the same class.
+   *
+   * @param {string} linkRelation - link relation of the page
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
+   *
+   * @return {Object} - JS Promise, resolves to a new list resource object
+   */
+  _getLinkedPage(linkRelation, timeout = 30000) {
+    const pageUrl = Collection.getLinkRelationUrls(this.collection, linkRelation)[0];
+    const req = new Request(this.auth, this.contentType, timeout, this.options);
+
+    return req.get(pageUrl).then(resp => {
+      const page = new this.constructor(this.url, this.auth, this.options);
+      const pageParams = ListResource._getPageParams(pageUrl);
+      page.queryUrl = this.queryUrl;
+      page.searchParams = Object.assign({}, this.searchParams, pageParams);
+      if (resp.data && resp.data.collection) {
+        page.collection = resp.data.collection;
+      }
+      return page;
+    });
+  }
+
+  /**
+   * Internal method to get the page limit of this list resource from its search
+   * parameters or else from the urls of its next and previous pages.
+   *
+   * @return {?number} - page limit or null if unknown (there is a single page)
+   */
+  _getPageLimit() {
+    if (this.searchParams && this.searchParams.limit) {
+      return Number(this.searchParams.limit);
+    }
+    if (this.collection) {
+      for (let linkRelation of ['next', 'previous']) {
+        const urls = Collection.getLinkRelationUrls(this.collection, linkRelation);
+        if (urls.length) {
+          const pageParams = ListResource._getPageParams(urls[0]);
+          if (pageParams.limit) {
+            return pageParams.limit;
+          }
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Internal method to get the ``limit`` and ``offset`` search parameters from the
+   * query string of a page url. A missing offset means the first page.
+   *
+   * @param {string} pageUrl - url of a page
+   *
+   * @return {Object} - object with the ``offset`` and (if in the url) ``limit`` properties
+   */
+  static _getPageParams(pageUrl) {
+    const pageParams = { offset: 0 };
+    const query = pageUrl.split('#')[0].split('?')[1] || '';
+
+    query.split('&').forEach(param => {
+      const [name, value] = param.split('=');
+      if ((name === 'limit' || name === 'offset') && /^\d+$/.test(value)) {
+        pageParams[name] = parseInt(value, 10);
+      }
+    });
+    return pageParams;
+  }
+
   /**
    * Internal method to fetch a related resource from the REST API that is
    * referenced by a link relation within this list resource's collection object.
@@ -420,7 +722,7 @@ export class ListResource extends Resource {
    * @param {Object} [searchParams=null] - search parameters object which is resource-specific
    * @param {number} [searchParams.limit] - page limit
    * @param {number} [searchParams.offset] - page offset
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to a ``ResourceClass`` object
    * @throws {RequestException} throw error if this list resource has not yet
@@ -438,7 +740,7 @@ export class ListResource extends Resource {
       throw new RequestException(errMsg);
     }
     const resourceUrl = urls[0];
-    const resourceObj = new ResourceClass(resourceUrl, this.auth);
+    const resourceObj = new ResourceClass(resourceUrl, this.auth, this.options);
 
     if (searchParams) {
       return resourceObj.get(searchParams, timeout);
@@ -448,18 +750,25 @@ export class ListResource extends Resource {
 
   /**
    * Internal helper method to make a POST request to this list resource through
-   * the REST API.
+   * the REST API. If this list resource's template is known the data is validated
+   * against it first.
    *
    * @param {Object} data - request JSON data object
    * @param {?Object} uploadFileObj - custom file object
    * @param {Object} uploadFileObj.fname - file blob
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
-   * @return {Object} - JS Promise, resolves to ``this`` object
+   * @return {Object} - JS Promise, resolves to ``this`` object, rejects with a
+   * ``ValidationError`` without making the request if the data is not valid
    */
   _post(data, uploadFileObj, timeout = 30000) {
+    const error = Resource._validateData(this.collection, data, uploadFileObj, false);
+
+    if (error) {
+      return Promise.reject(error);
+    }
     const url = this.url;
-    const req = new Request(this.auth, this.contentType, timeout);
+    const req = new Request(this.auth, this.contentType, timeout, this.options);
     let postData = data;
 
     if (!uploadFileObj && this.contentType === 'application/vnd.collection+json') {
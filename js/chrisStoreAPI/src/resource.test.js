@@ -1,6 +1,9 @@
+import axios from 'axios';
 import { expect } from 'chai';
 import { ItemResource, ListResource } from './resource';
 import Collection from './cj';
+import { ValidationError } from './exception';
+import Client from './client';
 
 // http://sinonjs.org/releases/v5.1.0/fake-xhr-and-server/
 
@@ -47,6 +50,45 @@ describe('Resource', () => {
       expect(itemRes.getPUTParameters()).to.deep.equal(['descriptor1', 'descriptor2']);
     });
 
+    it('validates the PUT data against its template before making the request', done => {
+      const defaultAdapter = axios.defaults.adapter;
+      const sent = [];
+      axios.defaults.adapter = config => {
+        sent.push(config.url);
+        return Promise.resolve({ data: { collection }, status: 200, headers: {}, config });
+      };
+      itemRes.collection.template = {
+        data: [{ name: 'name', value: '', required: true, regexp: '^[a-z]+$' }],
+      };
+
+      itemRes
+        ._put({ name: 'A' }, null)
+        .then(
+          () => {
+            throw new Error('invalid data was sent');
+          },
+          error => {
+            expect(error).to.be.an.instanceof(ValidationError);
+            expect(error.fieldErrors.name[0]).to.contain('does not match the pattern');
+            expect(sent).to.have.lengthOf(0);
+            return itemRes._put({}, null); // required descriptors can be left out
+          }
+        )
+        .then(() => {
+          expect(sent).to.deep.equal([itemUrl]);
+        })
+        .then(
+          () => {
+            axios.defaults.adapter = defaultAdapter;
+          },
+          error => {
+            axios.defaults.adapter = defaultAdapter;
+            throw error;
+          }
+        )
+        .then(done, done);
+    });
+
     it('can fetch an Item Resource from the REST API', done => {
       const result = itemRes.get();
       result
@@ -134,6 +176,63 @@ describe('Resource', () => {
         .then(done, done);
     });
 
+    it('validates the search parameters against the queries of the REST API', done => {
+      const defaultAdapter = axios.defaults.adapter;
+      const listUrl = chrisStoreUrl + 'things/';
+      const sent = [];
+      axios.defaults.adapter = config => {
+        sent.push(config.url);
+        const collection = {
+          href: config.url,
+          items: [],
+          links: [],
+          queries: [{ href: listUrl + 'query/', rel: 'search', data: [{ name: 'name' }] }],
+        };
+        return Promise.resolve({ data: { collection }, status: 200, headers: {}, config });
+      };
+      const client = new Client(chrisStoreUrl, auth);
+      const thingList = new ListResource(listUrl, auth, client.options);
+
+      thingList
+        .get({ name: 'a', limit: 5 })
+        .then(() => {
+          // the queries are discovered before searching
+          expect(sent).to.deep.equal([listUrl, listUrl + 'query/']);
+          return new ListResource(listUrl, auth, client.options).get({ nme: 'a' });
+        })
+        .then(
+          () => {
+            throw new Error('unknown search parameter was sent');
+          },
+          error => {
+            expect(error).to.be.an.instanceof(ValidationError);
+            expect(error.message).to.contain('valid search parameters are: name, limit, offset');
+            expect(error.fieldErrors).to.have.property('nme');
+            expect(sent).to.have.lengthOf(2); // the discovered queries are reused
+            const otherClient = new Client(chrisStoreUrl, auth);
+            return new ListResource(listUrl, auth, otherClient.options).get({ name: 'a' });
+          }
+        )
+        .then(() => {
+          expect(sent).to.have.lengthOf(4); // not shared with other clients
+          client.clearDiscoveredQueries();
+          return new ListResource(listUrl, auth, client.options).get({ name: 'a' });
+        })
+        .then(() => {
+          expect(sent.slice(4)).to.deep.equal([listUrl, listUrl + 'query/']);
+        })
+        .then(
+          () => {
+            axios.defaults.adapter = defaultAdapter;
+          },
+          error => {
+            axios.defaults.adapter = defaultAdapter;
+            throw error;
+          }
+        )
+        .then(done, done);
+    });
+
     it('can provide the total number of items across pages in the paginated REST API', () => {
       expect(listRes.totalCount).to.be.equal(100);
     });
@@ -153,5 +252,87 @@ describe('Resource', () => {
       listRes.collection.links = [{ rel: 'previous', href: chrisStoreUrl }];
       expect(listRes.hasPreviousPage).to.be.true;
     });
+
+    it('can provide the total number of pages in the paginated REST API', () => {
+      expect(listRes.pageCount).to.be.equal(1);
+      listRes.collection.links = [{ rel: 'next', href: chrisStoreUrl + '?limit=30&offset=30' }];
+      expect(listRes.pageCount).to.be.equal(4);
+      listRes.searchParams = { limit: 50 };
+      expect(listRes.pageCount).to.be.equal(2);
+      listRes.collection = null;
+      expect(listRes.pageCount).to.be.equal(-1);
+    });
+
+    describe('page navigation', () => {
+      const names = ['pl-dircopy', 'pl-simpledsapp', 'pl-topologicalcopy'];
+      let defaultAdapter;
+
+      beforeEach(() => {
+        defaultAdapter = axios.defaults.adapter;
+
+        // serve the names as a paginated collection
+        axios.defaults.adapter = config => {
+          const [url, query] = config.url.split('?');
+          const params = Object.assign({}, config.params);
+          (query || '').split('&').forEach(param => {
+            const [name, value] = param.split('=');
+            params[name] = value;
+          });
+          const limit = parseInt(params.limit, 10) || 10;
+          const offset = parseInt(params.offset, 10) || 0;
+          const links = [];
+          if (offset + limit < names.length) {
+            links.push({
+              rel: 'next',
+              href: url + '?limit=' + limit + '&offset=' + (offset + limit),
+            });
+          }
+          if (offset > 0) {
+            const previousOffset = offset - limit > 0 ? '&offset=' + (offset - limit) : '';
+            links.push({ rel: 'previous', href: url + '?limit=' + limit + previousOffset });
+          }
+          const items = names
+            .slice(offset, offset + limit)
+            .map(name => ({ data: [{ name: 'name', value: name }] }));
+          const collection = { href: config.url, items, links, total: names.length };
+          return Promise.resolve({ data: { collection }, status: 200, headers: {}, config });
+        };
+      });
+
+      afterEach(() => {
+        axios.defaults.adapter = defaultAdapter;
+      });
+
+      it('can navigate the pages of the paginated REST API into new objects', done => {
+        const pluginList = new ListResource(chrisStoreUrl + 'plugins/', auth);
+        let nextPage;
+
+        pluginList
+          .get({ limit: 2 })
+          .then(() => {
+            expect(pluginList.pageCount).to.be.equal(2);
+            expect(pluginList.getPage.bind(pluginList, 0)).to.throw('between 1 and 2');
+            return pluginList.getNextPage();
+          })
+          .then(page => {
+            nextPage = page;
+            expect(nextPage === pluginList).to.be.false;
+            expect(nextPage.searchParams).to.deep.equal({ limit: 2, offset: 2 });
+            expect(nextPage.data[0].name).to.equal('pl-topologicalcopy');
+            expect(pluginList.searchParams).to.deep.equal({ limit: 2 }); // not modified
+            return Promise.all([nextPage.getNextPage(), nextPage.getPreviousPage()]);
+          })
+          .then(([lastPage, previousPage]) => {
+            expect(lastPage).to.be.a('null');
+            expect(previousPage.searchParams).to.deep.equal({ limit: 2, offset: 0 });
+            expect(previousPage.data).to.have.lengthOf(2);
+            return previousPage.getPage(2);
+          })
+          .then(page => {
+            expect(page.data).to.deep.equal(nextPage.data);
+          })
+          .then(done, done);
+      });
+    });
   });
 });
@@ -12,9 +12,10 @@ export default class User extends ItemResource {
    * @param {string} url - url of the resource
    * @param {Object} auth - authentication object
    * @param {string} auth.token - authentication token
+   * @param {?Object} [options=null] - client options object
    */
-  constructor(url, auth) {
-    super(url, auth);
+  constructor(url, auth, options = null) {
+    super(url, auth, options);
   }
 
   /**
@@ -23,7 +24,7 @@ export default class User extends ItemResource {
    * @param {Object} data - request JSON data object
    * @param {string} data.password - user password
    * @param {string} data.email - user email
-   * @param {number} [timeout=30000] - request timeout
+   * @param {number|Object} [timeout=30000] - request timeout or request options object
    *
    * @return {Object} - JS Promise, resolves to ``this`` object
    */
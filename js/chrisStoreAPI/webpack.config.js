@@ -13,6 +13,10 @@ module.exports = {
   resolve: {
     extensions: ['.js', '.json'],
   },
+  // node.js core modules are only used when running in node.js
+  node: {
+    fs: 'empty',
+  },
   module: {
     rules: [
       {